@@ -5,6 +5,17 @@ class APIClient {
         this.baseURL = window.location.protocol === 'file:' 
             ? 'http://localhost:3000/api' 
             : '/api';
+        this.reachable = true; // Whether the last request got an answer from the server
+        this.onReachableChange = null; // Called with true or false when that changes
+    }
+
+    setReachable(reachable) {
+        if (this.reachable !== reachable) {
+            this.reachable = reachable;
+            if (this.onReachableChange) {
+                this.onReachableChange(reachable);
+            }
+        }
     }
 
     async request(endpoint, options = {}) {
@@ -12,17 +23,29 @@ class APIClient {
             const url = `${this.baseURL}${endpoint}`;
             console.log(`🌐 API Request: ${options.method || 'GET'} ${url}`);
             
-            const response = await fetch(url, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
-                },
-                credentials: 'same-origin', // Include session cookies
-                ...options
-            });
+            let response;
+            try {
+                response = await fetch(url, {
+                    credentials: 'same-origin', // Include session cookies
+                    ...options,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...options.headers
+                    }
+                });
+            } catch (networkError) {
+                // No answer at all - the network or the server is down. Callers can queue the change.
+                networkError.offline = true;
+                this.setReachable(false);
+                throw networkError;
+            }
 
             console.log(`📡 API Response: ${response.status} ${response.statusText}`);
             
+            // The proxy in front of the server answers these while the server is down or restarting
+            const unreachable = [502, 503, 504].includes(response.status);
+            this.setReachable(!unreachable);
+            
             // Handle authentication errors
             if (response.status === 401) {
                 console.log('🔒 Authentication required, redirecting to login...');
@@ -33,7 +56,21 @@ class APIClient {
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error(`❌ API Error Response:`, errorText);
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
+                // Callers can react to the status and read the JSON body (e.g. the current row of a 409)
+                const error = new Error(`HTTP ${response.status}: ${errorText}`);
+                error.status = response.status;
+                error.offline = unreachable;
+                try {
+                    error.data = JSON.parse(errorText);
+                } catch (parseError) {
+                    error.data = null;
+                }
+                // Logged in with a one-time password - the login page asks for a new one
+                if (error.data && error.data.passwordChangeRequired) {
+                    window.location.href = '/login';
+                    return;
+                }
+                throw error;
             }
 
             const data = await response.json();
@@ -50,24 +87,38 @@ class APIClient {
         }
     }
 
+    // If-Match header for a write that only applies to one version of a test or result
+    ifMatch(version) {
+        return version !== null && version !== undefined ? { 'If-Match': `"${version}"` } : {};
+    }
+
     // User operations
     async getUsers() {
         const response = await this.request('/users');
         return response.users;
     }
 
-    async createUser(name) {
+    async createUser(name, password, role) {
         const response = await this.request('/users', {
             method: 'POST',
-            body: JSON.stringify({ name })
+            body: JSON.stringify({ name, password, role })
         });
         return response.user;
     }
 
-    async updateUser(id, name) {
+    async updateUser(id, name, changes = {}) {
         const response = await this.request(`/users/${id}`, {
             method: 'PUT',
-            body: JSON.stringify({ name })
+            body: JSON.stringify({ name, ...changes })
+        });
+        return response.user;
+    }
+
+    // Change only the given fields of a user (name, password, role)
+    async patchUser(id, changes) {
+        const response = await this.request(`/users/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
         });
         return response.user;
     }
@@ -79,6 +130,35 @@ class APIClient {
         return response;
     }
 
+    // Account operations
+    async changePassword(currentPassword, newPassword) {
+        const response = await this.request('/account/password', {
+            method: 'PUT',
+            body: JSON.stringify({ currentPassword, newPassword })
+        });
+        return response;
+    }
+
+    async getApiTokens() {
+        const response = await this.request('/account/tokens');
+        return response.tokens;
+    }
+
+    async createApiToken(name, scopes) {
+        const response = await this.request('/account/tokens', {
+            method: 'POST',
+            body: JSON.stringify({ name, scopes })
+        });
+        return response;
+    }
+
+    async revokeApiToken(id) {
+        const response = await this.request(`/account/tokens/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
     // Test operations
     async getTests() {
         const response = await this.request('/tests');
@@ -98,14 +178,21 @@ class APIClient {
         return response;
     }
 
-    async updateTest(id, testData) {
+    // With the version the test was loaded at, the update fails with a 409 if someone saved it since
+    async updateTest(id, testData, version = null) {
         const response = await this.request(`/tests/${id}`, {
             method: 'PUT',
+            headers: this.ifMatch(version),
             body: JSON.stringify(testData)
         });
         return response;
     }
 
+    async getTestRevisions(id) {
+        const response = await this.request(`/tests/${id}/revisions`);
+        return response.revisions;
+    }
+
     async deleteTest(id) {
         const response = await this.request(`/tests/${id}`, {
             method: 'DELETE'
@@ -119,27 +206,54 @@ class APIClient {
         return response.nextId;
     }
 
-    async getTestResults() {
-        const response = await this.request('/test-results');
+    async getTestResults(runId = null) {
+        const response = await this.request(runId ? `/test-results?runId=${runId}` : '/test-results');
         return response.testResults;
     }
 
+    // Results page - filters: runId, status, userId, testId, category, priority, from, to, sort, order, limit, cursor.
+    // Returns the whole response with total and nextCursor.
+    async getTestResultsPage(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+        const query = params.toString();
+        return this.request(`/test-results${query ? `?${query}` : ''}`);
+    }
+
     async getTestResultsByTestId(testId) {
         const response = await this.request(`/tests/${testId}/results`);
         return response.testResults;
     }
 
-    async createTestResult(testId, resultData) {
+    // Creates sent again with the same idempotency key return the result the first one created
+    async createTestResult(testId, resultData, idempotencyKey = null) {
         const response = await this.request('/test-results', {
             method: 'POST',
+            headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {},
             body: JSON.stringify({ testId, ...resultData })
         });
         return response.testResult;
     }
 
-    async updateTestResult(id, resultData) {
+    // Save many results in one request - results are { testId, ...resultData }. The whole batch is
+    // rejected when any entry is invalid, unless partial is true.
+    async createTestResults(results, partial = false) {
+        const response = await this.request('/test-results/bulk', {
+            method: 'POST',
+            body: JSON.stringify({ results, partial })
+        });
+        return response;
+    }
+
+    // With the version the result was loaded at, the update fails with a 409 if someone saved it since
+    async updateTestResult(id, resultData, version = null) {
         const response = await this.request(`/test-results/${id}`, {
             method: 'PUT',
+            headers: this.ifMatch(version),
             body: JSON.stringify(resultData)
         });
         return response.testResult;
@@ -152,6 +266,220 @@ class APIClient {
         return response;
     }
 
+    // Attachment operations
+    async uploadAttachment(resultId, file) {
+        const response = await this.request(`/test-results/${resultId}/attachments?filename=${encodeURIComponent(file.name)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+        return response.attachment;
+    }
+
+    async deleteAttachment(id) {
+        const response = await this.request(`/attachments/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    // Attachments are served directly, so they can be used as link targets and image sources
+    getAttachmentUrl(id) {
+        return `${this.baseURL}/attachments/${id}`;
+    }
+
+    // Live updates are read with an EventSource, which sends the session cookie itself
+    getEventsUrl() {
+        return `${this.baseURL}/events`;
+    }
+
+    // Defect operations
+    async getDefects(status = null) {
+        const response = await this.request(status ? `/defects?status=${encodeURIComponent(status)}` : '/defects');
+        return response.defects;
+    }
+
+    async getDefect(id) {
+        const response = await this.request(`/defects/${id}`);
+        return response.defect;
+    }
+
+    async createDefect(defectData) {
+        const response = await this.request('/defects', {
+            method: 'POST',
+            body: JSON.stringify(defectData)
+        });
+        return response.defect;
+    }
+
+    async updateDefect(id, defectData) {
+        const response = await this.request(`/defects/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(defectData)
+        });
+        return response.defect;
+    }
+
+    async deleteDefect(id) {
+        const response = await this.request(`/defects/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    async linkDefect(defectId, resultId) {
+        const response = await this.request(`/defects/${defectId}/results`, {
+            method: 'POST',
+            body: JSON.stringify({ resultId })
+        });
+        return response.defect;
+    }
+
+    async unlinkDefect(defectId, resultId) {
+        const response = await this.request(`/defects/${defectId}/results/${resultId}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    // Webhook operations (admin)
+    async getWebhooks() {
+        const response = await this.request('/webhooks');
+        return response;
+    }
+
+    async createWebhook(webhookData) {
+        const response = await this.request('/webhooks', {
+            method: 'POST',
+            body: JSON.stringify(webhookData)
+        });
+        return response;
+    }
+
+    async updateWebhook(id, webhookData) {
+        const response = await this.request(`/webhooks/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(webhookData)
+        });
+        return response;
+    }
+
+    async deleteWebhook(id) {
+        const response = await this.request(`/webhooks/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    async testWebhook(id) {
+        const response = await this.request(`/webhooks/${id}/test`, {
+            method: 'POST'
+        });
+        return response.delivery;
+    }
+
+    async getWebhookDeliveries(id) {
+        const response = await this.request(`/webhooks/${id}/deliveries`);
+        return response.deliveries;
+    }
+
+    async redeliverWebhook(deliveryId) {
+        const response = await this.request(`/webhook-deliveries/${deliveryId}/redeliver`, {
+            method: 'POST'
+        });
+        return response.delivery;
+    }
+
+    // Test run operations
+    async getTestRuns() {
+        const response = await this.request('/test-runs');
+        return response.testRuns;
+    }
+
+    async getTestRun(id) {
+        const response = await this.request(`/test-runs/${id}`);
+        return response.testRun;
+    }
+
+    async createTestRun(runData) {
+        const response = await this.request('/test-runs', {
+            method: 'POST',
+            body: JSON.stringify(runData)
+        });
+        return response.testRun;
+    }
+
+    async updateTestRun(id, runData) {
+        const response = await this.request(`/test-runs/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(runData)
+        });
+        return response.testRun;
+    }
+
+    async deleteTestRun(id) {
+        const response = await this.request(`/test-runs/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    // Test plan operations
+    async getTestPlans() {
+        const response = await this.request('/test-plans');
+        return response.testPlans;
+    }
+
+    async getTestPlan(id) {
+        const response = await this.request(`/test-plans/${id}`);
+        return response.testPlan;
+    }
+
+    async createTestPlan(planData) {
+        const response = await this.request('/test-plans', {
+            method: 'POST',
+            body: JSON.stringify(planData)
+        });
+        return response.testPlan;
+    }
+
+    async updateTestPlan(id, planData) {
+        const response = await this.request(`/test-plans/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(planData)
+        });
+        return response.testPlan;
+    }
+
+    async deleteTestPlan(id) {
+        const response = await this.request(`/test-plans/${id}`, {
+            method: 'DELETE'
+        });
+        return response;
+    }
+
+    // Audit log - filters: entityType, entityId, actorId, action, from, to, limit, offset
+    async getAuditEntries(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+        const query = params.toString();
+        const response = await this.request(`/audit${query ? `?${query}` : ''}`);
+        return response;
+    }
+
+    // Full-text search over tests, results and defects - returns { tests, results, defects } with snippets
+    async search(query, types = null) {
+        const params = new URLSearchParams({ q: query });
+        if (types) {
+            params.append('types', types);
+        }
+        return this.request(`/search?${params}`);
+    }
+
     // Statistics
     async getStats() {
         const response = await this.request('/stats');
@@ -4,6 +4,7 @@ class App {
         try {
             console.log('🏗️ Creating App instance...');
             this.api = new APIClient();
+            this.permissions = []; // Permissions granted by the logged-in user's role
             console.log('✅ API Client created');
             
             this.modalManager = new ModalManager();
@@ -18,6 +19,36 @@ class App {
             this.resultsManager = new ResultsManager(this.api, this.modalManager, this);
             console.log('✅ Results Manager created');
             
+            this.auditManager = new AuditManager(this.api, this.modalManager, this);
+            console.log('✅ Audit Manager created');
+            
+            this.revisionManager = new RevisionManager(this.api, this.modalManager, this);
+            console.log('✅ Revision Manager created');
+            
+            this.runManager = new RunManager(this.api, this.modalManager, this);
+            console.log('✅ Run Manager created');
+            
+            this.planManager = new PlanManager(this.api, this.modalManager, this);
+            console.log('✅ Plan Manager created');
+            
+            this.defectManager = new DefectManager(this.api, this.modalManager, this);
+            console.log('✅ Defect Manager created');
+            
+            this.webhookManager = new WebhookManager(this.api, this.modalManager, this);
+            console.log('✅ Webhook Manager created');
+            
+            this.searchManager = new SearchManager(this.api, this.modalManager, this);
+            console.log('✅ Search Manager created');
+            
+            this.liveUpdateManager = new LiveUpdateManager(this.api, this.modalManager, this);
+            console.log('✅ Live Update Manager created');
+            
+            this.offlineManager = new OfflineManager(this.api, this.modalManager, this);
+            console.log('✅ Offline Manager created');
+            
+            this.runnerManager = new RunnerManager(this.api, this.modalManager, this);
+            console.log('✅ Runner Manager created');
+            
             // Initialize modal manager
             this.modalManager.init();
             console.log('✅ Modal Manager initialized');
@@ -53,13 +84,28 @@ class App {
                 return;
             }
             
-            console.log('✅ Authentication verified');
+            this.userManager.setSessionUser(data.user);
+            this.permissions = data.permissions || [];
+            this.applyPermissions();
+            console.log('✅ Authentication verified as', data.user ? data.user.name : 'unknown user');
         } catch (error) {
             console.error('❌ Authentication check failed:', error);
             window.location.href = '/login';
         }
     }
     
+    // Check whether the logged-in user's role grants a permission
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+    
+    // Hide static controls marked with data-permission that the user's role cannot use
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = this.can(element.dataset.permission) ? '' : 'none';
+        });
+    }
+    
     // Initialize the application
     async init() {
         try {
@@ -68,6 +114,9 @@ class App {
             // Check authentication status first
             await this.checkAuthentication();
             
+            // Results saved while offline are shown over the loaded ones
+            await this.offlineManager.init();
+            
             // Add a small delay to ensure server is ready
             await new Promise(resolve => setTimeout(resolve, 1000));
             
@@ -104,12 +153,20 @@ class App {
             this.setupEventListeners();
             this.setupResultsEventListeners();
             this.setupTestManagementEventListeners();
+            this.setupAuditEventListeners();
+            this.setupDefectEventListeners();
             
             // Render UI after data is loaded
             this.testManager.renderTests();
             this.updateStats();
             this.userManager.renderUserTiles();
             
+            // Show changes made in other browsers as they happen
+            this.liveUpdateManager.start();
+            
+            // Send results that were saved while the server could not be reached
+            this.offlineManager.sync();
+            
             // Hide loading message
             const loadingMessage = document.getElementById('loadingMessage');
             if (loadingMessage) {
@@ -132,6 +189,9 @@ class App {
     async loadDataFromAPI() {
         try {
             console.log('📡 Starting to load data from API...');
+            // Results are loaded for the selected run, so runs come first
+            await this.runManager.loadRuns();
+            
             // Load users and tests in parallel
             await Promise.all([
                 this.userManager.loadUsers(),
@@ -156,25 +216,33 @@ class App {
         document.getElementById('statusFilter').addEventListener('change', () => this.testManager.filterTests());
         document.getElementById('categoryFilter').addEventListener('change', () => this.testManager.filterTests());
         document.getElementById('priorityFilter').addEventListener('change', () => this.testManager.filterTests());
+        document.getElementById('runSelector').addEventListener('change', (e) => this.runManager.selectRun(e.target.value));
         document.getElementById('testForm').addEventListener('submit', (e) => this.testManager.saveTestResult(e));
         document.getElementById('testStatus').addEventListener('change', () => this.testManager.toggleBugReport());
-        document.getElementById('newUserName').addEventListener('keypress', (e) => {
+        document.getElementById('statusOverride').addEventListener('change', () => this.testManager.updateDerivedStatus());
+        document.getElementById('newUserPassword').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
                 this.userManager.createUser();
             }
         });
-        document.getElementById('testerName').addEventListener('change', (e) => {
-            if (e.target.value) {
-                this.userManager.selectUser(e.target.value);
+        
+        const globalSearch = document.getElementById('globalSearch');
+        globalSearch.addEventListener('input', (e) => this.searchManager.onInput(e.target.value));
+        globalSearch.addEventListener('keydown', (e) => this.searchManager.onKeydown(e));
+        globalSearch.addEventListener('focus', (e) => this.searchManager.onInput(e.target.value));
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.header-search')) {
+                this.searchManager.hideResults();
             }
         });
     }
     
     // Setup results page event listeners
     setupResultsEventListeners() {
-        document.getElementById('resultsUserFilter').addEventListener('change', () => this.resultsManager.renderResultsTable());
-        document.getElementById('resultsStatusFilter').addEventListener('change', () => this.resultsManager.renderResultsTable());
-        document.getElementById('resultsTestFilter').addEventListener('change', () => this.resultsManager.renderResultsTable());
+        ['resultsUserFilter', 'resultsStatusFilter', 'resultsTestFilter', 'resultsCategoryFilter', 'resultsPriorityFilter',
+            'resultsFromFilter', 'resultsToFilter', 'resultsSort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.resultsManager.loadResults());
+        });
     }
     
     // Setup test management event listeners
@@ -182,21 +250,35 @@ class App {
         document.getElementById('testManagementForm').addEventListener('submit', (e) => this.saveTest(e));
     }
     
-    // Update statistics
+    // Setup audit page event listeners - filters are applied server-side
+    setupAuditEventListeners() {
+        ['auditEntityFilter', 'auditActionFilter', 'auditUserFilter', 'auditFromFilter', 'auditToFilter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.auditManager.loadEntries());
+        });
+    }
+    
+    // Setup defects page event listeners - the status filter is applied server-side
+    setupDefectEventListeners() {
+        document.getElementById('defectStatusFilter').addEventListener('change', () => this.defectManager.loadDefects());
+        document.getElementById('defectForm').addEventListener('submit', (e) => this.defectManager.saveDefect(e));
+    }
+    
+    // Update statistics for the tests in the selected run
     updateStats() {
+        const runTests = this.testManager.getRunTests();
         const stats = {
-            pass: this.testManager.testCases.filter(t => t.consolidatedStatus === 'pass').length,
-            fail: this.testManager.testCases.filter(t => t.consolidatedStatus === 'fail').length,
-            blocked: this.testManager.testCases.filter(t => t.consolidatedStatus === 'blocked').length,
-            partial: this.testManager.testCases.filter(t => t.consolidatedStatus === 'partial').length,
-            skip: this.testManager.testCases.filter(t => t.consolidatedStatus === 'skip').length,
-            needsReview: this.testManager.testCases.filter(t => t.consolidatedStatus === 'needs-review').length,
-            total: this.testManager.testCases.length
+            pass: runTests.filter(t => t.consolidatedStatus === 'pass').length,
+            fail: runTests.filter(t => t.consolidatedStatus === 'fail').length,
+            blocked: runTests.filter(t => t.consolidatedStatus === 'blocked').length,
+            partial: runTests.filter(t => t.consolidatedStatus === 'partial').length,
+            skip: runTests.filter(t => t.consolidatedStatus === 'skip').length,
+            needsReview: runTests.filter(t => t.consolidatedStatus === 'needs-review').length,
+            total: runTests.length
         };
         
         // Calculate completed tests (all non-pending statuses)
         const completed = stats.pass + stats.fail + stats.blocked + stats.partial + stats.skip + stats.needsReview;
-        const total = this.testManager.testCases.length;
+        const total = runTests.length;
         
         document.getElementById('passCount').textContent = stats.pass;
         document.getElementById('failCount').textContent = stats.fail;
@@ -206,7 +288,7 @@ class App {
         document.getElementById('needsReviewCount').textContent = stats.needsReview;
         document.getElementById('completedCount').textContent = `${completed}/${total}`;
         
-        const progress = (completed / stats.total) * 100;
+        const progress = stats.total > 0 ? (completed / stats.total) * 100 : 0;
         document.getElementById('progressFill').style.width = `${progress}%`;
     }
     
@@ -241,10 +323,6 @@ class App {
         this.testManager.exportResults();
     }
     
-    resetAllTests() {
-        this.testManager.resetAllTests();
-    }
-    
     exportToCSV() {
         this.testManager.exportToCSV();
     }
@@ -262,6 +340,14 @@ class App {
         this.userManager.resetUserData();
     }
     
+    changePassword() {
+        this.userManager.changePassword();
+    }
+    
+    createApiToken() {
+        this.userManager.createApiToken();
+    }
+    
     // Results Manager Methods
     showResultsPage() {
         this.resultsManager.showResultsPage();
@@ -275,13 +361,79 @@ class App {
         this.resultsManager.exportResultsTable();
     }
     
+    closeBugReport() {
+        this.resultsManager.closeBugReport();
+    }
+    
+    // Run Manager Methods
+    showRunManager() {
+        this.runManager.showRunManager();
+    }
+    
+    closeRunManager() {
+        this.runManager.closeRunManager();
+    }
+    
+    // Plan Manager Methods
+    showPlanManager() {
+        this.planManager.showPlanManager();
+    }
+    
+    closePlanManager() {
+        this.planManager.closePlanManager();
+    }
+    
+    // Revision Manager Methods
+    showTestHistory(testId) {
+        this.revisionManager.showHistory(testId);
+    }
+    
+    closeRevisionModal() {
+        this.revisionManager.closeHistory();
+    }
+    
+    // Audit Manager Methods
+    showAuditPage() {
+        this.auditManager.showAuditPage();
+    }
+    
+    hideAuditPage() {
+        this.auditManager.hideAuditPage();
+    }
+    
+    // Defect Manager Methods
+    showDefectsPage() {
+        this.defectManager.showDefectsPage();
+    }
+    
+    hideDefectsPage() {
+        this.defectManager.hideDefectsPage();
+    }
+    
+    closeDefectModal() {
+        this.defectManager.closeDefectModal();
+    }
+    
+    // Webhook Methods
+    createWebhook() {
+        this.webhookManager.createWebhook();
+    }
+    
+    closeWebhookDeliveries() {
+        this.webhookManager.closeDeliveries();
+    }
+    
     // Test Management Methods
     showTestManagement() {
         document.getElementById('testGrid').style.display = 'none';
         document.getElementById('resultsPage').classList.remove('active');
+        document.getElementById('auditPage').classList.remove('active');
+        document.getElementById('defectsPage').classList.remove('active');
         document.getElementById('testManagementPage').classList.add('active');
         this.initializeSort();
         this.userManager.renderUserTiles();
+        this.userManager.loadApiTokens();
+        this.webhookManager.loadWebhooks();
     }
     
     hideTestManagement() {
@@ -303,9 +455,10 @@ class App {
     
     editTest(testId) {
         const test = this.testManager.testCases.find(t => t.id === testId);
-        if (!test) return;
+        if (!test || !this.can('tests:write')) return;
         
         this.currentEditingTestId = testId;
+        this.editingTest = test; // The version the form shows - the base a save is merged against
         document.getElementById('testManagementModalTitle').textContent = `Edit Test - ${testId}`;
         
         // Make ID field editable for existing tests
@@ -319,6 +472,7 @@ class App {
         document.getElementById('testStory').value = test.story;
         document.getElementById('testCategory').value = test.category;
         document.getElementById('testPriority').value = test.priority;
+        document.getElementById('testTags').value = test.tags.join(', ');
         document.getElementById('testEstimatedTime').value = test.estimatedTime;
         document.getElementById('testPrerequisites').value = test.prerequisites;
         document.getElementById('testSteps').value = test.testSteps.join('\n');
@@ -348,6 +502,7 @@ class App {
         document.getElementById('testStory').value = test.story;
         document.getElementById('testCategory').value = test.category;
         document.getElementById('testPriority').value = test.priority;
+        document.getElementById('testTags').value = test.tags.join(', ');
         document.getElementById('testEstimatedTime').value = test.estimatedTime;
         document.getElementById('testPrerequisites').value = test.prerequisites;
         document.getElementById('testSteps').value = test.testSteps.join('\n');
@@ -428,6 +583,7 @@ class App {
         document.getElementById('testStory').value = '';
         document.getElementById('testCategory').value = 'system-admin';
         document.getElementById('testPriority').value = 'High';
+        document.getElementById('testTags').value = '';
         document.getElementById('testEstimatedTime').value = '';
         document.getElementById('testPrerequisites').value = '';
         document.getElementById('testSteps').value = '';
@@ -448,6 +604,7 @@ class App {
             story: document.getElementById('testStory').value.trim(),
             category: document.getElementById('testCategory').value,
             priority: document.getElementById('testPriority').value,
+            tags: [...new Set(document.getElementById('testTags').value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))],
             estimatedTime: document.getElementById('testEstimatedTime').value.trim(),
             prerequisites: document.getElementById('testPrerequisites').value.trim(),
             testSteps: document.getElementById('testSteps').value.split('\n').filter(step => step.trim()),
@@ -480,7 +637,12 @@ class App {
             if (this.currentEditingTestId) {
                 // Update existing test
                 console.log('🔄 Updating test:', this.currentEditingTestId, testData);
-                response = await this.api.updateTest(this.currentEditingTestId, testData);
+                const saved = await this.updateTestWithMerge(this.currentEditingTestId, testData, this.editingTest);
+                if (!saved) {
+                    return; // Their version was reloaded into the form instead
+                }
+                response = saved.response;
+                Object.assign(testData, saved.testData);
                 console.log('📡 Update response:', response);
             } else {
                 // Create new test
@@ -497,10 +659,16 @@ class App {
                         // Preserve existing user results and consolidated status
                         testData.userResults = this.testManager.testCases[testIndex].userResults;
                         testData.consolidatedStatus = this.testManager.testCases[testIndex].consolidatedStatus;
+                        testData.revision = response.test.revision;
+                        testData.revisionId = response.test.revisionId;
+                        testData.version = response.test.version;
                         this.testManager.testCases[testIndex] = testData;
                     }
                 } else {
                     // Add new test
+                    testData.revision = response.test.revision;
+                    testData.revisionId = response.test.revisionId;
+                    testData.version = response.test.version;
                     testData.userResults = [];
                     testData.consolidatedStatus = 'pending';
                     this.testManager.testCases.push(testData);
@@ -522,6 +690,38 @@ class App {
         }
     }
     
+    // Save an edit of a test against the version it was loaded at. When someone else saved the test
+    // meanwhile, offer to merge the edit into their version or to reload theirs.
+    // Returns { response, testData } with the data that was saved, or null when their version was reloaded.
+    async updateTestWithMerge(testId, testData, base) {
+        try {
+            const response = await this.api.updateTest(testId, testData, base ? base.version : null);
+            return { response, testData };
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.test || !base) {
+                throw error;
+            }
+
+            const theirs = this.testManager.toFrontendTest(error.data.test, base.userResults);
+            const { merged, theirChanges, conflicts } = this.testManager.mergeChanges(
+                this.testManager.toTestInput(base),
+                this.testManager.toTestInput(testData),
+                this.testManager.toTestInput(theirs)
+            );
+            if (this.testManager.confirmConflictMerge('test', theirChanges, conflicts)) {
+                return this.updateTestWithMerge(testId, { ...testData, ...merged }, theirs);
+            }
+
+            const testIndex = this.testManager.testCases.findIndex(t => t.id === testId);
+            if (testIndex !== -1) {
+                this.testManager.testCases[testIndex] = theirs;
+            }
+            this.testManager.renderTests();
+            this.editTest(testId);
+            return null;
+        }
+    }
+    
     exportTestDefinitions() {
         const exportData = this.testManager.testCases.map(test => ({
             'Test ID': test.id,
@@ -529,6 +729,7 @@ class App {
             'User Story': test.story,
             'Category': this.testManager.categoryNames[test.category],
             'Priority': test.priority,
+            'Tags': test.tags.join(', '),
             'Estimated Time': test.estimatedTime,
             'Prerequisites': test.prerequisites,
             'Test Steps': test.testSteps.join('; '),
@@ -655,8 +856,10 @@ class App {
         // Use sortedTests if available, otherwise use testCases
         const testsToRender = this.testManager.sortedTests.length > 0 ? this.testManager.sortedTests : this.testManager.testCases;
         
+        const canWrite = this.can('tests:write');
+        
         tbody.innerHTML = testsToRender.map(test => `
-            <tr class="test-row" onclick="app.editTest('${test.id}')" style="cursor: pointer;">
+            <tr class="test-row" ${canWrite ? `onclick="app.editTest('${test.id}')" style="cursor: pointer;"` : ''}>
                 <td class="test-id-cell" title="Test ID: ${test.id}">${test.id}</td>
                 <td class="test-details-cell" title="${test.title}">${test.title}</td>
                 <td title="${this.testManager.categoryNames[test.category]}">${this.testManager.categoryNames[test.category]}</td>
@@ -668,9 +871,12 @@ class App {
                 </td>
                 <td title="${test.userResults.length} test result${test.userResults.length !== 1 ? 's' : ''}">${test.userResults.length} result${test.userResults.length !== 1 ? 's' : ''}</td>
                 <td class="test-actions-cell" onclick="event.stopPropagation();">
-                    <button class="btn btn-outline btn-sm" onclick="app.editTest('${test.id}')" title="Edit test">✏️</button>
-                    <button class="btn btn-warning btn-sm" onclick="app.duplicateTest('${test.id}')" title="Duplicate test">📋</button>
-                    <button class="btn btn-danger btn-sm" onclick="app.deleteTest('${test.id}')" title="Delete test">🗑️</button>
+                    <button class="btn btn-outline btn-sm" onclick="app.showTestHistory('${test.id}')" title="Revision history">🕘</button>
+                    ${canWrite ? `
+                        <button class="btn btn-outline btn-sm" onclick="app.editTest('${test.id}')" title="Edit test">✏️</button>
+                        <button class="btn btn-warning btn-sm" onclick="app.duplicateTest('${test.id}')" title="Duplicate test">📋</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.deleteTest('${test.id}')" title="Delete test">🗑️</button>
+                    ` : ''}
                 </td>
             </tr>
         `).join('');
@@ -0,0 +1,157 @@
+// Audit Manager - handles the audit log page
+class AuditManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.entries = [];
+        this.total = 0;
+        this.pageSize = 100;
+
+        this.entityNames = {
+            'test': 'Test',
+            'test_result': 'Test Result',
+            'user': 'User',
+            'api_token': 'API Token',
+            'session': 'Session',
+            'test_run': 'Test Run',
+            'test_plan': 'Test Plan'
+        };
+    }
+
+    // Show audit page
+    showAuditPage() {
+        document.getElementById('testGrid').style.display = 'none';
+        document.getElementById('resultsPage').classList.remove('active');
+        document.getElementById('testManagementPage').classList.remove('active');
+        document.getElementById('defectsPage').classList.remove('active');
+        document.getElementById('auditPage').classList.add('active');
+        this.populateUserFilter();
+        this.loadEntries();
+    }
+
+    // Hide audit page
+    hideAuditPage() {
+        document.getElementById('auditPage').classList.remove('active');
+        document.getElementById('testGrid').style.display = 'block';
+    }
+
+    // Populate the user filter with known users
+    populateUserFilter() {
+        const userFilter = document.getElementById('auditUserFilter');
+        const selected = userFilter.value;
+        userFilter.innerHTML = '<option value="">All Users</option>';
+        this.app.userManager.testUsers.forEach(user => {
+            const option = document.createElement('option');
+            option.value = user.id;
+            option.textContent = user.name;
+            userFilter.appendChild(option);
+        });
+        userFilter.value = selected;
+    }
+
+    // Read the filter controls into API query filters
+    getFilters() {
+        const from = document.getElementById('auditFromFilter').value;
+        const to = document.getElementById('auditToFilter').value;
+
+        // Date inputs are local days - convert their bounds to UTC timestamps like the stored created_at
+        return {
+            entityType: document.getElementById('auditEntityFilter').value,
+            action: document.getElementById('auditActionFilter').value,
+            actorId: document.getElementById('auditUserFilter').value,
+            from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+            to: to ? new Date(`${to}T23:59:59`).toISOString() : ''
+        };
+    }
+
+    // Load audit entries - the first page, or the next page when appending
+    async loadEntries(append = false) {
+        try {
+            const offset = append ? this.entries.length : 0;
+            const response = await this.api.getAuditEntries({
+                ...this.getFilters(),
+                limit: this.pageSize,
+                offset: offset
+            });
+
+            this.entries = append ? this.entries.concat(response.entries) : response.entries;
+            this.total = response.total;
+            this.renderAuditTable();
+        } catch (error) {
+            console.error('❌ Failed to load audit log:', error);
+            alert('Failed to load audit log. Please try again.');
+        }
+    }
+
+    // Render audit table
+    renderAuditTable() {
+        const tbody = document.getElementById('auditTableBody');
+        const noEntries = document.getElementById('noAuditEntries');
+        const loadMore = document.getElementById('auditLoadMore');
+
+        document.getElementById('auditCount').textContent = `Showing ${this.entries.length} of ${this.total} entries`;
+        loadMore.style.display = this.entries.length < this.total ? '' : 'none';
+
+        if (this.entries.length === 0) {
+            tbody.innerHTML = '';
+            noEntries.style.display = 'block';
+            return;
+        }
+
+        noEntries.style.display = 'none';
+
+        tbody.innerHTML = this.entries.map(entry => `
+            <tr>
+                <td class="date-cell">${this.formatTimestamp(entry.created_at)}</td>
+                <td class="user-name-cell">${escapeHtml(entry.actor_name || 'System')}${entry.api_token_id ? ' <small title="Made with an API token">(API token)</small>' : ''}</td>
+                <td><span class="audit-action audit-action-${entry.action}">${entry.action.replace('_', ' ')}</span></td>
+                <td>${this.entityNames[entry.entity_type] || entry.entity_type}</td>
+                <td class="test-id-cell">${escapeHtml(entry.entity_id || '-')}</td>
+                <td class="audit-changes-cell">${this.renderChanges(entry)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Summarise what an entry changed, with the full before/after snapshots on demand
+    renderChanges(entry) {
+        const before = entry.before_data;
+        const after = entry.after_data;
+
+        if (!before && !after) {
+            return '-';
+        }
+
+        let summary;
+        if (before && after) {
+            const changed = this.getChangedFields(before, after);
+            summary = changed.length > 0 ? `Changed: ${changed.join(', ')}` : 'No field changes';
+        } else {
+            summary = before ? 'Snapshot before deletion' : 'Created with values';
+        }
+
+        return `
+            <details>
+                <summary>${escapeHtml(summary)}</summary>
+                <div class="audit-snapshots">
+                    ${before ? `<div><strong>Before</strong><pre>${escapeHtml(JSON.stringify(before, null, 2))}</pre></div>` : ''}
+                    ${after ? `<div><strong>After</strong><pre>${escapeHtml(JSON.stringify(after, null, 2))}</pre></div>` : ''}
+                </div>
+            </details>
+        `;
+    }
+
+    // Field names whose values differ between two snapshots (timestamps are ignored)
+    getChangedFields(before, after) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...keys].filter(key =>
+            key !== 'updated_at' && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+        );
+    }
+
+    // created_at is stored in UTC without a zone - show it in local time
+    formatTimestamp(timestamp) {
+        const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+        return isNaN(date) ? timestamp : date.toLocaleString();
+    }
+}
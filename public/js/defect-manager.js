@@ -0,0 +1,205 @@
+// Defect Manager - handles the Defects page and defects linked from test results
+class DefectManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.defects = [];
+        this.activeDefects = [];
+        this.editingDefectId = null;
+
+        // Lifecycle statuses in order (same as the server's DEFECT_STATUSES)
+        this.statusLabels = {
+            open: 'Open',
+            in_progress: 'In Progress',
+            fixed: 'Fixed',
+            verified: 'Verified',
+            closed: 'Closed'
+        };
+        this.severities = ['critical', 'high', 'medium', 'low'];
+    }
+
+    // Show defects page
+    showDefectsPage() {
+        document.getElementById('testGrid').style.display = 'none';
+        document.getElementById('resultsPage').classList.remove('active');
+        document.getElementById('auditPage').classList.remove('active');
+        document.getElementById('testManagementPage').classList.remove('active');
+        document.getElementById('defectsPage').classList.add('active');
+        return this.loadDefects();
+    }
+
+    // Show one defect (e.g. from search), listing defects of every status so it is in the table
+    async showDefect(defectId) {
+        document.getElementById('defectStatusFilter').value = '';
+        await this.showDefectsPage();
+        this.app.searchManager.highlight(document.querySelector(`#defectTableBody tr[data-defect-id="${defectId}"]`));
+    }
+
+    // Hide defects page
+    hideDefectsPage() {
+        document.getElementById('defectsPage').classList.remove('active');
+        document.getElementById('testGrid').style.display = 'block';
+    }
+
+    // Load the defects matching the status filter and render them
+    async loadDefects() {
+        try {
+            this.defects = await this.api.getDefects(document.getElementById('defectStatusFilter').value || null);
+            this.renderDefectTable();
+        } catch (error) {
+            console.error('❌ Failed to load defects:', error);
+            alert(`Failed to load defects: ${error.message}`);
+        }
+    }
+
+    // Defects that still need work, for linking from the result modal
+    async loadActiveDefects() {
+        this.activeDefects = await this.api.getDefects('active');
+        return this.activeDefects;
+    }
+
+    renderDefectTable() {
+        const tbody = document.getElementById('defectTableBody');
+        const noDefects = document.getElementById('noDefects');
+        const canWrite = this.app.can('results:write');
+        const canDelete = this.app.can('results:manage');
+
+        document.getElementById('defectCount').textContent = `${this.defects.length} defect${this.defects.length !== 1 ? 's' : ''}`;
+        if (this.defects.length === 0) {
+            tbody.innerHTML = '';
+            noDefects.style.display = 'block';
+            return;
+        }
+        noDefects.style.display = 'none';
+
+        tbody.innerHTML = this.defects.map(defect => `
+            <tr data-defect-id="${defect.id}">
+                <td class="test-id-cell">#${defect.id}</td>
+                <td>
+                    <strong>${escapeHtml(defect.title)}</strong>
+                    ${defect.description && defect.description !== defect.title ? `<br><small>${escapeHtml(defect.description)}</small>` : ''}
+                </td>
+                <td><span class="defect-severity severity-${defect.severity}">${defect.severity}</span></td>
+                <td>
+                    ${canWrite ? `
+                        <select class="defect-status-select" onchange="app.defectManager.changeStatus(${defect.id}, this.value)">
+                            ${[defect.status, ...defect.next_statuses].map(status => `
+                                <option value="${status}" ${status === defect.status ? 'selected' : ''}>${this.statusLabels[status]}</option>
+                            `).join('')}
+                        </select>
+                    ` : `<span class="defect-status defect-status-${defect.status}">${this.statusLabels[defect.status]}</span>`}
+                    ${defect.fixed_at ? `<br><small>Fixed ${defect.fixed_at.split(' ')[0]}</small>` : ''}
+                </td>
+                <td>${this.renderBlockedTests(defect)}</td>
+                <td>${defect.result_count}</td>
+                <td>${escapeHtml(defect.created_by_name || 'Unknown')}<br><small>${defect.created_at.split(' ')[0]}</small></td>
+                <td class="run-actions">
+                    ${canWrite ? `<button class="btn btn-outline btn-sm" onclick="app.defectManager.openDefectModal(${defect.id})" title="Edit defect">✏️</button>` : ''}
+                    ${canDelete ? `<button class="btn btn-danger btn-sm" onclick="app.defectManager.deleteDefect(${defect.id})" title="Delete defect">🗑️</button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Tests with a failed or blocked result linked to the defect
+    renderBlockedTests(defect) {
+        if (defect.blocked_tests.length === 0) {
+            return '<span class="defect-none">-</span>';
+        }
+        return defect.blocked_tests.map(test => `
+            <div class="defect-blocked-test" title="${escapeHtml(test.title || '')}">${test.id}</div>
+        `).join('');
+    }
+
+    // Move a defect to another lifecycle status
+    async changeStatus(defectId, status) {
+        try {
+            await this.api.updateDefect(defectId, { status });
+        } catch (error) {
+            alert(`Failed to update defect: ${error.message}`);
+        }
+        await this.loadDefects();
+    }
+
+    // Open the defect form - empty for a new defect, or filled in to edit one
+    openDefectModal(defectId = null) {
+        const defect = defectId ? this.defects.find(d => d.id === defectId) : null;
+        this.editingDefectId = defect ? defect.id : null;
+
+        document.getElementById('defectModalTitle').textContent = defect ? `Edit Defect #${defect.id}` : 'New Defect';
+        document.getElementById('defectFormTitle').value = defect ? defect.title : '';
+        document.getElementById('defectFormSeverity').value = defect ? defect.severity : 'medium';
+        document.getElementById('defectFormDescription').value = defect ? defect.description || '' : '';
+        document.getElementById('defectFormSteps').value = defect ? defect.steps_to_reproduce || '' : '';
+        document.getElementById('defectFormExpected').value = defect ? defect.expected_result || '' : '';
+        document.getElementById('defectFormActual').value = defect ? defect.actual_result || '' : '';
+        document.getElementById('defectFormResults').innerHTML = defect && defect.results.length > 0
+            ? `<h4>Linked Results (${defect.results.length})</h4>
+               <ul>${defect.results.map(result => `
+                   <li>${result.test_id} - ${escapeHtml(result.user_name || 'Unknown')}: <span class="status-badge status-${result.status}">${result.status.toUpperCase()}</span>${result.run_name ? ` <small>(${escapeHtml(result.run_name)})</small>` : ''}</li>
+               `).join('')}</ul>`
+            : '';
+        this.modalManager.show('defectModal');
+    }
+
+    closeDefectModal() {
+        this.modalManager.hide('defectModal');
+        this.editingDefectId = null;
+    }
+
+    async saveDefect(e) {
+        e.preventDefault();
+
+        const defectData = {
+            title: document.getElementById('defectFormTitle').value.trim(),
+            severity: document.getElementById('defectFormSeverity').value,
+            description: document.getElementById('defectFormDescription').value,
+            stepsToReproduce: document.getElementById('defectFormSteps').value,
+            expectedResult: document.getElementById('defectFormExpected').value,
+            actualResult: document.getElementById('defectFormActual').value
+        };
+        if (!defectData.title) {
+            alert('Please enter a title for the defect.');
+            return;
+        }
+
+        try {
+            if (this.editingDefectId) {
+                await this.api.updateDefect(this.editingDefectId, defectData);
+            } else {
+                await this.api.createDefect(defectData);
+            }
+            this.closeDefectModal();
+            await this.loadDefects();
+        } catch (error) {
+            alert(`Failed to save defect: ${error.message}`);
+        }
+    }
+
+    async deleteDefect(defectId) {
+        const defect = this.defects.find(d => d.id === defectId);
+        if (!defect || !confirm(`Delete defect #${defect.id} "${defect.title}"?\n\nLinked results are kept but lose the link.`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteDefect(defectId);
+            // Drop the link from the results shown on the test cards
+            this.app.testManager.testCases.forEach(test => {
+                test.userResults.forEach(result => {
+                    result.defects = result.defects.filter(d => d.id !== defectId);
+                });
+            });
+            this.app.testManager.renderTests();
+            await this.loadDefects();
+        } catch (error) {
+            alert(`Failed to delete defect: ${error.message}`);
+        }
+    }
+
+    // Short label for a defect linked to a result
+    renderDefectChip(defect) {
+        return `<span class="defect-chip defect-status-${defect.status}" title="${escapeHtml(defect.title)} (${this.statusLabels[defect.status]}, ${defect.severity})">🐞 #${defect.id} ${escapeHtml(defect.title)}</span>`;
+    }
+}
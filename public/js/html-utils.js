@@ -0,0 +1,11 @@
+// HTML helpers shared by the managers
+
+// Names, titles, notes and other text typed in by users have to be escaped before they are
+// rendered into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,182 @@
+// Live Update Manager - keeps the grid, stats and user list current with changes made in other
+// browsers, from the server's event stream (/api/events)
+class LiveUpdateManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.source = null;
+        this.hasConnected = false; // A reconnect may have missed events, so it reloads everything
+    }
+
+    // Open the stream. EventSource reconnects by itself when the connection drops.
+    start() {
+        if (this.source || typeof EventSource === 'undefined') {
+            return;
+        }
+        this.source = new EventSource(this.api.getEventsUrl());
+        this.source.addEventListener('open', () => this.onOpen());
+
+        const handlers = {
+            'result.created': data => this.onResultSaved(data),
+            'result.updated': data => this.onResultSaved(data),
+            'result.deleted': data => this.onResultDeleted(data),
+            'test.created': data => this.onTestSaved(data),
+            'test.updated': data => this.onTestSaved(data),
+            'test.deleted': data => this.onTestDeleted(data),
+            'user.created': data => this.onUserSaved(data),
+            'user.updated': data => this.onUserSaved(data),
+            'user.deleted': data => this.onUserDeleted(data)
+        };
+        Object.entries(handlers).forEach(([event, handler]) => {
+            this.source.addEventListener(event, (e) => {
+                try {
+                    handler(JSON.parse(e.data).data);
+                } catch (error) {
+                    console.error(`❌ Failed to apply live update ${event}:`, error);
+                }
+            });
+        });
+    }
+
+    stop() {
+        if (this.source) {
+            this.source.close();
+            this.source = null;
+        }
+    }
+
+    async onOpen() {
+        if (!this.hasConnected) {
+            this.hasConnected = true;
+            return;
+        }
+        console.log('🔄 Live updates reconnected, reloading data...');
+        try {
+            await Promise.all([
+                this.app.userManager.loadUsers(),
+                this.app.testManager.loadTests()
+            ]);
+            this.app.testManager.renderTests();
+            this.app.userManager.renderUserTiles();
+            this.app.updateStats();
+        } catch (error) {
+            console.error('❌ Failed to reload data after reconnecting:', error);
+        }
+    }
+
+    // A result was recorded or edited. Only results of the selected run are shown.
+    onResultSaved(row) {
+        const testManager = this.app.testManager;
+        const test = testManager.testCases.find(t => t.id === row.test_id);
+        const runId = this.app.runManager.currentRunId;
+        if (!test || (runId !== null && row.run_id !== runId)) {
+            return;
+        }
+
+        const index = test.userResults.findIndex(result => result.id === row.id);
+        const existing = index >= 0 ? test.userResults[index] : null;
+        if (existing && (existing.pending || existing.version >= row.version)) {
+            return; // Already shown (e.g. this browser's own save), or a queued edit syncs against it
+        }
+
+        // The event carries the stored row; the rest is kept or looked up locally
+        const run = this.app.runManager.testRuns.find(r => r.id === row.run_id);
+        const result = {
+            ...testManager.toFrontendResult(row),
+            revision: existing ? existing.revision : (row.revision_id === test.revisionId ? test.revision : null),
+            runName: existing ? existing.runName : (run ? run.name : null),
+            attachments: existing ? existing.attachments : [],
+            defects: existing ? existing.defects : []
+        };
+        if (existing) {
+            test.userResults[index] = result;
+        } else {
+            test.userResults.push(result);
+        }
+        this.refreshTest(test);
+    }
+
+    onResultDeleted(row) {
+        const test = this.app.testManager.testCases.find(t => t.id === row.test_id);
+        if (!test || !test.userResults.some(result => result.id === row.id)) {
+            return;
+        }
+        test.userResults = test.userResults.filter(result => result.id !== row.id);
+        this.refreshTest(test);
+    }
+
+    // A test was created or its definition changed. Its results are kept.
+    onTestSaved(row) {
+        const testManager = this.app.testManager;
+        const index = testManager.testCases.findIndex(t => t.id === row.id);
+        const existing = index >= 0 ? testManager.testCases[index] : null;
+        if (existing && existing.version >= row.version) {
+            return;
+        }
+
+        const test = testManager.toFrontendTest(row, existing ? existing.userResults : []);
+        if (existing) {
+            testManager.testCases[index] = test;
+        } else {
+            testManager.testCases.push(test);
+        }
+        testManager.refreshTestCard(test.id);
+        this.app.updateStats();
+    }
+
+    // A deleted test's results are deleted with it
+    onTestDeleted(row) {
+        const testManager = this.app.testManager;
+        if (!testManager.testCases.some(t => t.id === row.id)) {
+            return;
+        }
+        testManager.testCases = testManager.testCases.filter(t => t.id !== row.id);
+        testManager.refreshTestCard(row.id);
+        this.app.updateStats();
+    }
+
+    async onUserSaved(user) {
+        const userManager = this.app.userManager;
+        const existing = userManager.testUsers.find(u => u.id === user.id);
+        if (existing) {
+            existing.name = user.name;
+            existing.role = user.role;
+        } else {
+            userManager.testUsers.push({
+                id: user.id,
+                name: user.name,
+                role: user.role,
+                createdDate: new Date().toISOString()
+            });
+        }
+
+        // A new role changes what this user may do, so the page applies the new permissions
+        if (user.id === userManager.currentUserId) {
+            await this.app.checkAuthentication();
+        }
+        userManager.renderUserTiles();
+        this.app.testManager.renderTests(); // Result author names
+    }
+
+    // A deleted user's results are deleted with them
+    onUserDeleted(user) {
+        const userManager = this.app.userManager;
+        userManager.testUsers = userManager.testUsers.filter(u => u.id !== user.id);
+        this.app.testManager.testCases.forEach(test => {
+            if (test.userResults.some(result => result.userId === user.id)) {
+                test.userResults = test.userResults.filter(result => result.userId !== user.id);
+                test.consolidatedStatus = this.app.testManager.calculateConsolidatedStatus(test.userResults);
+            }
+        });
+        userManager.renderUserTiles();
+        this.app.testManager.renderTests();
+        this.app.updateStats();
+    }
+
+    refreshTest(test) {
+        test.consolidatedStatus = this.app.testManager.calculateConsolidatedStatus(test.userResults);
+        this.app.testManager.refreshTestCard(test.id);
+        this.app.updateStats();
+    }
+}
@@ -0,0 +1,557 @@
+// Offline Manager - keeps results saved while the server cannot be reached in an IndexedDB queue,
+// shows them as waiting to sync and sends them, oldest first, once the server answers again
+class OfflineManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.databaseName = 'testTracker';
+        this.storeName = 'queuedResults';
+        this.database = null; // Without IndexedDB (e.g. private browsing) the queue lasts until the page closes
+        this.queue = []; // Queued saves, oldest first
+        this.syncing = false;
+        this.retryTimer = null;
+        this.retryInterval = 30 * 1000;
+    }
+
+    // Load what is left in the queue from earlier visits and sync whenever the server is back
+    async init() {
+        try {
+            this.database = await this.openDatabase();
+            const items = await this.storeRequest('readonly', store => store.getAll());
+            this.queue = items.sort((a, b) => a.queuedAt - b.queuedAt);
+        } catch (error) {
+            console.error('❌ Offline queue is not available:', error);
+        }
+
+        this.api.onReachableChange = (reachable) => {
+            this.renderStatus();
+            if (reachable) {
+                this.sync();
+            }
+        };
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.renderStatus());
+        this.renderStatus();
+    }
+
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'localId' });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one request against the queue store in its own transaction
+    storeRequest(mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(this.database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async saveItem(item) {
+        if (this.database) {
+            await this.storeRequest('readwrite', store => store.put(item));
+        }
+        const index = this.queue.findIndex(queued => queued.localId === item.localId);
+        if (index >= 0) {
+            this.queue[index] = item;
+        } else {
+            this.queue.push(item);
+        }
+    }
+
+    async removeItem(localId) {
+        if (this.database) {
+            await this.storeRequest('readwrite', store => store.delete(localId));
+        }
+        this.queue = this.queue.filter(item => item.localId !== localId);
+    }
+
+    // Results that were never synced have negative IDs, so they never clash with the server's
+    isLocalId(id) {
+        return typeof id === 'number' && id < 0;
+    }
+
+    nextLocalId() {
+        let id = -Date.now();
+        while (this.queue.some(item => item.localId === id)) {
+            id--;
+        }
+        return id;
+    }
+
+    // Sent with a create so that a retry after a lost response returns the result it already made.
+    // randomUUID needs a secure context (HTTPS or localhost).
+    newIdempotencyKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    // Saves are sent with the session of whoever is logged in, so only their own are shown and sent
+    ownQueue() {
+        return this.queue.filter(item => item.userId === this.app.userManager.currentUserId);
+    }
+
+    findItem(localId) {
+        return this.queue.find(item => item.localId === localId);
+    }
+
+    // The queued save of a result shown as waiting to sync
+    findQueuedFor(result) {
+        return result.pending ? this.findItem(result.pending.localId) : null;
+    }
+
+    // Queue a new result or an edit, with the files and defect to add once it is saved. An edit of a
+    // result that is already waiting is folded into its queued save. Returns the result as shown.
+    async queueResult(test, existingResult, changes, { files = [], defectInput = null, idempotencyKey = null } = {}) {
+        const queued = existingResult ? this.findQueuedFor(existingResult) : null;
+        let item;
+        if (queued) {
+            item = {
+                ...queued,
+                changes: { ...queued.changes, ...changes },
+                files: [...queued.files, ...files],
+                defectInput: defectInput || queued.defectInput,
+                state: 'pending',
+                error: null
+            };
+        } else {
+            const run = this.app.runManager.currentRun;
+            item = {
+                localId: this.nextLocalId(),
+                action: existingResult ? 'update' : 'create',
+                testId: test.id,
+                userId: this.app.userManager.currentUserId,
+                changes: changes,
+                files: files,
+                defectInput: defectInput,
+                queuedAt: Date.now(),
+                state: 'pending',
+                error: null,
+                theirs: null, // Their version, when someone else saved the result first
+                ...(existingResult
+                    ? { resultId: existingResult.id, original: existingResult }
+                    : {
+                        runId: run ? run.id : null,
+                        runName: run ? run.name : null,
+                        revisionId: test.revisionId,
+                        revision: test.revision,
+                        // Kept from an online attempt whose response was lost, so the server can tell
+                        idempotencyKey: idempotencyKey || this.newIdempotencyKey()
+                    })
+            };
+        }
+        await this.saveItem(item);
+        const result = this.placeResult(item, this.toQueuedResult(item, test));
+
+        if (this.api.reachable) {
+            this.sync();
+        } else {
+            this.scheduleRetry();
+        }
+        this.renderStatus();
+        return result;
+    }
+
+    // A queued save as a frontend result: the result before the edit (or a new one) with the changes
+    toQueuedResult(item, test) {
+        const base = item.action === 'update' ? item.original : {
+            id: item.localId,
+            userId: item.userId,
+            revision: item.revision,
+            runId: item.runId,
+            runName: item.runName,
+            stepResults: [],
+            criteriaResults: [],
+            attachments: [],
+            defects: [],
+            version: null
+        };
+        const pending = { localId: item.localId, state: item.state, error: item.error };
+        if (!item.changes) {
+            return { ...base, pending: pending }; // Saved already - only its files and defect are left to send
+        }
+        const steps = base.stepResults.length > 0 ? base.stepResults.map(stepResult => stepResult.step) : test.testSteps;
+        const criteria = base.criteriaResults.length > 0
+            ? base.criteriaResults.map(criteriaResult => criteriaResult.criterion)
+            : test.acceptanceCriteria;
+        const changes = item.changes;
+
+        return {
+            ...base,
+            status: changes.status,
+            date: changes.testDate,
+            notes: changes.notes,
+            environment: changes.environment,
+            stepResults: changes.stepResults.map((stepResult, index) => ({ step: steps[index], ...stepResult })),
+            statusOverridden: changes.statusOverride,
+            criteriaResults: changes.criteriaResults
+                ? changes.criteriaResults.map((criteriaResult, index) => ({ criterion: criteria[index], met: criteriaResult.met }))
+                : base.criteriaResults,
+            pending: pending
+        };
+    }
+
+    // Put a result in its test's list in place of the queued save's result. New results only show
+    // in their own run. Returns the result, or null when its test or run is not shown.
+    placeResult(item, result) {
+        const test = this.app.testManager.testCases.find(t => t.id === item.testId);
+        const runId = this.app.runManager.currentRunId;
+        if (!test) {
+            return null;
+        }
+
+        const ids = [item.localId, item.resultId, result.id];
+        const index = test.userResults.findIndex(r => ids.includes(r.id));
+        test.userResults = test.userResults.filter((r, i) => i === index || !ids.includes(r.id));
+        if (index >= 0) {
+            test.userResults[index] = result;
+        } else if (item.action === 'create' && (runId === null || item.runId === runId)) {
+            test.userResults.push(result);
+        } else {
+            return null;
+        }
+        test.consolidatedStatus = this.app.testManager.calculateConsolidatedStatus(test.userResults);
+
+        // The form follows a result that gets its server ID while it is open
+        const testManager = this.app.testManager;
+        if (testManager.currentEditingResultId !== null && ids.includes(testManager.currentEditingResultId)) {
+            testManager.currentEditingResultId = result.id;
+            testManager.editingResult = result;
+        }
+        return result;
+    }
+
+    // Show the queued saves over freshly loaded results
+    applyQueuedResults() {
+        this.ownQueue().forEach(item => {
+            const test = this.app.testManager.testCases.find(t => t.id === item.testId);
+            if (test) {
+                this.placeResult(item, this.toQueuedResult(item, test));
+            }
+        });
+    }
+
+    // Send the queued saves in order. A save the server rejects is marked and the rest carry on;
+    // while the server cannot be reached everything waits for the next attempt.
+    async sync() {
+        if (this.syncing) {
+            return;
+        }
+        this.syncing = true;
+        clearTimeout(this.retryTimer);
+
+        // Saves changed while they are sent are queued again as new objects and sent once more
+        const attempted = new Set();
+        try {
+            let item;
+            while ((item = this.ownQueue().find(queued => queued.state === 'pending' && !attempted.has(queued)))) {
+                attempted.add(item);
+                try {
+                    await this.send(item);
+                } catch (error) {
+                    if (error.offline || error.status >= 500) {
+                        break;
+                    }
+                    console.error('❌ Queued result was rejected:', error);
+                    const current = this.findItem(item.localId);
+                    if (current) {
+                        await this.saveItem({ ...current, state: 'failed', error: this.describeError(error) });
+                        this.showQueued(current.localId);
+                    }
+                }
+            }
+        } finally {
+            this.syncing = false;
+            this.scheduleRetry();
+            this.renderStatus();
+        }
+    }
+
+    async send(item) {
+        if (item.action === 'update' && !item.changes) {
+            await this.sendFilesAndDefect(item);
+            return;
+        }
+        if (item.action === 'create') {
+            const created = await this.api.createTestResult(item.testId, {
+                ...item.changes,
+                revisionId: item.revisionId,
+                runId: item.runId
+            }, item.idempotencyKey);
+            if (!created) {
+                return; // Signed out - the save waits for the next login
+            }
+            await this.finishSend(item, created, {
+                id: created.id,
+                userId: created.userId,
+                revision: item.revision,
+                runId: created.runId,
+                runName: item.runName,
+                attachments: [],
+                defects: []
+            });
+            return;
+        }
+
+        try {
+            const updated = await this.api.updateTestResult(item.resultId, item.changes, item.original.version);
+            if (!updated) {
+                return;
+            }
+            await this.finishSend(item, updated, item.original);
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.testResult) {
+                throw error;
+            }
+            await this.mergeWithTheirs(item, error.data.testResult);
+        }
+    }
+
+    // The server has the save. Its files and defect stay in the queue until the server has them too,
+    // and changes made while it was sent follow as an update.
+    async finishSend(item, saved, local) {
+        const result = this.app.testManager.withSavedFields(local, saved);
+        const latest = this.findItem(item.localId);
+        if (!latest) {
+            // Discarded while it was being sent
+            this.placeResult(item, result);
+            this.refreshCard(item.testId);
+            return;
+        }
+
+        const rest = {
+            ...latest,
+            action: 'update',
+            resultId: result.id,
+            original: result,
+            changes: latest === item ? null : latest.changes
+        };
+        await this.saveItem(rest);
+        this.showQueued(rest.localId);
+        await this.sendFilesAndDefect(rest);
+    }
+
+    // Add the queued files and defect to the saved result. Each leaves the queue once the server has
+    // it; while the server cannot be reached the rest wait for the next sync.
+    async sendFilesAndDefect(item) {
+        const result = item.original;
+        const failures = [];
+        for (const file of item.files) {
+            try {
+                const attachment = await this.api.uploadAttachment(result.id, file);
+                if (!attachment) {
+                    return; // Signed out - the files wait for the next login
+                }
+                result.attachments.push(attachment);
+            } catch (error) {
+                if (error.offline || error.status >= 500) {
+                    throw error;
+                }
+                failures.push(`${file.name}: ${error.message}`);
+            }
+            const latest = this.findItem(item.localId);
+            if (!latest) {
+                return; // Discarded meanwhile
+            }
+            await this.saveItem({ ...latest, files: latest.files.filter(queuedFile => queuedFile !== file) });
+        }
+        if (failures.length > 0) {
+            alert(`The result was saved, but some files could not be attached:\n\n${failures.join('\n')}`);
+        }
+
+        if (item.defectInput) {
+            try {
+                await this.app.testManager.recordResultDefects(result, item.defectInput);
+            } catch (error) {
+                if (error.offline || error.status >= 500) {
+                    throw error;
+                }
+                alert(`The result was saved, but the defect could not be recorded:\n\n${error.message}`);
+            }
+            const latest = this.findItem(item.localId);
+            if (!latest) {
+                return;
+            }
+            await this.saveItem({ ...latest, defectInput: latest.defectInput === item.defectInput ? null : latest.defectInput });
+        }
+
+        const latest = this.findItem(item.localId);
+        if (!latest) {
+            return;
+        }
+        if (latest.changes || latest.files.length > 0 || latest.defectInput) {
+            this.showQueued(item.localId); // Edited again meanwhile - sent next as an update
+            return;
+        }
+        await this.removeItem(item.localId);
+        this.placeResult(item, result);
+        this.refreshCard(item.testId);
+    }
+
+    // Someone else saved the result since it was queued. Edits of different fields are merged and
+    // sent again; edits of the same fields wait for the tester to decide.
+    async mergeWithTheirs(item, row) {
+        const current = this.findItem(item.localId);
+        if (!current) {
+            return;
+        }
+        const theirs = this.app.testManager.toFrontendResultWithDetails(row, current.original);
+        const { merged, conflicts } = this.mergeItem(current, theirs);
+        if (conflicts.length === 0) {
+            await this.saveItem({ ...current, changes: merged, original: theirs });
+        } else {
+            await this.saveItem({ ...current, state: 'conflict', theirs: theirs });
+        }
+        this.showQueued(current.localId);
+    }
+
+    // Three-way merge of a queued edit with their version of the result
+    mergeItem(item, theirs) {
+        const testManager = this.app.testManager;
+        const mine = { ...item.changes, stepResults: testManager.toStepResultsInput(item.changes.stepResults) };
+        return testManager.mergeChanges(testManager.toResultInput(item.original), mine, testManager.toResultInput(theirs));
+    }
+
+    // Let the tester merge a queued edit into their version, or drop it and keep theirs
+    async resolveConflict(localId) {
+        const item = this.findItem(localId);
+        if (!item || item.state !== 'conflict') {
+            return;
+        }
+
+        const { merged, theirChanges, conflicts } = this.mergeItem(item, item.theirs);
+        if (this.app.testManager.confirmConflictMerge('result', theirChanges, conflicts)) {
+            await this.saveItem({ ...item, changes: merged, original: item.theirs, theirs: null, state: 'pending', error: null });
+            this.showQueued(localId);
+            this.sync();
+        } else {
+            await this.removeItem(localId);
+            this.placeResult(item, item.theirs);
+            this.refreshCard(item.testId);
+            this.renderStatus();
+        }
+    }
+
+    // Send a save the server rejected once more, e.g. after a closed run was reopened
+    async retry(localId) {
+        const item = this.findItem(localId);
+        if (item) {
+            await this.saveItem({ ...item, state: 'pending', error: null });
+            this.showQueued(localId);
+            this.sync();
+        }
+    }
+
+    // Drop a queued save - a new result disappears, an edited one goes back to its saved version
+    async discard(localId) {
+        const item = this.findItem(localId);
+        const message = item && item.action === 'create'
+            ? 'Discard this result? It was never saved on the server.'
+            : 'Discard your changes to this result?';
+        if (!item || !confirm(message)) {
+            return;
+        }
+        await this.removeQueued(localId);
+    }
+
+    // Remove the queued save of a result (by its shown ID) without asking
+    async removeQueued(resultId) {
+        const item = this.queue.find(queued => queued.localId === resultId || queued.resultId === resultId);
+        if (!item) {
+            return;
+        }
+        await this.removeItem(item.localId);
+
+        const test = this.app.testManager.testCases.find(t => t.id === item.testId);
+        if (test && item.action === 'create') {
+            test.userResults = test.userResults.filter(result => result.id !== item.localId);
+            test.consolidatedStatus = this.app.testManager.calculateConsolidatedStatus(test.userResults);
+        } else if (test) {
+            this.placeResult(item, item.original);
+        }
+        this.refreshCard(item.testId);
+        this.renderStatus();
+    }
+
+    // Re-render a queued save after its state changed
+    showQueued(localId) {
+        const item = this.findItem(localId);
+        const test = item && this.app.testManager.testCases.find(t => t.id === item.testId);
+        if (test) {
+            this.placeResult(item, this.toQueuedResult(item, test));
+            this.refreshCard(item.testId);
+        }
+    }
+
+    refreshCard(testId) {
+        this.app.testManager.refreshTestCard(testId);
+        this.app.updateStats();
+    }
+
+    scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        if (this.ownQueue().some(item => item.state === 'pending')) {
+            this.retryTimer = setTimeout(() => this.sync(), this.retryInterval);
+        }
+    }
+
+    describeError(error) {
+        return (error.data && (error.data.message || error.data.error)) || error.message;
+    }
+
+    // Header indicator: offline, and how many results wait to sync or need the tester
+    renderStatus() {
+        const element = document.getElementById('syncStatus');
+        if (!element) {
+            return;
+        }
+        const queued = this.ownQueue();
+        const needAttention = queued.filter(item => item.state !== 'pending').length;
+        const offline = !this.api.reachable || !navigator.onLine;
+
+        const parts = [];
+        if (offline) {
+            parts.push('📴 Offline');
+        }
+        if (queued.length > 0) {
+            parts.push(`${queued.length} result${queued.length === 1 ? '' : 's'} waiting to sync`);
+        }
+        if (needAttention > 0) {
+            parts.push(`⚠️ ${needAttention} need${needAttention === 1 ? 's' : ''} your attention`);
+        }
+        element.textContent = parts.join(' · ');
+        element.classList.toggle('offline', offline);
+        element.style.display = parts.length > 0 ? '' : 'none';
+    }
+
+    // Marker of a result waiting to sync, with what the tester can do about it
+    renderSyncBadge(result) {
+        const { localId, state, error } = result.pending;
+        if (state === 'conflict') {
+            return `
+                <div class="sync-badge sync-conflict">
+                    ⚠️ Changed by someone else before your edit synced
+                    <button class="btn btn-sm btn-outline" onclick="app.offlineManager.resolveConflict(${localId})">Resolve</button>
+                </div>
+            `;
+        }
+        if (state === 'failed') {
+            return `
+                <div class="sync-badge sync-failed">
+                    ❌ Not synced: ${escapeHtml(error)}
+                    <button class="btn btn-sm btn-outline" onclick="app.offlineManager.retry(${localId})">Retry</button>
+                    <button class="btn btn-sm btn-outline" onclick="app.offlineManager.discard(${localId})">Discard</button>
+                </div>
+            `;
+        }
+        return '<div class="sync-badge sync-pending">⏳ Waiting to sync</div>';
+    }
+}
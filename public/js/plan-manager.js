@@ -0,0 +1,235 @@
+// Plan Manager - handles test plans, saved rule-based selections of tests
+class PlanManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.testPlans = [];
+        this.editingPlanId = null;
+        this.priorities = ['High', 'Medium', 'Low'];
+    }
+
+    // Load plans (also used by the runs modal to start a run from a plan)
+    async loadPlans() {
+        this.testPlans = await this.api.getTestPlans();
+        return this.testPlans;
+    }
+
+    // Show the plans modal
+    async showPlanManager() {
+        try {
+            await this.loadPlans();
+        } catch (error) {
+            console.error('❌ Failed to load test plans:', error);
+            alert(`Failed to load test plans: ${error.message}`);
+            return;
+        }
+        this.resetForm();
+        this.renderPlanTable();
+        this.modalManager.show('planModal');
+    }
+
+    closePlanManager() {
+        this.modalManager.hide('planModal');
+    }
+
+    renderPlanTable() {
+        const tbody = document.getElementById('planTableBody');
+        const canWrite = this.app.can('tests:write');
+        const canStartRuns = this.app.can('runs:manage');
+        const canRunTests = this.app.runnerManager.canRun(); // Into the selected run
+
+        if (this.testPlans.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: #6c757d; font-style: italic;">No test plans yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.testPlans.map(plan => `
+            <tr>
+                <td>
+                    <strong>${escapeHtml(plan.name)}</strong>
+                    ${plan.description ? `<br><small>${escapeHtml(plan.description)}</small>` : ''}
+                </td>
+                <td class="plan-rules-cell">${this.describeRules(plan.rules)}</td>
+                <td>${plan.test_count}</td>
+                <td>${plan.run_count}</td>
+                <td class="run-actions">
+                    ${canStartRuns ? `<button class="btn btn-outline btn-sm" onclick="app.planManager.startRun(${plan.id})" ${plan.test_count === 0 ? 'disabled' : ''}>Start Run</button>` : ''}
+                    ${canRunTests ? `<button class="btn btn-outline btn-sm" onclick="app.runnerManager.runPlan(${plan.id})" ${plan.test_count === 0 ? 'disabled' : ''} title="Walk through the plan's pending tests in the selected run">▶ Run</button>` : ''}
+                    ${canWrite ? `
+                        <button class="btn btn-outline btn-sm" onclick="app.planManager.editPlan(${plan.id})" title="Edit plan">✏️</button>
+                        <button class="btn btn-danger btn-sm" onclick="app.planManager.deletePlan(${plan.id})" title="Delete plan">🗑️</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    // Human-readable summary of a plan's rules
+    describeRules(rules) {
+        const parts = [];
+        if (rules.priorities.length > 0) {
+            parts.push(`<strong>Priority:</strong> ${rules.priorities.join(', ')}`);
+        }
+        if (rules.categories.length > 0) {
+            const names = rules.categories.map(category => this.app.testManager.categoryNames[category] || category);
+            parts.push(`<strong>Categories:</strong> ${escapeHtml(names.join(', '))}`);
+        }
+        if (rules.tags.length > 0) {
+            parts.push(`<strong>Tags:</strong> ${escapeHtml(rules.tags.join(', '))}`);
+        }
+        if (rules.testIds.length > 0) {
+            parts.push(`<strong>Pinned:</strong> ${escapeHtml(rules.testIds.join(', '))}`);
+        }
+        return parts.join('<br>');
+    }
+
+    // Checkboxes for categories and priorities, with the given values checked
+    renderRuleOptions(rules = null) {
+        const categories = [...new Set(this.app.testManager.testCases.map(test => test.category))];
+        document.getElementById('planCategories').innerHTML = categories.map(category => `
+            <label class="run-category">
+                <input type="checkbox" value="${category}" ${rules && rules.categories.includes(category) ? 'checked' : ''}> ${this.app.testManager.categoryNames[category] || category}
+            </label>
+        `).join('');
+
+        document.getElementById('planPriorities').innerHTML = this.priorities.map(priority => `
+            <label class="run-category">
+                <input type="checkbox" value="${priority}" ${rules && rules.priorities.includes(priority) ? 'checked' : ''}> ${priority}
+            </label>
+        `).join('');
+
+        document.querySelectorAll('#planCategories input, #planPriorities input').forEach(input => {
+            input.addEventListener('change', () => this.updatePreview());
+        });
+    }
+
+    // Read the form into plan rules
+    getFormRules() {
+        const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+        return {
+            categories: [...document.querySelectorAll('#planCategories input:checked')].map(input => input.value),
+            priorities: [...document.querySelectorAll('#planPriorities input:checked')].map(input => input.value),
+            tags: splitList(document.getElementById('planTags').value.toLowerCase()),
+            testIds: splitList(document.getElementById('planTestIds').value)
+        };
+    }
+
+    // Same matching as the server: every non-empty criterion must match, pinned tests always do
+    resolveRules(rules) {
+        const hasCriteria = rules.categories.length > 0 || rules.priorities.length > 0 || rules.tags.length > 0;
+        return this.app.testManager.testCases.filter(test => {
+            if (rules.testIds.includes(test.id)) {
+                return true;
+            }
+            return hasCriteria
+                && (rules.categories.length === 0 || rules.categories.includes(test.category))
+                && (rules.priorities.length === 0 || rules.priorities.includes(test.priority))
+                && (rules.tags.length === 0 || rules.tags.some(tag => test.tags.includes(tag)));
+        });
+    }
+
+    // Show how many tests the rules in the form currently select
+    updatePreview() {
+        const rules = this.getFormRules();
+        const tests = this.resolveRules(rules);
+        const knownIds = new Set(this.app.testManager.testCases.map(test => test.id));
+        const unknownIds = rules.testIds.filter(testId => !knownIds.has(testId));
+
+        let preview = `Matches ${tests.length} test${tests.length !== 1 ? 's' : ''}`;
+        if (tests.length > 0) {
+            preview += `: ${tests.slice(0, 12).map(test => test.id).join(', ')}${tests.length > 12 ? ', …' : ''}`;
+        }
+        if (unknownIds.length > 0) {
+            preview += ` (unknown pinned IDs: ${unknownIds.join(', ')})`;
+        }
+        document.getElementById('planPreview').textContent = preview;
+    }
+
+    // Clear the form back to creating a new plan
+    resetForm() {
+        this.editingPlanId = null;
+        document.getElementById('planFormTitle').textContent = 'New Test Plan';
+        document.getElementById('planName').value = '';
+        document.getElementById('planDescription').value = '';
+        document.getElementById('planTags').value = '';
+        document.getElementById('planTestIds').value = '';
+        document.getElementById('planCancelEdit').style.display = 'none';
+        this.renderRuleOptions();
+        this.updatePreview();
+    }
+
+    // Load a plan into the form for editing
+    editPlan(planId) {
+        const plan = this.testPlans.find(p => p.id === planId);
+        if (!plan) return;
+
+        this.editingPlanId = planId;
+        document.getElementById('planFormTitle').textContent = `Edit Test Plan - ${plan.name}`;
+        document.getElementById('planName').value = plan.name;
+        document.getElementById('planDescription').value = plan.description || '';
+        document.getElementById('planTags').value = plan.rules.tags.join(', ');
+        document.getElementById('planTestIds').value = plan.rules.testIds.join(', ');
+        document.getElementById('planCancelEdit').style.display = '';
+        this.renderRuleOptions(plan.rules);
+        this.updatePreview();
+    }
+
+    // Create or update the plan in the form
+    async savePlan() {
+        const name = document.getElementById('planName').value.trim();
+        const rules = this.getFormRules();
+
+        if (!name) {
+            alert('Please enter a name for the test plan.');
+            return;
+        }
+        if (Object.values(rules).every(values => values.length === 0)) {
+            alert('Please choose at least one category, priority, tag or pinned test.');
+            return;
+        }
+
+        const planData = {
+            name,
+            description: document.getElementById('planDescription').value.trim() || null,
+            rules
+        };
+
+        try {
+            if (this.editingPlanId) {
+                await this.api.updateTestPlan(this.editingPlanId, planData);
+            } else {
+                await this.api.createTestPlan(planData);
+            }
+            await this.loadPlans();
+            this.resetForm();
+            this.renderPlanTable();
+        } catch (error) {
+            alert(`Failed to save test plan: ${error.message}`);
+        }
+    }
+
+    async deletePlan(planId) {
+        const plan = this.testPlans.find(p => p.id === planId);
+        if (!plan || !confirm(`Delete test plan "${plan.name}"?\n\nRuns already started from it keep their tests.`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteTestPlan(planId);
+            if (planId === this.editingPlanId) {
+                this.resetForm();
+            }
+            await this.loadPlans();
+            this.renderPlanTable();
+        } catch (error) {
+            alert(`Failed to delete test plan: ${error.message}`);
+        }
+    }
+
+    // Open the runs modal with this plan chosen as the source of tests
+    async startRun(planId) {
+        this.closePlanManager();
+        await this.app.runManager.showRunManager(planId);
+    }
+}
@@ -4,21 +4,44 @@ class ResultsManager {
         this.api = apiClient;
         this.modalManager = modalManager;
         this.app = app;
-    }
-    
-    // Helper method to get user name by ID
-    getUserNameById(userId) {
-        const user = this.app.userManager.testUsers.find(u => u.id === userId);
-        return user ? user.name : 'Unknown User';
+        this.pageSize = 50;
+        this.pageResults = []; // Results shown in the table, loaded page by page from the server
+        this.nextCursor = null;
+        this.totalResults = 0;
     }
     
     // Show results page
     showResultsPage() {
         document.getElementById('testGrid').style.display = 'none';
+        document.getElementById('auditPage').classList.remove('active');
+        document.getElementById('defectsPage').classList.remove('active');
         document.getElementById('resultsPage').classList.add('active');
+        const run = this.app.runManager.currentRun;
+        document.getElementById('resultsScope').textContent = run
+            ? `Results of test run "${run.name}"${run.build ? ` (${run.build})` : ''}`
+            : 'Detailed view of all test results by user, across all test runs';
         this.populateResultsFilters();
-        this.renderResultsTable();
         this.updateResultsSummary();
+        return this.loadResults();
+    }
+    
+    // Show one result (e.g. from search): the table is filtered to its test, with more pages loaded until it is shown
+    async showResult(result) {
+        this.populateResultsFilters();
+        ['resultsUserFilter', 'resultsStatusFilter', 'resultsCategoryFilter', 'resultsPriorityFilter'].forEach(id => {
+            document.getElementById(id).value = 'all';
+        });
+        document.getElementById('resultsFromFilter').value = '';
+        document.getElementById('resultsToFilter').value = '';
+        document.getElementById('resultsTestFilter').value = result.test_id;
+        document.getElementById('resultsSort').value = 'created:desc';
+        let loaded = await this.showResultsPage();
+        
+        const findRow = () => document.querySelector(`#resultsTableBody tr[data-result-id="${result.id}"]`);
+        while (loaded && !findRow() && this.nextCursor) {
+            loaded = await this.loadResults(true);
+        }
+        this.app.searchManager.highlight(findRow());
     }
     
     // Hide results page
@@ -27,27 +50,83 @@ class ResultsManager {
         document.getElementById('testGrid').style.display = 'block';
     }
     
-    // Populate results page filters
+    // Populate results page filters - the selected values are kept when the page is shown again
     populateResultsFilters() {
-        // Populate user filter
-        const userFilter = document.getElementById('resultsUserFilter');
-        userFilter.innerHTML = '<option value="all">All Users</option>';
-        this.app.userManager.testUsers.forEach(user => {
-            const option = document.createElement('option');
-            option.value = user.name;
-            option.textContent = user.name;
-            userFilter.appendChild(option);
-        });
+        const fillSelect = (id, allLabel, options) => {
+            const select = document.getElementById(id);
+            const selected = select.value;
+            select.innerHTML = `<option value="all">${allLabel}</option>` + options.map(([value, label]) => 
+                `<option value="${value}">${label}</option>`
+            ).join('');
+            select.value = options.some(([value]) => String(value) === selected) ? selected : 'all';
+        };
 
-        // Populate test filter
-        const testFilter = document.getElementById('resultsTestFilter');
-        testFilter.innerHTML = '<option value="all">All Tests</option>';
-        this.app.testManager.testCases.forEach(test => {
-            const option = document.createElement('option');
-            option.value = test.id;
-            option.textContent = `${test.id} - ${test.title}`;
-            testFilter.appendChild(option);
-        });
+        fillSelect('resultsUserFilter', 'All Users', this.app.userManager.testUsers.map(user => [user.id, user.name]));
+        fillSelect('resultsTestFilter', 'All Tests', this.app.testManager.testCases.map(test => [test.id, `${test.id} - ${test.title}`]));
+        const categories = [...new Set(this.app.testManager.testCases.map(test => test.category).filter(Boolean))].sort();
+        fillSelect('resultsCategoryFilter', 'All Categories', categories.map(category => [category, category]));
+    }
+    
+    // Filters, sorting and run scope of the results table, as API query parameters
+    getResultFilters() {
+        const value = id => {
+            const filterValue = document.getElementById(id).value;
+            return filterValue === 'all' ? '' : filterValue;
+        };
+        const [sort, order] = document.getElementById('resultsSort').value.split(':');
+        return {
+            runId: this.app.runManager.currentRunId,
+            userId: value('resultsUserFilter'),
+            status: value('resultsStatusFilter'),
+            testId: value('resultsTestFilter'),
+            category: value('resultsCategoryFilter'),
+            priority: value('resultsPriorityFilter'),
+            from: value('resultsFromFilter'),
+            to: value('resultsToFilter'),
+            sort: sort,
+            order: order
+        };
+    }
+    
+    // Results page rows from API results
+    toTableResult(result) {
+        return {
+            id: result.id,
+            testId: result.test_id,
+            testTitle: result.test_title,
+            revision: result.test_revision,
+            userId: result.user_id,
+            user: result.user_name,
+            status: result.status,
+            criteria: this.app.testManager.getCriteriaCoverage({ criteriaResults: result.criteria_results }),
+            date: result.test_date,
+            environment: result.environment,
+            notes: result.notes,
+            defects: result.defects || [],
+            attachments: result.attachments || []
+        };
+    }
+    
+    // Load the first page of results matching the filters, or the next page when more is true.
+    // Resolves to false when the page could not be loaded.
+    async loadResults(more = false) {
+        try {
+            const response = await this.api.getTestResultsPage({
+                ...this.getResultFilters(),
+                limit: this.pageSize,
+                cursor: more ? this.nextCursor : null
+            });
+            const results = response.testResults.map(result => this.toTableResult(result));
+            this.pageResults = more ? [...this.pageResults, ...results] : results;
+            this.nextCursor = response.nextCursor;
+            this.totalResults = response.total;
+            this.renderResultsTable();
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to load results:', error);
+            alert(`Failed to load results: ${error.message}`);
+            return false;
+        }
     }
     
     // Render results table
@@ -55,40 +134,10 @@ class ResultsManager {
         const tbody = document.getElementById('resultsTableBody');
         const noResults = document.getElementById('noResults');
         
-        // Get filter values
-        const userFilter = document.getElementById('resultsUserFilter').value;
-        const statusFilter = document.getElementById('resultsStatusFilter').value;
-        const testFilter = document.getElementById('resultsTestFilter').value;
-        
-        // Collect all results
-        let allResults = [];
-        this.app.testManager.testCases.forEach(test => {
-            test.userResults.forEach(result => {
-                allResults.push({
-                    testId: test.id,
-                    testTitle: test.title,
-                    user: this.getUserNameById(result.userId),
-                    status: result.status,
-                    date: result.date,
-                    environment: result.environment,
-                    notes: result.notes,
-                    bugReport: result.bugReport
-                });
-            });
-        });
-        
-        // Apply filters
-        let filteredResults = allResults.filter(result => {
-            const userMatch = userFilter === 'all' || result.user === userFilter;
-            const statusMatch = statusFilter === 'all' || result.status === statusFilter;
-            const testMatch = testFilter === 'all' || result.testId === testFilter;
-            return userMatch && statusMatch && testMatch;
-        });
-        
-        // Sort by date (newest first)
-        filteredResults.sort((a, b) => new Date(b.date) - new Date(a.date));
+        document.getElementById('resultsCount').textContent = `Showing ${this.pageResults.length} of ${this.totalResults} result${this.totalResults !== 1 ? 's' : ''}`;
+        document.getElementById('resultsLoadMore').style.display = this.nextCursor ? 'inline-block' : 'none';
         
-        if (filteredResults.length === 0) {
+        if (this.pageResults.length === 0) {
             tbody.innerHTML = '';
             noResults.style.display = 'block';
             return;
@@ -97,20 +146,22 @@ class ResultsManager {
         noResults.style.display = 'none';
         
         // Render table rows
-        tbody.innerHTML = filteredResults.map(result => `
-            <tr>
-                <td class="test-id-cell">${result.testId}</td>
+        tbody.innerHTML = this.pageResults.map(result => `
+            <tr data-result-id="${result.id}">
+                <td class="test-id-cell">${result.testId}${result.revision ? ` <small class="revision-tag" title="Recorded against revision ${result.revision}">r${result.revision}</small>` : ''}</td>
                 <td class="test-title-cell">${result.testTitle}</td>
                 <td class="user-name-cell">${result.user}</td>
                 <td class="status-cell">
                     <span class="status-badge status-${result.status}">${result.status.toUpperCase()}</span>
                 </td>
-                <td class="date-cell">${result.date}</td>
+                <td class="criteria-cell">${this.renderCriteriaCoverage(result.criteria)}</td>
+                <td class="date-cell">${result.date || '-'}</td>
                 <td>${result.environment || '-'}</td>
                 <td class="notes-cell" title="${result.notes || ''}">${result.notes || '-'}</td>
                 <td>
-                    ${result.bugReport ? 
-                        `<button class="btn btn-outline btn-sm" onclick="app.resultsManager.viewBugReport('${result.testId}', '${result.user}')">View Bug</button>` : 
+                    ${result.defects.map(defect => this.app.defectManager.renderDefectChip(defect)).join('')}
+                    ${result.defects.length > 0 || result.attachments.length > 0 ? 
+                        `<button class="btn btn-outline btn-sm" onclick="app.resultsManager.viewBugReport('${result.testId}', ${result.id})">${result.defects.length > 0 ? 'View Bug' : `📎 ${result.attachments.length}`}</button>` : 
                         '-'
                     }
                 </td>
@@ -118,6 +169,23 @@ class ResultsManager {
         `).join('');
     }
     
+    // Criteria coverage of a result, listing the criteria that were not met
+    renderCriteriaCoverage(coverage) {
+        if (!coverage) {
+            return '<span title="No criteria checklist recorded">-</span>';
+        }
+        
+        const complete = coverage.met === coverage.total;
+        return `
+            <span class="criteria-coverage ${complete ? 'criteria-complete' : 'criteria-incomplete'}">${coverage.met}/${coverage.total}</span>
+            ${coverage.unmet.length > 0 ? `
+                <ul class="unmet-criteria">
+                    ${coverage.unmet.map(criterion => `<li>${criterion}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+    
     // Update results summary
     updateResultsSummary() {
         const summaryStats = document.getElementById('summaryStats');
@@ -127,12 +195,21 @@ class ResultsManager {
         let totalUsers = this.app.userManager.testUsers.length;
         let totalTests = this.app.testManager.testCases.length;
         let completedTests = 0;
+        let criteriaMet = 0;
+        let criteriaChecked = 0;
         
         this.app.testManager.testCases.forEach(test => {
             if (test.userResults.length > 0) {
                 completedTests++;
             }
             totalResults += test.userResults.length;
+            test.userResults.forEach(result => {
+                const coverage = this.app.testManager.getCriteriaCoverage(result);
+                if (coverage) {
+                    criteriaMet += coverage.met;
+                    criteriaChecked += coverage.total;
+                }
+            });
         });
         
         summaryStats.innerHTML = `
@@ -152,61 +229,96 @@ class ResultsManager {
                 <div class="number">${totalTests}</div>
                 <div class="label">Total Tests</div>
             </div>
+            <div class="summary-stat" title="Acceptance criteria met across all results with a checklist">
+                <div class="number">${criteriaChecked > 0 ? `${Math.round((criteriaMet / criteriaChecked) * 100)}%` : '-'}</div>
+                <div class="label">Criteria Met</div>
+            </div>
         `;
     }
     
-    // View bug report from results table
-    viewBugReport(testId, userName) {
-        const test = this.app.testManager.testCases.find(t => t.id === testId);
-        if (test) {
-            const result = test.userResults.find(r => this.getUserNameById(r.userId) === userName);
-            if (result && result.bugReport) {
-                alert(`Bug Report for ${testId} by ${userName}:\n\nSeverity: ${result.bugReport.severity}\nDescription: ${result.bugReport.description}\n\nSteps to Reproduce:\n${result.bugReport.stepsToReproduce}\n\nExpected Result:\n${result.bugReport.expectedResult}\n\nActual Result:\n${result.bugReport.actualResult}`);
-            }
+    // View the defects and attachments of a result from the results table
+    async viewBugReport(testId, resultId) {
+        const result = this.pageResults.find(r => r.id === resultId);
+        if (!result) {
+            return;
         }
-    }
-    
-    // Export results table
-    exportResultsTable() {
-        const userFilter = document.getElementById('resultsUserFilter').value;
-        const statusFilter = document.getElementById('resultsStatusFilter').value;
-        const testFilter = document.getElementById('resultsTestFilter').value;
         
-        // Collect filtered results
-        let allResults = [];
-        this.app.testManager.testCases.forEach(test => {
-            test.userResults.forEach(result => {
-                allResults.push({
-                    'Test ID': test.id,
-                    'Test Title': test.title,
-                    'User': this.getUserNameById(result.userId),
-                    'Status': result.status,
-                    'Date': result.date,
-                    'Environment': result.environment || '',
-                    'Notes': result.notes || '',
-                    'Bug Severity': result.bugReport ? result.bugReport.severity : '',
-                    'Bug Description': result.bugReport ? result.bugReport.description : '',
-                    'Steps to Reproduce': result.bugReport ? result.bugReport.stepsToReproduce : '',
-                    'Expected Result': result.bugReport ? result.bugReport.expectedResult : '',
-                    'Actual Result': result.bugReport ? result.bugReport.actualResult : ''
-                });
-            });
-        });
+        let defects;
+        try {
+            defects = await Promise.all(result.defects.map(defect => this.api.getDefect(defect.id)));
+        } catch (error) {
+            alert(`Failed to load defects: ${error.message}`);
+            return;
+        }
         
-        // Apply same filters as table
-        let filteredResults = allResults.filter(result => {
-            const userMatch = userFilter === 'all' || result.User === userFilter;
-            const statusMatch = statusFilter === 'all' || result.Status === statusFilter;
-            const testMatch = testFilter === 'all' || result['Test ID'] === testFilter;
-            return userMatch && statusMatch && testMatch;
-        });
+        const defectManager = this.app.defectManager;
+        const escape = value => escapeHtml(value || '-');
+        document.getElementById('bugReportModalTitle').textContent = 
+            `${defects.length > 0 ? 'Bug Report' : 'Attachments'} for ${testId} by ${result.user}`;
+        document.getElementById('bugReportDetails').innerHTML = `
+            ${defects.map(defect => `
+                <div class="bug-report-defect">
+                    <h3>#${defect.id} ${escape(defect.title)}</h3>
+                    <p>
+                        <strong>Status:</strong> ${defectManager.statusLabels[defect.status]} ·
+                        <strong>Severity:</strong> ${defect.severity} ·
+                        <strong>Linked results:</strong> ${defect.results.length}
+                    </p>
+                    <p class="bug-report-text">${escape(defect.description)}</p>
+                    <h4>Steps to Reproduce</h4>
+                    <p class="bug-report-text">${escape(defect.steps_to_reproduce)}</p>
+                    <h4>Expected Result</h4>
+                    <p class="bug-report-text">${escape(defect.expected_result)}</p>
+                    <h4>Actual Result</h4>
+                    <p class="bug-report-text">${escape(defect.actual_result)}</p>
+                </div>
+            `).join('')}
+            ${result.attachments.length > 0 ? `
+                <h4>Attachments (${result.attachments.length})</h4>
+                <div class="attachment-thumbnails attachment-thumbnails-large">
+                    ${result.attachments.map(attachment => this.app.testManager.renderAttachmentLink(attachment)).join('')}
+                </div>
+            ` : ''}
+        `;
+        this.modalManager.show('bugReportModal');
+    }
+    
+    closeBugReport() {
+        this.modalManager.hide('bugReportModal');
+    }
+    
+    // Export every result matching the table's filters, not just the loaded pages
+    async exportResultsTable() {
+        let results;
+        try {
+            const response = await this.api.getTestResultsPage(this.getResultFilters());
+            results = response.testResults.map(result => this.toTableResult(result));
+        } catch (error) {
+            alert(`Failed to export results: ${error.message}`);
+            return;
+        }
         
-        if (filteredResults.length === 0) {
+        if (results.length === 0) {
             alert('No results to export with current filters.');
             return;
         }
         
-        const csv = this.app.testManager.convertToCSV(filteredResults);
+        const rows = results.map(result => ({
+            'Test ID': result.testId,
+            'Test Title': result.testTitle,
+            'Test Revision': result.revision || '',
+            'User': result.user,
+            'Status': result.status,
+            'Criteria Met': result.criteria ? `${result.criteria.met}/${result.criteria.total}` : '',
+            'Unmet Criteria': result.criteria ? result.criteria.unmet.join('; ') : '',
+            'Date': result.date || '',
+            'Environment': result.environment || '',
+            'Notes': result.notes || '',
+            'Defects': result.defects.map(defect => `#${defect.id} ${defect.title} (${defect.severity}, ${defect.status})`).join('; '),
+            'Attachments': result.attachments.map(attachment => attachment.filename).join('; ')
+        }));
+        
+        const csv = this.app.testManager.convertToCSV(rows);
         this.app.testManager.downloadCSV(csv, 'test-results-table.csv');
     }
 }
@@ -0,0 +1,178 @@
+// Revision Manager - shows the revision history of a test and diffs between revisions
+class RevisionManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.revisions = [];
+
+        // Single-value fields compared between revisions
+        this.fieldLabels = {
+            title: 'Title',
+            story: 'User Story',
+            category: 'Category',
+            priority: 'Priority',
+            estimated_time: 'Estimated Time',
+            prerequisites: 'Prerequisites'
+        };
+    }
+
+    // Load and show the history of a test
+    async showHistory(testId) {
+        try {
+            this.revisions = await this.api.getTestRevisions(testId);
+        } catch (error) {
+            console.error('❌ Failed to load test revisions:', error);
+            alert(`Failed to load revision history: ${error.message}`);
+            return;
+        }
+
+        document.getElementById('revisionModalTitle').textContent = `Revision History - ${testId}`;
+        this.renderRevisionList();
+        this.populateCompareSelects();
+        this.renderDiff();
+        this.modalManager.show('revisionModal');
+    }
+
+    closeHistory() {
+        this.modalManager.hide('revisionModal');
+    }
+
+    // List revisions, newest first
+    renderRevisionList() {
+        document.getElementById('revisionList').innerHTML = this.revisions.map(revision => `
+            <div class="revision-item">
+                <strong>r${revision.revision}</strong>
+                <span>${escapeHtml(revision.title)}</span>
+                <small>
+                    ${this.formatTimestamp(revision.created_at)} · ${escapeHtml(revision.created_by_name || 'System')} ·
+                    ${revision.result_count} result${revision.result_count !== 1 ? 's' : ''}
+                </small>
+            </div>
+        `).join('');
+    }
+
+    // Default to comparing the previous revision with the latest one
+    populateCompareSelects() {
+        const fromSelect = document.getElementById('revisionFrom');
+        const toSelect = document.getElementById('revisionTo');
+        const options = this.revisions.map(revision =>
+            `<option value="${revision.revision}">r${revision.revision}</option>`
+        ).join('');
+
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = this.revisions[Math.min(1, this.revisions.length - 1)].revision;
+        toSelect.value = this.revisions[0].revision;
+
+        fromSelect.onchange = () => this.renderDiff();
+        toSelect.onchange = () => this.renderDiff();
+    }
+
+    // Show what changed between the two selected revisions
+    renderDiff() {
+        const container = document.getElementById('revisionDiff');
+
+        if (this.revisions.length < 2) {
+            container.innerHTML = '<p class="revision-note">This test has only one revision so far.</p>';
+            return;
+        }
+
+        const fromNumber = parseInt(document.getElementById('revisionFrom').value);
+        const toNumber = parseInt(document.getElementById('revisionTo').value);
+        const from = this.revisions.find(r => r.revision === fromNumber);
+        const to = this.revisions.find(r => r.revision === toNumber);
+
+        if (fromNumber === toNumber) {
+            container.innerHTML = '<p class="revision-note">Select two different revisions to compare.</p>';
+            return;
+        }
+
+        const sections = [];
+
+        Object.entries(this.fieldLabels).forEach(([field, label]) => {
+            if ((from[field] || '') !== (to[field] || '')) {
+                sections.push(this.renderLineDiff(label, [from[field] || ''], [to[field] || '']));
+            }
+        });
+
+        if (JSON.stringify(from.tags) !== JSON.stringify(to.tags)) {
+            sections.push(this.renderLineDiff('Tags', from.tags, to.tags));
+        }
+
+        if (JSON.stringify(from.test_steps) !== JSON.stringify(to.test_steps)) {
+            sections.push(this.renderLineDiff('Test Steps', from.test_steps, to.test_steps));
+        }
+
+        if (JSON.stringify(from.acceptance_criteria) !== JSON.stringify(to.acceptance_criteria)) {
+            sections.push(this.renderLineDiff('Acceptance Criteria', from.acceptance_criteria, to.acceptance_criteria));
+        }
+
+        ['pass', 'fail', 'blocked', 'partial', 'skip'].forEach(status => {
+            const before = from.status_guidance[status] || '';
+            const after = to.status_guidance[status] || '';
+            if (before !== after) {
+                sections.push(this.renderLineDiff(`Status Guidance (${status})`, [before], [after]));
+            }
+        });
+
+        container.innerHTML = sections.length > 0
+            ? sections.join('')
+            : '<p class="revision-note">No differences between these revisions.</p>';
+    }
+
+    // Render one field as a line diff
+    renderLineDiff(label, before, after) {
+        const lines = this.diffLines(before, after).map(line => {
+            const marker = line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' ';
+            return `<div class="diff-line diff-${line.type}">${marker} ${escapeHtml(line.text)}</div>`;
+        }).join('');
+
+        return `
+            <div class="revision-diff-field">
+                <h4>${label}</h4>
+                <div class="diff-lines">${lines}</div>
+            </div>
+        `;
+    }
+
+    // Line diff based on the longest common subsequence - lists are short, so O(n*m) is fine
+    diffLines(before, after) {
+        const lcs = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+        for (let i = before.length - 1; i >= 0; i--) {
+            for (let j = after.length - 1; j >= 0; j--) {
+                lcs[i][j] = before[i] === after[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < before.length && j < after.length) {
+            if (before[i] === after[j]) {
+                lines.push({ type: 'same', text: before[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                lines.push({ type: 'removed', text: before[i++] });
+            } else {
+                lines.push({ type: 'added', text: after[j++] });
+            }
+        }
+        while (i < before.length) {
+            lines.push({ type: 'removed', text: before[i++] });
+        }
+        while (j < after.length) {
+            lines.push({ type: 'added', text: after[j++] });
+        }
+        return lines;
+    }
+
+    // created_at is stored in UTC without a zone - show it in local time
+    formatTimestamp(timestamp) {
+        const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+        return isNaN(date) ? timestamp : date.toLocaleString();
+    }
+}
@@ -0,0 +1,273 @@
+// Run Manager - handles test runs and which run the grid, stats and results page show
+class RunManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.testRuns = [];
+        this.currentRun = null; // Selected run with its test_ids, or null for all runs
+        this.storageKey = 'testTracker.currentRunId';
+    }
+
+    get currentRunId() {
+        return this.currentRun ? this.currentRun.id : null;
+    }
+
+    // Load runs and restore the selected run (defaults to the newest active run)
+    async loadRuns() {
+        this.testRuns = await this.api.getTestRuns();
+
+        // An empty stored ID means the user chose to see all runs
+        const storedId = localStorage.getItem(this.storageKey);
+        const selected = storedId === ''
+            ? null
+            : this.testRuns.find(run => String(run.id) === storedId)
+                || this.testRuns.find(run => run.status === 'active')
+                || this.testRuns[0]
+                || null;
+
+        this.currentRun = selected ? await this.api.getTestRun(selected.id) : null;
+        this.renderRunSelector();
+    }
+
+    // Switch the app to another run (or to all runs with an empty ID)
+    async selectRun(runId) {
+        try {
+            this.currentRun = runId ? await this.api.getTestRun(runId) : null;
+            localStorage.setItem(this.storageKey, runId ? String(runId) : '');
+            this.renderRunSelector();
+
+            await this.app.testManager.loadTests();
+            this.app.testManager.renderTests();
+            this.app.updateStats();
+            if (document.getElementById('resultsPage').classList.contains('active')) {
+                this.app.resultsManager.showResultsPage();
+            }
+        } catch (error) {
+            console.error('❌ Failed to switch test run:', error);
+            alert(`Failed to load test run: ${error.message}`);
+        }
+    }
+
+    // Whether a test is part of the selected run (every test is when showing all runs)
+    includesTest(testId) {
+        return !this.currentRun || this.currentRun.test_ids.includes(testId);
+    }
+
+    // New results need a selected run that is still open
+    canRecordResults() {
+        return !!this.currentRun && this.currentRun.status === 'active';
+    }
+
+    renderRunSelector() {
+        const selector = document.getElementById('runSelector');
+        selector.innerHTML = '<option value="">All Runs</option>' + this.testRuns.map(run => `
+            <option value="${run.id}">${escapeHtml(run.name)}${run.build ? ` (${escapeHtml(run.build)})` : ''}${run.status === 'closed' ? ' - closed' : ''}</option>
+        `).join('');
+        selector.value = this.currentRunId || '';
+
+        const info = document.getElementById('runInfo');
+        if (!this.currentRun) {
+            info.textContent = 'Showing results from all runs (read-only)';
+        } else {
+            const details = [
+                this.currentRun.environment,
+                this.formatDateRange(this.currentRun),
+                `${this.currentRun.test_ids.length} tests`,
+                this.currentRun.status === 'closed' ? 'closed' : null
+            ].filter(Boolean);
+            info.textContent = details.join(' · ');
+        }
+        document.getElementById('runPendingButton').style.display = this.app.runnerManager.canRun() ? '' : 'none';
+    }
+
+    // Show the runs modal, optionally with a test plan chosen for the new run
+    async showRunManager(planId = null) {
+        try {
+            [this.testRuns] = await Promise.all([
+                this.api.getTestRuns(),
+                this.app.planManager.loadPlans()
+            ]);
+        } catch (error) {
+            console.error('❌ Failed to load test runs:', error);
+        }
+        this.renderPlanOptions(planId);
+        this.renderCategoryOptions();
+        this.renderRunTable();
+        this.modalManager.show('runModal');
+    }
+
+    closeRunManager() {
+        this.modalManager.hide('runModal');
+    }
+
+    // Test plans a new run can take its tests from
+    renderPlanOptions(planId = null) {
+        const planSelect = document.getElementById('newRunPlan');
+        planSelect.innerHTML = '<option value="">Choose categories below</option>' + this.app.planManager.testPlans.map(plan => `
+            <option value="${plan.id}">${escapeHtml(plan.name)} (${plan.test_count} tests)</option>
+        `).join('');
+        planSelect.value = planId || '';
+        this.togglePlanCategories();
+    }
+
+    // Categories only apply when the run is not started from a plan
+    togglePlanCategories() {
+        const usePlan = document.getElementById('newRunPlan').value !== '';
+        document.getElementById('newRunCategoryOptions').style.display = usePlan ? 'none' : '';
+    }
+
+    // Category checkboxes for choosing the tests of a new run
+    renderCategoryOptions() {
+        const categories = [...new Set(this.app.testManager.testCases.map(test => test.category))];
+        document.getElementById('newRunCategories').innerHTML = categories.map(category => `
+            <label class="run-category">
+                <input type="checkbox" value="${category}" checked> ${this.app.testManager.categoryNames[category] || category}
+            </label>
+        `).join('');
+    }
+
+    // Runs side by side so passes can be compared
+    renderRunTable() {
+        const tbody = document.getElementById('runTableBody');
+        const canManage = this.app.can('runs:manage');
+
+        if (this.testRuns.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="11" style="text-align: center; color: #6c757d; font-style: italic;">No test runs yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.testRuns.map(run => {
+            const progress = run.test_count > 0 ? Math.round((run.tested_count / run.test_count) * 100) : 0;
+            const isCurrent = run.id === this.currentRunId;
+            return `
+                <tr class="${isCurrent ? 'current-run' : ''}">
+                    <td>
+                        <strong>${escapeHtml(run.name)}</strong>
+                        ${run.status === 'closed' ? '<span class="run-status-closed">closed</span>' : ''}
+                        <br><small>by ${escapeHtml(run.created_by_name || 'System')}${run.plan_name ? ` · from plan ${escapeHtml(run.plan_name)}` : ''}</small>
+                    </td>
+                    <td>${escapeHtml(run.build || '-')}</td>
+                    <td>${escapeHtml(run.environment || '-')}</td>
+                    <td>${this.formatDateRange(run) || '-'}</td>
+                    <td title="${run.tested_count} of ${run.test_count} tests have results">${run.tested_count}/${run.test_count} (${progress}%)</td>
+                    <td>${run.passed_results}</td>
+                    <td>${run.failed_results}</td>
+                    <td>${run.blocked_results}</td>
+                    <td>${run.partial_results}</td>
+                    <td>${run.skipped_results}</td>
+                    <td class="run-actions">
+                        ${isCurrent ? '<em>Viewing</em>' : `<button class="btn btn-outline btn-sm" onclick="app.runManager.viewRun(${run.id})">View</button>`}
+                        ${canManage ? `
+                            <button class="btn btn-outline btn-sm" onclick="app.runManager.setRunStatus(${run.id}, '${run.status === 'closed' ? 'active' : 'closed'}')">${run.status === 'closed' ? 'Reopen' : 'Close'}</button>
+                            ${run.result_count === 0 ? `<button class="btn btn-danger btn-sm" onclick="app.runManager.deleteRun(${run.id})" title="Delete run">🗑️</button>` : ''}
+                        ` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Create a run from the form and switch to it. A chosen plan is resolved to its tests by the server.
+    async createRun() {
+        const name = document.getElementById('newRunName').value.trim();
+        const planId = document.getElementById('newRunPlan').value;
+        const categories = [...document.querySelectorAll('#newRunCategories input:checked')].map(input => input.value);
+        const testIds = this.app.testManager.testCases
+            .filter(test => categories.includes(test.category))
+            .map(test => test.id);
+
+        if (!name) {
+            alert('Please enter a name for the test run.');
+            return;
+        }
+        if (!planId && testIds.length === 0) {
+            alert('Please include at least one category of tests.');
+            return;
+        }
+
+        try {
+            const testRun = await this.api.createTestRun({
+                name,
+                build: document.getElementById('newRunBuild').value.trim() || null,
+                environment: document.getElementById('newRunEnvironment').value.trim() || null,
+                startDate: document.getElementById('newRunStartDate').value || null,
+                endDate: document.getElementById('newRunEndDate').value || null,
+                ...(planId ? { planId: parseInt(planId) } : { testIds })
+            });
+
+            ['newRunName', 'newRunBuild', 'newRunEnvironment', 'newRunStartDate', 'newRunEndDate', 'newRunPlan'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.togglePlanCategories();
+
+            this.testRuns = await this.api.getTestRuns();
+            await this.selectRun(testRun.id);
+            this.renderRunTable();
+        } catch (error) {
+            alert(`Failed to create test run: ${error.message}`);
+        }
+    }
+
+    async viewRun(runId) {
+        await this.selectRun(runId);
+        this.closeRunManager();
+    }
+
+    // Close a run (freezing its results) or reopen it
+    async setRunStatus(runId, status) {
+        const run = this.testRuns.find(r => r.id === runId);
+        if (!run) return;
+
+        if (status === 'closed' && !confirm(`Close test run "${run.name}"? Its results can no longer be added, edited or deleted until it is reopened.`)) {
+            return;
+        }
+
+        try {
+            await this.api.updateTestRun(runId, {
+                name: run.name,
+                build: run.build,
+                environment: run.environment,
+                startDate: run.start_date,
+                endDate: run.end_date,
+                status
+            });
+            this.testRuns = await this.api.getTestRuns();
+            if (runId === this.currentRunId) {
+                await this.selectRun(runId);
+            } else {
+                this.renderRunSelector();
+            }
+            this.renderRunTable();
+        } catch (error) {
+            alert(`Failed to update test run: ${error.message}`);
+        }
+    }
+
+    async deleteRun(runId) {
+        const run = this.testRuns.find(r => r.id === runId);
+        if (!run || !confirm(`Delete test run "${run.name}"?`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteTestRun(runId);
+            this.testRuns = this.testRuns.filter(r => r.id !== runId);
+            if (runId === this.currentRunId) {
+                await this.selectRun(null);
+            } else {
+                this.renderRunSelector();
+            }
+            this.renderRunTable();
+        } catch (error) {
+            alert(`Failed to delete test run: ${error.message}`);
+        }
+    }
+
+    formatDateRange(run) {
+        if (run.start_date && run.end_date) {
+            return `${run.start_date} → ${run.end_date}`;
+        }
+        return run.start_date ? `from ${run.start_date}` : run.end_date ? `until ${run.end_date}` : '';
+    }
+}
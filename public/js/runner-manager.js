@@ -0,0 +1,422 @@
+// Runner Manager - guided execution of one test at a time: its steps one by one with a timer,
+// then a review that submits the result and moves on to the next test still pending for the tester
+class RunnerManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.queue = []; // IDs of the tests still to run, in grid order
+        this.testId = null;
+        this.stepIndex = 0; // Equal to the number of steps on the review screen
+        this.stepResults = [];
+        this.status = null; // Overall status chosen on the review screen, null to go with the steps
+        this.environment = ''; // Kept from test to test, since a session usually runs in one environment
+        this.startedAt = null;
+        this.stepStartedAt = null;
+        this.timer = null;
+        this.recordedCount = 0;
+        this.skippedIds = [];
+        this.saving = false;
+
+        // Step statuses and the status guidance shown next to them (N/A steps follow the skip guidance)
+        this.stepStatuses = [
+            { value: 'pass', label: 'Pass', guidance: 'pass' },
+            { value: 'fail', label: 'Fail', guidance: 'fail' },
+            { value: 'blocked', label: 'Blocked', guidance: 'blocked' },
+            { value: 'na', label: 'N/A', guidance: 'skip' }
+        ];
+        this.resultStatuses = [
+            { value: 'pass', label: 'Pass' },
+            { value: 'fail', label: 'Fail' },
+            { value: 'blocked', label: 'Blocked' },
+            { value: 'partial', label: 'Partial' },
+            { value: 'skip', label: 'Skip' }
+        ];
+    }
+
+    // New results go into the selected run, so it has to be open
+    canRun() {
+        return this.app.can('results:write') && this.app.runManager.canRecordResults();
+    }
+
+    // A test is pending for the tester until they have recorded a result for it in the selected run
+    isPending(test) {
+        return !test.userResults.some(result => result.userId === this.app.userManager.currentUserId);
+    }
+
+    // Tests of the selected run still pending for the tester, in grid order
+    pendingTests() {
+        const testManager = this.app.testManager;
+        return testManager.gridOrder(testManager.testCases.filter(test => this.app.runManager.includesTest(test.id) && this.isPending(test)));
+    }
+
+    // Run one test, then carry on with the rest of the run's pending tests
+    runTest(testId) {
+        const others = this.pendingTests().map(test => test.id).filter(id => id !== testId);
+        this.start([testId, ...others]);
+    }
+
+    // Run every test of the selected run the tester has not recorded yet
+    runPending() {
+        const tests = this.pendingTests();
+        if (tests.length === 0) {
+            alert('You have recorded a result for every test in this run.');
+            return;
+        }
+        this.start(tests.map(test => test.id));
+    }
+
+    // Run the tests of a plan that are in the selected run and still pending for the tester
+    runPlan(planId) {
+        const plan = this.app.planManager.testPlans.find(p => p.id === planId);
+        if (!plan) {
+            return;
+        }
+        const planIds = new Set(this.app.planManager.resolveRules(plan.rules).map(test => test.id));
+        const tests = this.pendingTests().filter(test => planIds.has(test.id));
+        if (tests.length === 0) {
+            alert(`No tests of "${plan.name}" are pending for you in the selected run. Start a run from the plan to record its tests.`);
+            return;
+        }
+        this.app.planManager.closePlanManager();
+        this.start(tests.map(test => test.id));
+    }
+
+    start(testIds) {
+        if (!this.canRun()) {
+            alert('Select an active test run to record results.');
+            return;
+        }
+        this.queue = testIds;
+        this.recordedCount = 0;
+        this.skippedIds = [];
+        this.modalManager.show('runnerModal');
+        this.startTimer();
+        this.nextTest(true);
+    }
+
+    // Open the next test of the queue. Tests that got a result from the tester meanwhile (e.g. in
+    // another tab) are passed over, except the first one, which was picked explicitly.
+    nextTest(first = false) {
+        const testManager = this.app.testManager;
+        while (this.queue.length > 0) {
+            const testId = this.queue.shift();
+            const test = testManager.testCases.find(t => t.id === testId);
+            if (test && this.app.runManager.includesTest(test.id) && (first || this.isPending(test))) {
+                this.openTest(test);
+                return;
+            }
+            first = false;
+        }
+        this.testId = null;
+        this.renderFinished();
+    }
+
+    openTest(test) {
+        this.testId = test.id;
+        this.stepIndex = 0;
+        this.stepResults = test.testSteps.map(() => ({ status: null, comment: '' }));
+        this.status = null;
+        this.startedAt = Date.now();
+        this.stepStartedAt = Date.now();
+        this.render();
+    }
+
+    // The test being run, as currently loaded (live updates replace test objects)
+    currentTest() {
+        return this.app.testManager.testCases.find(test => test.id === this.testId);
+    }
+
+    hasProgress() {
+        return this.testId !== null && (this.stepResults.some(stepResult => stepResult.status || stepResult.comment) || this.status !== null);
+    }
+
+    close() {
+        if (this.hasProgress() && !confirm('Close the runner? The steps of this test have not been submitted.')) {
+            return;
+        }
+        this.stopTimer();
+        this.testId = null;
+        this.queue = [];
+        this.modalManager.hide('runnerModal');
+    }
+
+    // Elapsed time of the test and of the current step, updated every second while the runner is open
+    startTimer() {
+        this.stopTimer();
+        this.timer = setInterval(() => {
+            // The runner can also be closed with Escape or a click outside it
+            if (document.getElementById('runnerModal').style.display === 'none') {
+                this.stopTimer();
+                return;
+            }
+            this.renderTimer();
+        }, 1000);
+    }
+
+    stopTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.floor(milliseconds / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+
+    renderTimer() {
+        const test = this.currentTest();
+        const element = document.getElementById('runnerTimer');
+        if (!test) {
+            element.textContent = '';
+            return;
+        }
+        const now = Date.now();
+        const onStep = this.stepIndex < test.testSteps.length ? ` · this step ${this.formatDuration(now - this.stepStartedAt)}` : '';
+        element.textContent = `⏱ ${this.formatDuration(now - this.startedAt)}${test.estimatedTime ? ` of ~${test.estimatedTime}` : ''}${onStep}`;
+    }
+
+    render() {
+        const test = this.currentTest();
+        if (!test) {
+            alert('This test was deleted meanwhile. Moving on to the next one.');
+            this.nextTest();
+            return;
+        }
+        const left = this.queue.length;
+        document.getElementById('runnerTitle').textContent = `${test.id} - ${test.title}`;
+        document.getElementById('runnerProgress').textContent = left > 0 ? `${left} more test${left === 1 ? '' : 's'} after this one` : 'Last test';
+        document.getElementById('runnerBody').innerHTML = this.stepIndex < test.testSteps.length
+            ? this.renderStep(test)
+            : this.renderReview(test);
+        this.renderTimer();
+    }
+
+    // One step with its status buttons, the guidance for each status and a note
+    renderStep(test) {
+        const index = this.stepIndex;
+        const stepResult = this.stepResults[index];
+        return `
+            ${test.prerequisites ? `
+                <details class="runner-prerequisites" ${index === 0 ? 'open' : ''}>
+                    <summary>Prerequisites</summary>
+                    ${escapeHtml(test.prerequisites)}
+                </details>
+            ` : ''}
+            <div class="runner-step-dots">
+                ${this.stepResults.map((r, i) => `
+                    <span class="runner-step-dot ${r.status ? `step-${r.status}` : ''} ${i === index ? 'current' : ''}" onclick="app.runnerManager.goToStep(${i})" title="Step ${i + 1}"></span>
+                `).join('')}
+            </div>
+            <div class="runner-step-number">Step ${index + 1} of ${test.testSteps.length}</div>
+            <div class="runner-step-text">${escapeHtml(test.testSteps[index])}</div>
+            <div class="runner-status-options">
+                ${this.stepStatuses.map(option => this.renderStatusOption(
+                    option, test.statusGuidance[option.guidance], stepResult.status === option.value, `setStepStatus('${option.value}')`
+                )).join('')}
+            </div>
+            <textarea id="runnerStepNote" class="runner-note" placeholder="Notes for this step (optional)" oninput="app.runnerManager.setStepNote(this.value)">${escapeHtml(stepResult.comment)}</textarea>
+            <div class="runner-nav">
+                <button class="btn btn-outline" onclick="app.runnerManager.goToStep(${index - 1})" ${index === 0 ? 'disabled' : ''}>◀ Back</button>
+                <button class="btn btn-outline" onclick="app.runnerManager.skipTest()">Skip Test</button>
+                <button class="btn btn-primary" onclick="app.runnerManager.goToStep(${index + 1})">${index === test.testSteps.length - 1 ? 'Review ▶' : 'Next ▶'}</button>
+            </div>
+        `;
+    }
+
+    // The steps at a glance, the criteria checklist and the overall status with its guidance
+    renderReview(test) {
+        const testManager = this.app.testManager;
+        const derivedStatus = testManager.deriveStatusFromSteps(this.stepResults);
+        const status = this.status || derivedStatus;
+        const stepsHtml = test.testSteps.length > 0 ? `
+            <ol class="runner-review-steps">
+                ${test.testSteps.map((step, index) => {
+                    const stepResult = this.stepResults[index];
+                    const label = stepResult.status ? testManager.stepStatusLabels[stepResult.status] : 'Not run';
+                    return `
+                        <li onclick="app.runnerManager.goToStep(${index})" title="Back to this step">
+                            <span class="runner-review-status step-${stepResult.status || 'none'}">${label}</span>
+                            ${escapeHtml(step)}
+                            ${stepResult.comment ? `<br><small>${escapeHtml(stepResult.comment)}</small>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        ` : '';
+        const criteriaHtml = test.acceptanceCriteria.length > 0 ? `
+            <div class="form-group">
+                <label>Acceptance Criteria Verified:</label>
+                <div class="criteria-checklist" id="runnerCriteria">
+                    ${test.acceptanceCriteria.map(criterion => `
+                        <label class="criteria-item">
+                            <input type="checkbox">
+                            <span>${escapeHtml(criterion)}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        ` : '';
+
+        return `
+            ${stepsHtml}
+            ${criteriaHtml}
+            <div class="form-group">
+                <label>Overall Status:${derivedStatus ? ` <small>(the steps suggest ${derivedStatus})</small>` : ''}</label>
+                <div class="runner-status-options">
+                    ${this.resultStatuses.map(option => this.renderStatusOption(
+                        option, test.statusGuidance[option.value], status === option.value, `setStatus('${option.value}')`
+                    )).join('')}
+                </div>
+            </div>
+            <div class="form-group">
+                <label for="runnerEnvironment">Environment:</label>
+                <input type="text" id="runnerEnvironment" value="${escapeHtml(this.environment)}" placeholder="e.g., Chrome 120, Windows 11, Staging">
+            </div>
+            <div class="form-group">
+                <label for="runnerNotes">Notes:</label>
+                <textarea id="runnerNotes" class="runner-note" placeholder="Observations, issues found, etc."></textarea>
+            </div>
+            ${status === 'fail' || status === 'blocked' ? '<small class="runner-hint">Attachments and defects can be added afterwards with the ✏️ button of the result on the test card.</small>' : ''}
+            <div class="runner-nav">
+                <button class="btn btn-outline" onclick="app.runnerManager.goToStep(${test.testSteps.length - 1})" ${test.testSteps.length === 0 ? 'disabled' : ''}>◀ Back</button>
+                <button class="btn btn-outline" onclick="app.runnerManager.skipTest()">Skip Test</button>
+                <button class="btn btn-primary" id="runnerSubmit" onclick="app.runnerManager.submit()" ${status ? '' : 'disabled'}>Submit Result ▶</button>
+            </div>
+        `;
+    }
+
+    renderStatusOption(option, guidance, selected, action) {
+        return `
+            <button type="button" class="runner-status-option status-${option.value} ${selected ? 'selected' : ''}" onclick="app.runnerManager.${action}">
+                <strong>${option.label}</strong>
+                ${guidance ? `<small>${escapeHtml(guidance)}</small>` : ''}
+            </button>
+        `;
+    }
+
+    renderFinished() {
+        const skipped = this.skippedIds.length;
+        document.getElementById('runnerTitle').textContent = 'All done';
+        document.getElementById('runnerProgress').textContent = '';
+        document.getElementById('runnerTimer').textContent = '';
+        document.getElementById('runnerBody').innerHTML = `
+            <div class="runner-finished">
+                <p>✅ ${this.recordedCount} result${this.recordedCount === 1 ? '' : 's'} recorded${skipped > 0 ? `, ${skipped} test${skipped === 1 ? '' : 's'} skipped (${skipped > 10 ? `${this.skippedIds.slice(0, 10).join(', ')}, …` : this.skippedIds.join(', ')})` : ''}.</p>
+                <button class="btn btn-primary" onclick="app.runnerManager.close()">Close</button>
+            </div>
+        `;
+        this.stopTimer();
+    }
+
+    setStepStatus(status) {
+        const stepResult = this.stepResults[this.stepIndex];
+        stepResult.status = stepResult.status === status ? null : status; // Clicking again clears it
+        this.render();
+    }
+
+    setStepNote(comment) {
+        this.stepResults[this.stepIndex].comment = comment;
+    }
+
+    // The review screen is rendered again when the status changes, so keep what was typed there
+    setStatus(status) {
+        const test = this.currentTest();
+        const typed = this.readReviewForm();
+        this.status = status;
+        this.render();
+        if (test) {
+            this.fillReviewForm(typed);
+        }
+    }
+
+    readReviewForm() {
+        return {
+            environment: document.getElementById('runnerEnvironment').value,
+            notes: document.getElementById('runnerNotes').value,
+            criteriaResults: [...document.querySelectorAll('#runnerCriteria input[type="checkbox"]')].map(input => ({ met: input.checked }))
+        };
+    }
+
+    fillReviewForm({ environment, notes, criteriaResults }) {
+        document.getElementById('runnerEnvironment').value = environment;
+        document.getElementById('runnerNotes').value = notes;
+        document.querySelectorAll('#runnerCriteria input[type="checkbox"]').forEach((input, index) => {
+            input.checked = criteriaResults[index] ? criteriaResults[index].met : false;
+        });
+    }
+
+    goToStep(index) {
+        const test = this.currentTest();
+        if (!test || index < 0 || index > test.testSteps.length) {
+            return;
+        }
+        this.stepIndex = index;
+        this.stepStartedAt = Date.now();
+        this.render();
+    }
+
+    skipTest() {
+        if (this.hasProgress() && !confirm('Skip this test? Its steps will not be saved.')) {
+            return;
+        }
+        this.skippedIds.push(this.testId);
+        this.nextTest();
+    }
+
+    // Save the result like the result form does (queued while the server cannot be reached)
+    async submit() {
+        const testManager = this.app.testManager;
+        const test = this.currentTest();
+        if (!test || this.saving) {
+            return;
+        }
+
+        const derivedStatus = testManager.deriveStatusFromSteps(this.stepResults);
+        const { environment, notes, criteriaResults } = this.readReviewForm();
+        const newResult = {
+            status: this.status || derivedStatus,
+            testDate: new Date().toISOString().split('T')[0],
+            notes: notes.trim(),
+            environment: environment.trim(),
+            stepResults: this.stepResults.map(stepResult => ({
+                status: stepResult.status,
+                comment: stepResult.comment.trim() || null
+            })),
+            statusOverride: !!derivedStatus && !!this.status && this.status !== derivedStatus,
+            criteriaResults: criteriaResults
+        };
+
+        this.saving = true;
+        document.getElementById('runnerSubmit').disabled = true;
+        const idempotencyKey = this.app.offlineManager.newIdempotencyKey();
+        try {
+            try {
+                await testManager.saveResultOnline(test, null, newResult, idempotencyKey);
+            } catch (error) {
+                if (!error.offline) {
+                    throw error;
+                }
+                // The server cannot be reached - the result waits in the offline queue, with the
+                // same key in case the server saved it without answering
+                await this.app.offlineManager.queueResult(test, null, newResult, { idempotencyKey });
+            }
+            this.environment = newResult.environment;
+            this.recordedCount++;
+
+            test.consolidatedStatus = testManager.calculateConsolidatedStatus(test.userResults);
+            testManager.refreshTestCard(test.id);
+            this.app.updateStats();
+            this.nextTest();
+        } catch (error) {
+            console.error('❌ Error saving test result:', error);
+            alert(`Failed to save test result: ${error.message}`);
+            document.getElementById('runnerSubmit').disabled = false;
+        } finally {
+            this.saving = false;
+        }
+    }
+}
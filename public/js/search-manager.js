@@ -0,0 +1,155 @@
+// Search Manager - handles the header search box and jumping to the tests, results and defects it finds
+class SearchManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.matches = { tests: [], results: [], defects: [] };
+        this.searchTimer = null;
+        this.searchSequence = 0; // Ignores responses to queries that were typed over
+        this.minQueryLength = 2;
+    }
+
+    // Search as the user types, with a short delay so every keystroke does not hit the server
+    onInput(query) {
+        clearTimeout(this.searchTimer);
+        if (query.trim().length < this.minQueryLength) {
+            this.hideResults();
+            return;
+        }
+        this.searchTimer = setTimeout(() => this.search(query), 250);
+    }
+
+    onKeydown(e) {
+        if (e.key === 'Escape') {
+            this.hideResults();
+            e.target.blur();
+        } else if (e.key === 'Enter') {
+            // Open the best match
+            const first = document.querySelector('#globalSearchResults .search-match');
+            if (first) {
+                first.click();
+            }
+        }
+    }
+
+    async search(query) {
+        const sequence = ++this.searchSequence;
+        try {
+            const response = await this.api.search(query);
+            if (sequence !== this.searchSequence) return;
+            this.matches = { tests: response.tests, results: response.results, defects: response.defects };
+            this.renderResults();
+        } catch (error) {
+            if (sequence !== this.searchSequence) return;
+            console.error('❌ Search failed:', error);
+            this.showDropdown(`<div class="search-empty">Search failed: ${escapeHtml(error.message)}</div>`);
+        }
+    }
+
+    // Dropdown of matches grouped by type; snippets come from the server as HTML with <mark>ed words
+    renderResults() {
+        const { tests, results, defects } = this.matches;
+        if (tests.length + results.length + defects.length === 0) {
+            this.showDropdown('<div class="search-empty">No matches</div>');
+            return;
+        }
+
+        const group = (title, items, render) => items.length === 0 ? '' : `
+            <div class="search-group">
+                <div class="search-group-title">${title}</div>
+                ${items.map(render).join('')}
+            </div>
+        `;
+
+        this.showDropdown(
+            group('Tests', tests, test => `
+                <div class="search-match" onclick="app.searchManager.openTest('${test.id}')">
+                    <div><strong>${test.id}</strong> ${escapeHtml(test.title)}</div>
+                    <div class="search-snippet">${test.snippet}</div>
+                </div>
+            `) +
+            group('Results', results, result => `
+                <div class="search-match" onclick="app.searchManager.openResult(${result.id})">
+                    <div>
+                        <strong>${result.test_id}</strong> ${escapeHtml(result.user_name || 'Unknown')}
+                        <span class="status-badge status-${result.status}">${result.status.toUpperCase()}</span>
+                        ${result.run_name ? `<small>${escapeHtml(result.run_name)}</small>` : ''}
+                    </div>
+                    <div class="search-snippet">${result.snippet}</div>
+                </div>
+            `) +
+            group('Bug Reports', defects, defect => `
+                <div class="search-match" onclick="app.searchManager.openDefect(${defect.id})">
+                    <div>
+                        <strong>#${defect.id}</strong> ${escapeHtml(defect.title)}
+                        <span class="defect-severity severity-${defect.severity}">${defect.severity}</span>
+                    </div>
+                    <div class="search-snippet">${defect.snippet}</div>
+                </div>
+            `)
+        );
+    }
+
+    showDropdown(html) {
+        const container = document.getElementById('globalSearchResults');
+        container.innerHTML = html;
+        container.classList.add('active');
+    }
+
+    hideResults() {
+        document.getElementById('globalSearchResults').classList.remove('active');
+    }
+
+    // Hide every page so the one being jumped to is the only one shown
+    hidePages() {
+        ['resultsPage', 'auditPage', 'defectsPage', 'testManagementPage'].forEach(id => {
+            document.getElementById(id).classList.remove('active');
+        });
+        document.getElementById('testGrid').style.display = 'block';
+    }
+
+    // Scroll to the test's card, switching to all runs and clearing the grid filters if they hide it
+    async openTest(testId) {
+        this.hideResults();
+        this.hidePages();
+
+        if (!this.app.runManager.includesTest(testId)) {
+            await this.app.runManager.selectRun('');
+        }
+        ['statusFilter', 'categoryFilter', 'priorityFilter'].forEach(id => {
+            document.getElementById(id).value = 'all';
+        });
+        this.app.testManager.renderTests();
+
+        this.highlight(document.getElementById(`test-card-${testId}`));
+    }
+
+    // Show the result on the Results page, in its own run and filtered to its test
+    async openResult(resultId) {
+        const result = this.matches.results.find(r => r.id === resultId);
+        if (!result) return;
+        this.hideResults();
+        this.hidePages();
+
+        if (this.app.runManager.currentRunId && this.app.runManager.currentRunId !== result.run_id) {
+            await this.app.runManager.selectRun(result.run_id);
+        }
+        await this.app.resultsManager.showResult(result);
+    }
+
+    // Show the defect on the Defects page, whatever its status
+    async openDefect(defectId) {
+        this.hideResults();
+        this.hidePages();
+        await this.app.defectManager.showDefect(defectId);
+    }
+
+    // Bring a matched element into view and flash it
+    highlight(element) {
+        if (!element) return;
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('search-highlight');
+        setTimeout(() => element.classList.remove('search-highlight'), 2500);
+    }
+}
@@ -8,6 +8,7 @@ class TestManager {
         this.currentTestId = null;
         this.currentEditingTestId = null;
         this.currentEditingResultId = null;
+        this.editingResult = null;
         this.sortedTests = [];
         this.currentSortColumn = 'id';
         this.currentSortOrder = 'asc';
@@ -26,6 +27,35 @@ class TestManager {
             'advanced': 'Advanced Tests',
             'adr-compliance': 'ADR Compliance Tests'
         };
+        
+        // Statuses a single step can be marked with (same as the server's STEP_STATUSES)
+        this.stepStatusLabels = {
+            'pass': 'Pass',
+            'fail': 'Fail',
+            'blocked': 'Blocked',
+            'na': 'N/A'
+        };
+        
+        // Names of test and result fields in edit conflict prompts
+        this.fieldLabels = {
+            'title': 'title',
+            'story': 'user story',
+            'category': 'category',
+            'priority': 'priority',
+            'tags': 'tags',
+            'estimatedTime': 'estimated time',
+            'prerequisites': 'prerequisites',
+            'testSteps': 'test steps',
+            'acceptanceCriteria': 'acceptance criteria',
+            'statusGuidance': 'status guidance',
+            'status': 'status',
+            'testDate': 'test date',
+            'notes': 'notes',
+            'environment': 'environment',
+            'stepResults': 'step results',
+            'statusOverride': 'status override',
+            'criteriaResults': 'criteria checklist'
+        };
     }
     
     // Load tests from API
@@ -34,10 +64,10 @@ class TestManager {
             console.log('📡 Loading tests from API...');
             console.log('API Client baseURL:', this.api.baseURL);
             
-            // Load tests and all test results in parallel
+            // Load tests and the selected run's results in parallel
             const [tests, allTestResults] = await Promise.all([
                 this.api.getTests(),
-                this.api.getTestResults()
+                this.api.getTestResults(this.app.runManager.currentRunId)
             ]);
             
             console.log('✅ Tests loaded from API:', tests.length);
@@ -53,44 +83,17 @@ class TestManager {
                     // Get test results for this specific test
                     const testResults = allTestResults.filter(result => result.test_id === test.id);
 
-                    // Transform test results to match frontend format
-                    const transformedResults = testResults.map(result => ({
-                        id: result.id, // Database ID for editing/deleting
-                        userId: result.user_id, // User ID from database
-                        status: result.status,
-                        date: result.test_date,
-                        notes: result.notes,
-                        environment: result.environment,
-                        bugReport: result.bug_severity ? {
-                            severity: result.bug_severity,
-                            description: result.bug_description,
-                            stepsToReproduce: result.steps_to_reproduce,
-                            expectedResult: result.expected_result,
-                            actualResult: result.actual_result
-                        } : null
-                    }));
-
                     // Add test to testCases array
-                    this.testCases.push({
-                        id: test.id,
-                        title: test.title,
-                        story: test.story,
-                        category: test.category,
-                        priority: test.priority,
-                        estimatedTime: test.estimated_time,
-                        prerequisites: test.prerequisites,
-                        testSteps: this.parseJsonField(test.test_steps, []),
-                        acceptanceCriteria: this.parseJsonField(test.acceptance_criteria, []),
-                        statusGuidance: this.parseJsonField(test.status_guidance, {}),
-                        userResults: transformedResults,
-                        consolidatedStatus: this.calculateConsolidatedStatus(transformedResults)
-                    });
+                    this.testCases.push(this.toFrontendTest(test, testResults.map(result => this.toFrontendResult(result))));
                     console.log(`✅ Processed test ${test.id}`);
                 } catch (testError) {
                     console.error(`❌ Error processing test ${test.id}:`, testError);
                     throw testError;
                 }
             }
+            
+            // Results still waiting to sync are shown over what the server has
+            this.app.offlineManager.applyQueuedResults();
             console.log('✅ All tests loaded successfully. Total testCases:', this.testCases.length);
         } catch (error) {
             console.error('❌ Failed to load tests:', error);
@@ -103,6 +106,193 @@ class TestManager {
         }
     }
     
+    // Transform a test from the API to the frontend format
+    toFrontendTest(test, userResults) {
+        return {
+            id: test.id,
+            title: test.title,
+            story: test.story,
+            category: test.category,
+            priority: test.priority,
+            tags: test.tags || [],
+            estimatedTime: test.estimated_time,
+            prerequisites: test.prerequisites,
+            testSteps: this.parseJsonField(test.test_steps, []),
+            acceptanceCriteria: this.parseJsonField(test.acceptance_criteria, []),
+            statusGuidance: this.parseJsonField(test.status_guidance, {}),
+            revision: test.revision,
+            revisionId: test.revision_id,
+            version: test.version, // Sent back as If-Match so concurrent edits are detected
+            userResults: userResults,
+            consolidatedStatus: this.calculateConsolidatedStatus(userResults)
+        };
+    }
+    
+    // Transform a test result from the API to the frontend format
+    toFrontendResult(result) {
+        return {
+            id: result.id, // Database ID for editing/deleting
+            userId: result.user_id, // User ID from database
+            status: result.status,
+            date: result.test_date,
+            notes: result.notes,
+            environment: result.environment,
+            revision: result.test_revision, // Test revision the result was recorded against
+            runId: result.run_id,
+            runName: result.run_name,
+            stepResults: result.step_results || [],
+            statusOverridden: !!result.status_overridden,
+            criteriaResults: result.criteria_results || [],
+            attachments: result.attachments || [],
+            defects: result.defects || [],
+            version: result.version
+        };
+    }
+
+    // A stored result row (as conflicts and live updates send it) in the frontend format, with what
+    // the row does not hold - revision number, run name, attachments and defects - from the local copy
+    toFrontendResultWithDetails(row, local) {
+        return {
+            ...this.toFrontendResult(row),
+            revision: local.revision,
+            runName: local.runName,
+            attachments: local.attachments,
+            defects: local.defects
+        };
+    }
+
+    // The editable fields of a frontend test, as the test form sends them
+    toTestInput(test) {
+        const guidance = test.statusGuidance || {};
+        return {
+            title: test.title,
+            story: test.story || '',
+            category: test.category,
+            priority: test.priority,
+            tags: test.tags || [],
+            estimatedTime: test.estimatedTime || '',
+            prerequisites: test.prerequisites || '',
+            testSteps: test.testSteps || [],
+            acceptanceCriteria: test.acceptanceCriteria || [],
+            statusGuidance: {
+                pass: guidance.pass || '',
+                fail: guidance.fail || '',
+                blocked: guidance.blocked || '',
+                partial: guidance.partial || '',
+                skip: guidance.skip || ''
+            }
+        };
+    }
+
+    // The editable fields of a frontend result, as the result form sends them
+    toResultInput(result) {
+        return {
+            status: result.status,
+            testDate: result.date || '',
+            notes: result.notes || '',
+            environment: result.environment || '',
+            stepResults: this.toStepResultsInput(result.stepResults),
+            statusOverride: !!result.statusOverridden,
+            criteriaResults: result.criteriaResults.map(criteriaResult => ({ met: !!criteriaResult.met }))
+        };
+    }
+
+    // Step results without the step text; rows that were never filled in count as no step results,
+    // since the form shows empty rows for results recorded before step results existed
+    toStepResultsInput(stepResults) {
+        const inputs = stepResults.map(stepResult => ({
+            status: stepResult.status || null,
+            comment: stepResult.comment || null
+        }));
+        return inputs.every(input => !input.status && !input.comment) ? [] : inputs;
+    }
+
+    // Three-way merge of an edit (mine) with the version someone else saved meanwhile (theirs),
+    // both made from base. Fields only they changed take their value; fields both changed to
+    // different values are conflicts and keep mine.
+    mergeChanges(base, mine, theirs) {
+        const merged = { ...mine };
+        const theirChanges = [];
+        const conflicts = [];
+        Object.keys(mine).forEach(field => {
+            if (this.sameValue(theirs[field], base[field])) {
+                return;
+            }
+            if (this.sameValue(mine[field], base[field])) {
+                merged[field] = theirs[field];
+                theirChanges.push(field);
+            } else if (!this.sameValue(mine[field], theirs[field])) {
+                conflicts.push(field);
+            }
+        });
+        return { merged, theirChanges, conflicts };
+    }
+
+    // Compare field values ignoring the order of object keys and surrounding whitespace
+    sameValue(a, b) {
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+            }
+            return typeof value === 'string' ? value.trim() : value;
+        };
+        return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+    }
+
+    // Ask whether to save an edit on top of a version someone else saved meanwhile.
+    // Returns true to save the merged changes, false to discard them and reload their version.
+    confirmConflictMerge(noun, theirChanges, conflicts) {
+        const labels = fields => fields.map(field => this.fieldLabels[field] || field).join(', ');
+        const lines = [`This ${noun} was changed by someone else while you were editing it.`];
+        if (theirChanges.length > 0) {
+            lines.push(`Their changes to ${labels(theirChanges)} will be kept.`);
+        }
+        if (conflicts.length > 0) {
+            lines.push(`You both changed ${labels(conflicts)}.`);
+        }
+        lines.push(
+            '',
+            conflicts.length > 0
+                ? 'OK - save, using your version of the fields you both changed'
+                : 'OK - save your changes together with theirs',
+            'Cancel - discard your changes and reload their version'
+        );
+        return confirm(lines.join('\n'));
+    }
+
+    // Save an edit of a result against the version it was loaded at. When someone else saved the
+    // result meanwhile, offer to merge the edit into their version or to reload theirs.
+    // Returns the updated result, or null when their version was reloaded into the form.
+    async updateResultWithMerge(test, base, changes) {
+        try {
+            return await this.api.updateTestResult(base.id, changes, base.version);
+        } catch (error) {
+            if (error.status !== 409 || !error.data || !error.data.testResult) {
+                throw error;
+            }
+
+            // The conflict carries their stored row; what the row does not hold is unchanged
+            const theirs = this.toFrontendResultWithDetails(error.data.testResult, base);
+            const mine = { ...changes, stepResults: this.toStepResultsInput(changes.stepResults) };
+            const { merged, theirChanges, conflicts } = this.mergeChanges(
+                this.toResultInput(base), mine, this.toResultInput(theirs)
+            );
+            if (this.confirmConflictMerge('result', theirChanges, conflicts)) {
+                return this.updateResultWithMerge(test, theirs, merged);
+            }
+
+            const index = test.userResults.findIndex(result => result.id === base.id);
+            if (index >= 0) {
+                test.userResults[index] = theirs;
+                test.consolidatedStatus = this.calculateConsolidatedStatus(test.userResults);
+            }
+            this.renderTests();
+            this.populateEditModal(theirs, test);
+            return null;
+        }
+    }
+
     // Helper method to get user name by ID
     getUserNameById(userId) {
         const user = this.app.userManager.testUsers.find(u => u.id === userId);
@@ -131,6 +321,11 @@ class TestManager {
         return defaultValue;
     }
     
+    // Tests included in the selected run (all tests when showing all runs)
+    getRunTests() {
+        return this.testCases.filter(test => this.app.runManager.includesTest(test.id));
+    }
+    
     // Calculate consolidated status based on user results
     calculateConsolidatedStatus(userResults) {
         if (userResults.length === 0) {
@@ -177,28 +372,8 @@ class TestManager {
             }, 300);
         }
         
-        const statusFilter = document.getElementById('statusFilter').value;
-        const categoryFilter = document.getElementById('categoryFilter').value;
-        const priorityFilter = document.getElementById('priorityFilter').value;
-        
-        // Filter tests first
-        const filteredTests = this.testCases.filter(test => {
-            const statusMatch = statusFilter === 'all' || test.consolidatedStatus === statusFilter;
-            const categoryMatch = categoryFilter === 'all' || test.category === categoryFilter;
-            const priorityMatch = priorityFilter === 'all' || test.priority === priorityFilter;
-            return statusMatch && categoryMatch && priorityMatch;
-        });
-
-        // Sort all tests by Test ID (ascending) regardless of category
-        filteredTests.sort((a, b) => {
-            const aNum = parseInt(a.id.replace(/\D/g, '')) || 0;
-            const bNum = parseInt(b.id.replace(/\D/g, '')) || 0;
-            
-            if (aNum !== bNum) {
-                return aNum - bNum;
-            }
-            return a.id.localeCompare(b.id);
-        });
+        // Filter tests first - only tests in the selected run are shown
+        const filteredTests = this.sortById(this.testCases.filter(test => this.isTestShown(test)));
 
         // Group sorted tests by category for display
         const groupedTests = {};
@@ -235,6 +410,50 @@ class TestManager {
         console.log('✅ Tests rendered successfully');
     }
     
+    // Sort tests by Test ID (ascending) regardless of category
+    sortById(tests) {
+        return [...tests].sort((a, b) => {
+            const aNum = parseInt(a.id.replace(/\D/g, '')) || 0;
+            const bNum = parseInt(b.id.replace(/\D/g, '')) || 0;
+            
+            if (aNum !== bNum) {
+                return aNum - bNum;
+            }
+            return a.id.localeCompare(b.id);
+        });
+    }
+    
+    // Tests in the order the grid shows them: by ID, grouped by category in order of first appearance
+    gridOrder(tests) {
+        const sorted = this.sortById(tests);
+        const categoryOrder = [...new Set(sorted.map(test => test.category))];
+        return categoryOrder.flatMap(category => sorted.filter(test => test.category === category));
+    }
+    
+    // Whether a test is in the selected run and matches the grid filters
+    isTestShown(test) {
+        const statusFilter = document.getElementById('statusFilter').value;
+        const categoryFilter = document.getElementById('categoryFilter').value;
+        const priorityFilter = document.getElementById('priorityFilter').value;
+        return this.app.runManager.includesTest(test.id)
+            && (statusFilter === 'all' || test.consolidatedStatus === statusFilter)
+            && (categoryFilter === 'all' || test.category === categoryFilter)
+            && (priorityFilter === 'all' || test.priority === priorityFilter);
+    }
+    
+    // Re-render one test's card in place. When the test starts or stops matching the filters
+    // (or is deleted), the whole grid is rendered so cards appear and disappear in order.
+    refreshTestCard(testId) {
+        const test = this.testCases.find(t => t.id === testId);
+        const card = document.getElementById(`test-card-${testId}`);
+        const shown = !!test && this.isTestShown(test);
+        if (card && shown) {
+            card.outerHTML = this.renderTestCard(test);
+        } else if (card || shown) {
+            this.renderTests();
+        }
+    }
+    
     // Render individual test card
     renderTestCard(test) {
         const statusClass = `status-${test.consolidatedStatus}`;
@@ -288,17 +507,24 @@ class TestManager {
                 <div class="user-results">
                     <h4>User Results (${test.userResults.length})</h4>
                     ${test.userResults.map(result => `
-                        <div class="user-result-item">
+                        <div class="user-result-item ${result.pending ? 'result-pending' : ''}">
                             <div class="user-info">
                                 <strong>${this.getUserNameById(result.userId)}</strong> - ${result.date}
+                                ${result.pending ? this.app.offlineManager.renderSyncBadge(result) : ''}
                                 ${result.notes ? `<br><em>${result.notes}</em>` : ''}
+                                ${this.renderStepSummary(result)}
+                                ${this.renderCriteriaSummary(result)}
+                                ${this.renderAttachmentThumbnails(result)}
+                                ${result.defects.length > 0 ? `<div class="result-defects">${result.defects.map(defect => this.app.defectManager.renderDefectChip(defect)).join('')}</div>` : ''}
                             </div>
                             <div class="user-result-actions">
                                 <div class="user-status status-${result.status}">${result.status.toUpperCase()}</div>
-                                <div class="result-buttons">
-                                    <button class="btn btn-sm btn-outline" onclick="app.testManager.editTestResult('${test.id}', '${result.id}')" title="Edit Result">✏️</button>
-                                    <button class="btn btn-sm btn-danger" onclick="app.testManager.deleteTestResult('${test.id}', '${result.id}')" title="Delete Result">🗑️</button>
-                                </div>
+                                ${this.canModifyResult(result) ? `
+                                    <div class="result-buttons">
+                                        <button class="btn btn-sm btn-outline" onclick="app.testManager.editTestResult('${test.id}', ${result.id})" title="Edit Result">✏️</button>
+                                        <button class="btn btn-sm btn-danger" onclick="app.testManager.deleteTestResult('${test.id}', ${result.id})" title="Delete Result">🗑️</button>
+                                    </div>
+                                ` : ''}
                             </div>
                         </div>
                     `).join('')}
@@ -307,7 +533,7 @@ class TestManager {
         }
         
         return `
-            <div class="test-card">
+            <div class="test-card" id="test-card-${test.id}">
                 <div class="test-header">
                     <div class="test-id">${test.id}</div>
                     <div class="test-badges">
@@ -317,19 +543,36 @@ class TestManager {
                 </div>
                 <div class="test-title">${test.title}</div>
                 <div class="test-story">${test.story}</div>
+                ${test.tags.length > 0 ? `<div class="test-tags">${test.tags.map(tag => `<span class="test-tag">${tag}</span>`).join('')}</div>` : ''}
                 ${testInfoHtml}
                 ${testStepsHtml}
                 ${acceptanceCriteriaHtml}
                 ${statusGuidanceHtml}
                 ${userResultsHtml}
                 <div class="test-actions">
-                    <button class="btn btn-primary btn-sm" onclick="app.openTestModal('${test.id}')">Add Result</button>
+                    ${this.app.can('results:write') && this.app.runManager.canRecordResults() ? `
+                        <button class="btn btn-primary btn-sm" onclick="app.openTestModal('${test.id}')">Add Result</button>
+                        <button class="btn btn-outline btn-sm" onclick="app.runnerManager.runTest('${test.id}')" title="Walk through the steps one at a time">▶ Run</button>
+                    ` : ''}
                     ${test.consolidatedStatus === 'needs-review' ? `<button class="btn btn-info btn-sm" onclick="app.viewConflicts('${test.id}')">View Conflicts</button>` : ''}
                 </div>
             </div>
         `;
     }
     
+    // Results can be edited by their author or by roles that manage all results (mirrors the server check).
+    // Results of closed runs are frozen.
+    canModifyResult(result) {
+        if (!this.app.can('results:write')) {
+            return false;
+        }
+        const run = this.app.runManager.testRuns.find(r => r.id === result.runId);
+        if (run && run.status === 'closed') {
+            return false;
+        }
+        return result.userId === this.app.userManager.currentUserId || this.app.can('results:manage');
+    }
+    
     // Open test modal
     openTestModal(testId) {
         this.currentTestId = testId;
@@ -342,17 +585,17 @@ class TestManager {
         document.getElementById('testNotes').value = '';
         document.getElementById('environment').value = '';
         
-        // Update tester dropdown
-        this.updateTesterDropdown();
+        // Results are always recorded as the logged-in user
+        this.updateTesterField();
         
-        // Clear bug report fields
-        document.getElementById('bugSeverity').value = 'critical';
-        document.getElementById('bugDescription').value = '';
-        document.getElementById('stepsToReproduce').value = '';
-        document.getElementById('expectedResult').value = '';
-        document.getElementById('actualResult').value = '';
+        this.resetDefectForm([]);
         
-        this.toggleBugReport();
+        this.renderStepResults(test.testSteps, []);
+        this.renderCriteriaResults(test.acceptanceCriteria, []);
+        this.renderAttachmentList([]);
+        document.getElementById('attachmentFiles').value = '';
+        document.getElementById('statusOverride').checked = false;
+        this.updateDerivedStatus();
         this.modalManager.show('testModal');
     }
     
@@ -363,11 +606,314 @@ class TestManager {
         this.currentEditingResultId = null; // Clear editing state
     }
     
+    // One row per step with a status and an optional comment
+    renderStepResults(steps, stepResults) {
+        document.getElementById('stepResultsGroup').style.display = steps.length > 0 ? '' : 'none';
+        document.getElementById('stepResultsList').innerHTML = steps.map((step, index) => {
+            const stepResult = stepResults[index] || {};
+            return `
+                <div class="step-result-row">
+                    <div class="step-result-text">${index + 1}. ${step}</div>
+                    <select class="step-result-status" onchange="app.testManager.updateDerivedStatus()">
+                        <option value="">Not run</option>
+                        ${Object.entries(this.stepStatusLabels).map(([value, label]) => `
+                            <option value="${value}" ${stepResult.status === value ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" class="step-result-comment" placeholder="Comment (optional)" value="${(stepResult.comment || '').replace(/"/g, '&quot;')}">
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Read the step rows of the modal
+    getStepResultsFromForm() {
+        return [...document.querySelectorAll('#stepResultsList .step-result-row')].map(row => ({
+            status: row.querySelector('.step-result-status').value || null,
+            comment: row.querySelector('.step-result-comment').value.trim() || null
+        }));
+    }
+    
+    // Overall status implied by the step results (mirrors the server's deriveStatusFromSteps)
+    deriveStatusFromSteps(stepResults) {
+        const statuses = stepResults.map(stepResult => stepResult.status);
+        if (statuses.every(status => !status)) return null;
+        if (statuses.includes('fail')) return 'fail';
+        if (statuses.includes('blocked')) return 'blocked';
+        if (statuses.some(status => !status)) return 'partial';
+        return statuses.includes('pass') ? 'pass' : 'skip';
+    }
+    
+    // Keep the overall status in line with the step results unless the tester overrides it
+    updateDerivedStatus() {
+        const derivedStatus = this.deriveStatusFromSteps(this.getStepResultsFromForm());
+        const statusSelect = document.getElementById('testStatus');
+        const override = document.getElementById('statusOverride').checked;
+        const note = document.getElementById('derivedStatusNote');
+        
+        document.getElementById('statusOverrideLabel').style.display = derivedStatus ? '' : 'none';
+        if (derivedStatus && !override) {
+            statusSelect.value = derivedStatus;
+            statusSelect.disabled = true;
+            note.textContent = 'Derived from the step results.';
+        } else {
+            statusSelect.disabled = false;
+            note.textContent = derivedStatus ? `Step results suggest: ${derivedStatus}` : '';
+        }
+        this.toggleBugReport();
+    }
+    
+    // Step counts and the comments of failed or blocked steps, for the result list on a card
+    renderStepSummary(result) {
+        const marked = result.stepResults.filter(stepResult => stepResult.status);
+        if (marked.length === 0) {
+            return '';
+        }
+        
+        const counts = {};
+        result.stepResults.forEach(stepResult => {
+            const key = stepResult.status || 'not run';
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        const summary = Object.entries(counts)
+            .map(([status, count]) => `${count} ${this.stepStatusLabels[status] || status}`)
+            .join(' · ');
+        const problems = result.stepResults
+            .map((stepResult, index) => ({ ...stepResult, number: index + 1 }))
+            .filter(stepResult => stepResult.status === 'fail' || stepResult.status === 'blocked');
+        
+        return `
+            <div class="step-summary">
+                Steps: ${summary}${result.statusOverridden ? ' <span title="Overall status was set manually">(status overridden)</span>' : ''}
+                ${problems.map(stepResult => `
+                    <div class="step-summary-problem step-${stepResult.status}">
+                        Step ${stepResult.number} ${stepResult.status}${stepResult.comment ? `: ${stepResult.comment}` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    // Checklist of the acceptance criteria, checked where a criterion was met
+    renderCriteriaResults(criteria, criteriaResults) {
+        document.getElementById('criteriaResultsGroup').style.display = criteria.length > 0 ? '' : 'none';
+        document.getElementById('criteriaResultsList').innerHTML = criteria.map((criterion, index) => `
+            <label class="criteria-item">
+                <input type="checkbox" ${criteriaResults[index] && criteriaResults[index].met ? 'checked' : ''}>
+                <span>${criterion}</span>
+            </label>
+        `).join('');
+    }
+    
+    // Read the criteria checklist of the modal
+    getCriteriaResultsFromForm() {
+        return [...document.querySelectorAll('#criteriaResultsList input[type="checkbox"]')].map(input => ({
+            met: input.checked
+        }));
+    }
+    
+    // Met/total criteria and the unmet criteria of a result, or null when it has no checklist
+    getCriteriaCoverage(result) {
+        if (!result.criteriaResults || result.criteriaResults.length === 0) {
+            return null;
+        }
+        return {
+            met: result.criteriaResults.filter(criteriaResult => criteriaResult.met).length,
+            total: result.criteriaResults.length,
+            unmet: result.criteriaResults.filter(criteriaResult => !criteriaResult.met).map(criteriaResult => criteriaResult.criterion)
+        };
+    }
+    
+    // Criteria coverage for the result list on a card, naming the criteria that were not met
+    renderCriteriaSummary(result) {
+        const coverage = this.getCriteriaCoverage(result);
+        if (!coverage) {
+            return '';
+        }
+        
+        return `
+            <div class="step-summary">
+                Criteria: ${coverage.met}/${coverage.total} met
+                ${coverage.unmet.map(criterion => `<div class="step-summary-problem step-fail">✗ ${criterion}</div>`).join('')}
+            </div>
+        `;
+    }
+    
+    // Thumbnails for image attachments and links for other files, for the result list on a card
+    renderAttachmentThumbnails(result) {
+        if (!result.attachments || result.attachments.length === 0) {
+            return '';
+        }
+        
+        return `
+            <div class="attachment-thumbnails">
+                ${result.attachments.map(attachment => this.renderAttachmentLink(attachment)).join('')}
+            </div>
+        `;
+    }
+    
+    // A single attachment - images as a thumbnail, anything else as its file name
+    renderAttachmentLink(attachment) {
+        const url = this.api.getAttachmentUrl(attachment.id);
+        const name = escapeHtml(attachment.filename);
+        if (attachment.mime_type.startsWith('image/')) {
+            return `<a href="${url}" target="_blank" rel="noopener" title="${name}"><img class="attachment-thumbnail" src="${url}" alt="${name}" loading="lazy"></a>`;
+        }
+        return `<a class="attachment-file" href="${url}" target="_blank" rel="noopener" title="${name}">📎 ${name}</a>`;
+    }
+    
+    // Files already attached to the result being edited, each with a remove button
+    renderAttachmentList(attachments) {
+        document.getElementById('existingAttachments').innerHTML = attachments.map(attachment => `
+            <div class="attachment-item">
+                ${this.renderAttachmentLink(attachment)}
+                <span class="attachment-size">${this.formatFileSize(attachment.size)}</span>
+                <button type="button" class="btn btn-danger btn-sm" onclick="app.testManager.deleteAttachment(${attachment.id})" title="Remove attachment">🗑️</button>
+            </div>
+        `).join('');
+    }
+    
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    
+    // Upload the files chosen in the modal. The result is already saved, so a rejected file
+    // is reported without failing the save.
+    async uploadAttachments(result, files = [...document.getElementById('attachmentFiles').files]) {
+        const failures = [];
+        for (const file of files) {
+            try {
+                result.attachments.push(await this.api.uploadAttachment(result.id, file));
+            } catch (error) {
+                failures.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (failures.length > 0) {
+            alert(`The result was saved, but some files could not be attached:\n\n${failures.join('\n')}`);
+        }
+    }
+    
+    // Remove an attachment from the result being edited
+    async deleteAttachment(attachmentId) {
+        const test = this.testCases.find(t => t.id === this.currentTestId);
+        const result = test && test.userResults.find(r => r.id === this.currentEditingResultId);
+        const attachment = result && result.attachments.find(a => a.id === attachmentId);
+        if (!attachment || !confirm(`Remove attachment "${attachment.filename}"?`)) {
+            return;
+        }
+        
+        try {
+            await this.api.deleteAttachment(attachmentId);
+            result.attachments = result.attachments.filter(a => a.id !== attachmentId);
+            this.renderAttachmentList(result.attachments);
+            this.renderTests();
+        } catch (error) {
+            alert(`Failed to remove attachment: ${error.message}`);
+        }
+    }
+    
     // Toggle bug report section
     toggleBugReport() {
         const status = document.getElementById('testStatus').value;
         const bugSection = document.getElementById('bugReportSection');
-        bugSection.style.display = status === 'fail' ? 'block' : 'none';
+        bugSection.style.display = status === 'fail' || status === 'blocked' ? 'block' : 'none';
+    }
+    
+    // Clear the new-defect fields, list the defects already linked and offer the active ones to link
+    resetDefectForm(linkedDefects) {
+        document.getElementById('defectTitle').value = '';
+        document.getElementById('bugSeverity').value = 'critical';
+        document.getElementById('bugDescription').value = '';
+        document.getElementById('stepsToReproduce').value = '';
+        document.getElementById('expectedResult').value = '';
+        document.getElementById('actualResult').value = '';
+        this.renderLinkedDefects(linkedDefects);
+        this.renderDefectOptions(linkedDefects);
+    }
+    
+    renderLinkedDefects(linkedDefects) {
+        document.getElementById('linkedDefects').innerHTML = linkedDefects.map(defect => `
+            <div class="linked-defect">
+                ${this.app.defectManager.renderDefectChip(defect)}
+                <button type="button" class="btn btn-outline btn-sm" onclick="app.testManager.unlinkDefect(${defect.id})" title="Unlink defect">✕</button>
+            </div>
+        `).join('');
+    }
+    
+    // Active defects that are not linked yet, loaded when the modal opens
+    async renderDefectOptions(linkedDefects) {
+        const select = document.getElementById('linkDefectSelect');
+        select.innerHTML = '<option value="">- None -</option>';
+        try {
+            const defects = await this.app.defectManager.loadActiveDefects();
+            const linkedIds = linkedDefects.map(defect => defect.id);
+            select.innerHTML += defects
+                .filter(defect => !linkedIds.includes(defect.id))
+                .map(defect => `<option value="${defect.id}">#${defect.id} ${escapeHtml(defect.title)} (${defect.severity})</option>`)
+                .join('');
+        } catch (error) {
+            console.error('❌ Failed to load defects:', error);
+        }
+    }
+    
+    // The defect section of the result form: an existing defect to link and/or a new one to report
+    getDefectInputFromForm() {
+        const description = document.getElementById('bugDescription').value.trim();
+        const title = document.getElementById('defectTitle').value.trim() || description.split('\n')[0].substring(0, 120);
+        return {
+            linkDefectId: document.getElementById('linkDefectSelect').value,
+            newDefect: title ? {
+                title: title,
+                severity: document.getElementById('bugSeverity').value,
+                description: description,
+                stepsToReproduce: document.getElementById('stepsToReproduce').value,
+                expectedResult: document.getElementById('expectedResult').value,
+                actualResult: document.getElementById('actualResult').value
+            } : null
+        };
+    }
+    
+    // Link the chosen existing defect and/or report the new one. The result is already saved,
+    // so a failure is reported without failing the save.
+    async saveResultDefects(result, defectInput = this.getDefectInputFromForm()) {
+        try {
+            await this.recordResultDefects(result, defectInput);
+        } catch (error) {
+            alert(`The result was saved, but the defect could not be recorded:\n\n${error.message}`);
+        }
+    }
+    
+    // Link the chosen defect and report the new one - throws when the server does not take them
+    async recordResultDefects(result, { linkDefectId, newDefect }) {
+        if (linkDefectId) {
+            const defect = await this.api.linkDefect(linkDefectId, result.id);
+            result.defects.push({ id: defect.id, title: defect.title, severity: defect.severity, status: defect.status });
+        }
+        if (newDefect) {
+            const defect = await this.api.createDefect({ ...newDefect, resultIds: [result.id] });
+            result.defects.push({ id: defect.id, title: defect.title, severity: defect.severity, status: defect.status });
+        }
+    }
+    
+    // Unlink a defect from the result being edited
+    async unlinkDefect(defectId) {
+        const test = this.testCases.find(t => t.id === this.currentTestId);
+        const result = test && test.userResults.find(r => r.id === this.currentEditingResultId);
+        if (!result) {
+            return;
+        }
+        
+        try {
+            await this.api.unlinkDefect(defectId, result.id);
+            result.defects = result.defects.filter(defect => defect.id !== defectId);
+            this.renderLinkedDefects(result.defects);
+            this.renderDefectOptions(result.defects);
+            this.renderTests();
+        } catch (error) {
+            alert(`Failed to unlink defect: ${error.message}`);
+        }
     }
     
     // Edit test result
@@ -390,7 +936,7 @@ class TestManager {
             this.currentEditingResultId = resultId;
             
             // Populate the modal with existing data
-            this.populateEditModal(result);
+            this.populateEditModal(result, test);
             
             // Show the modal
             this.modalManager.show('testModal');
@@ -430,9 +976,14 @@ class TestManager {
             
             console.log('📊 Found result to delete:', resultToDelete);
             
-            // Delete from database
-            const deleteResponse = await this.api.deleteTestResult(resultId);
-            console.log('📊 Delete response:', deleteResponse);
+            // Delete from database - results that were never synced only exist in the offline queue
+            if (!this.app.offlineManager.isLocalId(resultToDelete.id)) {
+                const deleteResponse = await this.api.deleteTestResult(resultId);
+                console.log('📊 Delete response:', deleteResponse);
+            }
+            if (resultToDelete.pending) {
+                await this.app.offlineManager.removeQueued(resultToDelete.id);
+            }
             
             // Remove from local data
             const resultIndex = test.userResults.findIndex(r => r.id == resultId);
@@ -460,7 +1011,11 @@ class TestManager {
     }
     
     // Populate edit modal with existing data
-    populateEditModal(result) {
+    populateEditModal(result, test) {
+        // The version the form shows - the base a save is merged against, even if live updates
+        // replace the result in the list meanwhile
+        this.editingResult = result;
+        
         // Update modal title
         document.getElementById('modalTitle').textContent = 'Edit Test Result';
         
@@ -471,22 +1026,24 @@ class TestManager {
         document.getElementById('testNotes').value = result.notes || '';
         document.getElementById('environment').value = result.environment || '';
         
-        // Populate bug report fields if they exist
-        if (result.bugReport) {
-            document.getElementById('bugSeverity').value = result.bugReport.severity || '';
-            document.getElementById('bugDescription').value = result.bugReport.description || '';
-            document.getElementById('stepsToReproduce').value = result.bugReport.stepsToReproduce || '';
-            document.getElementById('expectedResult').value = result.bugReport.expectedResult || '';
-            document.getElementById('actualResult').value = result.bugReport.actualResult || '';
-        }
+        this.resetDefectForm(result.defects);
         
-        // Show/hide bug report section based on status
-        const bugReportSection = document.getElementById('bugReportSection');
-        if (result.status === 'fail') {
-            bugReportSection.style.display = 'block';
-        } else {
-            bugReportSection.style.display = 'none';
-        }
+        // Steps come from the result itself; older results without step results can only be
+        // filled in against the steps of the revision they were recorded for
+        const steps = result.stepResults.length > 0
+            ? result.stepResults.map(stepResult => stepResult.step)
+            : (!result.revision || result.revision === test.revision ? test.testSteps : []);
+        this.renderStepResults(steps, result.stepResults);
+        const criteria = result.criteriaResults.length > 0
+            ? result.criteriaResults.map(criteriaResult => criteriaResult.criterion)
+            : (!result.revision || result.revision === test.revision ? test.acceptanceCriteria : []);
+        this.renderCriteriaResults(criteria, result.criteriaResults);
+        this.renderAttachmentList(result.attachments);
+        document.getElementById('attachmentFiles').value = '';
+        document.getElementById('statusOverride').checked = result.statusOverridden;
+        
+        // Applies the derived status and shows/hides the defects section
+        this.updateDerivedStatus();
     }
     
     // Save test result
@@ -499,94 +1056,69 @@ class TestManager {
             return;
         }
         
-        const testerName = document.getElementById('testerName').value;
         const status = document.getElementById('testStatus').value;
+        const stepResults = this.getStepResultsFromForm();
+        const hasDerivedStatus = !!this.deriveStatusFromSteps(stepResults);
         
-        if (!testerName || !status) {
+        if (!status) {
             alert('Please fill in all required fields');
             return;
         }
         
         try {
-            // Find the user ID from the user name
-            const user = this.app.userManager.testUsers.find(u => u.name === testerName);
-            if (!user) {
-                alert('User not found. Please select a valid user.');
-                return;
-            }
-            
             const newResult = {
-                userId: user.id, // Send user ID instead of name
                 status: status,
                 testDate: document.getElementById('testDate').value,
                 notes: document.getElementById('testNotes').value,
-                environment: document.getElementById('environment').value
+                environment: document.getElementById('environment').value,
+                stepResults: stepResults,
+                statusOverride: hasDerivedStatus && document.getElementById('statusOverride').checked
             };
             
-            if (status === 'fail') {
-                newResult.bugSeverity = document.getElementById('bugSeverity').value;
-                newResult.bugDescription = document.getElementById('bugDescription').value;
-                newResult.stepsToReproduce = document.getElementById('stepsToReproduce').value;
-                newResult.expectedResult = document.getElementById('expectedResult').value;
-                newResult.actualResult = document.getElementById('actualResult').value;
-            } else {
-                // Ensure bug fields are null for non-fail statuses
-                newResult.bugSeverity = null;
-                newResult.bugDescription = null;
-                newResult.stepsToReproduce = null;
-                newResult.expectedResult = null;
-                newResult.actualResult = null;
+            // Older results without a checklist only get one when the tester ticks something,
+            // so an untouched edit does not turn "not recorded" into "nothing met"
+            const criteriaResults = this.getCriteriaResultsFromForm();
+            const existingResult = this.currentEditingResultId ? this.editingResult : null;
+            if (!existingResult || existingResult.criteriaResults.length > 0 || criteriaResults.some(c => c.met)) {
+                newResult.criteriaResults = criteriaResults;
             }
             
             console.log('💾 Saving test result:', {
                 testId: test.id,
-                userId: user.id,
-                testerName: testerName,
                 status: status,
                 isEditing: !!this.currentEditingResultId
             });
             
-            // Check if we're editing an existing result
-            if (this.currentEditingResultId) {
-                // Update existing result
-                await this.api.updateTestResult(this.currentEditingResultId, newResult);
-                
-                // Update local data, transform back to frontend format
-                const existingResultIndex = test.userResults.findIndex(result => result.id === this.currentEditingResultId);
-                if (existingResultIndex >= 0) {
-                    test.userResults[existingResultIndex] = { 
-                        ...newResult, 
-                        id: this.currentEditingResultId,
-                        date: newResult.testDate, // Use 'date' for frontend display
-                        bugReport: status === 'fail' && newResult.bugSeverity ? {
-                            severity: newResult.bugSeverity,
-                            description: newResult.bugDescription,
-                            stepsToReproduce: newResult.stepsToReproduce,
-                            expectedResult: newResult.expectedResult,
-                            actualResult: newResult.actualResult
-                        } : null
-                    };
-                }
-                
-                // Clear editing state
-                this.currentEditingResultId = null;
+            let savedResult;
+            if (existingResult && existingResult.pending) {
+                // Not on the server yet - the queued save is changed instead
+                savedResult = await this.saveResultOffline(test, existingResult, newResult);
             } else {
-                // Create new result
-                const createdResult = await this.api.createTestResult(test.id, newResult);
-                
-                // Add to local data with the ID from the server, transform back to frontend format
-                test.userResults.push({ 
-                    ...newResult, 
-                    id: createdResult.id,
-                    date: newResult.testDate, // Use 'date' for frontend display
-                    bugReport: status === 'fail' && newResult.bugSeverity ? {
-                        severity: newResult.bugSeverity,
-                        description: newResult.bugDescription,
-                        stepsToReproduce: newResult.stepsToReproduce,
-                        expectedResult: newResult.expectedResult,
-                        actualResult: newResult.actualResult
-                    } : null
-                });
+                // A new result keeps its key in the queue, in case the server saved it without answering
+                const idempotencyKey = existingResult ? null : this.app.offlineManager.newIdempotencyKey();
+                try {
+                    savedResult = await this.saveResultOnline(test, existingResult, newResult, idempotencyKey);
+                } catch (error) {
+                    if (!error.offline) {
+                        throw error;
+                    }
+                    // The server cannot be reached - the result waits in the offline queue
+                    savedResult = await this.saveResultOffline(test, existingResult, newResult, idempotencyKey);
+                }
+                if (savedResult === null) {
+                    return; // Their version was reloaded into the form instead
+                }
+            }
+            
+            // Clear editing state
+            this.currentEditingResultId = null;
+            
+            // Files and defects can only be attached once the result exists
+            if (savedResult && !savedResult.pending) {
+                await this.uploadAttachments(savedResult);
+                if (status === 'fail' || status === 'blocked') {
+                    await this.saveResultDefects(savedResult);
+                }
             }
             
             // Recalculate consolidated status
@@ -605,23 +1137,98 @@ class TestManager {
         }
     }
     
+    // Save a new or edited result on the server and in the local data. Returns the saved result,
+    // or null when an edit clashed with someone else's and their version was reloaded instead.
+    async saveResultOnline(test, existingResult, newResult, idempotencyKey = null) {
+        if (existingResult) {
+            // Update existing result, merging with anyone else's save since it was loaded
+            const updatedResult = await this.updateResultWithMerge(test, existingResult, newResult);
+            if (!updatedResult) {
+                return null;
+            }
+            
+            // Update local data with what was saved, transform back to frontend format
+            const existingResultIndex = test.userResults.findIndex(result => result.id === existingResult.id);
+            if (existingResultIndex < 0) {
+                return undefined; // No longer in the list, e.g. after switching runs
+            }
+            test.userResults[existingResultIndex] = this.withSavedFields(test.userResults[existingResultIndex], updatedResult);
+            return test.userResults[existingResultIndex];
+        }
+        
+        // Create new result against the revision the tester was shown
+        const createdResult = await this.api.createTestResult(test.id, {
+            ...newResult,
+            revisionId: test.revisionId,
+            runId: this.app.runManager.currentRunId
+        }, idempotencyKey);
+        
+        // Add to local data with the ID from the server, transform back to frontend format
+        const savedResult = this.withSavedFields({
+            id: createdResult.id,
+            userId: createdResult.userId, // Author assigned by the server from the session
+            revision: test.revision,
+            runId: createdResult.runId,
+            runName: this.app.runManager.currentRun.name,
+            attachments: [],
+            defects: []
+        }, createdResult);
+        
+        // A live update may have added the result before the response arrived
+        const liveIndex = test.userResults.findIndex(result => result.id === savedResult.id);
+        if (liveIndex >= 0) {
+            test.userResults[liveIndex] = savedResult;
+        } else {
+            test.userResults.push(savedResult);
+        }
+        return savedResult;
+    }
+    
+    // A local result with the fields the server saved (as the create and update endpoints return them)
+    withSavedFields(result, saved) {
+        const updated = {
+            ...result, // Keeps author, run, revision, attachments and defects
+            status: saved.status,
+            date: saved.testDate, // Use 'date' for frontend display
+            notes: saved.notes,
+            environment: saved.environment,
+            stepResults: saved.stepResults, // Normalized by the server, with the step text
+            statusOverridden: saved.statusOverride,
+            criteriaResults: saved.criteriaResults,
+            version: saved.version
+        };
+        delete updated.pending;
+        return updated;
+    }
+    
+    // Keep a new or edited result in the offline queue, with the files and defect of the form,
+    // and show it as waiting to sync
+    async saveResultOffline(test, existingResult, newResult, idempotencyKey = null) {
+        const status = newResult.status;
+        return this.app.offlineManager.queueResult(test, existingResult, newResult, {
+            files: [...document.getElementById('attachmentFiles').files],
+            defectInput: status === 'fail' || status === 'blocked' ? this.getDefectInputFromForm() : null,
+            idempotencyKey: idempotencyKey
+        });
+    }
+    
     // View conflicts for tests that need review
     viewConflicts(testId) {
         const test = this.testCases.find(t => t.id === testId);
         if (test && test.userResults.length > 1) {
             const conflicts = test.userResults.map(result => 
-                `${this.getUserNameById(result.userId)}: ${result.status.toUpperCase()} (${result.date})\n${result.notes ? `Notes: ${result.notes}\n` : ''}${result.bugReport ? `Bug: ${result.bugReport.description}\n` : ''}`
+                `${this.getUserNameById(result.userId)}: ${result.status.toUpperCase()} (${result.date})\n${result.notes ? `Notes: ${result.notes}\n` : ''}${result.defects.map(defect => `Defect #${defect.id}: ${defect.title} (${defect.status})\n`).join('')}`
             ).join('\n---\n');
             
             alert(`Conflicting Results for ${testId}:\n\n${conflicts}`);
         }
     }
     
-    // Update tester dropdown in modal
-    updateTesterDropdown() {
-        // Delegate to UserManager since it has direct access to testUsers
+    // Update tester field in modal
+    updateTesterField() {
+        // Delegate to UserManager since it knows the logged-in user
         if (window.app && window.app.userManager) {
-            window.app.userManager.updateTesterDropdown();
+            window.app.userManager.updateTesterField();
         }
     }
     
@@ -630,20 +1237,6 @@ class TestManager {
         this.renderTests();
     }
     
-    // Reset all tests
-    resetAllTests() {
-        if (confirm('Are you sure you want to reset all test results? This action cannot be undone.')) {
-            this.testCases.forEach(test => {
-                test.userResults = [];
-                test.consolidatedStatus = 'pending';
-            });
-            this.renderTests();
-            if (window.app) {
-                window.app.updateStats();
-            }
-        }
-    }
-    
     // Export results
     exportResults() {
         const completedTests = this.testCases.filter(t => t.consolidatedStatus !== 'pending');
@@ -656,11 +1249,12 @@ class TestManager {
             'Estimated Time': test.estimatedTime,
             'Consolidated Status': test.consolidatedStatus,
             'User Results Count': test.userResults.length,
-            'User Results': test.userResults.map(result => 
-                `${this.getUserNameById(result.userId)}: ${result.status} (${result.date})`
-            ).join('; '),
-            'Latest Bug Report': test.userResults.find(r => r.bugReport)?.bugReport?.description || '',
-            'Latest Bug Severity': test.userResults.find(r => r.bugReport)?.bugReport?.severity || ''
+            'User Results': test.userResults.map(result => {
+                const coverage = this.getCriteriaCoverage(result);
+                return `${this.getUserNameById(result.userId)}: ${result.status} (${result.date})${coverage ? ` [criteria ${coverage.met}/${coverage.total}]` : ''}`;
+            }).join('; '),
+            'Defects': [...new Map(test.userResults.flatMap(result => result.defects).map(defect => [defect.id, defect])).values()]
+                .map(defect => `#${defect.id} ${defect.title} (${defect.severity}, ${defect.status})`).join('; ')
         }));
         
         const csv = this.convertToCSV(exportData);
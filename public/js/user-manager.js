@@ -5,7 +5,20 @@ class UserManager {
         this.modalManager = modalManager;
         this.app = app;
         this.testUsers = [];
-        this.currentUser = null;
+        this.currentUser = null; // Name of the logged-in user
+        this.currentUserId = null;
+        this.apiTokens = [];
+    }
+    
+    // Set the logged-in user reported by the server session
+    setSessionUser(user) {
+        this.currentUser = user ? user.name : null;
+        this.currentUserId = user ? user.id : null;
+        
+        const label = document.getElementById('currentUserLabel');
+        if (label) {
+            label.textContent = user ? `Logged in as ${user.name}` : '';
+        }
     }
     
     // Load users from API
@@ -18,6 +31,7 @@ class UserManager {
             this.testUsers = users.map(user => ({
                 id: user.id,
                 name: user.name,
+                role: user.role,
                 createdDate: user.created_at
             }));
             console.log('✅ Users loaded:', this.testUsers.length, this.testUsers);
@@ -27,35 +41,38 @@ class UserManager {
         }
     }
     
-    // Create a new test user
+    // Create a new tester account
     async createUser() {
         const userNameInput = document.getElementById('newUserName');
-        if (!userNameInput) return;
+        const passwordInput = document.getElementById('newUserPassword');
+        const roleSelect = document.getElementById('newUserRole');
+        if (!userNameInput || !passwordInput) return;
         
         const userName = userNameInput.value.trim();
+        const password = passwordInput.value;
+        const role = roleSelect ? roleSelect.value : 'tester';
         
-        if (!userName) {
-            alert('Please enter a name for the test user.');
+        if (!userName || !password) {
+            alert('Please enter a name and an initial password for the tester account.');
             return;
         }
         
         try {
-            const newUser = await this.api.createUser(userName);
+            const newUser = await this.api.createUser(userName, password, role);
             
             // Add to local array for immediate UI update
             this.testUsers.push({
                 id: newUser.id,
                 name: newUser.name,
+                role: newUser.role,
                 createdDate: new Date().toISOString()
             });
             
-            this.currentUser = userName;
-            
             userNameInput.value = '';
-            this.updateTesterDropdown();
+            passwordInput.value = '';
             this.renderUserTiles();
             
-            alert(`Welcome, ${userName}! You are now logged in as a test user.`);
+            alert(`Tester account "${userName}" created. They can now log in with the initial password.`);
         } catch (error) {
             if (error.message.includes('already exists')) {
                 alert('A user with this name already exists.');
@@ -65,10 +82,113 @@ class UserManager {
         }
     }
     
-    // Select a user
-    selectUser(userName) {
-        this.currentUser = userName;
-        this.updateTesterDropdown();
+    // Change the logged-in user's password
+    async changePassword() {
+        const currentPasswordInput = document.getElementById('currentPassword');
+        const newPasswordInput = document.getElementById('newPassword');
+        
+        if (!currentPasswordInput.value || !newPasswordInput.value) {
+            alert('Please enter your current and new password.');
+            return;
+        }
+        
+        try {
+            await this.api.changePassword(currentPasswordInput.value, newPasswordInput.value);
+            currentPasswordInput.value = '';
+            newPasswordInput.value = '';
+            alert('Your password has been updated.');
+        } catch (error) {
+            alert(`Failed to change password: ${error.message}`);
+        }
+    }
+    
+    // Load the logged-in user's API tokens and render the token section
+    async loadApiTokens() {
+        try {
+            this.apiTokens = await this.api.getApiTokens();
+        } catch (error) {
+            console.error('❌ Failed to load API tokens:', error);
+            this.apiTokens = [];
+        }
+        this.renderApiTokens();
+    }
+    
+    // Render scope checkboxes and the token list
+    renderApiTokens() {
+        const scopesContainer = document.getElementById('newTokenScopes');
+        const listContainer = document.getElementById('apiTokenList');
+        if (!scopesContainer || !listContainer) return;
+        
+        // Tokens can only be scoped to permissions the user's role already has
+        scopesContainer.innerHTML = this.app.permissions.map(permission => `
+            <label class="token-scope">
+                <input type="checkbox" value="${permission}" ${permission.endsWith(':read') ? 'checked' : ''}> ${permission}
+            </label>
+        `).join('');
+        
+        const tokens = this.apiTokens || [];
+        if (tokens.length === 0) {
+            listContainer.innerHTML = '<p style="color: #6c757d; font-style: italic;">No API tokens created yet</p>';
+            return;
+        }
+        
+        listContainer.innerHTML = tokens.map(token => `
+            <div class="api-token-item ${token.revoked_at ? 'revoked' : ''}">
+                <div>
+                    <strong>${token.name}</strong> <code>${token.token_prefix}…</code><br>
+                    <small>${token.scopes.join(', ')}</small><br>
+                    <small>Created ${token.created_at} · ${token.last_used_at ? `Last used ${token.last_used_at}` : 'Never used'}${token.revoked_at ? ` · Revoked ${token.revoked_at}` : ''}</small>
+                </div>
+                ${token.revoked_at ? '' : `<button class="btn btn-danger btn-sm" onclick="app.userManager.revokeApiToken(${token.id})">Revoke</button>`}
+            </div>
+        `).join('');
+    }
+    
+    // Create an API token and show it once
+    async createApiToken() {
+        const nameInput = document.getElementById('newTokenName');
+        const scopes = [...document.querySelectorAll('#newTokenScopes input:checked')].map(input => input.value);
+        
+        if (!nameInput.value.trim() || scopes.length === 0) {
+            alert('Please enter a token name and select at least one scope.');
+            return;
+        }
+        
+        try {
+            const response = await this.api.createApiToken(nameInput.value.trim(), scopes);
+            nameInput.value = '';
+            prompt('Copy your API token now - it will not be shown again:', response.token);
+            await this.loadApiTokens();
+        } catch (error) {
+            alert(`Failed to create API token: ${error.message}`);
+        }
+    }
+    
+    // Revoke an API token
+    async revokeApiToken(tokenId) {
+        if (!confirm('Revoke this API token? Scripts using it will stop working immediately.')) {
+            return;
+        }
+        
+        try {
+            await this.api.revokeApiToken(tokenId);
+            await this.loadApiTokens();
+        } catch (error) {
+            alert(`Failed to revoke API token: ${error.message}`);
+        }
+    }
+    
+    // Change another user's role (admins only)
+    async changeUserRole(userId, role) {
+        const user = this.testUsers.find(u => u.id === userId);
+        if (!user) return;
+        
+        try {
+            await this.api.patchUser(user.id, { role });
+            user.role = role;
+        } catch (error) {
+            alert(`Failed to change role: ${error.message}`);
+        }
         this.renderUserTiles();
     }
     
@@ -93,7 +213,7 @@ class UserManager {
             
                 // Remove user's test results from all tests
                 app.testManager.testCases.forEach(test => {
-                    test.userResults = test.userResults.filter(result => result.tester !== userName);
+                    test.userResults = test.userResults.filter(result => result.userId !== user.id);
                     test.consolidatedStatus = app.testManager.calculateConsolidatedStatus(test.userResults);
                 });
                 
@@ -102,7 +222,6 @@ class UserManager {
                     this.currentUser = null;
                 }
                 
-                this.updateTesterDropdown();
                 this.renderUserTiles();
                 app.testManager.renderTests();
                 app.updateStats();
@@ -114,19 +233,11 @@ class UserManager {
         }
     }
     
-    // Switch to a different user
-    switchUser() {
-        this.currentUser = null;
-        this.updateTesterDropdown();
-        this.renderUserTiles();
-    }
-    
     // Reset all user data
     resetUserData() {
         if (confirm('Are you sure you want to reset all user data? This will:\n\n• Delete all test users\n• Remove all test results\n• Reset all test statuses to pending\n\nThis action cannot be undone.')) {
             // Clear all user data
             this.testUsers = [];
-            this.currentUser = null;
             
             // Clear all test results
             app.testManager.testCases.forEach(test => {
@@ -135,7 +246,6 @@ class UserManager {
             });
             
             // Update UI
-            this.updateTesterDropdown();
             this.renderUserTiles();
             app.testManager.renderTests();
             app.updateStats();
@@ -146,12 +256,13 @@ class UserManager {
     
     // Get user test statistics
     getUserTestStats(userName) {
+        const user = this.testUsers.find(u => u.name === userName);
         let totalTests = 0;
         let passedTests = 0;
         let failedTests = 0;
         
         app.testManager.testCases.forEach(test => {
-            const userResult = test.userResults.find(result => result.tester === userName);
+            const userResult = user && test.userResults.find(result => result.userId === user.id);
             if (userResult) {
                 totalTests++;
                 if (userResult.status === 'pass') passedTests++;
@@ -172,14 +283,25 @@ class UserManager {
             return;
         }
         
+        const canManage = this.app.can('users:manage');
+        const roleNames = { admin: 'Admin', author: 'Test Author', tester: 'Tester', viewer: 'Viewer' };
+        
         const tilesHtml = this.testUsers.map(user => {
             const stats = this.getUserTestStats(user.name);
             const isSelected = this.currentUser === user.name;
             
+            // Admins can change other users' roles; everyone else just sees the role
+            const roleHtml = canManage && !isSelected
+                ? `<select class="user-role-select" onchange="app.userManager.changeUserRole(${user.id}, this.value)">
+                        ${Object.entries(roleNames).map(([role, label]) => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${label}</option>`).join('')}
+                   </select>`
+                : `<div class="user-role">${roleNames[user.role] || user.role}</div>`;
+            
             return `
-                <div class="user-tile ${isSelected ? 'selected' : ''}" onclick="app.userManager.selectUser('${user.name}')">
-                    <button class="delete-btn" onclick="app.userManager.deleteUser('${user.name}', event)" title="Delete user">×</button>
+                <div class="user-tile ${isSelected ? 'selected' : ''}" title="${isSelected ? 'You are logged in as this user' : ''}">
+                    ${canManage && !isSelected ? `<button class="delete-btn" onclick="app.userManager.deleteUser('${user.name}', event)" title="Delete user">×</button>` : ''}
                     <div class="user-name">${user.name}</div>
+                    ${roleHtml}
                     <div class="user-stats">
                         ${stats.totalTests} tests<br>
                         ${stats.passedTests} passed, ${stats.failedTests} failed
@@ -191,45 +313,15 @@ class UserManager {
         userTilesContainer.innerHTML = tilesHtml;
     }
     
-    // Update tester dropdown in modal
-    updateTesterDropdown() {
-        const testerSelect = document.getElementById('testerName');
-        if (!testerSelect) {
-            console.log('❌ Tester select element not found');
+    // Show the logged-in user as the tester in the result modal
+    updateTesterField() {
+        const testerInput = document.getElementById('testerName');
+        if (!testerInput) {
+            console.log('❌ Tester field not found');
             return;
         }
         
-        console.log('🔄 Updating tester dropdown with', this.testUsers.length, 'users');
-        console.log('Users:', this.testUsers);
-        
-        testerSelect.innerHTML = '<option value="">Select a test user...</option>';
-        
-        // If no users loaded, try to refresh from API
-        if (this.testUsers.length === 0) {
-            console.log('⚠️ No users loaded, attempting to refresh from API...');
-            this.loadUsers().then(() => {
-                this.populateDropdownOptions(testerSelect);
-            }).catch(error => {
-                console.error('❌ Failed to refresh users:', error);
-            });
-        } else {
-            this.populateDropdownOptions(testerSelect);
-        }
-    }
-    
-    // Helper method to populate dropdown options
-    populateDropdownOptions(testerSelect) {
-        this.testUsers.forEach(user => {
-            const option = document.createElement('option');
-            option.value = user.name;
-            option.textContent = user.name;
-            if (user.name === this.currentUser) {
-                option.selected = true;
-            }
-            testerSelect.appendChild(option);
-        });
-        
-        console.log('✅ Tester dropdown updated with', this.testUsers.length, 'options');
+        testerInput.value = this.currentUser || '';
     }
     
     // Refresh user list from API (useful for debugging)
@@ -237,7 +329,6 @@ class UserManager {
         try {
             console.log('🔄 Refreshing user list from API...');
             await this.loadUsers();
-            this.updateTesterDropdown();
             this.renderUserTiles();
             console.log('✅ User list refreshed successfully');
         } catch (error) {
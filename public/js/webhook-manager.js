@@ -0,0 +1,225 @@
+// Webhook Manager - handles the admin Webhooks section in Settings and the delivery log
+class WebhookManager {
+    constructor(apiClient, modalManager, app) {
+        this.api = apiClient;
+        this.modalManager = modalManager;
+        this.app = app;
+        this.webhooks = [];
+        this.availableEvents = [];
+        this.deliveriesWebhookId = null;
+    }
+
+    // Load webhooks and render the section (admins only)
+    async loadWebhooks() {
+        if (!this.app.can('webhooks:manage')) return;
+
+        try {
+            const response = await this.api.getWebhooks();
+            this.webhooks = response.webhooks;
+            this.availableEvents = response.availableEvents;
+        } catch (error) {
+            console.error('❌ Failed to load webhooks:', error);
+            this.webhooks = [];
+        }
+        this.renderWebhooks();
+    }
+
+    // Render event checkboxes for new webhooks and the webhook list
+    renderWebhooks() {
+        const eventsContainer = document.getElementById('newWebhookEvents');
+        const listContainer = document.getElementById('webhookList');
+        if (!eventsContainer || !listContainer) return;
+
+        if (!eventsContainer.children.length) {
+            eventsContainer.innerHTML = this.availableEvents.map(event => `
+                <label class="token-scope">
+                    <input type="checkbox" value="${event}" ${event.startsWith('result.') ? 'checked' : ''}> ${event}
+                </label>
+            `).join('');
+        }
+
+        if (this.webhooks.length === 0) {
+            listContainer.innerHTML = '<p style="color: #6c757d; font-style: italic;">No webhooks configured yet</p>';
+            return;
+        }
+
+        listContainer.innerHTML = this.webhooks.map(webhook => `
+            <div class="api-token-item webhook-item ${webhook.active ? '' : 'revoked'}">
+                <div>
+                    <strong>${escapeHtml(webhook.name)}</strong> <code>${escapeHtml(webhook.url)}</code>
+                    ${webhook.active ? '' : '<span class="webhook-disabled">Disabled</span>'}<br>
+                    <small>${webhook.events.join(', ')}</small><br>
+                    <small>${webhook.last_delivery_status
+                        ? `Last delivery <span class="webhook-delivery-status delivery-${webhook.last_delivery_status}">${webhook.last_delivery_status}</span> ${webhook.last_delivery_at}`
+                        : 'No deliveries yet'}</small>
+                </div>
+                <div class="webhook-actions">
+                    <button class="btn btn-outline btn-sm" onclick="app.webhookManager.sendTest(${webhook.id})" title="Send a ping event">Send Test</button>
+                    <button class="btn btn-outline btn-sm" onclick="app.webhookManager.showDeliveries(${webhook.id})">Deliveries</button>
+                    <button class="btn btn-outline btn-sm" onclick="app.webhookManager.toggleActive(${webhook.id})">${webhook.active ? 'Disable' : 'Enable'}</button>
+                    <button class="btn btn-outline btn-sm" onclick="app.webhookManager.rotateSecret(${webhook.id})">Rotate Secret</button>
+                    <button class="btn btn-danger btn-sm" onclick="app.webhookManager.deleteWebhook(${webhook.id})">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Create a webhook and show its secret once
+    async createWebhook() {
+        const nameInput = document.getElementById('newWebhookName');
+        const urlInput = document.getElementById('newWebhookUrl');
+        const events = [...document.querySelectorAll('#newWebhookEvents input:checked')].map(input => input.value);
+
+        if (!nameInput.value.trim() || !urlInput.value.trim() || events.length === 0) {
+            alert('Please enter a name and URL and select at least one event.');
+            return;
+        }
+
+        try {
+            const response = await this.api.createWebhook({
+                name: nameInput.value.trim(),
+                url: urlInput.value.trim(),
+                events: events
+            });
+            nameInput.value = '';
+            urlInput.value = '';
+            prompt('Copy the signing secret now - it will not be shown again:', response.secret);
+            await this.loadWebhooks();
+        } catch (error) {
+            alert(`Failed to create webhook: ${error.message}`);
+        }
+    }
+
+    async toggleActive(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook) return;
+
+        try {
+            await this.api.updateWebhook(webhookId, { active: !webhook.active });
+            await this.loadWebhooks();
+        } catch (error) {
+            alert(`Failed to update webhook: ${error.message}`);
+        }
+    }
+
+    // Replace a webhook's secret - the receiver must be updated with the new one
+    async rotateSecret(webhookId) {
+        if (!confirm('Rotate the signing secret? Deliveries will fail signature checks until the receiver uses the new secret.')) {
+            return;
+        }
+
+        try {
+            const response = await this.api.updateWebhook(webhookId, { rotateSecret: true });
+            prompt('Copy the new signing secret now - it will not be shown again:', response.secret);
+        } catch (error) {
+            alert(`Failed to rotate secret: ${error.message}`);
+        }
+    }
+
+    async deleteWebhook(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        if (!webhook || !confirm(`Delete webhook "${webhook.name}" and its delivery log?`)) {
+            return;
+        }
+
+        try {
+            await this.api.deleteWebhook(webhookId);
+            await this.loadWebhooks();
+        } catch (error) {
+            alert(`Failed to delete webhook: ${error.message}`);
+        }
+    }
+
+    // Send a ping event and open the delivery log to watch it arrive
+    async sendTest(webhookId) {
+        try {
+            await this.api.testWebhook(webhookId);
+            await this.showDeliveries(webhookId);
+        } catch (error) {
+            alert(`Failed to send test delivery: ${error.message}`);
+        }
+    }
+
+    // Delivery log modal
+    async showDeliveries(webhookId) {
+        const webhook = this.webhooks.find(w => w.id === webhookId);
+        this.deliveriesWebhookId = webhookId;
+        document.getElementById('webhookDeliveriesTitle').textContent = `Deliveries - ${webhook ? webhook.name : `Webhook #${webhookId}`}`;
+        this.modalManager.show('webhookDeliveriesModal');
+        await this.loadDeliveries();
+    }
+
+    closeDeliveries() {
+        this.modalManager.hide('webhookDeliveriesModal');
+        this.deliveriesWebhookId = null;
+        this.loadWebhooks();
+    }
+
+    async loadDeliveries() {
+        const container = document.getElementById('webhookDeliveriesList');
+        try {
+            const deliveries = await this.api.getWebhookDeliveries(this.deliveriesWebhookId);
+            this.renderDeliveries(deliveries);
+        } catch (error) {
+            container.innerHTML = `<p style="color: #dc3545;">Failed to load deliveries: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderDeliveries(deliveries) {
+        const container = document.getElementById('webhookDeliveriesList');
+        if (deliveries.length === 0) {
+            container.innerHTML = '<p style="color: #6c757d; font-style: italic;">No deliveries yet</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="webhook-deliveries-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Event</th>
+                        <th>Status</th>
+                        <th>Attempts</th>
+                        <th>Response</th>
+                        <th>Created</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${deliveries.map(delivery => `
+                        <tr>
+                            <td>${delivery.id}</td>
+                            <td><code>${delivery.event}</code></td>
+                            <td>
+                                <span class="webhook-delivery-status delivery-${delivery.status}">${delivery.status}</span>
+                                ${delivery.status === 'pending' && delivery.next_attempt_at ? `<br><small>Next attempt ${delivery.next_attempt_at}</small>` : ''}
+                            </td>
+                            <td>${delivery.attempts}</td>
+                            <td>
+                                ${delivery.response_status ? `HTTP ${delivery.response_status}` : ''}
+                                ${delivery.error ? `<br><small>${escapeHtml(delivery.error)}</small>` : ''}
+                            </td>
+                            <td><small>${delivery.created_at}</small></td>
+                            <td>
+                                <details>
+                                    <summary>Payload</summary>
+                                    <pre class="webhook-payload">${escapeHtml(JSON.stringify(JSON.parse(delivery.payload), null, 2))}</pre>
+                                </details>
+                                ${delivery.status === 'pending' ? '' : `<button class="btn btn-outline btn-sm" onclick="app.webhookManager.redeliver(${delivery.id})">Redeliver</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async redeliver(deliveryId) {
+        try {
+            await this.api.redeliverWebhook(deliveryId);
+            await this.loadDeliveries();
+        } catch (error) {
+            alert(`Failed to redeliver: ${error.message}`);
+        }
+    }
+}
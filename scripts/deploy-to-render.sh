@@ -71,7 +71,7 @@ echo "🔗 Next steps:"
 echo "  1. Push your code to GitHub"
 echo "  2. Connect your GitHub repo to Render"
 echo "  3. Render will automatically detect the render.yaml configuration"
-echo "  4. The app will be deployed with password: GoodbyeVertex2025"
+echo "  4. Render generates APP_PASSWORD - the one-time password of the first login (see the Environment tab)"
 echo ""
 echo "🌐 Your app will be available at: https://your-app-name.onrender.com"
-echo "🔐 Login with password: GoodbyeVertex2025"
\ No newline at end of file
+echo "🔐 Log in as Austin with APP_PASSWORD, then choose your own password"
\ No newline at end of file
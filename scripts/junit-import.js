@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+// Upload a JUnit XML report to the tracker as test results.
+//
+// Usage: node scripts/junit-import.js <report.xml> (--run <id> | --run-name <name>) [options]
+//   --url <url>            Tracker URL (default: $TRACKER_URL or http://localhost:3000)
+//   --token <token>        API token with results:write (default: $TRACKER_TOKEN)
+//   --run <id>             Record the results in this active run
+//   --run-name <name>      Start a new run with the matched tests (token needs runs:manage)
+//   --build <build>        Build of the new run
+//   --environment <env>    Environment of the results (default: the run's environment)
+//   --dry-run              Only show how testcases match tracker tests
+//   --fail-on-unmatched    Exit with code 2 when some testcases match no test
+//
+// The results are recorded for the server's automation account (JUNIT_IMPORT_USER), not the token's owner.
+
+const fs = require('fs-extra');
+
+const getArg = (name, fallback = null) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+async function importReport() {
+    const file = process.argv[2];
+    const url = (getArg('url', process.env.TRACKER_URL || 'http://localhost:3000')).replace(/\/+$/, '');
+    const token = getArg('token', process.env.TRACKER_TOKEN);
+
+    if (!file || file.startsWith('--')) {
+        console.error('Usage: node scripts/junit-import.js <report.xml> (--run <id> | --run-name <name>) [--url <url>] [--token <token>] [--dry-run]');
+        process.exit(1);
+    }
+    if (!token) {
+        console.error('❌ An API token is required - pass --token or set TRACKER_TOKEN');
+        process.exit(1);
+    }
+
+    const params = new URLSearchParams();
+    [['run', 'runId'], ['run-name', 'runName'], ['build', 'build'], ['environment', 'environment']].forEach(([arg, param]) => {
+        const value = getArg(arg);
+        if (value) {
+            params.append(param, value);
+        }
+    });
+    if (process.argv.includes('--dry-run')) {
+        params.append('dryRun', 'true');
+    }
+
+    const xml = await fs.readFile(file, 'utf8');
+    console.log(`📤 Uploading ${file} to ${url}...`);
+    const response = await fetch(`${url}/api/test-results/junit?${params}`, {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/xml'
+        },
+        body: xml
+    });
+
+    const data = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+    if (!response.ok) {
+        console.error(`❌ Import failed: ${data.error}${data.message ? ` - ${data.message}` : ''}`);
+        process.exit(1);
+    }
+
+    console.log(`✅ ${data.message}${data.testRun ? ` (run #${data.testRun.id} "${data.testRun.name}")` : ''}`);
+    data.results.forEach(result => {
+        console.log(`   ${result.testId}: ${result.status.toUpperCase()} from ${result.testcases.length} testcase${result.testcases.length !== 1 ? 's' : ''}${result.resultId ? ` → result #${result.resultId}` : ''}`);
+    });
+
+    if (data.unmatched.length > 0) {
+        console.log(`\n⚠️  ${data.unmatched.length} unmatched testcases:`);
+        data.unmatched.forEach(testcase => {
+            console.log(`   ${[testcase.classname, testcase.name].filter(Boolean).join(' › ')} - ${testcase.reason}`);
+        });
+        if (process.argv.includes('--fail-on-unmatched')) {
+            process.exit(2);
+        }
+    }
+}
+
+importReport().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Local webhook receiver for trying out webhooks.
+// Prints every delivery and checks its X-Webhook-Signature against the webhook's secret.
+//
+// Usage: node scripts/webhook-receiver.js [--port 4000] [--secret whsec_...] [--fail]
+//   --fail  answer every delivery with HTTP 500, to watch the retries in the delivery log
+// Then add a webhook with the URL http://localhost:4000/ in Test Management.
+
+const http = require('http');
+const crypto = require('crypto');
+
+const getArg = (name, fallback = null) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+};
+
+const port = parseInt(getArg('port', process.env.PORT || 4000));
+const secret = getArg('secret', process.env.WEBHOOK_SECRET);
+const fail = process.argv.includes('--fail');
+
+// Same signature the server sends: HMAC-SHA256 of the raw body, compared in constant time
+const verifySignature = (body, signature) => {
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    return typeof signature === 'string' &&
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const event = req.headers['x-webhook-event'];
+        const deliveryId = req.headers['x-webhook-delivery'];
+
+        let signatureStatus = '⚪ not checked (no --secret)';
+        if (secret) {
+            if (!verifySignature(body, req.headers['x-webhook-signature'])) {
+                console.log(`❌ ${new Date().toISOString()} delivery ${deliveryId} (${event}): invalid signature`);
+                res.writeHead(401, { 'Content-Type': 'text/plain' });
+                return res.end('Invalid signature');
+            }
+            signatureStatus = '✅ valid';
+        }
+
+        console.log(`📨 ${new Date().toISOString()} delivery ${deliveryId} (${event}) - signature ${signatureStatus}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body.toString('utf8')), null, 2));
+        } catch (error) {
+            console.log(body.toString('utf8'));
+        }
+
+        res.writeHead(fail ? 500 : 200, { 'Content-Type': 'text/plain' });
+        res.end(fail ? 'Failing on purpose (--fail)' : 'OK');
+    });
+});
+
+server.listen(port, () => {
+    console.log(`🎧 Webhook receiver listening on http://localhost:${port}/`);
+    if (!secret) {
+        console.log('⚠️  No --secret given - signatures will not be checked');
+    }
+    if (fail) {
+        console.log('💥 Answering every delivery with HTTP 500');
+    }
+});
@@ -0,0 +1,108 @@
+// Login throttling - exponential backoff and temporary lockouts for failed logins, per IP and per account
+
+const MINUTE = 60 * 1000;
+
+// Limits per scope. A shared office IP sees failures from many users, so it gets more headroom than an account.
+const THROTTLE_POLICIES = {
+    account: {
+        freeAttempts: 3,       // failures allowed before any delay
+        lockoutAfter: 10,      // failures that trigger a lockout
+        baseDelay: 1000,       // first backoff delay, doubled per further failure
+        lockoutDuration: 15 * MINUTE
+    },
+    ip: {
+        freeAttempts: 10,
+        lockoutAfter: 30,
+        baseDelay: 1000,
+        lockoutDuration: 15 * MINUTE
+    }
+};
+
+// Failure counters reset once there has been no failure for this long
+const FAILURE_WINDOW = 60 * MINUTE;
+
+class LoginThrottle {
+    constructor(options = {}) {
+        this.database = options.db;
+        this.policies = options.policies || THROTTLE_POLICIES;
+        this.attempts = new Map(); // key -> promise of the last attempt queued for it
+    }
+
+    // Run a login attempt once earlier attempts for the same IP or account have finished, so
+    // parallel attempts see each other's failures and are throttled like sequential ones
+    async serialize(keys, attempt) {
+        const keyList = Object.values(keys);
+        const earlier = keyList.map(key => this.attempts.get(key)).filter(Boolean);
+        const result = Promise.allSettled(earlier).then(() => attempt());
+        const done = result.then(() => {}, () => {});
+        keyList.forEach(key => this.attempts.set(key, done));
+        done.then(() => keyList.forEach(key => {
+            if (this.attempts.get(key) === done) {
+                this.attempts.delete(key);
+            }
+        }));
+        return result;
+    }
+
+    // Throttle keys for a login attempt - usernames are matched case-insensitively
+    getKeys(ipAddress, username) {
+        return {
+            ip: `ip:${ipAddress}`,
+            account: `account:${String(username).trim().toLowerCase()}`
+        };
+    }
+
+    // How long (ms) a failure count blocks further attempts for, and whether it is a lockout
+    getDelay(scope, failures) {
+        const policy = this.policies[scope];
+        if (failures >= policy.lockoutAfter) {
+            return { delay: policy.lockoutDuration, lockout: true };
+        }
+        if (failures < policy.freeAttempts) {
+            return { delay: 0, lockout: false };
+        }
+        const delay = policy.baseDelay * Math.pow(2, failures - policy.freeAttempts);
+        return { delay: Math.min(delay, policy.lockoutDuration), lockout: false };
+    }
+
+    // Seconds until an attempt is allowed for these keys (0 when allowed now)
+    async getRetryAfter(keys) {
+        const rows = await this.database.getLoginThrottles(Object.values(keys));
+        const now = Date.now();
+        const lockedUntil = Math.max(0, ...rows.map(row => row.locked_until || 0));
+        return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+    }
+
+    // Count a failed attempt against every key; returns seconds until the next attempt is allowed
+    async recordFailure(keys, ipAddress) {
+        const now = Date.now();
+        let retryAfter = 0;
+
+        for (const [scope, key] of Object.entries(keys)) {
+            const failures = await this.database.incrementLoginFailures(key, now, now - FAILURE_WINDOW);
+            const { delay, lockout } = this.getDelay(scope, failures);
+            const lockedUntil = delay > 0 ? now + delay : null;
+
+            if (lockedUntil) {
+                await this.database.extendLoginLock(key, lockedUntil);
+            }
+
+            if (lockout) {
+                await this.database.createLoginLockout({ scope, key, failures, ipAddress, lockedUntil });
+                console.warn(`🔒 Login locked out for ${key} after ${failures} failed attempts`);
+            }
+
+            retryAfter = Math.max(retryAfter, Math.ceil(delay / 1000));
+        }
+
+        return retryAfter;
+    }
+
+    // A successful login clears the account's counter. The IP counter is left to decay,
+    // so logging into one account does not reset guessing against others from the same IP.
+    async recordSuccess(keys) {
+        await this.database.clearLoginThrottle(keys.account);
+    }
+}
+
+module.exports = LoginThrottle;
@@ -0,0 +1,80 @@
+// Role-based permissions for API routes
+
+const ROLES = ['admin', 'author', 'tester', 'viewer'];
+
+// What each role may do - admins can do everything, viewers are read-only
+const ROLE_PERMISSIONS = {
+    admin: [
+        'users:read', 'users:manage',
+        'tests:read', 'tests:write',
+        'results:read', 'results:write', 'results:manage',
+        'runs:manage',
+        'stats:read',
+        'audit:read',
+        'webhooks:manage'
+    ],
+    author: [
+        'users:read',
+        'tests:read', 'tests:write',
+        'results:read', 'results:write',
+        'runs:manage',
+        'stats:read'
+    ],
+    tester: [
+        'users:read',
+        'tests:read',
+        'results:read', 'results:write',
+        'stats:read'
+    ],
+    viewer: [
+        'users:read',
+        'tests:read',
+        'results:read',
+        'stats:read'
+    ]
+};
+
+// Get the permission list for a role (unknown roles get nothing)
+function getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+// Check whether a role grants a permission
+function hasPermission(role, permission) {
+    return getPermissions(role).includes(permission);
+}
+
+// Check a request - the user's role must grant the permission, and an API token must also be scoped to it
+function requestHasPermission(req, permission) {
+    const role = req.user ? req.user.role : null;
+    if (!hasPermission(role, permission)) {
+        return false;
+    }
+    return !req.apiToken || req.apiToken.scopes.includes(permission);
+}
+
+// Middleware factory - rejects the request with 403 unless the request is allowed the permission
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (requestHasPermission(req, permission)) {
+            next();
+        } else {
+            const role = req.user ? req.user.role : null;
+            res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: req.apiToken && hasPermission(role, permission)
+                    ? `API token is not scoped for ${permission}`
+                    : `Role "${role}" does not have the ${permission} permission`
+            });
+        }
+    };
+}
+
+module.exports = {
+    ROLES,
+    getPermissions,
+    hasPermission,
+    requestHasPermission,
+    requirePermission
+};
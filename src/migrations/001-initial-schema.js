@@ -0,0 +1,308 @@
+// Baseline schema - every table and index the tracker had before numbered migrations existed.
+// Databases created by older versions ran CREATE TABLE IF NOT EXISTS at each start and added new columns
+// on the fly, so this migration does the same: it creates what is missing, adds the columns older
+// databases lack and moves their data into the newer structures. It is a no-op on an up-to-date schema.
+
+const TABLES = [
+    // Users table
+    `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        password_hash TEXT,
+        password_salt TEXT,
+        role TEXT NOT NULL DEFAULT 'tester',
+        must_change_password INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Tests table
+    `CREATE TABLE IF NOT EXISTS tests (
+        id TEXT PRIMARY KEY,
+        title TEXT NOT NULL,
+        story TEXT,
+        category TEXT,
+        priority TEXT,
+        tags TEXT DEFAULT '[]',
+        estimated_time TEXT,
+        prerequisites TEXT,
+        test_steps TEXT,
+        acceptance_criteria TEXT,
+        status_guidance TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Test results table
+    `CREATE TABLE IF NOT EXISTS test_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        test_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        test_date DATE,
+        environment TEXT,
+        notes TEXT,
+        -- Bug report columns from before defects existed; moved into defects on upgrade
+        bug_severity TEXT,
+        bug_description TEXT,
+        steps_to_reproduce TEXT,
+        expected_result TEXT,
+        actual_result TEXT,
+        revision_id INTEGER,
+        run_id INTEGER,
+        step_results TEXT,
+        status_overridden INTEGER NOT NULL DEFAULT 0,
+        criteria_results TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (test_id) REFERENCES tests (id),
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (revision_id) REFERENCES test_revisions (id),
+        FOREIGN KEY (run_id) REFERENCES test_runs (id)
+    )`,
+
+    // Attachments table - metadata of files stored under data/attachments
+    `CREATE TABLE IF NOT EXISTS attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        result_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        stored_name TEXT UNIQUE NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (result_id) REFERENCES test_results (id),
+        FOREIGN KEY (uploaded_by) REFERENCES users (id)
+    )`,
+
+    // Defects table - a bug with its own lifecycle, shared by every result that hit it
+    `CREATE TABLE IF NOT EXISTS defects (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        severity TEXT NOT NULL DEFAULT 'medium',
+        status TEXT NOT NULL DEFAULT 'open',
+        steps_to_reproduce TEXT,
+        expected_result TEXT,
+        actual_result TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        fixed_at DATETIME,
+        closed_at DATETIME,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Defect links - the results that hit a defect
+    `CREATE TABLE IF NOT EXISTS defect_results (
+        defect_id INTEGER NOT NULL,
+        result_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (defect_id, result_id),
+        FOREIGN KEY (defect_id) REFERENCES defects (id),
+        FOREIGN KEY (result_id) REFERENCES test_results (id)
+    )`,
+
+    // Webhooks table - outbound HTTP callbacks for the events listed in events (JSON array)
+    `CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Webhook deliveries table - one row per event sent to a webhook, with the outcome
+    // of the latest attempt. Pending deliveries are retried at next_attempt_at.
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        next_attempt_at DATETIME,
+        last_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks (id)
+    )`,
+
+    // Test runs table - a test cycle (e.g. a regression pass) that results are recorded in
+    `CREATE TABLE IF NOT EXISTS test_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        build TEXT,
+        environment TEXT,
+        start_date DATE,
+        end_date DATE,
+        status TEXT NOT NULL DEFAULT 'active',
+        plan_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (plan_id) REFERENCES test_plans (id),
+        FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Test plans table - a saved, rule-based selection of tests (e.g. a regression scope).
+    // Rules are stored as JSON and resolved against the current tests when used.
+    `CREATE TABLE IF NOT EXISTS test_plans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        rules TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id)
+    )`,
+
+    // Test run tests table - the tests included in each run
+    `CREATE TABLE IF NOT EXISTS test_run_tests (
+        run_id INTEGER NOT NULL,
+        test_id TEXT NOT NULL,
+        PRIMARY KEY (run_id, test_id),
+        FOREIGN KEY (run_id) REFERENCES test_runs (id),
+        FOREIGN KEY (test_id) REFERENCES tests (id)
+    )`,
+
+    // Test revisions table - an immutable snapshot of a test definition per save
+    `CREATE TABLE IF NOT EXISTS test_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        test_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        story TEXT,
+        category TEXT,
+        priority TEXT,
+        tags TEXT DEFAULT '[]',
+        estimated_time TEXT,
+        prerequisites TEXT,
+        test_steps TEXT,
+        acceptance_criteria TEXT,
+        status_guidance TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (test_id, revision)
+    )`,
+
+    // API tokens table - personal tokens for scripts and CI (only the hash is stored)
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`,
+
+    // Sessions table - login sessions survive restarts and redeploys
+    `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sid TEXT UNIQUE NOT NULL,
+        sess TEXT NOT NULL,
+        user_id INTEGER,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Login throttle table - failed login counters per IP and per account
+    `CREATE TABLE IF NOT EXISTS login_throttle (
+        key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at INTEGER,
+        locked_until INTEGER
+    )`,
+
+    // Login lockouts table - a record of every temporary lockout
+    `CREATE TABLE IF NOT EXISTS login_lockouts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL,
+        ip_address TEXT,
+        locked_until DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+
+    // Audit log table - who changed what, with before/after snapshots.
+    // The actor's name is copied so entries stay readable after the user is deleted.
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER,
+        actor_name TEXT,
+        api_token_id INTEGER,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before_data TEXT,
+        after_data TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+const INDEXES = [
+    `CREATE INDEX IF NOT EXISTS idx_test_results_test_id ON test_results (test_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_test_results_user_id ON test_results (user_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_test_results_status ON test_results (status)`,
+    `CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens (user_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_attachments_result_id ON attachments (result_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_defect_results_result_id ON defect_results (result_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_defects_status ON defects (status)`,
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id, created_at)`,
+    `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status)`,
+    // Older databases only have these columns after the upgrade below, so these indexes come last
+    `CREATE INDEX IF NOT EXISTS idx_test_results_revision_id ON test_results (revision_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_test_results_run_id ON test_results (run_id)`
+];
+
+// Columns added after the original schema, in the order they were introduced
+const ADDED_COLUMNS = [
+    ['users', 'password_hash', 'TEXT'],
+    ['users', 'password_salt', 'TEXT'],
+    ['users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0'],
+    ['users', 'role', "TEXT NOT NULL DEFAULT 'tester'"],
+    ['test_results', 'revision_id', 'INTEGER'],
+    ['test_results', 'run_id', 'INTEGER'],
+    ['tests', 'tags', "TEXT DEFAULT '[]'"],
+    ['test_revisions', 'tags', "TEXT DEFAULT '[]'"],
+    ['test_runs', 'plan_id', 'INTEGER'],
+    ['test_results', 'step_results', 'TEXT'],
+    ['test_results', 'status_overridden', 'INTEGER NOT NULL DEFAULT 0'],
+    ['test_results', 'criteria_results', 'TEXT']
+];
+
+module.exports = {
+    async up(db) {
+        for (const query of TABLES) {
+            await db.run(query);
+        }
+        for (const [table, column, definition] of ADDED_COLUMNS) {
+            await db.addColumnIfMissing(table, column, definition);
+        }
+        for (const query of INDEXES) {
+            await db.run(query);
+        }
+        await db.backfillTestRevisions();
+        await db.backfillTestRuns();
+        await db.backfillDefects();
+    }
+
+    // No down - rolling back the baseline would drop all data
+};
@@ -0,0 +1,91 @@
+// Full-text search indexes (SQLite FTS5) over tests, result notes and defects, see GET /api/search.
+// Databases that already got these indexes before numbered migrations existed keep them.
+
+// Text of a JSON list column (test steps, acceptance criteria) for the search index, one item per line.
+// The seeded tests store these lists JSON-encoded twice, so a JSON string holding a list is unwrapped first.
+const jsonList = (column) => `CASE WHEN json_type(${column}) = 'text' AND json_valid(json_extract(${column}, '$'))
+    THEN json_extract(${column}, '$') WHEN json_valid(${column}) THEN ${column} END`;
+const jsonListText = (column) => `(SELECT group_concat(value, char(10)) FROM json_each(${jsonList(column)}))`;
+
+// Full-text indexes and the triggers that keep them in sync with their tables.
+// Tests are keyed by rowid since their IDs are text; results and defects by their IDs.
+const INDEXES = [
+    {
+        table: 'tests_fts',
+        create: `CREATE VIRTUAL TABLE tests_fts USING fts5(test_id UNINDEXED, title, story, steps, criteria)`,
+        populate: `INSERT INTO tests_fts (rowid, test_id, title, story, steps, criteria)
+                   SELECT rowid, id, title, story, ${jsonListText('test_steps')}, ${jsonListText('acceptance_criteria')} FROM tests`,
+        triggers: `
+            CREATE TRIGGER IF NOT EXISTS tests_fts_insert AFTER INSERT ON tests BEGIN
+                INSERT INTO tests_fts (rowid, test_id, title, story, steps, criteria)
+                VALUES (NEW.rowid, NEW.id, NEW.title, NEW.story, ${jsonListText('NEW.test_steps')}, ${jsonListText('NEW.acceptance_criteria')});
+            END;
+            CREATE TRIGGER IF NOT EXISTS tests_fts_update AFTER UPDATE ON tests BEGIN
+                DELETE FROM tests_fts WHERE rowid = OLD.rowid;
+                INSERT INTO tests_fts (rowid, test_id, title, story, steps, criteria)
+                VALUES (NEW.rowid, NEW.id, NEW.title, NEW.story, ${jsonListText('NEW.test_steps')}, ${jsonListText('NEW.acceptance_criteria')});
+            END;
+            CREATE TRIGGER IF NOT EXISTS tests_fts_delete AFTER DELETE ON tests BEGIN
+                DELETE FROM tests_fts WHERE rowid = OLD.rowid;
+            END;`
+    },
+    {
+        table: 'results_fts',
+        create: `CREATE VIRTUAL TABLE results_fts USING fts5(notes)`,
+        populate: `INSERT INTO results_fts (rowid, notes) SELECT id, notes FROM test_results WHERE notes IS NOT NULL AND notes != ''`,
+        triggers: `
+            CREATE TRIGGER IF NOT EXISTS results_fts_insert AFTER INSERT ON test_results BEGIN
+                INSERT INTO results_fts (rowid, notes) SELECT NEW.id, NEW.notes WHERE NEW.notes IS NOT NULL AND NEW.notes != '';
+            END;
+            CREATE TRIGGER IF NOT EXISTS results_fts_update AFTER UPDATE OF notes ON test_results BEGIN
+                DELETE FROM results_fts WHERE rowid = OLD.id;
+                INSERT INTO results_fts (rowid, notes) SELECT NEW.id, NEW.notes WHERE NEW.notes IS NOT NULL AND NEW.notes != '';
+            END;
+            CREATE TRIGGER IF NOT EXISTS results_fts_delete AFTER DELETE ON test_results BEGIN
+                DELETE FROM results_fts WHERE rowid = OLD.id;
+            END;`
+    },
+    {
+        table: 'defects_fts',
+        create: `CREATE VIRTUAL TABLE defects_fts USING fts5(title, description, steps_to_reproduce, expected_result, actual_result)`,
+        populate: `INSERT INTO defects_fts (rowid, title, description, steps_to_reproduce, expected_result, actual_result)
+                   SELECT id, title, description, steps_to_reproduce, expected_result, actual_result FROM defects`,
+        triggers: `
+            CREATE TRIGGER IF NOT EXISTS defects_fts_insert AFTER INSERT ON defects BEGIN
+                INSERT INTO defects_fts (rowid, title, description, steps_to_reproduce, expected_result, actual_result)
+                VALUES (NEW.id, NEW.title, NEW.description, NEW.steps_to_reproduce, NEW.expected_result, NEW.actual_result);
+            END;
+            CREATE TRIGGER IF NOT EXISTS defects_fts_update AFTER UPDATE ON defects BEGIN
+                DELETE FROM defects_fts WHERE rowid = OLD.id;
+                INSERT INTO defects_fts (rowid, title, description, steps_to_reproduce, expected_result, actual_result)
+                VALUES (NEW.id, NEW.title, NEW.description, NEW.steps_to_reproduce, NEW.expected_result, NEW.actual_result);
+            END;
+            CREATE TRIGGER IF NOT EXISTS defects_fts_delete AFTER DELETE ON defects BEGIN
+                DELETE FROM defects_fts WHERE rowid = OLD.id;
+            END;`
+    }
+];
+
+const TRIGGER_EVENTS = ['insert', 'update', 'delete'];
+
+module.exports = {
+    async up(db) {
+        for (const index of INDEXES) {
+            const existing = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [index.table]);
+            if (!existing) {
+                await db.run(index.create);
+                await db.run(index.populate);
+            }
+            await db.exec(index.triggers);
+        }
+    },
+
+    async down(db) {
+        for (const index of INDEXES) {
+            for (const event of TRIGGER_EVENTS) {
+                await db.run(`DROP TRIGGER IF EXISTS ${index.table}_${event}`);
+            }
+            await db.run(`DROP TABLE IF EXISTS ${index.table}`);
+        }
+    }
+};
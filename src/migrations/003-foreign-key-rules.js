@@ -0,0 +1,213 @@
+// Delete rules for every foreign key. Until now the declared foreign keys were never enforced
+// (PRAGMA foreign_keys was off), so deleting a user or test left orphaned results behind.
+// The database now turns enforcement on at startup, and these rules say what a delete does:
+// - CASCADE: deleting a user or test deletes their results, and a result takes its attachments and
+//   defect links with it; runs and revisions go with their test, tokens with their user
+// - SET NULL: "created by" columns and a run's plan are cleared, so the record itself is kept
+// - RESTRICT: a run cannot be deleted while results are recorded in it
+// SQLite cannot change the constraints of an existing table, so each table is rebuilt with its rows.
+// Orphaned rows that already exist are copied as they are - `npm run repair-db` removes them.
+
+const TABLES = {
+    test_revisions: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        test_id TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        story TEXT,
+        category TEXT,
+        priority TEXT,
+        tags TEXT DEFAULT '[]',
+        estimated_time TEXT,
+        prerequisites TEXT,
+        test_steps TEXT,
+        acceptance_criteria TEXT,
+        status_guidance TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (test_id, revision),
+        FOREIGN KEY (test_id) REFERENCES tests (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    test_plans: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        rules TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    test_runs: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        build TEXT,
+        environment TEXT,
+        start_date DATE,
+        end_date DATE,
+        status TEXT NOT NULL DEFAULT 'active',
+        plan_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (plan_id) REFERENCES test_plans (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    test_run_tests: `
+        run_id INTEGER NOT NULL,
+        test_id TEXT NOT NULL,
+        PRIMARY KEY (run_id, test_id),
+        FOREIGN KEY (run_id) REFERENCES test_runs (id) ON DELETE CASCADE,
+        FOREIGN KEY (test_id) REFERENCES tests (id) ON DELETE CASCADE
+    `,
+    test_results: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        test_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        test_date DATE,
+        environment TEXT,
+        notes TEXT,
+        -- Bug report columns from before defects existed; moved into defects on upgrade
+        bug_severity TEXT,
+        bug_description TEXT,
+        steps_to_reproduce TEXT,
+        expected_result TEXT,
+        actual_result TEXT,
+        revision_id INTEGER,
+        run_id INTEGER,
+        step_results TEXT,
+        status_overridden INTEGER NOT NULL DEFAULT 0,
+        criteria_results TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (test_id) REFERENCES tests (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (revision_id) REFERENCES test_revisions (id) ON DELETE SET NULL,
+        FOREIGN KEY (run_id) REFERENCES test_runs (id) ON DELETE RESTRICT
+    `,
+    attachments: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        result_id INTEGER NOT NULL,
+        filename TEXT NOT NULL,
+        stored_name TEXT UNIQUE NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        uploaded_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (result_id) REFERENCES test_results (id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    defects: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        description TEXT,
+        severity TEXT NOT NULL DEFAULT 'medium',
+        status TEXT NOT NULL DEFAULT 'open',
+        steps_to_reproduce TEXT,
+        expected_result TEXT,
+        actual_result TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        fixed_at DATETIME,
+        closed_at DATETIME,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    defect_results: `
+        defect_id INTEGER NOT NULL,
+        result_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (defect_id, result_id),
+        FOREIGN KEY (defect_id) REFERENCES defects (id) ON DELETE CASCADE,
+        FOREIGN KEY (result_id) REFERENCES test_results (id) ON DELETE CASCADE
+    `,
+    webhooks: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+    `,
+    webhook_deliveries: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        next_attempt_at DATETIME,
+        last_attempt_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+    `,
+    api_tokens: `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        token_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    `
+};
+
+// Rebuild a table with a new definition, keeping its rows, indexes, triggers and ID sequence
+async function rebuildTable(db, table, definition) {
+    const columns = (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+    const schemaObjects = await db.all(
+        "SELECT sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+        [table]
+    );
+    const sequence = await db.get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]);
+
+    await db.run(`CREATE TABLE ${table}_rebuilt (${definition})`);
+    const newColumns = (await db.all(`PRAGMA table_info(${table}_rebuilt)`)).map(column => column.name);
+    const copied = columns.filter(column => newColumns.includes(column)).join(', ');
+    await db.run(`INSERT INTO ${table}_rebuilt (${copied}) SELECT ${copied} FROM ${table}`);
+    await db.run(`DROP TABLE ${table}`);
+    await db.run(`ALTER TABLE ${table}_rebuilt RENAME TO ${table}`);
+
+    for (const object of schemaObjects) {
+        await db.exec(object.sql);
+    }
+    // Keep AUTOINCREMENT from handing out IDs of rows that were deleted before the rebuild
+    if (sequence) {
+        const current = await db.get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]);
+        if (current) {
+            await db.run('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?', [sequence.seq, table]);
+        } else {
+            await db.run('INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)', [table, sequence.seq]);
+        }
+    }
+}
+
+module.exports = {
+    async up(db) {
+        for (const [table, definition] of Object.entries(TABLES)) {
+            await rebuildTable(db, table, definition);
+        }
+    },
+
+    // Back to the declarations without delete rules (test_revisions had no foreign keys before)
+    async down(db) {
+        for (const [table, definition] of Object.entries(TABLES)) {
+            const withoutRules = table === 'test_revisions'
+                ? definition.replace(/,\s*FOREIGN KEY[\s\S]*$/, '\n    ')
+                : definition.replace(/ ON DELETE (CASCADE|SET NULL|RESTRICT)/g, '');
+            await rebuildTable(db, table, withoutRules);
+        }
+    }
+};
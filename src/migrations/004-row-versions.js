@@ -0,0 +1,19 @@
+// Version counters on tests and test results for optimistic concurrency. Every update adds one,
+// GET responses carry the version as an ETag, and writes sent with a stale If-Match are refused.
+// Existing rows start at version 1.
+
+const TABLES = ['tests', 'test_results'];
+
+module.exports = {
+    async up(db) {
+        for (const table of TABLES) {
+            await db.run(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+        }
+    },
+
+    async down(db) {
+        for (const table of TABLES) {
+            await db.run(`ALTER TABLE ${table} DROP COLUMN version`);
+        }
+    }
+};
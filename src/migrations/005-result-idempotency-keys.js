@@ -0,0 +1,16 @@
+// Result creates may carry a client-generated Idempotency-Key. A create retried with the same key
+// (after a lost response, or from the offline queue) returns the stored result instead of adding
+// another. Keys are unique per user; results created without one are not affected.
+
+module.exports = {
+    async up(db) {
+        await db.run('ALTER TABLE test_results ADD COLUMN idempotency_key TEXT');
+        await db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_test_results_idempotency_key
+                      ON test_results(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL`);
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_test_results_idempotency_key');
+        await db.run('ALTER TABLE test_results DROP COLUMN idempotency_key');
+    }
+};
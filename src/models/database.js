@@ -1,24 +1,127 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs-extra');
+const { MATCH_START, MATCH_END } = require('../utils/search');
+const Migrator = require('./migrator');
+
+// User columns safe to return to clients (never expose credentials)
+const USER_COLUMNS = 'id, name, role, created_at, updated_at';
+
+// Test definition columns copied into each revision
+const REVISION_COLUMNS = 'title, story, category, priority, tags, estimated_time, prerequisites, test_steps, acceptance_criteria, status_guidance';
+
+// Test fields written by updateTest, with their columns; the lists and statusGuidance are stored as JSON
+const TEST_FIELD_COLUMNS = {
+    title: 'title',
+    story: 'story',
+    category: 'category',
+    priority: 'priority',
+    tags: 'tags',
+    estimatedTime: 'estimated_time',
+    prerequisites: 'prerequisites',
+    testSteps: 'test_steps',
+    acceptanceCriteria: 'acceptance_criteria',
+    statusGuidance: 'status_guidance'
+};
+const TEST_JSON_FIELDS = ['tags', 'testSteps', 'acceptanceCriteria', 'statusGuidance'];
+
+// How long a connection waits for another one's transaction to finish before giving up (ms)
+const BUSY_TIMEOUT = 5000;
+
+// Test result fields written by updateTestResult, with their columns
+const RESULT_FIELD_COLUMNS = {
+    status: 'status',
+    testDate: 'test_date',
+    environment: 'environment',
+    notes: 'notes',
+    stepResults: 'step_results',
+    statusOverride: 'status_overridden',
+    criteriaResults: 'criteria_results'
+};
+
+// Current revision number and ID of a test (used as extra SELECT columns on tests t)
+const CURRENT_REVISION_COLUMNS = `
+    (SELECT MAX(revision) FROM test_revisions WHERE test_id = t.id) as revision,
+    (SELECT id FROM test_revisions WHERE test_id = t.id ORDER BY revision DESC LIMIT 1) as revision_id`;
+
+// Parse the JSON fields of a tests row
+const parseTestRow = (row) => ({
+    ...row,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    test_steps: row.test_steps ? JSON.parse(row.test_steps) : [],
+    acceptance_criteria: row.acceptance_criteria ? JSON.parse(row.acceptance_criteria) : [],
+    status_guidance: row.status_guidance ? JSON.parse(row.status_guidance) : {}
+});
+
+// Sortable fields of the list endpoints, as SQL expressions that are never NULL
+const TEST_SORTS = {
+    id: 't.id',
+    title: 't.title',
+    category: "COALESCE(t.category, '')",
+    priority: "CASE t.priority WHEN 'High' THEN 1 WHEN 'Medium' THEN 2 WHEN 'Low' THEN 3 ELSE 4 END",
+    updated: "COALESCE(t.updated_at, '')"
+};
+const RESULT_SORTS = {
+    created: 'tr.created_at',
+    date: 'COALESCE(tr.test_date, date(tr.created_at))',
+    status: 'tr.status',
+    test: 'tr.test_id',
+    user: 'u.name'
+};
+const USER_SORTS = {
+    name: 'name',
+    role: 'role',
+    created: 'created_at'
+};
+
+// Parse the JSON fields of a test_results row. The idempotency key only matters to the author's
+// retries, so it is left out of results returned, broadcast and audited.
+const parseResultRow = ({ idempotency_key, ...row }) => ({
+    ...row,
+    step_results: row.step_results ? JSON.parse(row.step_results) : [],
+    status_overridden: !!row.status_overridden,
+    criteria_results: row.criteria_results ? JSON.parse(row.criteria_results) : []
+});
+
+// Parse the JSON fields of a webhooks row
+const parseWebhookRow = (row) => ({
+    ...row,
+    events: row.events ? JSON.parse(row.events) : [],
+    active: !!row.active
+});
 
 class Database {
     constructor() {
         this.db = null;
         this.dbPath = path.join(__dirname, '../../data', 'test-tracker.db');
+        this.transactionQueue = Promise.resolve();
     }
 
-    // Initialize database connection and create tables
-    async init() {
+    // Initialize database connection and apply pending schema migrations.
+    // Pass { migrate: false } to open the database as it is (used by the migrate command).
+    async init(options = {}) {
         try {
             // Ensure data directory exists
             await fs.ensureDir(path.dirname(this.dbPath));
             
             // Create database connection
             this.db = new sqlite3.Database(this.dbPath);
+            // One statement at a time: a write that starts while a read of the same connection is still
+            // going cannot wait for another connection's transaction (see transaction)
+            this.db.configure('busyTimeout', BUSY_TIMEOUT);
+            this.db.serialize();
+            
+            // Create or upgrade the schema (see src/migrations)
+            if (options.migrate !== false) {
+                await new Migrator(this).up();
+            }
             
-            // Create tables
-            await this.createTables();
+            // SQLite only enforces foreign keys (and their delete rules) when asked to, per connection
+            await this.run('PRAGMA foreign_keys = ON');
+            const orphans = (await this.getForeignKeyViolations()).reduce((count, violation) => count + violation.rowids.length, 0);
+            if (orphans > 0) {
+                console.warn(`⚠️ ${orphans} rows reference rows that no longer exist - run "npm run repair-db" to clean them up`);
+            }
             
             console.log('📊 Database initialized successfully');
             return true;
@@ -28,467 +131,2381 @@ class Database {
         }
     }
 
-    // Create all necessary tables
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const tableQueries = [
-                // Users table
-                `CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`,
-
-                // Tests table
-                `CREATE TABLE IF NOT EXISTS tests (
-                    id TEXT PRIMARY KEY,
-                    title TEXT NOT NULL,
-                    story TEXT,
-                    category TEXT,
-                    priority TEXT,
-                    estimated_time TEXT,
-                    prerequisites TEXT,
-                    test_steps TEXT,
-                    acceptance_criteria TEXT,
-                    status_guidance TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )`,
-
-                // Test results table
-                `CREATE TABLE IF NOT EXISTS test_results (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    test_id TEXT NOT NULL,
-                    user_id INTEGER NOT NULL,
-                    status TEXT NOT NULL,
-                    test_date DATE,
-                    environment TEXT,
-                    notes TEXT,
-                    bug_severity TEXT,
-                    bug_description TEXT,
-                    steps_to_reproduce TEXT,
-                    expected_result TEXT,
-                    actual_result TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (test_id) REFERENCES tests (id),
-                    FOREIGN KEY (user_id) REFERENCES users (id)
-                )`
-            ];
+    // Run fn(tx) as one transaction: either everything it writes is saved or nothing is. tx has the
+    // methods of this database but runs them on a connection of its own, so statements of other
+    // requests never end up in the transaction - fn must do all its reads and writes through tx.
+    // Transactions run one after another. Resolves to what fn resolves to.
+    async transaction(fn) {
+        // Transactions waiting for the lock would block the threads sqlite3 runs statements on,
+        // including the ones the transaction holding the lock needs to finish
+        const done = this.transactionQueue.then(() => this.runTransaction(fn));
+        this.transactionQueue = done.catch(() => {});
+        return done;
+    }
+
+    async runTransaction(fn) {
+        const connection = await new Promise((resolve, reject) => {
+            const opened = new sqlite3.Database(this.dbPath, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(opened);
+                }
+            });
+        });
+        connection.configure('busyTimeout', BUSY_TIMEOUT);
+        connection.serialize();
+        const tx = Object.create(this);
+        tx.db = connection;
+        const exec = (sql) => new Promise((resolve, reject) => {
+            connection.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        try {
+            await exec('PRAGMA foreign_keys = ON; BEGIN IMMEDIATE');
+            try {
+                const value = await fn(tx);
+                await exec('COMMIT');
+                return value;
+            } catch (error) {
+                await exec('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        } finally {
+            connection.close();
+        }
+    }
+
+    // Promise wrappers for single statements - used by migrations
+    async run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ lastID: this.lastID, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    async get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    async all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Run several statements separated by semicolons (e.g. trigger definitions)
+    async exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Results recorded before test runs existed are moved into one run covering all tests,
+    // so every result belongs to a run
+    async backfillTestRuns() {
+        const orphaned = await new Promise((resolve, reject) => {
+            this.db.get('SELECT COUNT(*) as count FROM test_results WHERE run_id IS NULL', (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+
+        if (orphaned === 0) {
+            return;
+        }
+
+        const tests = await this.getTests();
+        const run = await this.createTestRun({
+            name: 'Results before test runs',
+            testIds: tests.map(test => test.id)
+        });
+
+        await new Promise((resolve, reject) => {
+            this.db.run('UPDATE test_results SET run_id = ? WHERE run_id IS NULL', [run.id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    console.log(`✅ Moved ${this.changes} existing results into test run "${run.name}"`);
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Bug reports stored on results before defects existed become one defect each, linked to
+    // their result. The old columns are then cleared so the move happens only once.
+    async backfillDefects() {
+        const reports = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT id, test_id, user_id, bug_severity, bug_description, steps_to_reproduce, 
+                        expected_result, actual_result, created_at 
+                 FROM test_results 
+                 WHERE bug_severity IS NOT NULL OR bug_description IS NOT NULL`,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+
+        for (const report of reports) {
+            const description = (report.bug_description || '').trim();
+            const defect = await this.createDefect({
+                title: description ? description.split('\n')[0].substring(0, 120) : `Failure in ${report.test_id}`,
+                description: description || null,
+                severity: report.bug_severity || 'medium',
+                stepsToReproduce: report.steps_to_reproduce,
+                expectedResult: report.expected_result,
+                actualResult: report.actual_result,
+                createdBy: report.user_id,
+                createdAt: report.created_at
+            });
+            await this.linkDefectResult(defect.id, report.id);
+
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    `UPDATE test_results SET bug_severity = NULL, bug_description = NULL, steps_to_reproduce = NULL, 
+                     expected_result = NULL, actual_result = NULL WHERE id = ?`,
+                    [report.id],
+                    (err) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    }
+                );
+            });
+        }
+
+        if (reports.length > 0) {
+            console.log(`✅ Moved ${reports.length} bug reports into defects`);
+        }
+    }
+
+    // Give tests created before revisions existed their first revision.
+    // Results recorded before then keep a NULL revision_id - the definition they ran against is unknown.
+    async backfillTestRevisions() {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO test_revisions (test_id, revision, ${REVISION_COLUMNS}, created_at)
+                 SELECT id, 1, ${REVISION_COLUMNS}, updated_at FROM tests
+                 WHERE id NOT IN (SELECT DISTINCT test_id FROM test_revisions)`,
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        if (this.changes > 0) {
+                            console.log(`✅ Created initial revisions for ${this.changes} tests`);
+                        }
+                        resolve(this.changes);
+                    }
+                }
+            );
+        });
+    }
+
+    // Rows whose foreign key points at a row that no longer exists (left by deletes made before foreign keys
+    // were enforced), grouped by table and column with the column's delete rule
+    async getForeignKeyViolations() {
+        const rows = await this.all('PRAGMA foreign_key_check');
+        const groups = new Map();
+
+        for (const row of rows) {
+            const key = `${row.table}:${row.fkid}`;
+            if (!groups.has(key)) {
+                const foreignKeys = await this.all(`PRAGMA foreign_key_list(${row.table})`);
+                const foreignKey = foreignKeys.find(fk => fk.id === row.fkid);
+                groups.set(key, {
+                    table: row.table,
+                    column: foreignKey.from,
+                    parent: row.parent,
+                    onDelete: foreignKey.on_delete,
+                    rowids: []
+                });
+            }
+            groups.get(key).rowids.push(row.rowid);
+        }
+        return [...groups.values()];
+    }
+
+    // Fix orphaned rows by applying the delete rule their parent's delete would have:
+    // CASCADE rows are deleted and SET NULL columns are cleared. RESTRICT rows are left for a person
+    // to decide. Returns what was fixed and skipped, plus the stored names of the attachments that were
+    // deleted, whose files the caller must remove.
+    async repairForeignKeys({ dryRun = false } = {}) {
+        const violations = await this.getForeignKeyViolations();
+        const fixed = violations.filter(violation => violation.onDelete === 'CASCADE' || violation.onDelete === 'SET NULL');
+        const skipped = violations.filter(violation => !fixed.includes(violation));
+
+        // Attachments go with deleted results, and orphaned attachment rows are deleted themselves
+        const deletedIds = (table) => fixed
+            .filter(violation => violation.table === table && violation.onDelete === 'CASCADE')
+            .flatMap(violation => violation.rowids);
+        const resultIds = deletedIds('test_results');
+        const attachmentIds = deletedIds('attachments');
+        const removedAttachments = await this.all(
+            `SELECT id, stored_name FROM attachments
+             WHERE result_id IN (${resultIds.map(() => '?').join(', ')}) OR id IN (${attachmentIds.map(() => '?').join(', ')})`,
+            [...resultIds, ...attachmentIds]
+        );
+
+        if (!dryRun && fixed.length > 0) {
+            await this.run('BEGIN');
+            try {
+                for (const violation of fixed) {
+                    const placeholders = violation.rowids.map(() => '?').join(', ');
+                    if (violation.onDelete === 'CASCADE') {
+                        await this.run(`DELETE FROM ${violation.table} WHERE rowid IN (${placeholders})`, violation.rowids);
+                    } else {
+                        await this.run(`UPDATE ${violation.table} SET ${violation.column} = NULL WHERE rowid IN (${placeholders})`, violation.rowids);
+                    }
+                }
+                await this.run('COMMIT');
+            } catch (error) {
+                await this.run('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        }
+
+        return { fixed, skipped, removedAttachments: removedAttachments.map(attachment => attachment.stored_name) };
+    }
+
+    // Add a column to a table unless it already exists
+    async addColumnIfMissing(table, column, definition) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, columns) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                if (columns.some(col => col.name === column)) {
+                    resolve(false);
+                    return;
+                }
+
+                this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        console.log(`✅ Added column ${table}.${column}`);
+                        resolve(true);
+                    }
+                });
+            });
+        });
+    }
+
+    // Run a list query with keyset paging. sort is an SQL expression (never NULL) and rows with equal
+    // sort values are ordered by idColumn; cursor is { value, id } of the last row of the previous page.
+    // Without a limit every matching row is returned. Resolves to { rows, total, nextCursor }.
+    async getPage({ columns, from, conditions = [], params = [], sort, idColumn, order = 'asc', limit = null, cursor = null }) {
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+        const total = await new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM ${from} ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+
+        const pageConditions = [...conditions];
+        const pageParams = [...params];
+        if (cursor) {
+            const operator = order === 'desc' ? '<' : '>';
+            pageConditions.push(`(${sort} ${operator} ? OR (${sort} = ? AND ${idColumn} ${operator} ?))`);
+            pageParams.push(cursor.value, cursor.value, cursor.id);
+        }
+        // One extra row tells whether another page follows
+        if (limit) {
+            pageParams.push(limit + 1);
+        }
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT ${columns}, ${sort} as sort_value FROM ${from} 
+                 ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''} 
+                 ORDER BY ${sort} ${direction}, ${idColumn} ${direction} ${limit ? 'LIMIT ?' : ''}`,
+                pageParams,
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
+                }
+            );
+        });
+
+        const hasMore = limit !== null && rows.length > limit;
+        const pageRows = hasMore ? rows.slice(0, limit) : rows;
+        const last = pageRows[pageRows.length - 1];
+        return {
+            rows: pageRows.map(({ sort_value, ...row }) => row),
+            total: total,
+            nextCursor: hasMore ? { value: last.sort_value, id: last.id } : null
+        };
+    }
+
+    // Add an "IN (...)" condition for a list filter
+    addListCondition(conditions, params, column, values) {
+        if (values && values.length > 0) {
+            conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+            params.push(...values);
+        }
+    }
+
+    // USER OPERATIONS
+
+    // Get all users
+    async getUsers() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at DESC`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Page of users - filters: roles; sort: name, role, created
+    async getUsersPage(filters = {}) {
+        const conditions = [];
+        const params = [];
+        this.addListCondition(conditions, params, 'role', filters.roles);
+
+        const { rows, total, nextCursor } = await this.getPage({
+            columns: USER_COLUMNS,
+            from: 'users',
+            conditions, params,
+            sort: USER_SORTS[filters.sort] || USER_SORTS.name,
+            idColumn: 'id',
+            order: filters.order,
+            limit: filters.limit,
+            cursor: filters.cursor
+        });
+        return { users: rows, total, nextCursor };
+    }
+
+    // Get user by ID
+    async getUserById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Get user by name
+    async getUserByName(name) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT ${USER_COLUMNS} FROM users WHERE name = ?`, [name], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Get user with stored credentials by name (login only - never send to clients)
+    async getUserCredentialsByName(name) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE name = ?', [name], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Get stored credentials by user ID
+    async getUserCredentialsById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Get users that have no password set yet
+    async getUsersWithoutCredentials() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT ${USER_COLUMNS} FROM users WHERE password_hash IS NULL`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Create a new user, optionally with a password hash produced by utils/password
+    async createUser(name, credentials = {}, role = 'tester') {
+        return new Promise((resolve, reject) => {
+            const { hash = null, salt = null } = credentials;
+            this.db.run('INSERT INTO users (name, password_hash, password_salt, role) VALUES (?, ?, ?, ?)', 
+                [name, hash, salt, role], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id: this.lastID, name, role });
+                }
+            });
+        });
+    }
+
+    // Update user
+    async updateUser(id, name) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE users SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
+                [name, id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id, name, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Set a user's role
+    async setUserRole(id, role) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
+                [role, id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id, role, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Promote the oldest account to admin when no admin exists (databases from before roles)
+    async ensureAdminUser() {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM users WHERE role = 'admin'`, (err, row) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                if (row.count > 0) {
+                    resolve(null);
+                    return;
+                }
+
+                this.db.get(`SELECT ${USER_COLUMNS} FROM users ORDER BY id ASC LIMIT 1`, (err, user) => {
+                    if (err) {
+                        reject(err);
+                        return;
+                    }
+
+                    if (!user) {
+                        resolve(null);
+                        return;
+                    }
+
+                    this.db.run(`UPDATE users SET role = 'admin' WHERE id = ?`, [user.id], (err) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve({ ...user, role: 'admin' });
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    // Set a user's password hash and salt. mustChange marks a one-time password the user has to
+    // replace at their next login; any other password clears the mark.
+    async setUserPassword(id, credentials, mustChange = false) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`UPDATE users SET password_hash = ?, password_salt = ?, must_change_password = ?, 
+                updated_at = CURRENT_TIMESTAMP WHERE id = ?`, 
+                [credentials.hash, credentials.salt, mustChange ? 1 : 0, id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ id, changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Delete user
+    async deleteUser(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM users WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // API TOKEN OPERATIONS
+
+    // Get a user's tokens (never includes the hash)
+    async getApiTokensByUserId(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT id, name, token_prefix, scopes, created_at, last_used_at, revoked_at
+                FROM api_tokens
+                WHERE user_id = ?
+                ORDER BY created_at DESC
+            `, [userId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ ...row, scopes: JSON.parse(row.scopes) })));
+                }
+            });
+        });
+    }
+
+    // Find an active (not revoked) token by hash, with its owner
+    async getActiveApiTokenByHash(tokenHash) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT t.id, t.user_id, t.name, t.scopes
+                FROM api_tokens t
+                WHERE t.token_hash = ? AND t.revoked_at IS NULL
+            `, [tokenHash], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else if (row) {
+                    resolve({ ...row, scopes: JSON.parse(row.scopes) });
+                } else {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    // Create a new token record
+    async createApiToken(tokenData) {
+        return new Promise((resolve, reject) => {
+            const { userId, name, tokenHash, tokenPrefix, scopes } = tokenData;
+
+            this.db.run(
+                `INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes) VALUES (?, ?, ?, ?, ?)`,
+                [userId, name, tokenHash, tokenPrefix, JSON.stringify(scopes)],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id: this.lastID, name, token_prefix: tokenPrefix, scopes });
+                    }
+                }
+            );
+        });
+    }
+
+    // Record that a token was just used
+    async touchApiToken(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Revoke one of a user's tokens
+    async revokeApiToken(id, userId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
+                }
+            );
+        });
+    }
+
+    // SESSION OPERATIONS (used by SQLiteSessionStore)
+
+    // Get an unexpired session by session ID
+    async getSession(sid) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM sessions WHERE sid = ? AND expires_at > ?', [sid, Date.now()], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Insert or replace a session
+    async saveSession(sid, sess, expiresAt) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO sessions (sid, sess, user_id, expires_at) VALUES (?, ?, ?, ?)
+                 ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, user_id = excluded.user_id, 
+                 expires_at = excluded.expires_at, updated_at = CURRENT_TIMESTAMP`,
+                [sid, JSON.stringify(sess), sess.userId || null, expiresAt],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
+                }
+            );
+        });
+    }
+
+    // Extend a session's expiry without rewriting its data
+    async touchSession(sid, expiresAt) {
+        return new Promise((resolve, reject) => {
+            this.db.run('UPDATE sessions SET expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE sid = ?', 
+                [expiresAt, sid], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Delete a session by session ID
+    async destroySession(sid) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Delete a session by its row ID (admin revoke - the sid itself is never exposed)
+    async deleteSessionById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM sessions WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Remove all expired sessions
+    async pruneExpiredSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Get active logged-in sessions with their user
+    async getActiveSessions() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT s.id, s.sid, s.sess, s.user_id, u.name as user_name, s.expires_at, s.created_at, s.updated_at
+                FROM sessions s
+                LEFT JOIN users u ON s.user_id = u.id
+                WHERE s.expires_at > ? AND s.user_id IS NOT NULL
+                ORDER BY s.updated_at DESC
+            `, [Date.now()], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // LOGIN THROTTLE OPERATIONS
+
+    // Get failure counters for a set of throttle keys
+    async getLoginThrottles(keys) {
+        return new Promise((resolve, reject) => {
+            const placeholders = keys.map(() => '?').join(', ');
+            this.db.all(`SELECT * FROM login_throttle WHERE key IN (${placeholders})`, keys, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Count a failure against a throttle key in one statement, so parallel failures are all counted.
+    // A counter whose last failure is older than windowStart starts again at 1. Returns the new count.
+    async incrementLoginFailures(key, failedAt, windowStart) {
+        const row = await this.get(
+            `INSERT INTO login_throttle (key, failures, last_failure_at, locked_until) VALUES (?, 1, ?, NULL)
+             ON CONFLICT(key) DO UPDATE SET
+                failures = CASE WHEN login_throttle.last_failure_at < ? THEN 1 ELSE login_throttle.failures + 1 END,
+                locked_until = CASE WHEN login_throttle.last_failure_at < ? THEN NULL ELSE login_throttle.locked_until END,
+                last_failure_at = excluded.last_failure_at
+             RETURNING failures`,
+            [key, failedAt, windowStart, windowStart]
+        );
+        return row.failures;
+    }
+
+    // Block a throttle key until lockedUntil, never shortening a block already in place
+    async extendLoginLock(key, lockedUntil) {
+        return this.run(
+            'UPDATE login_throttle SET locked_until = MAX(COALESCE(locked_until, 0), ?) WHERE key = ?',
+            [lockedUntil, key]
+        );
+    }
+
+    // Reset the failure counter for a throttle key
+    async clearLoginThrottle(key) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM login_throttle WHERE key = ?', [key], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Record a temporary lockout
+    async createLoginLockout(lockout) {
+        return new Promise((resolve, reject) => {
+            const { scope, key, failures, ipAddress, lockedUntil } = lockout;
+
+            this.db.run(
+                `INSERT INTO login_lockouts (scope, key, failures, ip_address, locked_until) VALUES (?, ?, ?, ?, ?)`,
+                [scope, key, failures, ipAddress, new Date(lockedUntil).toISOString()],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id: this.lastID, ...lockout });
+                    }
+                }
+            );
+        });
+    }
+
+    // Get recent lockouts, newest first
+    async getLoginLockouts(limit = 100) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM login_lockouts ORDER BY created_at DESC, id DESC LIMIT ?', [limit], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // AUDIT LOG OPERATIONS
+
+    // Record an audit entry - before/after snapshots are stored as JSON
+    async createAuditEntry(entry) {
+        return new Promise((resolve, reject) => {
+            const { actorId, actorName, apiTokenId, action, entityType, entityId, before, after } = entry;
+
+            this.db.run(
+                `INSERT INTO audit_log (actor_id, actor_name, api_token_id, action, entity_type, entity_id, 
+                 before_data, after_data) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    actorId, actorName, apiTokenId, action, entityType,
+                    entityId === undefined || entityId === null ? null : String(entityId),
+                    before ? JSON.stringify(before) : null,
+                    after ? JSON.stringify(after) : null
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id: this.lastID, ...entry });
+                    }
+                }
+            );
+        });
+    }
+
+    // Get audit entries, newest first, with optional filters and paging
+    async getAuditEntries(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.entityType) {
+            conditions.push('entity_type = ?');
+            params.push(filters.entityType);
+        }
+        if (filters.entityId) {
+            conditions.push('entity_id = ?');
+            params.push(String(filters.entityId));
+        }
+        if (filters.actorId) {
+            conditions.push('actor_id = ?');
+            params.push(filters.actorId);
+        }
+        if (filters.action) {
+            conditions.push('action = ?');
+            params.push(filters.action);
+        }
+        // created_at is stored as UTC 'YYYY-MM-DD HH:MM:SS', so compare through datetime()
+        if (filters.from) {
+            conditions.push('created_at >= datetime(?)');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('created_at <= datetime(?)');
+            params.push(filters.to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = filters.limit || 100;
+        const offset = filters.offset || 0;
+
+        const total = await new Promise((resolve, reject) => {
+            this.db.get(`SELECT COUNT(*) as count FROM audit_log ${where}`, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        const entries = rows.map(row => ({
+                            ...row,
+                            before_data: row.before_data ? JSON.parse(row.before_data) : null,
+                            after_data: row.after_data ? JSON.parse(row.after_data) : null
+                        }));
+                        resolve({ entries, total });
+                    }
+                }
+            );
+        });
+    }
+
+    // TEST OPERATIONS
+
+    // Get all tests
+    async getTests() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`SELECT t.*, ${CURRENT_REVISION_COLUMNS} FROM tests t ORDER BY t.id ASC`, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(parseTestRow));
+                }
+            });
+        });
+    }
+
+    // Page of tests - filters: categories, priorities, tags; sort: id, title, category, priority, updated
+    async getTestsPage(filters = {}) {
+        const conditions = [];
+        const params = [];
+        this.addListCondition(conditions, params, 't.category', filters.categories);
+        this.addListCondition(conditions, params, 't.priority', filters.priorities);
+        if (filters.tags && filters.tags.length > 0) {
+            conditions.push(`EXISTS (SELECT 1 FROM json_each(t.tags) WHERE json_each.value IN (${filters.tags.map(() => '?').join(', ')}))`);
+            params.push(...filters.tags);
+        }
+
+        const { rows, total, nextCursor } = await this.getPage({
+            columns: `t.*, ${CURRENT_REVISION_COLUMNS}`,
+            from: 'tests t',
+            conditions, params,
+            sort: TEST_SORTS[filters.sort] || TEST_SORTS.id,
+            idColumn: 't.id',
+            order: filters.order,
+            limit: filters.limit,
+            cursor: filters.cursor
+        });
+        return { tests: rows.map(parseTestRow), total, nextCursor };
+    }
+
+    // Get test by ID
+    async getTestById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`SELECT t.*, ${CURRENT_REVISION_COLUMNS} FROM tests t WHERE t.id = ?`, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else if (row) {
+                    resolve(parseTestRow(row));
+                } else {
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    // Get the next available test ID
+    async getNextTestId() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT id FROM tests ORDER BY CAST(SUBSTR(id, 4) AS INTEGER) DESC LIMIT 1', (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    if (rows.length === 0) {
+                        // No tests exist, start with TC-01
+                        resolve('TC-01');
+                    } else {
+                        // Extract the number from the last test ID and increment
+                        const lastId = rows[0].id;
+                        const lastNumber = parseInt(lastId.substring(3)); // Remove "TC-" prefix
+                        const nextNumber = lastNumber + 1;
+                        const nextId = `TC-${nextNumber.toString().padStart(2, '0')}`;
+                        resolve(nextId);
+                    }
+                }
+            });
+        });
+    }
+
+    // Create a new test with automatic ID generation (and its first revision)
+    async createTest(testData, userId = null) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                // Generate automatic ID if not provided
+                let testId = testData.id;
+                if (!testId) {
+                    testId = await this.getNextTestId();
+                }
+
+                const {
+                    title, story, category, priority, tags, estimatedTime, prerequisites,
+                    testSteps, acceptanceCriteria, statusGuidance
+                } = testData;
+
+                this.db.run(
+                    `INSERT INTO tests (id, title, story, category, priority, tags, estimated_time, 
+                     prerequisites, test_steps, acceptance_criteria, status_guidance) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        testId, title, story, category, priority, JSON.stringify(tags || []), estimatedTime, prerequisites,
+                        JSON.stringify(testSteps), JSON.stringify(acceptanceCriteria), JSON.stringify(statusGuidance)
+                    ],
+                    (err) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            this.createTestRevision(testId, userId)
+                                .then(revision => resolve({ id: testId, ...testData, revision: revision.revision, revisionId: revision.id }))
+                                .catch(reject);
+                        }
+                    }
+                );
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // Update the fields of a test that testData gives (fields left undefined keep their value).
+    // With expectedVersion, nothing changes (changes: 0) unless the test is still at that version.
+    // Every save that changes the definition adds a new revision.
+    async updateTest(id, testData, userId = null, expectedVersion = null) {
+        const fields = Object.keys(TEST_FIELD_COLUMNS).filter(field => testData[field] !== undefined);
+        const result = await new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE tests SET ${fields.map(field => `${TEST_FIELD_COLUMNS[field]} = ?, `).join('')}version = version + 1, 
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?${expectedVersion !== null ? ' AND version = ?' : ''}`,
+                [
+                    ...fields.map(field => TEST_JSON_FIELDS.includes(field) ? JSON.stringify(testData[field]) : testData[field]),
+                    id,
+                    ...(expectedVersion !== null ? [expectedVersion] : [])
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id, ...testData, changes: this.changes });
+                    }
+                }
+            );
+        });
+
+        if (result.changes > 0) {
+            const revision = await this.createTestRevision(id, userId);
+            result.revision = revision.revision;
+            result.revisionId = revision.id;
+        }
+        return result;
+    }
+
+    // Delete test - with expectedVersion, only while the test is still at that version
+    async deleteTest(id, expectedVersion = null) {
+        return new Promise((resolve, reject) => {
+            const versionCheck = expectedVersion !== null ? ' AND version = ?' : '';
+            this.db.run(`DELETE FROM tests WHERE id = ?${versionCheck}`, [id, ...(expectedVersion !== null ? [expectedVersion] : [])], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Clear all tests (for migration purposes)
+    async clearAllTests() {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM tests', function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // TEST REVISION OPERATIONS
+
+    // Snapshot a test's current definition as a new revision. Saves that change nothing
+    // return the latest revision instead of adding a duplicate.
+    async createTestRevision(testId, userId = null) {
+        const latest = await this.getLatestTestRevisionRow(testId);
+        const unchanged = await new Promise((resolve, reject) => {
+            if (!latest) {
+                resolve(false);
+                return;
+            }
+            this.db.get('SELECT * FROM tests WHERE id = ?', [testId], (err, test) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(!!test && REVISION_COLUMNS.split(', ').every(column => test[column] === latest[column]));
+                }
+            });
+        });
+
+        if (unchanged) {
+            return latest;
+        }
+
+        // Number and copy in a single statement so concurrent saves cannot take the same revision number
+        await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO test_revisions (test_id, revision, ${REVISION_COLUMNS}, created_by)
+                 SELECT t.id, (SELECT COALESCE(MAX(revision), 0) + 1 FROM test_revisions WHERE test_id = t.id),
+                 ${REVISION_COLUMNS.split(', ').map(column => `t.${column}`).join(', ')}, ?
+                 FROM tests t WHERE t.id = ?`,
+                [userId, testId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id: this.lastID });
+                    }
+                }
+            );
+        });
+
+        return this.getLatestTestRevisionRow(testId);
+    }
+
+    // Get the newest revision row of a test (JSON fields left as stored)
+    async getLatestTestRevisionRow(testId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM test_revisions WHERE test_id = ? ORDER BY revision DESC LIMIT 1',
+                [testId],
+                (err, row) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(row || null);
+                    }
+                }
+            );
+        });
+    }
+
+    // Get all revisions of a test, newest first, with author and how many results ran against each
+    async getTestRevisions(testId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.*, u.name as created_by_name,
+                    (SELECT COUNT(*) FROM test_results WHERE revision_id = r.id) as result_count
+                FROM test_revisions r
+                LEFT JOIN users u ON r.created_by = u.id
+                WHERE r.test_id = ?
+                ORDER BY r.revision DESC
+            `, [testId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({
+                        ...row,
+                        tags: row.tags ? JSON.parse(row.tags) : [],
+                        test_steps: row.test_steps ? JSON.parse(row.test_steps) : [],
+                        acceptance_criteria: row.acceptance_criteria ? JSON.parse(row.acceptance_criteria) : [],
+                        status_guidance: row.status_guidance ? JSON.parse(row.status_guidance) : {}
+                    })));
+                }
+            });
+        });
+    }
+
+    // Get a single revision by ID
+    async getTestRevisionById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM test_revisions WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // TEST PLAN OPERATIONS
+
+    // Get all test plans with their rules and how many runs were started from each
+    async getTestPlans() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT p.*, u.name as created_by_name,
+                    (SELECT COUNT(*) FROM test_runs WHERE plan_id = p.id) as run_count
+                FROM test_plans p
+                LEFT JOIN users u ON p.created_by = u.id
+                ORDER BY p.name COLLATE NOCASE ASC
+            `, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(row => ({ ...row, rules: JSON.parse(row.rules) })));
+                }
+            });
+        });
+    }
+
+    // Get a test plan by ID
+    async getTestPlanById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM test_plans WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? { ...row, rules: JSON.parse(row.rules) } : null);
+                }
+            });
+        });
+    }
+
+    // Create a new test plan
+    async createTestPlan(planData) {
+        const { name, description, rules, createdBy } = planData;
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO test_plans (name, description, rules, created_by) VALUES (?, ?, ?, ?)',
+                [name, description, JSON.stringify(rules), createdBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+
+        return this.getTestPlanById(id);
+    }
+
+    // Update a test plan's name, description and rules
+    async updateTestPlan(id, planData) {
+        const { name, description, rules } = planData;
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE test_plans SET name = ?, description = ?, rules = ?, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [name, description, JSON.stringify(rules), id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
+                }
+            );
+        });
+    }
+
+    // Delete a test plan. Runs started from it keep their test lists and only lose the link.
+    async deleteTestPlan(id) {
+        await new Promise((resolve, reject) => {
+            this.db.run('UPDATE test_runs SET plan_id = NULL WHERE plan_id = ?', [id], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM test_plans WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Resolve plan rules to the current list of tests, in test ID order.
+    // A test matches when it satisfies every non-empty criterion (any listed category,
+    // any listed priority, any listed tag); pinned test IDs are always included.
+    async resolveTestPlanRules(rules) {
+        const { categories = [], priorities = [], tags = [], testIds = [] } = rules;
+        const hasCriteria = categories.length > 0 || priorities.length > 0 || tags.length > 0;
+        const tests = await this.getTests();
+
+        return tests.filter(test => {
+            if (testIds.includes(test.id)) {
+                return true;
+            }
+            return hasCriteria
+                && (categories.length === 0 || categories.includes(test.category))
+                && (priorities.length === 0 || priorities.includes(test.priority))
+                && (tags.length === 0 || tags.some(tag => test.tags.includes(tag)));
+        });
+    }
+
+    // TEST RUN OPERATIONS
+
+    // Get all test runs, newest first, with result counts per status for comparing runs
+    async getTestRuns() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT r.*, u.name as created_by_name, p.name as plan_name,
+                    (SELECT COUNT(*) FROM test_run_tests WHERE run_id = r.id) as test_count,
+                    COUNT(tr.id) as result_count,
+                    COUNT(DISTINCT tr.test_id) as tested_count,
+                    COUNT(CASE WHEN tr.status = 'pass' THEN 1 END) as passed_results,
+                    COUNT(CASE WHEN tr.status = 'fail' THEN 1 END) as failed_results,
+                    COUNT(CASE WHEN tr.status = 'blocked' THEN 1 END) as blocked_results,
+                    COUNT(CASE WHEN tr.status = 'partial' THEN 1 END) as partial_results,
+                    COUNT(CASE WHEN tr.status = 'skip' THEN 1 END) as skipped_results
+                FROM test_runs r
+                LEFT JOIN users u ON r.created_by = u.id
+                LEFT JOIN test_plans p ON r.plan_id = p.id
+                LEFT JOIN test_results tr ON tr.run_id = r.id
+                GROUP BY r.id
+                ORDER BY r.created_at DESC, r.id DESC
+            `, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Get a test run with the IDs of its included tests
+    async getTestRunById(id) {
+        const run = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM test_runs WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+
+        if (!run) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT test_id FROM test_run_tests WHERE run_id = ? ORDER BY test_id', [id], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ ...run, test_ids: rows.map(row => row.test_id) });
+                }
+            });
+        });
+    }
+
+    // Create a new test run with its included tests
+    async createTestRun(runData) {
+        const { name, build, environment, startDate, endDate, planId, testIds = [], createdBy } = runData;
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO test_runs (name, build, environment, start_date, end_date, plan_id, created_by) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [name, build, environment, startDate, endDate, planId, createdBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+
+        await this.setTestRunTests(id, testIds);
+        return this.getTestRunById(id);
+    }
+
+    // Update a test run's details, and its included tests when testIds is given
+    async updateTestRun(id, runData) {
+        const { name, build, environment, startDate, endDate, status, testIds } = runData;
+
+        const result = await new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE test_runs SET name = ?, build = ?, environment = ?, start_date = ?, end_date = ?, 
+                 status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [name, build, environment, startDate, endDate, status, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
+                }
+            );
+        });
+
+        if (result.changes > 0 && Array.isArray(testIds)) {
+            await this.setTestRunTests(id, testIds);
+        }
+        return result;
+    }
+
+    // Replace the set of tests included in a run
+    async setTestRunTests(runId, testIds) {
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM test_run_tests WHERE run_id = ?', [runId], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        const uniqueIds = [...new Set(testIds)];
+        if (uniqueIds.length === 0) {
+            return;
+        }
+
+        return new Promise((resolve, reject) => {
+            const placeholders = uniqueIds.map(() => '(?, ?)').join(', ');
+            const params = uniqueIds.flatMap(testId => [runId, testId]);
+            this.db.run(`INSERT INTO test_run_tests (run_id, test_id) VALUES ${placeholders}`, params, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Delete a test run and its test list (results are not touched)
+    async deleteTestRun(id) {
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM test_run_tests WHERE run_id = ?', [id], (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM test_runs WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // Count the results recorded in a run, optionally only for some tests
+    async countTestRunResults(runId, testIds = null) {
+        return new Promise((resolve, reject) => {
+            let query = 'SELECT COUNT(*) as count FROM test_results WHERE run_id = ?';
+            const params = [runId];
+            if (testIds) {
+                query += ` AND test_id IN (${testIds.map(() => '?').join(', ')})`;
+                params.push(...testIds);
+            }
+            this.db.get(query, params, (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    // The newest active run that includes a test (used when a result does not name its run)
+    async getLatestActiveRunForTest(testId) {
+        return new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT r.* FROM test_runs r
+                JOIN test_run_tests rt ON rt.run_id = r.id
+                WHERE rt.test_id = ? AND r.status = 'active'
+                ORDER BY r.created_at DESC, r.id DESC
+                LIMIT 1
+            `, [testId], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // TEST RESULTS OPERATIONS
+
+    // Get all test results, optionally only those of one test run
+    async getTestResults(runId = null) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT tr.*, u.name as user_name, t.title as test_title, rv.revision as test_revision, run.name as run_name 
+                FROM test_results tr
+                JOIN users u ON tr.user_id = u.id
+                JOIN tests t ON tr.test_id = t.id
+                LEFT JOIN test_revisions rv ON tr.revision_id = rv.id
+                LEFT JOIN test_runs run ON tr.run_id = run.id
+                WHERE (? IS NULL OR tr.run_id = ?)
+                ORDER BY tr.created_at DESC
+            `, [runId, runId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(parseResultRow));
+                }
+            });
+        }).then(rows => this.withAttachments(rows)).then(rows => this.withDefects(rows));
+    }
+
+    // Page of test results - filters: runId, statuses, userIds, testIds, categories, priorities of the
+    // test, from/to (YYYY-MM-DD, on the test date); sort: created, date, status, test, user
+    async getTestResultsPage(filters = {}) {
+        const conditions = [];
+        const params = [];
+        if (filters.runId) {
+            conditions.push('tr.run_id = ?');
+            params.push(filters.runId);
+        }
+        this.addListCondition(conditions, params, 'tr.status', filters.statuses);
+        this.addListCondition(conditions, params, 'tr.user_id', filters.userIds);
+        this.addListCondition(conditions, params, 'tr.test_id', filters.testIds);
+        this.addListCondition(conditions, params, 't.category', filters.categories);
+        this.addListCondition(conditions, params, 't.priority', filters.priorities);
+        if (filters.from) {
+            conditions.push(`${RESULT_SORTS.date} >= ?`);
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push(`${RESULT_SORTS.date} <= ?`);
+            params.push(filters.to);
+        }
+
+        const { rows, total, nextCursor } = await this.getPage({
+            columns: 'tr.*, u.name as user_name, t.title as test_title, rv.revision as test_revision, run.name as run_name',
+            from: `test_results tr
+                JOIN users u ON tr.user_id = u.id
+                JOIN tests t ON tr.test_id = t.id
+                LEFT JOIN test_revisions rv ON tr.revision_id = rv.id
+                LEFT JOIN test_runs run ON tr.run_id = run.id`,
+            conditions, params,
+            sort: RESULT_SORTS[filters.sort] || RESULT_SORTS.created,
+            idColumn: 'tr.id',
+            order: filters.order || 'desc',
+            limit: filters.limit,
+            cursor: filters.cursor
+        });
+
+        const testResults = await this.withAttachments(rows.map(parseResultRow)).then(results => this.withDefects(results));
+        return { testResults, total, nextCursor };
+    }
+
+    // Get test results by test ID, optionally only those of one test run
+    async getTestResultsByTestId(testId, runId = null) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT tr.*, u.name as user_name, rv.revision as test_revision, run.name as run_name 
+                FROM test_results tr
+                JOIN users u ON tr.user_id = u.id
+                LEFT JOIN test_revisions rv ON tr.revision_id = rv.id
+                LEFT JOIN test_runs run ON tr.run_id = run.id
+                WHERE tr.test_id = ? AND (? IS NULL OR tr.run_id = ?)
+                ORDER BY tr.created_at DESC
+            `, [testId, runId, runId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(parseResultRow));
+                }
+            });
+        }).then(rows => this.withAttachments(rows)).then(rows => this.withDefects(rows));
+    }
+
+    // Get test results by user ID
+    async getTestResultsByUserId(userId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT tr.*, t.title as test_title, rv.revision as test_revision 
+                FROM test_results tr
+                JOIN tests t ON tr.test_id = t.id
+                LEFT JOIN test_revisions rv ON tr.revision_id = rv.id
+                WHERE tr.user_id = ?
+                ORDER BY tr.created_at DESC
+            `, [userId], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows.map(parseResultRow));
+                }
+            });
+        });
+    }
+
+    // Create a new test result - it records the revision it was executed against
+    // (revisionId when given, otherwise the test's current revision)
+    async createTestResult(resultData) {
+        const [id] = await this.createTestResults([resultData]);
+        const { idempotencyKey, ...fields } = resultData;
+        return { id, ...fields };
+    }
+
+    // Create several test results with a single INSERT. SQLite runs one statement as one
+    // transaction, so either every result is written or none is. Resolves to the new IDs in order.
+    async createTestResults(resultsData) {
+        if (resultsData.length === 0) {
+            return [];
+        }
+
+        const rowPlaceholders = `(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
+                 COALESCE(?, (SELECT id FROM test_revisions WHERE test_id = ? ORDER BY revision DESC LIMIT 1)))`;
+        const params = resultsData.flatMap(resultData => {
+            const {
+                testId, userId, status, testDate, environment, notes, revisionId, runId,
+                stepResults, statusOverride, criteriaResults, idempotencyKey
+            } = resultData;
+            return [
+                testId, userId, status, testDate, environment, notes, runId,
+                JSON.stringify(stepResults || []), statusOverride ? 1 : 0, JSON.stringify(criteriaResults || []),
+                idempotencyKey || null, revisionId || null, testId
+            ];
+        });
+
+        const { lastID } = await this.run(
+            `INSERT INTO test_results (test_id, user_id, status, test_date, environment, 
+             notes, run_id, step_results, status_overridden, criteria_results, idempotency_key, revision_id) 
+             VALUES ${resultsData.map(() => rowPlaceholders).join(', ')}`,
+            params
+        );
+        // The rows of one INSERT get consecutive IDs, ending with lastID
+        const firstId = lastID - resultsData.length + 1;
+        return resultsData.map((resultData, index) => firstId + index);
+    }
+
+    // The result a user created with the given idempotency key, if any
+    async getTestResultByIdempotencyKey(userId, idempotencyKey) {
+        const row = await this.get('SELECT * FROM test_results WHERE user_id = ? AND idempotency_key = ?', [userId, idempotencyKey]);
+        return row ? parseResultRow(row) : row;
+    }
+
+    // Update the fields of a test result that resultData gives (fields left undefined keep their value).
+    // With expectedVersion, nothing changes (changes: 0) unless the result is still at that version.
+    async updateTestResult(id, resultData, expectedVersion = null) {
+        const fields = Object.keys(RESULT_FIELD_COLUMNS).filter(field => resultData[field] !== undefined);
+        const toColumnValue = (field) => {
+            if (field === 'stepResults' || field === 'criteriaResults') {
+                return JSON.stringify(resultData[field] || []);
+            }
+            return field === 'statusOverride' ? (resultData[field] ? 1 : 0) : resultData[field];
+        };
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE test_results SET ${fields.map(field => `${RESULT_FIELD_COLUMNS[field]} = ?, `).join('')}version = version + 1, 
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?${expectedVersion !== null ? ' AND version = ?' : ''}`,
+                [...fields.map(toColumnValue), id, ...(expectedVersion !== null ? [expectedVersion] : [])],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ id, ...resultData, changes: this.changes });
+                    }
+                }
+            );
+        });
+    }
+
+    // Get a single test result by ID
+    async getTestResultById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM test_results WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row ? parseResultRow(row) : row);
+                }
+            });
+        });
+    }
+
+    // Delete test result - its attachment records (the caller removes the files) and its defect links
+    // go with it. The defects themselves stay, since other results may still hit them.
+    // With expectedVersion, only while the result is still at that version.
+    async deleteTestResult(id, expectedVersion = null) {
+        return new Promise((resolve, reject) => {
+            const versionCheck = expectedVersion !== null ? ' AND version = ?' : '';
+            this.db.run(`DELETE FROM test_results WHERE id = ?${versionCheck}`, [id, ...(expectedVersion !== null ? [expectedVersion] : [])], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // ATTACHMENT OPERATIONS
+
+    // Get the attachments of the given results, grouped by result ID
+    async getAttachmentsByResultIds(resultIds) {
+        if (resultIds.length === 0) {
+            return {};
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT a.*, u.name as uploaded_by_name
+                FROM attachments a
+                LEFT JOIN users u ON a.uploaded_by = u.id
+                WHERE a.result_id IN (${resultIds.map(() => '?').join(', ')})
+                ORDER BY a.created_at ASC, a.id ASC
+            `, resultIds, (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    const grouped = {};
+                    rows.forEach(row => {
+                        (grouped[row.result_id] = grouped[row.result_id] || []).push(row);
+                    });
+                    resolve(grouped);
+                }
+            });
+        });
+    }
+
+    // Add an attachments list to each result row
+    async withAttachments(results) {
+        const attachments = await this.getAttachmentsByResultIds(results.map(result => result.id));
+        return results.map(result => ({ ...result, attachments: attachments[result.id] || [] }));
+    }
+
+    // Every result of a test or of a user (as getTestResultById returns them) with its attachments.
+    // Deleting the test or user deletes these rows, so the caller records their deletion and
+    // removes the attachment files.
+    async getResultsDeletedWith({ testId = null, userId = null }) {
+        const rows = await this.all(
+            `SELECT * FROM test_results WHERE ${testId !== null ? 'test_id = ?' : 'user_id = ?'} ORDER BY id`,
+            [testId !== null ? testId : userId]
+        );
+        return this.withAttachments(rows.map(parseResultRow));
+    }
+
+    // Get a single attachment by ID
+    async getAttachmentById(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM attachments WHERE id = ?', [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    }
+
+    // Record the metadata of a stored file
+    async createAttachment(attachmentData) {
+        const { resultId, filename, storedName, mimeType, size, uploadedBy } = attachmentData;
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO attachments (result_id, filename, stored_name, mime_type, size, uploaded_by) 
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [resultId, filename, storedName, mimeType, size, uploadedBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+
+        return this.getAttachmentById(id);
+    }
+
+    // Delete an attachment record (the caller removes the file)
+    async deleteAttachment(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM attachments WHERE id = ?', [id], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    // DEFECT OPERATIONS
+
+    // Get defects with their reporter and number of linked results, newest first.
+    // statuses limits the list to defects in those statuses.
+    async getDefects(statuses = null) {
+        const filter = statuses && statuses.length > 0
+            ? `WHERE d.status IN (${statuses.map(() => '?').join(', ')})`
+            : '';
+
+        const defects = await new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT d.*, u.name as created_by_name,
+                    (SELECT COUNT(*) FROM defect_results dr WHERE dr.defect_id = d.id) as result_count
+                FROM defects d
+                LEFT JOIN users u ON d.created_by = u.id
+                ${filter}
+                ORDER BY d.created_at DESC, d.id DESC
+            `, statuses || [], (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        return this.withDefectResults(defects);
+    }
+
+    // Get a single defect with its linked results
+    async getDefectById(id) {
+        const defect = await new Promise((resolve, reject) => {
+            this.db.get(`
+                SELECT d.*, u.name as created_by_name
+                FROM defects d
+                LEFT JOIN users u ON d.created_by = u.id
+                WHERE d.id = ?
+            `, [id], (err, row) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+
+        if (!defect) {
+            return defect;
+        }
+        const [withResults] = await this.withDefectResults([defect]);
+        return withResults;
+    }
+
+    // Add the linked results (with their test, tester and run) to each defect
+    async withDefectResults(defects) {
+        if (defects.length === 0) {
+            return defects;
+        }
+
+        const links = await new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT dr.defect_id, tr.id as result_id, tr.test_id, t.title as test_title, tr.status, 
+                       tr.test_date, u.name as user_name, tr.run_id, run.name as run_name
+                FROM defect_results dr
+                JOIN test_results tr ON dr.result_id = tr.id
+                LEFT JOIN tests t ON tr.test_id = t.id
+                LEFT JOIN users u ON tr.user_id = u.id
+                LEFT JOIN test_runs run ON tr.run_id = run.id
+                WHERE dr.defect_id IN (${defects.map(() => '?').join(', ')})
+                ORDER BY tr.test_id ASC, tr.created_at DESC
+            `, defects.map(defect => defect.id), (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        return defects.map(defect => ({
+            ...defect,
+            results: links.filter(link => link.defect_id === defect.id)
+        }));
+    }
+
+    // Add the defects each result is linked to
+    async withDefects(results) {
+        if (results.length === 0) {
+            return results;
+        }
+
+        const links = await new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT dr.result_id, d.id, d.title, d.severity, d.status
+                FROM defect_results dr
+                JOIN defects d ON dr.defect_id = d.id
+                WHERE dr.result_id IN (${results.map(() => '?').join(', ')})
+                ORDER BY d.id ASC
+            `, results.map(result => result.id), (err, rows) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+
+        return results.map(result => ({
+            ...result,
+            defects: links
+                .filter(link => link.result_id === result.id)
+                .map(({ result_id, ...defect }) => defect)
+        }));
+    }
+
+    // Create a defect. createdAt is only given when moving existing bug reports.
+    async createDefect(defectData) {
+        const {
+            title, description, severity, stepsToReproduce, expectedResult, actualResult, createdBy, createdAt
+        } = defectData;
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO defects (title, description, severity, steps_to_reproduce, expected_result, 
+                 actual_result, created_by, created_at, updated_at) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, CURRENT_TIMESTAMP))`,
+                [
+                    title, description || null, severity || 'medium', stepsToReproduce || null,
+                    expectedResult || null, actualResult || null, createdBy, createdAt || null, createdAt || null
+                ],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+
+        return this.getDefectById(id);
+    }
+
+    // Update a defect. Moving to fixed records when it was fixed, closing records when it was
+    // closed, and reopening clears both.
+    async updateDefect(id, defectData) {
+        const { title, description, severity, status, stepsToReproduce, expectedResult, actualResult } = defectData;
 
-            // First create all tables
-            let completed = 0;
-            tableQueries.forEach((query, index) => {
-                this.db.run(query, (err) => {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE defects SET title = ?, description = ?, severity = ?, steps_to_reproduce = ?, 
+                 expected_result = ?, actual_result = ?,
+                 fixed_at = CASE 
+                     WHEN ? = 'open' OR ? = 'in_progress' THEN NULL 
+                     WHEN ? = 'fixed' AND status != 'fixed' THEN CURRENT_TIMESTAMP 
+                     ELSE fixed_at END,
+                 closed_at = CASE 
+                     WHEN ? = 'closed' AND status != 'closed' THEN CURRENT_TIMESTAMP 
+                     WHEN ? != 'closed' THEN NULL 
+                     ELSE closed_at END,
+                 status = ?, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [
+                    title, description, severity, stepsToReproduce, expectedResult, actualResult,
+                    status, status, status, status, status, status, id
+                ],
+                function(err) {
                     if (err) {
-                        console.error(`❌ Error creating table ${index}:`, err);
                         reject(err);
-                        return;
-                    }
-                    completed++;
-                    if (completed === tableQueries.length) {
-                        console.log('✅ All database tables created successfully');
-                        
-                        // Now create indexes
-                        const indexQueries = [
-                            `CREATE INDEX IF NOT EXISTS idx_test_results_test_id ON test_results (test_id)`,
-                            `CREATE INDEX IF NOT EXISTS idx_test_results_user_id ON test_results (user_id)`,
-                            `CREATE INDEX IF NOT EXISTS idx_test_results_status ON test_results (status)`
-                        ];
-                        
-                        let indexCompleted = 0;
-                        indexQueries.forEach((query, index) => {
-                            this.db.run(query, (err) => {
-                                if (err) {
-                                    console.error(`❌ Error creating index ${index}:`, err);
-                                    reject(err);
-                                    return;
-                                }
-                                indexCompleted++;
-                                if (indexCompleted === indexQueries.length) {
-                                    console.log('✅ All database indexes created successfully');
-                                    resolve();
-                                }
-                            });
-                        });
+                    } else {
+                        resolve({ changes: this.changes });
                     }
-                });
-            });
+                }
+            );
         });
     }
 
-    // USER OPERATIONS
-
-    // Get all users
-    async getUsers() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM users ORDER BY created_at DESC', (err, rows) => {
+    // Delete a defect and its links (the results stay)
+    async deleteDefect(id) {
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM defect_results WHERE defect_id = ?', [id], (err) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(rows);
+                    resolve();
                 }
             });
         });
-    }
 
-    // Get user by ID
-    async getUserById(id) {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM users WHERE id = ?', [id], (err, row) => {
+            this.db.run('DELETE FROM defects WHERE id = ?', [id], function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve(row);
+                    resolve({ changes: this.changes });
                 }
             });
         });
     }
 
-    // Get user by name
-    async getUserByName(name) {
+    // Link a result to a defect; linking twice is a no-op
+    async linkDefectResult(defectId, resultId) {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM users WHERE name = ?', [name], (err, row) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(row);
+            this.db.run(
+                'INSERT OR IGNORE INTO defect_results (defect_id, result_id) VALUES (?, ?)',
+                [defectId, resultId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Create a new user
-    async createUser(name) {
+    async unlinkDefectResult(defectId, resultId) {
         return new Promise((resolve, reject) => {
-            this.db.run('INSERT INTO users (name) VALUES (?)', [name], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ id: this.lastID, name });
+            this.db.run(
+                'DELETE FROM defect_results WHERE defect_id = ? AND result_id = ?',
+                [defectId, resultId],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Update user
-    async updateUser(id, name) {
+    // WEBHOOK OPERATIONS
+
+    // Get all webhooks with the outcome of their latest delivery
+    async getWebhooks() {
         return new Promise((resolve, reject) => {
-            this.db.run('UPDATE users SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', 
-                [name, id], function(err) {
+            this.db.all(`
+                SELECT w.*, u.name as created_by_name,
+                    (SELECT status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) as last_delivery_status,
+                    (SELECT created_at FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) as last_delivery_at
+                FROM webhooks w
+                LEFT JOIN users u ON w.created_by = u.id
+                ORDER BY w.created_at ASC, w.id ASC
+            `, (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve({ id, name, changes: this.changes });
+                    resolve(rows.map(parseWebhookRow));
                 }
             });
         });
     }
 
-    // Delete user
-    async deleteUser(id) {
+    async getWebhookById(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM users WHERE id = ?', [id], function(err) {
+            this.db.get('SELECT * FROM webhooks WHERE id = ?', [id], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve({ changes: this.changes });
+                    resolve(row ? parseWebhookRow(row) : row);
                 }
             });
         });
     }
 
-    // TEST OPERATIONS
-
-    // Get all tests
-    async getTests() {
+    // Active webhooks subscribed to an event
+    async getWebhooksForEvent(event) {
         return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM tests ORDER BY id ASC', (err, rows) => {
+            this.db.all('SELECT * FROM webhooks WHERE active = 1', (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    // Parse JSON fields
-                    const tests = rows.map(row => ({
-                        ...row,
-                        test_steps: row.test_steps ? JSON.parse(row.test_steps) : [],
-                        acceptance_criteria: row.acceptance_criteria ? JSON.parse(row.acceptance_criteria) : [],
-                        status_guidance: row.status_guidance ? JSON.parse(row.status_guidance) : {}
-                    }));
-                    resolve(tests);
+                    resolve(rows.map(parseWebhookRow).filter(webhook => webhook.events.includes(event)));
                 }
             });
         });
     }
 
-    // Get test by ID
-    async getTestById(id) {
+    async createWebhook(webhookData) {
+        const { name, url, secret, events, active, createdBy } = webhookData;
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO webhooks (name, url, secret, events, active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+                [name, url, secret, JSON.stringify(events), active ? 1 : 0, createdBy],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+
+        return this.getWebhookById(id);
+    }
+
+    async updateWebhook(id, webhookData) {
+        const { name, url, secret, events, active } = webhookData;
+
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM tests WHERE id = ?', [id], (err, row) => {
+            this.db.run(
+                `UPDATE webhooks SET name = ?, url = ?, secret = ?, events = ?, active = ?, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [name, url, secret, JSON.stringify(events), active ? 1 : 0, id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
+                }
+            );
+        });
+    }
+
+    // Delete a webhook and its delivery log
+    async deleteWebhook(id) {
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id], (err) => {
                 if (err) {
                     reject(err);
-                } else if (row) {
-                    // Parse JSON fields
-                    const test = {
-                        ...row,
-                        test_steps: row.test_steps ? JSON.parse(row.test_steps) : [],
-                        acceptance_criteria: row.acceptance_criteria ? JSON.parse(row.acceptance_criteria) : [],
-                        status_guidance: row.status_guidance ? JSON.parse(row.status_guidance) : {}
-                    };
-                    resolve(test);
                 } else {
-                    resolve(null);
+                    resolve();
                 }
             });
         });
-    }
 
-    // Get the next available test ID
-    async getNextTestId() {
         return new Promise((resolve, reject) => {
-            this.db.all('SELECT id FROM tests ORDER BY CAST(SUBSTR(id, 4) AS INTEGER) DESC LIMIT 1', (err, rows) => {
+            this.db.run('DELETE FROM webhooks WHERE id = ?', [id], function(err) {
                 if (err) {
                     reject(err);
                 } else {
-                    if (rows.length === 0) {
-                        // No tests exist, start with TC-01
-                        resolve('TC-01');
-                    } else {
-                        // Extract the number from the last test ID and increment
-                        const lastId = rows[0].id;
-                        const lastNumber = parseInt(lastId.substring(3)); // Remove "TC-" prefix
-                        const nextNumber = lastNumber + 1;
-                        const nextId = `TC-${nextNumber.toString().padStart(2, '0')}`;
-                        resolve(nextId);
-                    }
+                    resolve({ changes: this.changes });
                 }
             });
         });
     }
 
-    // Create a new test with automatic ID generation
-    async createTest(testData) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Generate automatic ID if not provided
-                let testId = testData.id;
-                if (!testId) {
-                    testId = await this.getNextTestId();
-                }
-
-                const {
-                    title, story, category, priority, estimatedTime, prerequisites,
-                    testSteps, acceptanceCriteria, statusGuidance
-                } = testData;
+    // Queue a delivery of an event to a webhook
+    async createWebhookDelivery(deliveryData) {
+        const { webhookId, event, payload } = deliveryData;
 
-                this.db.run(
-                    `INSERT INTO tests (id, title, story, category, priority, estimated_time, 
-                     prerequisites, test_steps, acceptance_criteria, status_guidance) 
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                    [
-                        testId, title, story, category, priority, estimatedTime, prerequisites,
-                        JSON.stringify(testSteps), JSON.stringify(acceptanceCriteria), JSON.stringify(statusGuidance)
-                    ],
-                    function(err) {
-                        if (err) {
-                            reject(err);
-                        } else {
-                            resolve({ id: testId, ...testData });
-                        }
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) 
+                 VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+                [webhookId, event, payload],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
                     }
-                );
-            } catch (error) {
-                reject(error);
-            }
+                }
+            );
         });
+
+        return this.getWebhookDeliveryById(id);
     }
 
-    // Update test
-    async updateTest(id, testData) {
-        return new Promise((resolve, reject) => {
-            const {
-                title, story, category, priority, estimatedTime, prerequisites,
-                testSteps, acceptanceCriteria, statusGuidance
-            } = testData;
+    // Record the outcome of a delivery attempt. nextAttemptAt (a Date) is set while a retry is due.
+    async updateWebhookDelivery(id, attemptData) {
+        const { status, attempts, responseStatus, responseBody, error, nextAttemptAt } = attemptData;
 
+        return new Promise((resolve, reject) => {
             this.db.run(
-                `UPDATE tests SET title = ?, story = ?, category = ?, priority = ?, 
-                 estimated_time = ?, prerequisites = ?, test_steps = ?, 
-                 acceptance_criteria = ?, status_guidance = ?, updated_at = CURRENT_TIMESTAMP 
+                `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, response_body = ?, 
+                 error = ?, next_attempt_at = ?, last_attempt_at = CURRENT_TIMESTAMP 
                  WHERE id = ?`,
                 [
-                    title, story, category, priority, estimatedTime, prerequisites,
-                    JSON.stringify(testSteps), JSON.stringify(acceptanceCriteria), 
-                    JSON.stringify(statusGuidance), id
+                    status, attempts, responseStatus || null, responseBody || null, error || null,
+                    nextAttemptAt ? nextAttemptAt.toISOString().replace('T', ' ').substring(0, 19) : null, id
                 ],
                 function(err) {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve({ id, ...testData, changes: this.changes });
+                        resolve({ changes: this.changes });
                     }
                 }
             );
         });
     }
 
-    // Delete test
-    async deleteTest(id) {
+    // Put a delivery back in the queue for an immediate new series of attempts
+    async requeueWebhookDelivery(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM tests WHERE id = ?', [id], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ changes: this.changes });
+            this.db.run(
+                `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [id],
+                function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve({ changes: this.changes });
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Clear all tests (for migration purposes)
-    async clearAllTests() {
+    async getWebhookDeliveryById(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM tests', function(err) {
+            this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
                 if (err) {
                     reject(err);
                 } else {
-                    resolve({ changes: this.changes });
+                    resolve(row);
                 }
             });
         });
     }
 
-    // TEST RESULTS OPERATIONS
-
-    // Get all test results
-    async getTestResults() {
+    // Delivery log of a webhook, newest first
+    async getWebhookDeliveries(webhookId, limit = 50) {
         return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT tr.*, u.name as user_name, t.title as test_title 
-                FROM test_results tr
-                JOIN users u ON tr.user_id = u.id
-                JOIN tests t ON tr.test_id = t.id
-                ORDER BY tr.created_at DESC
-            `, (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
+            this.db.all(
+                'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?',
+                [webhookId, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Get test results by test ID
-    async getTestResultsByTestId(testId) {
+    // Deliveries still waiting for an attempt, oldest first
+    async getPendingWebhookDeliveries() {
         return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT tr.*, u.name as user_name 
-                FROM test_results tr
-                JOIN users u ON tr.user_id = u.id
-                WHERE tr.test_id = ?
-                ORDER BY tr.created_at DESC
-            `, [testId], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
+            this.db.all(
+                "SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at ASC, id ASC",
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
-            });
+            );
         });
     }
 
-    // Get test results by user ID
-    async getTestResultsByUserId(userId) {
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT tr.*, t.title as test_title 
-                FROM test_results tr
-                JOIN tests t ON tr.test_id = t.id
-                WHERE tr.user_id = ?
-                ORDER BY tr.created_at DESC
-            `, [userId], (err, rows) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(rows);
-                }
-            });
-        });
-    }
+    // FULL-TEXT SEARCH METHODS
+    // matchQuery is an FTS5 MATCH expression (see utils/search.js). Snippets mark matches with
+    // MATCH_START/MATCH_END; the best matches come first.
 
-    // Create a new test result
-    async createTestResult(resultData) {
+    async searchTests(matchQuery, limit) {
         return new Promise((resolve, reject) => {
-            const {
-                testId, userId, status, testDate, environment, notes,
-                bugSeverity, bugDescription, stepsToReproduce, expectedResult, actualResult
-            } = resultData;
-
-            this.db.run(
-                `INSERT INTO test_results (test_id, user_id, status, test_date, environment, 
-                 notes, bug_severity, bug_description, steps_to_reproduce, expected_result, actual_result) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    testId, userId, status, testDate, environment, notes,
-                    bugSeverity, bugDescription, stepsToReproduce, expectedResult, actualResult
-                ],
-                function(err) {
+            this.db.all(
+                `SELECT t.id, t.title, t.category, t.priority,
+                        snippet(tests_fts, -1, ?, ?, '…', 16) as snippet
+                 FROM tests_fts
+                 JOIN tests t ON t.rowid = tests_fts.rowid
+                 WHERE tests_fts MATCH ?
+                 ORDER BY rank
+                 LIMIT ?`,
+                [MATCH_START, MATCH_END, matchQuery, limit],
+                (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve({ id: this.lastID, ...resultData });
+                        resolve(rows);
                     }
                 }
             );
         });
     }
 
-    // Update test result
-    async updateTestResult(id, resultData) {
+    async searchTestResults(matchQuery, limit) {
         return new Promise((resolve, reject) => {
-            const {
-                status, testDate, environment, notes,
-                bugSeverity, bugDescription, stepsToReproduce, expectedResult, actualResult
-            } = resultData;
-
-            this.db.run(
-                `UPDATE test_results SET status = ?, test_date = ?, environment = ?, 
-                 notes = ?, bug_severity = ?, bug_description = ?, steps_to_reproduce = ?, 
-                 expected_result = ?, actual_result = ?, updated_at = CURRENT_TIMESTAMP 
-                 WHERE id = ?`,
-                [
-                    status, testDate, environment, notes,
-                    bugSeverity, bugDescription, stepsToReproduce, expectedResult, actualResult, id
-                ],
-                function(err) {
+            this.db.all(
+                `SELECT tr.id, tr.test_id, tr.status, tr.run_id, tr.test_date, tr.created_at,
+                        t.title as test_title, u.name as user_name, r.name as run_name,
+                        snippet(results_fts, 0, ?, ?, '…', 16) as snippet
+                 FROM results_fts
+                 JOIN test_results tr ON tr.id = results_fts.rowid
+                 LEFT JOIN tests t ON t.id = tr.test_id
+                 LEFT JOIN users u ON u.id = tr.user_id
+                 LEFT JOIN test_runs r ON r.id = tr.run_id
+                 WHERE results_fts MATCH ?
+                 ORDER BY rank
+                 LIMIT ?`,
+                [MATCH_START, MATCH_END, matchQuery, limit],
+                (err, rows) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve({ id, ...resultData, changes: this.changes });
+                        resolve(rows);
                     }
                 }
             );
         });
     }
 
-    // Delete test result
-    async deleteTestResult(id) {
+    async searchDefects(matchQuery, limit) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM test_results WHERE id = ?', [id], function(err) {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve({ changes: this.changes });
+            this.db.all(
+                `SELECT d.id, d.title, d.severity, d.status,
+                        snippet(defects_fts, -1, ?, ?, '…', 16) as snippet
+                 FROM defects_fts
+                 JOIN defects d ON d.id = defects_fts.rowid
+                 WHERE defects_fts MATCH ?
+                 ORDER BY rank
+                 LIMIT ?`,
+                [MATCH_START, MATCH_END, matchQuery, limit],
+                (err, rows) => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve(rows);
+                    }
                 }
-            });
+            );
         });
     }
 
     // UTILITY METHODS
 
-    // Get test statistics
-    async getTestStats() {
+    // Get test statistics - across all results, or for the tests and results of one run
+    async getTestStats(runId = null) {
+        const from = runId
+            ? `FROM test_run_tests rt
+               JOIN tests t ON t.id = rt.test_id
+               LEFT JOIN test_results tr ON t.id = tr.test_id AND tr.run_id = rt.run_id
+               WHERE rt.run_id = ?`
+            : `FROM tests t
+               LEFT JOIN test_results tr ON t.id = tr.test_id`;
+
         return new Promise((resolve, reject) => {
             this.db.all(`
                 SELECT 
@@ -498,9 +2515,8 @@ class Database {
                     COUNT(CASE WHEN tr.status = 'blocked' THEN 1 END) as blocked_tests,
                     COUNT(CASE WHEN tr.status = 'partial' THEN 1 END) as partial_tests,
                     COUNT(CASE WHEN tr.status = 'skip' THEN 1 END) as skipped_tests
-                FROM tests t
-                LEFT JOIN test_results tr ON t.id = tr.test_id
-            `, (err, rows) => {
+                ${from}
+            `, runId ? [runId] : [], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -510,8 +2526,8 @@ class Database {
         });
     }
 
-    // Get user statistics
-    async getUserStats(userId) {
+    // Get user statistics, optionally within one run
+    async getUserStats(userId, runId = null) {
         return new Promise((resolve, reject) => {
             this.db.all(`
                 SELECT 
@@ -522,8 +2538,8 @@ class Database {
                     COUNT(CASE WHEN tr.status = 'partial' THEN 1 END) as partial_tests,
                     COUNT(CASE WHEN tr.status = 'skip' THEN 1 END) as skipped_tests
                 FROM test_results tr
-                WHERE tr.user_id = ?
-            `, [userId], (err, rows) => {
+                WHERE tr.user_id = ? AND (? IS NULL OR tr.run_id = ?)
+            `, [userId, runId, runId], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
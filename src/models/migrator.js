@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Numbered schema migrations in src/migrations, named <version>-<name>.js (e.g. 003-add-test-owner.js).
+// Each exports async up(db) and, when it can be undone, async down(db); db is the Database instance.
+// Applied versions are recorded in schema_migrations, and each migration runs in its own transaction.
+// Foreign keys are not enforced while migrations run, so tables can be rebuilt without cascading deletes.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+class Migrator {
+    constructor(database, directory = MIGRATIONS_DIR) {
+        this.database = database;
+        this.directory = directory;
+    }
+
+    // Migration files sorted by version
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => ({
+                version: parseInt(match[1], 10),
+                name: match[2],
+                ...require(path.join(this.directory, file))
+            }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((migration, index) => {
+            if (index > 0 && migrations[index - 1].version === migration.version) {
+                throw new Error(`Two migrations have version ${migration.version}: ${migrations[index - 1].name} and ${migration.name}`);
+            }
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${this.label(migration)} has no up function`);
+            }
+        });
+        return migrations;
+    }
+
+    async ensureTable() {
+        await this.database.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    }
+
+    async getApplied() {
+        await this.ensureTable();
+        return this.database.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    }
+
+    // Every known migration with whether it is applied, plus applied versions with no file
+    // (the database was migrated by a newer version of the tracker)
+    async status() {
+        const applied = await this.getApplied();
+        const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+        const migrations = this.loadMigrations();
+        const known = new Set(migrations.map(migration => migration.version));
+
+        return [
+            ...migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                applied: appliedByVersion.has(migration.version),
+                appliedAt: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null,
+                reversible: typeof migration.down === 'function',
+                missing: false
+            })),
+            ...applied.filter(row => !known.has(row.version)).map(row => ({
+                version: row.version,
+                name: row.name,
+                applied: true,
+                appliedAt: row.applied_at,
+                reversible: false,
+                missing: true
+            }))
+        ].sort((a, b) => a.version - b.version);
+    }
+
+    // Apply pending migrations up to and including a version (default: all). Returns the applied migrations.
+    async up(targetVersion = Infinity) {
+        const applied = new Set((await this.getApplied()).map(row => row.version));
+        const pending = this.loadMigrations().filter(migration => !applied.has(migration.version) && migration.version <= targetVersion);
+
+        await this.withoutForeignKeys(async () => {
+            for (const migration of pending) {
+                await this.runMigration(migration, 'up');
+            }
+        });
+        return pending;
+    }
+
+    // Revert applied migrations newer than a version, newest first (default: only the latest).
+    // Returns the reverted migrations.
+    async down(targetVersion = null) {
+        const appliedVersions = (await this.getApplied()).map(row => row.version);
+        if (appliedVersions.length === 0) {
+            return [];
+        }
+        const target = targetVersion === null
+            ? (appliedVersions.length > 1 ? appliedVersions[appliedVersions.length - 2] : 0)
+            : targetVersion;
+
+        const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+        const toRevert = appliedVersions.filter(version => version > target).reverse();
+
+        // Check every migration can be reverted before changing anything
+        for (const version of toRevert) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`Migration ${version} is applied but its file is missing - it was applied by a newer version`);
+            }
+            if (typeof migration.down !== 'function') {
+                throw new Error(`Migration ${this.label(migration)} cannot be rolled back`);
+            }
+        }
+
+        const reverted = [];
+        await this.withoutForeignKeys(async () => {
+            for (const version of toRevert) {
+                await this.runMigration(migrations.get(version), 'down');
+                reverted.push(migrations.get(version));
+            }
+        });
+        return reverted;
+    }
+
+    // PRAGMA foreign_keys cannot change inside a transaction, so it is switched around all migrations
+    async withoutForeignKeys(callback) {
+        const { foreign_keys: enabled } = await this.database.get('PRAGMA foreign_keys');
+        await this.database.run('PRAGMA foreign_keys = OFF');
+        try {
+            await callback();
+        } finally {
+            if (enabled) {
+                await this.database.run('PRAGMA foreign_keys = ON');
+            }
+        }
+    }
+
+    // Run one direction of a migration and record it, all in one transaction
+    async runMigration(migration, direction) {
+        await this.database.run('BEGIN');
+        try {
+            await migration[direction](this.database);
+            if (direction === 'up') {
+                await this.database.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+            } else {
+                await this.database.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+            await this.database.run('COMMIT');
+        } catch (error) {
+            await this.database.run('ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${this.label(migration)} ${direction} failed: ${error.message}`);
+        }
+        console.log(`✅ Migration ${this.label(migration)} ${direction === 'up' ? 'applied' : 'rolled back'}`);
+    }
+
+    label(migration) {
+        return `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,75 @@
+const session = require('express-session');
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// express-session store backed by the sessions table of the app's SQLite database
+class SQLiteSessionStore extends session.Store {
+    constructor(options = {}) {
+        super();
+        this.database = options.db;
+        this.pruneInterval = options.pruneInterval || 15 * 60 * 1000;
+        this.pruneTimer = null;
+    }
+
+    // Start removing expired sessions on a schedule (call once the database is initialized)
+    startPruning() {
+        this.stopPruning();
+        this.pruneTimer = setInterval(() => this.prune(), this.pruneInterval);
+        // Do not keep the process alive just for pruning
+        this.pruneTimer.unref();
+        return this.prune();
+    }
+
+    stopPruning() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+    }
+
+    async prune() {
+        try {
+            const result = await this.database.pruneExpiredSessions();
+            if (result.changes > 0) {
+                console.log(`🧹 Pruned ${result.changes} expired sessions`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to prune expired sessions:', error);
+        }
+    }
+
+    // Expiry timestamp (ms) for a session, from its cookie
+    getExpiry(sess) {
+        if (sess && sess.cookie && sess.cookie.expires) {
+            return new Date(sess.cookie.expires).getTime();
+        }
+        const maxAge = sess && sess.cookie && sess.cookie.originalMaxAge;
+        return Date.now() + (maxAge || ONE_DAY);
+    }
+
+    get(sid, callback) {
+        this.database.getSession(sid)
+            .then(row => callback(null, row ? JSON.parse(row.sess) : null))
+            .catch(error => callback(error));
+    }
+
+    set(sid, sess, callback = () => {}) {
+        this.database.saveSession(sid, sess, this.getExpiry(sess))
+            .then(() => callback(null))
+            .catch(error => callback(error));
+    }
+
+    touch(sid, sess, callback = () => {}) {
+        this.database.touchSession(sid, this.getExpiry(sess))
+            .then(() => callback(null))
+            .catch(error => callback(error));
+    }
+
+    destroy(sid, callback = () => {}) {
+        this.database.destroySession(sid)
+            .then(() => callback(null))
+            .catch(error => callback(error));
+    }
+}
+
+module.exports = SQLiteSessionStore;
@@ -3,22 +3,76 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const Database = require('./models/database');
+const SQLiteSessionStore = require('./models/session-store');
 const session = require('express-session');
 const crypto = require('crypto');
+const fs = require('fs-extra');
+const { hashPassword, verifyPassword } = require('./utils/password');
+const { ROLES, getPermissions, requestHasPermission, requirePermission } = require('./middleware/permissions');
+const { generateApiToken, hashApiToken, getBearerToken } = require('./utils/api-tokens');
+const LoginThrottle = require('./middleware/login-throttle');
+const { normalizeStepResults, deriveStatusFromSteps } = require('./utils/step-results');
+const { normalizeCriteriaResults } = require('./utils/criteria-results');
+const attachmentFiles = require('./utils/attachments');
+const { DEFECT_STATUSES, DEFECT_SEVERITIES, ACTIVE_DEFECT_STATUSES, getNextDefectStatuses, canTransitionDefect } = require('./utils/defects');
+const { parseJUnitXml, matchTestcase } = require('./utils/junit');
+const { encodeCursor, parseListFilter, parseListQuery, isIsoDate } = require('./utils/list-query');
+const { SEARCH_TYPES, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT, buildMatchQuery, formatSnippet } = require('./utils/search');
+const { WEBHOOK_EVENTS, PING_EVENT, WebhookDispatcher, generateWebhookSecret } = require('./utils/webhook-dispatcher');
+const { validate } = require('./utils/validation');
+const { versionETag, ifMatchAllows } = require('./utils/etags');
+const { EventStream } = require('./utils/event-stream');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize database
 const db = new Database();
+const loginThrottle = new LoginThrottle({ db: db });
+const webhooks = new WebhookDispatcher({ db: db });
+const events = new EventStream();
 
 // Configuration
-const APP_PASSWORD = process.env.APP_PASSWORD || 'cursifyvertex2025'; // Change this for production
-const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+// One-time password given to accounts that have no credentials yet (the seeded user and users created
+// before per-user logins existed), to be replaced at first login. Without it each such account gets a
+// random one, printed once at startup. Required in production.
+const APP_PASSWORD = process.env.APP_PASSWORD || null;
+// Account that imported JUnit results are recorded for, whoever uploads the report
+const JUNIT_IMPORT_USER = process.env.JUNIT_IMPORT_USER || 'CI Bot';
+const MIN_PASSWORD_LENGTH = 8;
+
+// Without SESSION_SECRET, generate one once and keep it next to the database -
+// a new secret on every start would invalidate all stored sessions
+const loadOrCreateSessionSecret = () => {
+  const secretPath = path.join(__dirname, '../data', 'session-secret');
+  if (fs.pathExistsSync(secretPath)) {
+    return fs.readFileSync(secretPath, 'utf8').trim();
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.outputFileSync(secretPath, secret, { mode: 0o600 });
+  return secret;
+};
+const SESSION_SECRET = process.env.SESSION_SECRET || loadOrCreateSessionSecret();
+
+// Behind Render's proxy (or TRUST_PROXY=true), take the client IP from X-Forwarded-For so login
+// throttling sees real clients. Not enabled by default - otherwise clients could spoof their IP.
+if (process.env.RENDER || process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json({ limit: '10mb' }));
+
+// Attachment uploads are the raw file body, read by their route - a .json or .har file must not
+// be parsed (or rejected) as a JSON request first
+const ATTACHMENT_UPLOAD_PATH = /^\/api\/test-results\/[^/]+\/attachments\/?$/i;
+const jsonBodyParser = bodyParser.json({ limit: '10mb' });
+app.use((req, res, next) => {
+  if (req.method === 'POST' && ATTACHMENT_UPLOAD_PATH.test(req.path)) {
+    return next();
+  }
+  jsonBodyParser(req, res, next);
+});
 
 // Session configuration - PERMANENT SOLUTION for Render
 const sessionConfig = {
@@ -34,20 +88,16 @@ const sessionConfig = {
     path: '/' // Explicit path
   },
   name: 'test-tracker-session',
-  // Use a more robust session store configuration
-  store: undefined // Let express-session use default memory store
+  // Sessions are stored in the SQLite database so logins survive restarts and redeploys
+  store: undefined
 };
 
-// Enhanced memory store for Render
-console.log('🌐 Configuring enhanced session store for Render');
-const MemoryStore = require('memorystore')(session);
-sessionConfig.store = new MemoryStore({
-  checkPeriod: 86400000, // prune expired entries every 24h
-  max: 1000, // Maximum number of sessions
-  dispose: (key, sess) => {
-    console.log('🗑️ Session disposed:', key);
-  }
+console.log('🌐 Configuring SQLite session store');
+const sessionStore = new SQLiteSessionStore({
+  db: db,
+  pruneInterval: 15 * 60 * 1000 // prune expired sessions every 15 minutes
 });
+sessionConfig.store = sessionStore;
 
 app.use(session(sessionConfig));
 
@@ -63,15 +113,69 @@ app.use((req, res, next) => {
   next();
 });
 
-// Authentication middleware
-const requireAuth = (req, res, next) => {
-  if (req.session.authenticated) {
+// Authentication middleware - accepts an API token (Bearer header) or a login session,
+// and loads the authenticated user (with role) onto req.user
+const requireAuth = async (req, res, next) => {
+  const bearerToken = getBearerToken(req);
+
+  try {
+    if (bearerToken) {
+      // A bad token is always rejected - never fall back to the cookie session
+      const apiToken = await db.getActiveApiTokenByHash(hashApiToken(bearerToken));
+      const user = apiToken ? await db.getUserById(apiToken.user_id) : null;
+      if (!user) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Invalid or revoked API token'
+        });
+      }
+
+      db.touchApiToken(apiToken.id).catch(error => {
+        console.warn('⚠️ Failed to record API token use:', error.message);
+      });
+
+      req.user = user;
+      req.apiToken = apiToken;
+      return next();
+    }
+
+    if (!req.session.authenticated) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Authentication required',
+        redirect: '/login'
+      });
+    }
+
+    // Look the user up on every request so role changes and deletions apply immediately
+    const user = await db.getUserById(req.session.userId);
+    if (!user) {
+      return req.session.destroy(() => {
+        res.status(401).json({ 
+          success: false, 
+          error: 'Authentication required',
+          redirect: '/login'
+        });
+      });
+    }
+
+    // Logged in with a one-time password - nothing but setting a new password is allowed
+    if (req.session.mustChangePassword && !(req.method === 'PUT' && req.path === '/account/password')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Password change required',
+        message: 'Set a new password before using the app',
+        passwordChangeRequired: true
+      });
+    }
+
+    req.user = user;
     next();
-  } else {
-    res.status(401).json({ 
-      success: false, 
-      error: 'Authentication required',
-      redirect: '/login'
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to authenticate request',
+      message: error.message
     });
   }
 };
@@ -114,75 +218,162 @@ app.get('/login', (req, res) => {
   res.sendFile(path.join(__dirname, '../public', 'login.html'));
 });
 
-app.post('/api/login', (req, res) => {
-  const { password } = req.body;
-  
-  console.log('🔐 Login attempt:', { 
-    passwordMatch: password === APP_PASSWORD,
-    sessionId: req.sessionID,
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV,
-    isRender: !!process.env.RENDER,
-    userAgent: req.get('User-Agent'),
-    origin: req.get('Origin'),
-    referer: req.get('Referer')
-  });
+const LOGIN_SCHEMA = {
+  username: { type: 'string', required: true, label: 'Username' },
+  password: { type: 'string', trim: false, required: true, label: 'Password' }
+};
+
+app.post('/api/login', async (req, res) => {
+  const { value, errors } = validate(LOGIN_SCHEMA, req.body);
+  if (errors) {
+    return sendValidationErrors(res, errors);
+  }
+  const { username, password } = value;
   
-  if (password === APP_PASSWORD) {
-    // Set session data
-    req.session.authenticated = true;
-    req.session.loginTime = new Date().toISOString();
-    req.session.userAgent = req.get('User-Agent');
+  try {
+    const throttleKeys = loginThrottle.getKeys(req.ip, username);
+    
+    console.log('🔐 Login attempt:', { 
+      username,
+      ip: req.ip,
+      sessionId: req.sessionID,
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV,
+      isRender: !!process.env.RENDER,
+      userAgent: req.get('User-Agent'),
+      origin: req.get('Origin'),
+      referer: req.get('Referer')
+    });
+    
+    // Attempts for the same IP or account run one after another, so parallel guesses are
+    // throttled like sequential ones
+    const outcome = await loginThrottle.serialize(throttleKeys, async () => {
+      // Refuse attempts during backoff or lockout without checking the password at all
+      const retryAfter = await loginThrottle.getRetryAfter(throttleKeys);
+      if (retryAfter > 0) {
+        return { throttled: true, retryAfter };
+      }
+      
+      const user = await db.getUserCredentialsByName(username);
+      const passwordMatch = user ? await verifyPassword(password, user.password_hash, user.password_salt) : false;
+      if (!passwordMatch) {
+        return { failed: true, retryAfter: await loginThrottle.recordFailure(throttleKeys, req.ip) };
+      }
+      
+      await loginThrottle.recordSuccess(throttleKeys);
+      return { user };
+    });
+    
+    if (outcome.throttled) {
+      console.log(`⏳ Login throttled for ${outcome.retryAfter}s`);
+      res.set('Retry-After', String(outcome.retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        error: 'Too many failed login attempts',
+        message: `Too many failed login attempts. Try again in ${outcome.retryAfter} second${outcome.retryAfter === 1 ? '' : 's'}.`,
+        retryAfter: outcome.retryAfter
+      });
+    }
+    
+    if (outcome.failed) {
+      console.log('❌ Login failed: Invalid username or password');
+      if (outcome.retryAfter > 0) {
+        res.set('Retry-After', String(outcome.retryAfter));
+      }
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Incorrect username or password',
+        retryAfter: outcome.retryAfter
+      });
+    }
     
-    // Force session save with callback for Render
-    req.session.save((err) => {
+    const user = outcome.user;
+    
+    // New session ID on login so a pre-login session cannot be reused
+    req.session.regenerate((err) => {
       if (err) {
-        console.error('❌ Session save error:', err);
+        console.error('❌ Session regenerate error:', err);
         return res.status(500).json({ 
           success: false, 
           error: 'Session error' 
         });
       }
       
-      console.log('✅ Login successful, session authenticated:', req.sessionID);
-      console.log('📊 Session data:', req.session);
-      
-      // Set additional headers for Render compatibility
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-      res.setHeader('Pragma', 'no-cache');
-      res.setHeader('Expires', '0');
+      // Bind the session to the account that logged in
+      req.session.authenticated = true;
+      req.session.userId = user.id;
+      req.session.userName = user.name;
+      req.session.loginTime = new Date().toISOString();
+      req.session.userAgent = req.get('User-Agent');
+      // A one-time password only lets the user set their own (see requireAuth)
+      req.session.mustChangePassword = !!user.must_change_password;
       
-      res.json({ 
-        success: true, 
-        message: 'Login successful',
-        redirect: '/app',
-        sessionId: req.sessionID,
-        timestamp: new Date().toISOString()
+      // Force session save with callback for Render
+      req.session.save((err) => {
+        if (err) {
+          console.error('❌ Session save error:', err);
+          return res.status(500).json({ 
+            success: false, 
+            error: 'Session error' 
+          });
+        }
+        
+        console.log('✅ Login successful, session authenticated:', req.sessionID);
+        console.log('📊 Session data:', req.session);
+        
+        // Set additional headers for Render compatibility
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        
+        res.json({ 
+          success: true, 
+          message: 'Login successful',
+          redirect: '/app',
+          user: { id: user.id, name: user.name, role: user.role },
+          mustChangePassword: !!user.must_change_password,
+          sessionId: req.sessionID,
+          timestamp: new Date().toISOString()
+        });
       });
     });
-  } else {
-    console.log('❌ Login failed: Invalid password');
-    res.status(401).json({ 
+  } catch (error) {
+    console.error('❌ Login error:', error);
+    res.status(500).json({ 
       success: false, 
-      error: 'Incorrect password' 
+      error: 'Login failed',
+      message: error.message
     });
   }
 });
 
-app.get('/api/auth-status', (req, res) => {
+app.get('/api/auth-status', async (req, res) => {
   console.log('🔍 Auth status check:', {
     sessionId: req.sessionID,
     authenticated: !!req.session.authenticated,
     timestamp: new Date().toISOString()
   });
   
-  res.json({ 
-    authenticated: !!req.session.authenticated,
-    sessionId: req.sessionID
-  });
+  try {
+    const user = req.session.authenticated ? await db.getUserById(req.session.userId) : null;
+    
+    res.json({ 
+      authenticated: !!user,
+      user: user ? { id: user.id, name: user.name, role: user.role } : null,
+      permissions: user ? getPermissions(user.role) : [],
+      sessionId: req.sessionID
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check authentication',
+      message: error.message
+    });
+  }
 });
 
 app.post('/api/logout', (req, res) => {
+  events.disconnect(client => client.sid === req.sessionID);
   req.session.destroy((err) => {
     if (err) {
       res.status(500).json({ 
@@ -201,6 +392,85 @@ app.post('/api/logout', (req, res) => {
 // Protected Routes - All API endpoints now require authentication
 app.use('/api', requireAuth);
 
+// Every write route answers invalid input the same way: a 400 listing each problem by field, e.g.
+// { success: false, error: 'Validation failed', message: 'Test title is required',
+//   details: [{ field: 'title', message: 'Test title is required' }] }
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  message: errors.map(error => error.message).join('; '),
+  details: errors
+});
+
+// Optimistic concurrency for tests and results: a write sent with If-Match only applies to the
+// version the client loaded. When the row changed since, answer 409 with the current row under key.
+const sendVersionConflict = (res, current, key, noun) => {
+  res.set('ETag', versionETag(current.version));
+  return res.status(409).json({
+    success: false,
+    error: 'Conflict',
+    message: `The ${noun} was changed by someone else since you loaded it`,
+    [key]: current
+  });
+};
+
+// Sends the 409 and returns false when the request's If-Match does not match the current row
+const checkIfMatch = (req, res, current, key, noun) => {
+  if (ifMatchAllows(req.get('If-Match'), current.version)) {
+    return true;
+  }
+  sendVersionConflict(res, current, key, noun);
+  return false;
+};
+
+// The version a conditional write must still find when it runs, or null without If-Match
+const expectedVersion = (req, current) => req.get('If-Match') ? current.version : null;
+
+// Results can be changed by their author, or by anyone allowed to manage all results
+const canModifyResult = (req, result) => {
+  return result.user_id === req.user.id || requestHasPermission(req, 'results:manage');
+};
+
+// Results in a closed run are frozen so past runs stay intact
+const isResultInClosedRun = async (result) => {
+  if (!result.run_id) {
+    return false;
+  }
+  const run = await db.getTestRunById(result.run_id);
+  return !!run && run.status === 'closed';
+};
+
+// Record a change in the audit log and notify subscribed webhooks and open browsers. A failed audit write is logged
+// but does not fail the request, since the change itself has already been made.
+const recordAudit = async (req, action, entityType, entityId, before = null, after = null) => {
+  try {
+    await db.createAuditEntry({
+      actorId: req.user ? req.user.id : null,
+      actorName: req.user ? req.user.name : null,
+      apiTokenId: req.apiToken ? req.apiToken.id : null,
+      action: action,
+      entityType: entityType,
+      entityId: entityId,
+      before: before,
+      after: after
+    });
+  } catch (error) {
+    console.error(`❌ Failed to record audit entry (${action} ${entityType} ${entityId}):`, error);
+  }
+  const actor = req.user ? { id: req.user.id, name: req.user.name } : null;
+  events.emitChange(action, entityType, entityId, before, after, actor);
+  await webhooks.emitChange(action, entityType, before, after, actor);
+};
+
+// Results deleted along with their test or user are recorded like results deleted one by one, and
+// their attachment files are removed
+const recordCascadedResultDeletes = async (req, results) => {
+  for (const result of results) {
+    await Promise.all(result.attachments.map(attachment => attachmentFiles.deleteAttachmentFile(attachment.stored_name)));
+    await recordAudit(req, 'delete', 'test_result', result.id, result);
+  }
+};
+
 // Serve static files (CSS, JS, etc.) - but not HTML files
 app.use(express.static(path.join(__dirname, '../public'), {
   index: false // Don't serve index.html automatically
@@ -208,8 +478,215 @@ app.use(express.static(path.join(__dirname, '../public'), {
 
 // API Routes
 
+// ACCOUNT API ENDPOINTS
+
+const PASSWORD_CHANGE_SCHEMA = {
+  currentPassword: { type: 'string', trim: false, label: 'Current password' },
+  newPassword: { type: 'string', trim: false, required: true, min: MIN_PASSWORD_LENGTH, label: 'New password' }
+};
+
+// Change the logged-in user's password
+app.put('/api/account/password', async (req, res) => {
+  try {
+    const { value, errors } = validate(PASSWORD_CHANGE_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { currentPassword, newPassword } = value;
+
+    const user = await db.getUserCredentialsById(req.user.id);
+    if (!user || !(await verifyPassword(currentPassword, user.password_hash, user.password_salt))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    if (user.must_change_password && newPassword === currentPassword) {
+      return sendValidationErrors(res, [{ field: 'newPassword', message: 'New password must differ from the one-time password' }]);
+    }
+
+    await db.setUserPassword(user.id, await hashPassword(newPassword));
+    req.session.mustChangePassword = false;
+    await recordAudit(req, 'change_password', 'user', user.id);
+    res.json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update password',
+      message: error.message
+    });
+  }
+});
+
+// List the logged-in user's API tokens
+app.get('/api/account/tokens', async (req, res) => {
+  try {
+    const tokens = await db.getApiTokensByUserId(req.user.id);
+    res.json({
+      success: true,
+      tokens: tokens
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load API tokens',
+      message: error.message
+    });
+  }
+});
+
+// Create an API token - the plain token is only returned in this response
+app.post('/api/account/tokens', async (req, res) => {
+  try {
+    // Tokens can only be minted from a login session, not by another token
+    if (req.apiToken) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'API tokens cannot create other API tokens'
+      });
+    }
+
+    // Scopes are drawn from the permissions of the user's own role
+    const { value, errors } = validate({
+      name: { type: 'string', required: true, max: 100, label: 'Token name' },
+      scopes: { type: 'array', items: 'string', enum: getPermissions(req.user.role), required: true, min: 1 }
+    }, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { name, scopes } = value;
+
+    const { token, hash, displayPrefix } = generateApiToken();
+    const apiToken = await db.createApiToken({
+      userId: req.user.id,
+      name: name,
+      tokenHash: hash,
+      tokenPrefix: displayPrefix,
+      scopes: [...new Set(scopes)]
+    });
+    await recordAudit(req, 'create', 'api_token', apiToken.id, null, apiToken);
+
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      token: token,
+      apiToken: apiToken
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API token',
+      message: error.message
+    });
+  }
+});
+
+// Revoke one of the logged-in user's API tokens
+app.delete('/api/account/tokens/:id', async (req, res) => {
+  try {
+    const result = await db.revokeApiToken(req.params.id, req.user.id);
+    if (result.changes > 0) {
+      await recordAudit(req, 'revoke', 'api_token', req.params.id);
+      res.json({
+        success: true,
+        message: 'API token revoked'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token',
+      message: error.message
+    });
+  }
+});
+
+// SESSION API ENDPOINTS (admin)
+
+// List active login sessions
+app.get('/api/sessions', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const sessions = await db.getActiveSessions();
+    res.json({
+      success: true,
+      sessions: sessions.map(row => {
+        const sess = JSON.parse(row.sess);
+        // The session ID is a bearer secret - expose only the row ID
+        return {
+          id: row.id,
+          userId: row.user_id,
+          userName: row.user_name,
+          loginTime: sess.loginTime || row.created_at,
+          lastActivity: row.updated_at,
+          expiresAt: new Date(row.expires_at).toISOString(),
+          userAgent: sess.userAgent || null,
+          current: row.sid === req.sessionID
+        };
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load sessions',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a login session - its user is logged out on their next request
+app.delete('/api/sessions/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await db.deleteSessionById(req.params.id);
+    if (result.changes > 0) {
+      await recordAudit(req, 'revoke', 'session', req.params.id);
+      res.json({
+        success: true,
+        message: 'Session revoked'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+// List recent login lockouts (newest first)
+app.get('/api/login-lockouts', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const lockouts = await db.getLoginLockouts();
+    res.json({
+      success: true,
+      lockouts: lockouts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load login lockouts',
+      message: error.message
+    });
+  }
+});
+
 // Get all data (for backward compatibility)
-app.get('/api/data', async (req, res) => {
+app.get('/api/data', requirePermission('tests:read'), async (req, res) => {
   try {
     const [tests, users, testResults] = await Promise.all([
       db.getTests(),
@@ -270,13 +747,32 @@ app.post('/api/data', async (req, res) => {
 
 // USER API ENDPOINTS
 
+const USER_SCHEMA = {
+  name: { type: 'string', required: true, max: 100, label: 'User name' },
+  password: { type: 'string', trim: false, min: MIN_PASSWORD_LENGTH, label: 'Password' },
+  role: { type: 'string', enum: ROLES }
+};
+const NEW_USER_SCHEMA = { ...USER_SCHEMA, password: { ...USER_SCHEMA.password, required: true } };
+
 // Get all users
-app.get('/api/users', async (req, res) => {
+app.get('/api/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const users = await db.getUsers();
-      res.json({
-        success: true,
-      users: users
+    const { paging, error } = parseListQuery(req.query, ['name', 'role', 'created'], 'name');
+    const roles = parseListFilter(req.query.role);
+    const unknownRoles = (roles || []).filter(role => !ROLES.includes(role));
+    if (error || unknownRoles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: error || `Invalid role: ${unknownRoles.join(', ')}. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const { users, total, nextCursor } = await db.getUsersPage({ ...paging, roles });
+    res.json({
+      success: true,
+      users: users,
+      total: total,
+      nextCursor: encodeCursor(nextCursor)
     });
   } catch (error) {
     res.status(500).json({
@@ -288,7 +784,7 @@ app.get('/api/users', async (req, res) => {
 });
 
 // Get user by ID
-app.get('/api/users/:id', async (req, res) => {
+app.get('/api/users/:id', requirePermission('users:read'), async (req, res) => {
   try {
     const user = await db.getUserById(req.params.id);
     if (user) {
@@ -303,386 +799,2441 @@ app.get('/api/users/:id', async (req, res) => {
       });
     }
   } catch (error) {
-      res.status(500).json({
-        success: false,
-      error: 'Failed to load user',
+      res.status(500).json({
+        success: false,
+      error: 'Failed to load user',
+      message: error.message
+    });
+  }
+});
+
+// Create a new user
+app.post('/api/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { value, errors } = validate(NEW_USER_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { name, password, role = 'tester' } = value;
+    const user = await db.createUser(name, await hashPassword(password), role);
+    await recordAudit(req, 'create', 'user', user.id, null, await db.getUserById(user.id));
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user: user
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      res.status(409).json({
+        success: false,
+        error: 'User with this name already exists'
+      });
+    } else {
+    res.status(500).json({
+      success: false,
+        error: 'Failed to create user',
+      message: error.message
+    });
+    }
+  }
+});
+
+// Update a user - PUT renames them (optionally resetting their password or changing their role),
+// PATCH changes only the fields given
+const updateUser = (partial) => async (req, res) => {
+  try {
+    const { value, errors } = validate(USER_SCHEMA, req.body, { partial, strict: partial });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { name, password, role } = value;
+
+    // Admins cannot demote themselves - avoids locking everyone out of user management
+    if (role !== undefined && role !== 'admin' && String(req.params.id) === String(req.user.id)) {
+      return sendValidationErrors(res, [{ field: 'role', message: 'You cannot remove your own admin role' }]);
+    }
+
+    const before = await db.getUserById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (name !== undefined) {
+      await db.updateUser(req.params.id, name);
+    }
+    if (password !== undefined) {
+      // Optional password reset alongside the rename
+      await db.setUserPassword(req.params.id, await hashPassword(password));
+    }
+    if (role !== undefined) {
+      await db.setUserRole(req.params.id, role);
+    }
+
+    // Password hashes are never audited - only that a reset happened
+    const user = await db.getUserById(req.params.id);
+    await recordAudit(req, 'update', 'user', req.params.id, before, { ...user, passwordReset: password !== undefined });
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user: user
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      res.status(409).json({
+        success: false,
+        error: 'User with this name already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update user',
+        message: error.message
+      });
+    }
+  }
+};
+
+app.put('/api/users/:id', requirePermission('users:manage'), updateUser(false));
+app.patch('/api/users/:id', requirePermission('users:manage'), updateUser(true));
+
+// Delete user
+app.delete('/api/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    // The user's results (and their attachments and tokens) are deleted with them
+    const before = await db.getUserById(req.params.id);
+    const results = await db.getResultsDeletedWith({ userId: req.params.id });
+    const result = await db.deleteUser(req.params.id);
+    if (result.changes > 0) {
+      await recordCascadedResultDeletes(req, results);
+      await recordAudit(req, 'delete', 'user', req.params.id, before);
+      res.json({
+        success: true,
+        message: 'User deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete user',
+      message: error.message
+    });
+  }
+});
+
+// TEST API ENDPOINTS
+
+// Tags are free-form labels - trimmed, lower-cased and de-duplicated. Returns null when invalid.
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+  return [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+};
+
+const TEST_SCHEMA = {
+  title: { type: 'string', required: true, max: 200, label: 'Test title' },
+  story: { type: 'string', nullable: true },
+  category: { type: 'string', nullable: true },
+  priority: { type: 'string', nullable: true },
+  tags: { type: 'array', items: 'string' },
+  estimatedTime: { type: 'string', nullable: true },
+  prerequisites: { type: 'string', nullable: true },
+  testSteps: { type: 'array', items: 'string' },
+  acceptanceCriteria: { type: 'array', items: 'string' },
+  statusGuidance: {
+    type: 'object',
+    nullable: true,
+    fields: Object.fromEntries(['pass', 'fail', 'blocked', 'partial', 'skip'].map(status => [status, { type: 'string', nullable: true }]))
+  }
+};
+// New tests may choose their ID; without one the next free TC- number is used
+const NEW_TEST_SCHEMA = { id: { type: 'string', max: 50, label: 'Test ID' }, ...TEST_SCHEMA };
+
+// Get all tests
+app.get('/api/tests', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const { paging, error } = parseListQuery(req.query, ['id', 'title', 'category', 'priority', 'updated'], 'id');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error
+      });
+    }
+
+    const { tests, total, nextCursor } = await db.getTestsPage({
+      ...paging,
+      categories: parseListFilter(req.query.category),
+      priorities: parseListFilter(req.query.priority),
+      tags: parseListFilter(req.query.tag)
+    });
+    res.json({
+      success: true,
+      tests: tests,
+      total: total,
+      nextCursor: encodeCursor(nextCursor)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tests',
+      message: error.message
+    });
+  }
+});
+
+// Get next test ID
+app.get('/api/tests/next-id', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const nextId = await db.getNextTestId();
+    res.json({
+      success: true,
+      nextId: nextId
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get next test ID',
+      message: error.message
+    });
+  }
+});
+
+// Get test by ID
+app.get('/api/tests/:id', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const test = await db.getTestById(req.params.id);
+    if (test) {
+      res.set('ETag', versionETag(test.version));
+      res.json({
+        success: true,
+        test: test
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test',
+      message: error.message
+    });
+  }
+});
+
+// Create a new test
+app.post('/api/tests', requirePermission('tests:write'), async (req, res) => {
+  try {
+    const { value, errors } = validate(NEW_TEST_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const test = await db.createTest({ ...value, tags: normalizeTags(value.tags) }, req.user.id);
+    const created = await db.getTestById(test.id);
+    await recordAudit(req, 'create', 'test', test.id, null, created);
+    res.set('ETag', versionETag(created.version));
+    res.status(201).json({
+      success: true,
+      message: 'Test created successfully',
+      test: { ...test, version: created.version }
+    });
+  } catch (error) {
+    if (error.message.includes('UNIQUE constraint failed')) {
+      res.status(409).json({
+        success: false,
+        error: 'Test with this ID already exists'
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create test',
+        message: error.message
+      });
+    }
+  }
+});
+
+// Update a test. Fields the request leaves out keep their value - PUT needs the title,
+// PATCH any of the fields. Saves that change the definition add a revision.
+const updateTest = (partial) => async (req, res) => {
+  try {
+    const { value, errors } = validate(TEST_SCHEMA, req.body, { partial, strict: partial });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const before = await db.getTestById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+
+    if (!checkIfMatch(req, res, before, 'test', 'test')) {
+      return;
+    }
+
+    const testData = value.tags === undefined ? value : { ...value, tags: normalizeTags(value.tags) };
+    const result = await db.updateTest(req.params.id, testData, req.user.id, expectedVersion(req, before));
+    const after = await db.getTestById(req.params.id);
+    if (result.changes === 0) {
+      // Changed (or deleted) by another request since the If-Match check
+      return after
+        ? sendVersionConflict(res, after, 'test', 'test')
+        : res.status(404).json({ success: false, error: 'Test not found' });
+    }
+
+    await recordAudit(req, 'update', 'test', req.params.id, before, after);
+    res.set('ETag', versionETag(after.version));
+    res.json({
+      success: true,
+      message: 'Test updated successfully',
+      test: { ...result, version: after.version }
+    });
+  } catch (error) {
+      res.status(500).json({
+        success: false,
+      error: 'Failed to update test',
+      message: error.message
+    });
+  }
+};
+
+app.put('/api/tests/:id', requirePermission('tests:write'), updateTest(false));
+app.patch('/api/tests/:id', requirePermission('tests:write'), updateTest(true));
+
+// Get the revision history of a test, newest first
+app.get('/api/tests/:id/revisions', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const revisions = await db.getTestRevisions(req.params.id);
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+    res.json({
+      success: true,
+      revisions: revisions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test revisions',
+      message: error.message
+    });
+  }
+});
+
+// Delete test
+app.delete('/api/tests/:id', requirePermission('tests:write'), async (req, res) => {
+  try {
+    // The test's results, revisions and run memberships are deleted with it
+    const before = await db.getTestById(req.params.id);
+    if (before && !checkIfMatch(req, res, before, 'test', 'test')) {
+      return;
+    }
+    const results = await db.getResultsDeletedWith({ testId: req.params.id });
+    const result = await db.deleteTest(req.params.id, before ? expectedVersion(req, before) : null);
+    if (result.changes === 0 && before) {
+      const current = await db.getTestById(req.params.id);
+      if (current) {
+        return sendVersionConflict(res, current, 'test', 'test');
+      }
+    }
+    if (result.changes > 0) {
+      await recordCascadedResultDeletes(req, results);
+      await recordAudit(req, 'delete', 'test', req.params.id, before);
+      res.json({
+        success: true,
+        message: 'Test deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Test not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test',
+      message: error.message
+    });
+  }
+});
+
+// Check that every ID names an existing test; returns the unknown IDs
+const findUnknownTestIds = async (testIds) => {
+  const tests = await db.getTests();
+  const knownIds = new Set(tests.map(test => test.id));
+  return testIds.filter(testId => !knownIds.has(testId));
+};
+
+// TEST PLAN API ENDPOINTS
+
+const PLAN_RULE_LISTS = ['categories', 'priorities', 'tags', 'testIds'];
+
+const PLAN_SCHEMA = {
+  name: { type: 'string', required: true, max: 200, label: 'Test plan name' },
+  description: { type: 'string', nullable: true },
+  rules: {
+    type: 'object',
+    required: true,
+    fields: Object.fromEntries(PLAN_RULE_LISTS.map(key => [key, { type: 'array', items: 'string' }]))
+  }
+};
+
+// Turn validated plan rules into a clean rules object; returns { rules } or { errors }
+const parsePlanRules = async (input) => {
+  const rules = {};
+  for (const key of PLAN_RULE_LISTS) {
+    rules[key] = [...new Set(input[key] || [])];
+  }
+  rules.tags = normalizeTags(rules.tags);
+
+  if (PLAN_RULE_LISTS.every(key => rules[key].length === 0)) {
+    return { errors: [{ field: 'rules', message: 'A test plan needs at least one category, priority, tag or pinned test' }] };
+  }
+
+  const unknownIds = await findUnknownTestIds(rules.testIds);
+  if (unknownIds.length > 0) {
+    return { errors: [{ field: 'rules.testIds', message: `Unknown test IDs: ${unknownIds.join(', ')}` }] };
+  }
+
+  return { rules };
+};
+
+// Get all test plans with the number of tests each currently resolves to
+app.get('/api/test-plans', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const plans = await db.getTestPlans();
+    const testPlans = await Promise.all(plans.map(async plan => ({
+      ...plan,
+      test_count: (await db.resolveTestPlanRules(plan.rules)).length
+    })));
+    res.json({
+      success: true,
+      testPlans: testPlans
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test plans',
+      message: error.message
+    });
+  }
+});
+
+// Get a test plan with the IDs of the tests it currently resolves to
+app.get('/api/test-plans/:id', requirePermission('tests:read'), async (req, res) => {
+  try {
+    const plan = await db.getTestPlanById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test plan not found'
+      });
+    }
+
+    const tests = await db.resolveTestPlanRules(plan.rules);
+    res.json({
+      success: true,
+      testPlan: { ...plan, test_ids: tests.map(test => test.id) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test plan',
+      message: error.message
+    });
+  }
+});
+
+// Create a test plan
+app.post('/api/test-plans', requirePermission('tests:write'), async (req, res) => {
+  try {
+    const { value, errors } = validate(PLAN_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { rules, errors: ruleErrors } = await parsePlanRules(value.rules);
+    if (ruleErrors) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    const testPlan = await db.createTestPlan({
+      name: value.name,
+      description: value.description || null,
+      rules,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'create', 'test_plan', testPlan.id, null, testPlan);
+    res.status(201).json({
+      success: true,
+      message: 'Test plan created successfully',
+      testPlan: testPlan
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create test plan',
+      message: error.message
+    });
+  }
+});
+
+// Update a test plan - runs already started from it keep their test lists
+app.put('/api/test-plans/:id', requirePermission('tests:write'), async (req, res) => {
+  try {
+    const before = await db.getTestPlanById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test plan not found'
+      });
+    }
+
+    const { value, errors } = validate(PLAN_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { rules, errors: ruleErrors } = await parsePlanRules(value.rules);
+    if (ruleErrors) {
+      return sendValidationErrors(res, ruleErrors);
+    }
+
+    await db.updateTestPlan(req.params.id, {
+      name: value.name,
+      description: value.description || null,
+      rules
+    });
+    const testPlan = await db.getTestPlanById(req.params.id);
+    await recordAudit(req, 'update', 'test_plan', req.params.id, before, testPlan);
+    res.json({
+      success: true,
+      message: 'Test plan updated successfully',
+      testPlan: testPlan
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update test plan',
+      message: error.message
+    });
+  }
+});
+
+// Delete a test plan
+app.delete('/api/test-plans/:id', requirePermission('tests:write'), async (req, res) => {
+  try {
+    const before = await db.getTestPlanById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test plan not found'
+      });
+    }
+
+    await db.deleteTestPlan(req.params.id);
+    await recordAudit(req, 'delete', 'test_plan', req.params.id, before);
+    res.json({
+      success: true,
+      message: 'Test plan deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test plan',
+      message: error.message
+    });
+  }
+});
+
+// TEST RUN API ENDPOINTS
+
+const RUN_STATUSES = ['active', 'closed'];
+
+const RUN_SCHEMA = {
+  name: { type: 'string', required: true, max: 200, label: 'Test run name' },
+  build: { type: 'string', nullable: true },
+  environment: { type: 'string', nullable: true },
+  startDate: { type: 'date', nullable: true },
+  endDate: { type: 'date', nullable: true },
+  testIds: { type: 'array', items: 'string', min: 1 }
+};
+const NEW_RUN_SCHEMA = { ...RUN_SCHEMA, planId: { type: 'integer', nullable: true } };
+const UPDATED_RUN_SCHEMA = { ...RUN_SCHEMA, status: { type: 'string', enum: RUN_STATUSES } };
+
+// Get all test runs with per-status result counts
+app.get('/api/test-runs', requirePermission('results:read'), async (req, res) => {
+  try {
+    const testRuns = await db.getTestRuns();
+    res.json({
+      success: true,
+      testRuns: testRuns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test runs',
+      message: error.message
+    });
+  }
+});
+
+// Get a test run with its included test IDs
+app.get('/api/test-runs/:id', requirePermission('results:read'), async (req, res) => {
+  try {
+    const testRun = await db.getTestRunById(req.params.id);
+    if (testRun) {
+      res.json({
+        success: true,
+        testRun: testRun
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Test run not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test run',
+      message: error.message
+    });
+  }
+});
+
+// Create a test run - its tests are testIds, else the tests planId currently resolves to, else every test
+app.post('/api/test-runs', requirePermission('runs:manage'), async (req, res) => {
+  try {
+    const { value, errors } = validate(NEW_RUN_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { name, build, environment, startDate, endDate, planId } = value;
+    let { testIds } = value;
+
+    let plan = null;
+    if (planId !== undefined && planId !== null) {
+      plan = await db.getTestPlanById(planId);
+      if (!plan) {
+        return sendValidationErrors(res, [{ field: 'planId', message: 'Test plan not found' }]);
+      }
+    }
+
+    if (testIds === undefined && plan) {
+      testIds = (await db.resolveTestPlanRules(plan.rules)).map(test => test.id);
+      if (testIds.length === 0) {
+        return sendValidationErrors(res, [{ field: 'planId', message: 'The test plan does not match any tests' }]);
+      }
+    } else if (testIds === undefined) {
+      testIds = (await db.getTests()).map(test => test.id);
+    }
+
+    const unknownIds = await findUnknownTestIds(testIds);
+    if (unknownIds.length > 0) {
+      return sendValidationErrors(res, [{ field: 'testIds', message: `Unknown test IDs: ${unknownIds.join(', ')}` }]);
+    }
+
+    const testRun = await db.createTestRun({
+      name: name,
+      build, environment, startDate, endDate, testIds,
+      planId: plan ? plan.id : null,
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'create', 'test_run', testRun.id, null, testRun);
+    res.status(201).json({
+      success: true,
+      message: 'Test run created successfully',
+      testRun: testRun
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create test run',
+      message: error.message
+    });
+  }
+});
+
+// Update a test run - details, status (active/closed) and optionally its test list
+app.put('/api/test-runs/:id', requirePermission('runs:manage'), async (req, res) => {
+  try {
+    const before = await db.getTestRunById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test run not found'
+      });
+    }
+
+    const { value, errors } = validate(UPDATED_RUN_SCHEMA, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const { name, build, environment, startDate, endDate, status, testIds } = value;
+
+    if (testIds !== undefined) {
+      const unknownIds = await findUnknownTestIds(testIds);
+      if (unknownIds.length > 0) {
+        return sendValidationErrors(res, [{ field: 'testIds', message: `Unknown test IDs: ${unknownIds.join(', ')}` }]);
+      }
+
+      // Dropping a test would orphan the results already recorded for it in this run
+      const removedIds = before.test_ids.filter(testId => !testIds.includes(testId));
+      if (removedIds.length > 0 && await db.countTestRunResults(req.params.id, removedIds) > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot remove tests that already have results in this run'
+        });
+      }
+    }
+
+    await db.updateTestRun(req.params.id, {
+      name: name,
+      build, environment, startDate, endDate,
+      status: status || before.status,
+      testIds
+    });
+    const testRun = await db.getTestRunById(req.params.id);
+    await recordAudit(req, 'update', 'test_run', req.params.id, before, testRun);
+    res.json({
+      success: true,
+      message: 'Test run updated successfully',
+      testRun: testRun
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update test run',
+      message: error.message
+    });
+  }
+});
+
+// Delete a test run - only while it has no results, so recorded history is never lost
+app.delete('/api/test-runs/:id', requirePermission('runs:manage'), async (req, res) => {
+  try {
+    const before = await db.getTestRunById(req.params.id);
+    if (!before) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test run not found'
+      });
+    }
+
+    if (await db.countTestRunResults(req.params.id) > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete a test run that has results. Close it instead.'
+      });
+    }
+
+    await db.deleteTestRun(req.params.id);
+    await recordAudit(req, 'delete', 'test_run', req.params.id, before);
+    res.json({
+      success: true,
+      message: 'Test run deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test run',
+      message: error.message
+    });
+  }
+});
+
+// TEST RESULTS API ENDPOINTS
+
+const RESULT_STATUSES = ['pass', 'fail', 'blocked', 'partial', 'skip', 'pending'];
+
+// Steps and acceptance criteria of the test revision a result is recorded against
+// (the current definition when revisionId is null)
+const getExecutedDefinition = async (testId, revisionId, store = db) => {
+  let steps = [];
+  let criteria = [];
+  if (revisionId) {
+    const revision = await store.getTestRevisionById(revisionId);
+    steps = revision && revision.test_steps ? JSON.parse(revision.test_steps) : [];
+    criteria = revision && revision.acceptance_criteria ? JSON.parse(revision.acceptance_criteria) : [];
+  } else {
+    const test = await store.getTestById(testId);
+    steps = test ? test.test_steps : [];
+    criteria = test ? test.acceptance_criteria : [];
+  }
+  // The seeded tests store these lists JSON-encoded twice (the frontend's parseJsonField unwraps them too)
+  return {
+    steps: typeof steps === 'string' ? JSON.parse(steps) : steps,
+    criteria: typeof criteria === 'string' ? JSON.parse(criteria) : criteria
+  };
+};
+
+// The overall status comes from the step results unless the tester overrides it
+// (or no step has been marked). Returns { status } or { error }.
+const resolveResultStatus = (status, stepResults, statusOverride) => {
+  const derivedStatus = deriveStatusFromSteps(stepResults);
+  if (derivedStatus && !statusOverride) {
+    return { status: derivedStatus };
+  }
+  if (!status) {
+    return { error: 'Status is required unless it is derived from step results' };
+  }
+  if (!RESULT_STATUSES.includes(status)) {
+    return { error: `Invalid status. Must be one of: ${RESULT_STATUSES.join(', ')}` };
+  }
+  return { status };
+};
+
+// Validate the filters of a test result list; returns { filters } or { error }
+const parseResultFilters = (query) => {
+  const filters = {
+    runId: query.runId || null,
+    statuses: parseListFilter(query.status),
+    userIds: parseListFilter(query.userId),
+    testIds: parseListFilter(query.testId),
+    categories: parseListFilter(query.category),
+    priorities: parseListFilter(query.priority),
+    from: query.from || null,
+    to: query.to || null
+  };
+
+  const unknownStatuses = (filters.statuses || []).filter(status => !RESULT_STATUSES.includes(status));
+  if (unknownStatuses.length > 0) {
+    return { error: `Invalid status: ${unknownStatuses.join(', ')}. Must be one of: ${RESULT_STATUSES.join(', ')}` };
+  }
+  if (filters.userIds && filters.userIds.some(userId => !/^\d+$/.test(userId))) {
+    return { error: 'userId must be a user ID or a comma-separated list of user IDs' };
+  }
+  if ((filters.from && !isIsoDate(filters.from)) || (filters.to && !isIsoDate(filters.to))) {
+    return { error: 'from and to must be dates in YYYY-MM-DD format' };
+  }
+  return { filters };
+};
+
+// Get test results, newest first by default.
+// Filters: runId, status, userId, testId, category, priority (comma-separated lists), from, to (YYYY-MM-DD);
+// sort: created, date, status, test, user; order: asc, desc; paging: limit, cursor
+app.get('/api/test-results', requirePermission('results:read'), async (req, res) => {
+  try {
+    // Dates sort newest first unless order says otherwise; other fields sort ascending
+    const defaultOrder = !req.query.sort || ['created', 'date'].includes(req.query.sort) ? 'desc' : 'asc';
+    const { paging, error: pagingError } = parseListQuery(req.query, ['created', 'date', 'status', 'test', 'user'], 'created', defaultOrder);
+    const { filters, error: filterError } = parseResultFilters(req.query);
+    if (pagingError || filterError) {
+      return res.status(400).json({
+        success: false,
+        error: pagingError || filterError
+      });
+    }
+
+    const { testResults, total, nextCursor } = await db.getTestResultsPage({ ...filters, ...paging });
+    res.json({
+      success: true,
+      testResults: testResults,
+      total: total,
+      nextCursor: encodeCursor(nextCursor)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test results',
+      message: error.message
+    });
+  }
+});
+
+// Get a test result, with its attachments; the ETag is its version, for If-Match on later writes
+app.get('/api/test-results/:id', requirePermission('results:read'), async (req, res) => {
+  try {
+    const result = await db.getTestResultById(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+
+    const [testResult] = await db.withAttachments([result]);
+    res.set('ETag', versionETag(testResult.version));
+    res.json({
+      success: true,
+      testResult: testResult
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test result',
+      message: error.message
+    });
+  }
+});
+
+// Get test results by test ID
+app.get('/api/tests/:id/results', requirePermission('results:read'), async (req, res) => {
+  try {
+    const testResults = await db.getTestResultsByTestId(req.params.id, req.query.runId || null);
+    res.json({
+      success: true,
+      testResults: testResults
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test results',
+      message: error.message
+    });
+  }
+});
+
+// Get test results by user ID
+app.get('/api/users/:id/results', requirePermission('results:read'), async (req, res) => {
+  try {
+    const testResults = await db.getTestResultsByUserId(req.params.id);
+    res.json({
+      success: true,
+      testResults: testResults
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load test results',
+      message: error.message
+    });
+  }
+});
+
+// Fields of a result that can be set when it is recorded and changed afterwards
+const RESULT_SCHEMA = {
+  status: { type: 'string', enum: RESULT_STATUSES },
+  testDate: { type: 'date', nullable: true },
+  environment: { type: 'string', nullable: true },
+  notes: { type: 'string', nullable: true },
+  stepResults: { type: 'array' },
+  criteriaResults: { type: 'array' },
+  statusOverride: { type: 'boolean' }
+};
+// New results also name what was executed. Older clients may still send a bug report with the
+// result (bugDescription and friends) - it becomes a defect linked to the result.
+const NEW_RESULT_SCHEMA = {
+  testId: { type: 'string', required: true, label: 'Test ID' },
+  runId: { type: 'integer', nullable: true },
+  revisionId: { type: 'integer', nullable: true },
+  ...RESULT_SCHEMA,
+  ...Object.fromEntries(['bugDescription', 'bugSeverity', 'stepsToReproduce', 'expectedResult', 'actualResult']
+    .map(field => [field, { type: 'string', nullable: true }]))
+};
+
+// Validate a result submitted by a client into result data for db.createTestResult, recorded
+// under userId. Returns { resultData } or { status, errors } with the HTTP status to answer with
+// (400 for invalid fields, 409 when the run is closed) and the { field, message } problems.
+// Pass the transaction as store to look up the test, run and revision inside it.
+const validateResultInput = async (input, userId, store = db) => {
+  const { value, errors } = validate(NEW_RESULT_SCHEMA, input);
+  if (errors) {
+    return { status: 400, errors };
+  }
+  const resultData = { ...value, userId: userId };
+  const invalid = (field, message) => ({ status: 400, errors: [{ field, message }] });
+
+  if (!await store.getTestById(resultData.testId)) {
+    return invalid('testId', `Test not found: ${resultData.testId}`);
+  }
+
+  // Results belong to a run - the one given, or else the newest active run that includes the test
+  const run = resultData.runId
+    ? await store.getTestRunById(resultData.runId)
+    : await store.getLatestActiveRunForTest(resultData.testId);
+  if (!run) {
+    return invalid('runId', resultData.runId ? 'Test run not found' : 'runId is required - no active test run includes this test');
+  }
+  if (resultData.runId && !run.test_ids.includes(resultData.testId)) {
+    return invalid('runId', 'Test is not included in this test run');
+  }
+  if (run.status !== 'active') {
+    return { status: 409, errors: [{ field: 'runId', message: 'Test run is closed' }] };
+  }
+  resultData.runId = run.id;
+
+  // Clients send the revision they displayed; without one the test's current revision is used
+  if (resultData.revisionId) {
+    const revision = await store.getTestRevisionById(resultData.revisionId);
+    if (!revision || revision.test_id !== resultData.testId) {
+      return invalid('revisionId', 'Revision does not belong to this test');
+    }
+  }
+
+  // Step results and the criteria checklist line up with the revision being executed
+  const { steps, criteria } = await getExecutedDefinition(resultData.testId, resultData.revisionId, store);
+  const { stepResults, error: stepError } = normalizeStepResults(resultData.stepResults || [], steps);
+  if (stepError) {
+    return invalid('stepResults', stepError);
+  }
+  resultData.stepResults = stepResults;
+  resultData.statusOverride = !!resultData.statusOverride;
+
+  // Results recorded without a checklist keep an empty one, so "not recorded" differs from "nothing met"
+  if (resultData.criteriaResults === undefined) {
+    resultData.criteriaResults = [];
+  } else {
+    const { criteriaResults, error: criteriaError } = normalizeCriteriaResults(resultData.criteriaResults, criteria);
+    if (criteriaError) {
+      return invalid('criteriaResults', criteriaError);
+    }
+    resultData.criteriaResults = criteriaResults;
+  }
+
+  const { status, error: statusError } = resolveResultStatus(resultData.status, stepResults, resultData.statusOverride);
+  if (statusError) {
+    return invalid('status', statusError);
+  }
+  resultData.status = status;
+
+  return { resultData };
+};
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// Answers a create that was already made with the same Idempotency-Key with the stored result,
+// in the shape the create returns
+const sendExistingResult = (res, row) => {
+  res.set('ETag', versionETag(row.version));
+  res.json({
+    success: true,
+    message: 'Test result already created',
+    testResult: {
+      id: row.id,
+      testId: row.test_id,
+      userId: row.user_id,
+      status: row.status,
+      testDate: row.test_date,
+      environment: row.environment,
+      notes: row.notes,
+      runId: row.run_id,
+      revisionId: row.revision_id,
+      stepResults: row.step_results,
+      statusOverride: row.status_overridden,
+      criteriaResults: row.criteria_results,
+      version: row.version
+    }
+  });
+};
+
+// Create a new test result. A create sent again with the same Idempotency-Key header (a retry after
+// a lost response) returns the result the first one created.
+app.post('/api/test-results', requirePermission('results:write'), async (req, res) => {
+  try {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey !== undefined && (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return sendValidationErrors(res, [{
+        field: 'Idempotency-Key',
+        message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+      }]);
+    }
+    if (idempotencyKey) {
+      const existing = await db.getTestResultByIdempotencyKey(req.user.id, idempotencyKey);
+      if (existing) {
+        return sendExistingResult(res, existing);
+      }
+    }
+
+    // The author is always the logged-in user, never a client-supplied ID
+    const { resultData, status: errorStatus, errors } = await validateResultInput(req.body, req.user.id);
+    if (errorStatus === 400) {
+      return sendValidationErrors(res, errors);
+    }
+    if (errors) {
+      return res.status(errorStatus).json({
+        success: false,
+        error: errors[0].message
+      });
+    }
+
+    // A bug report sent with the result is saved with it, so a retry never finds the result without it
+    let testResult, defect;
+    try {
+      ({ testResult, defect } = await db.transaction(async (tx) => {
+        const testResult = await tx.createTestResult({ ...resultData, idempotencyKey });
+        if (!resultData.bugDescription && !resultData.bugSeverity) {
+          return { testResult, defect: null };
+        }
+        // Clients that still send a bug report with the result get a new defect linked to it
+        const { defectData } = parseDefectInput({
+          title: (resultData.bugDescription || '').split('\n')[0].substring(0, 120) || `Failure in ${resultData.testId}`,
+          description: resultData.bugDescription,
+          severity: DEFECT_SEVERITIES.includes(resultData.bugSeverity) ? resultData.bugSeverity : 'medium',
+          stepsToReproduce: resultData.stepsToReproduce,
+          expectedResult: resultData.expectedResult,
+          actualResult: resultData.actualResult
+        });
+        const defect = await tx.createDefect({ ...defectData, createdBy: req.user.id });
+        await tx.linkDefectResult(defect.id, testResult.id);
+        return { testResult, defect };
+      }));
+    } catch (error) {
+      // A retry with the same key that raced this one has created the result in the meantime
+      const existing = idempotencyKey && error.code === 'SQLITE_CONSTRAINT'
+        ? await db.getTestResultByIdempotencyKey(req.user.id, idempotencyKey)
+        : null;
+      if (existing) {
+        return sendExistingResult(res, existing);
+      }
+      throw error;
+    }
+    const created = await db.getTestResultById(testResult.id);
+    await recordAudit(req, 'create', 'test_result', testResult.id, null, created);
+    if (defect) {
+      await recordAudit(req, 'create', 'defect', defect.id, null, await db.getDefectById(defect.id));
+    }
+    res.set('ETag', versionETag(created.version));
+    res.status(201).json({
+      success: true,
+      message: 'Test result created successfully',
+      testResult: { ...testResult, version: created.version }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create test result',
+      message: error.message
+    });
+  }
+});
+
+const MAX_BULK_RESULTS = 500;
+
+// Record many results at once: { results: [...], partial: false }. Each entry is validated like a
+// single POST, and may name the userId it is recorded for (the caller by default; anyone else needs
+// results:manage). All valid entries are written in one transaction. Any invalid entry rejects the
+// whole batch with per-item errors, unless partial is true - then the valid entries are saved.
+app.post('/api/test-results/bulk', requirePermission('results:write'), async (req, res) => {
+  try {
+    const { value, errors: requestErrors } = validate({
+      results: { type: 'array', required: true, min: 1, max: MAX_BULK_RESULTS },
+      partial: { type: 'boolean' }
+    }, req.body);
+    if (requestErrors) {
+      return sendValidationErrors(res, requestErrors);
+    }
+    const { results: entries, partial = false } = value;
+
+    // Entries are checked and saved in one transaction, so nothing they refer to (a test, run or
+    // user) can be deleted in between
+    const { valid, errors, ids } = await db.transaction(async (tx) => {
+      const userIds = new Set((await tx.getUsers()).map(user => user.id));
+      const valid = [];
+      const errors = [];
+      for (const [index, entry] of entries.entries()) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+          errors.push({ index, testId: null, error: 'Each result must be an object' });
+          continue;
+        }
+
+        let userId = req.user.id;
+        if (entry.userId !== undefined && entry.userId !== null && Number(entry.userId) !== req.user.id) {
+          if (!requestHasPermission(req, 'results:manage')) {
+            errors.push({ index, testId: entry.testId || null, error: 'Recording results for another user requires the results:manage permission' });
+            continue;
+          }
+          if (!userIds.has(Number(entry.userId))) {
+            errors.push({ index, testId: entry.testId || null, error: `User not found: ${entry.userId}` });
+            continue;
+          }
+          userId = Number(entry.userId);
+        }
+
+        const { resultData, errors: entryErrors } = await validateResultInput(entry, userId, tx);
+        if (entryErrors) {
+          errors.push({
+            index,
+            testId: entry.testId || null,
+            error: entryErrors.map(entryError => entryError.message).join('; '),
+            details: entryErrors
+          });
+        } else {
+          valid.push({ index, resultData });
+        }
+      }
+
+      if ((errors.length > 0 && !partial) || valid.length === 0) {
+        return { valid, errors, ids: null };
+      }
+      return { valid, errors, ids: await tx.createTestResults(valid.map(entry => entry.resultData)) };
+    });
+
+    if (errors.length > 0 && !partial) {
+      return res.status(400).json({
+        success: false,
+        error: `Batch rejected - ${errors.length} of ${entries.length} results are invalid, nothing was saved`,
+        errors: errors
+      });
+    }
+    if (valid.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'None of the results are valid, nothing was saved',
+        errors: errors
+      });
+    }
+
+    const saved = [];
+    for (const [position, id] of ids.entries()) {
+      const testResult = await db.getTestResultById(id);
+      await recordAudit(req, 'create', 'test_result', id, null, testResult);
+      saved.push({ index: valid[position].index, testResult });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Saved ${saved.length} of ${entries.length} test results`,
+      created: saved.length,
+      failed: errors.length,
+      results: saved,
+      errors: errors
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save test results',
+      message: error.message
+    });
+  }
+});
+
+// JUnit reports are sent as the raw XML body
+const MAX_JUNIT_BYTES = 20 * 1024 * 1024;
+const parseJUnitBody = (req, res, next) => {
+  bodyParser.text({ type: () => true, limit: MAX_JUNIT_BYTES })(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'JUnit report too large',
+        message: `Reports can be at most ${MAX_JUNIT_BYTES / (1024 * 1024)} MB`
+      });
+    }
+    next(err);
+  });
+};
+
+// Status of a test reported by several testcases: failed if any failed, else passed if any passed
+const combineJUnitStatuses = (statuses) => {
+  if (statuses.includes('fail')) return 'fail';
+  if (statuses.includes('pass')) return 'pass';
+  return 'skip';
+};
+
+// Result notes listing the testcases behind an imported result, with their failure messages
+const formatJUnitNotes = (testcases) => ['Imported from JUnit:', ...testcases.map(testcase => {
+  const label = [testcase.suite, testcase.classname, testcase.name].filter(Boolean).join(' › ');
+  const time = testcase.time !== null ? ` (${testcase.time}s)` : '';
+  return `- [${testcase.status.toUpperCase()}] ${label}${time}${testcase.message ? `\n  ${testcase.message.replace(/\n/g, '\n  ')}` : ''}`;
+})].join('\n');
+
+// The account JUnit results are recorded for. Created as a tester on first use, with a random
+// password nobody knows, so it cannot log in unless an admin gives it one.
+const getJUnitImportUser = async (req) => {
+  const existing = await db.getUserByName(JUNIT_IMPORT_USER);
+  if (existing) {
+    return existing;
+  }
+  try {
+    const user = await db.createUser(JUNIT_IMPORT_USER, await hashPassword(crypto.randomBytes(24).toString('base64url')), 'tester');
+    await recordAudit(req, 'create', 'user', user.id, null, await db.getUserById(user.id));
+    return user;
+  } catch (error) {
+    // Another import created it in the meantime
+    const created = await db.getUserByName(JUNIT_IMPORT_USER);
+    if (created) {
+      return created;
+    }
+    throw error;
+  }
+};
+
+// Import a JUnit XML report (raw body) as results of the automation account (JUNIT_IMPORT_USER),
+// not of the uploader. Testcases are matched to tests by a test_id property, a test ID in
+// their name or classname, or their exact title; each matched test gets one result.
+// Query: runId (an active run), or runName (+ build, environment) to start a new run with the
+// matched tests; dryRun=true only reports the matches. Unmatched testcases are listed in the response.
+app.post('/api/test-results/junit', requirePermission('results:write'), parseJUnitBody, async (req, res) => {
+  try {
+    const { runId, runName, build, environment } = req.query;
+    const dryRun = req.query.dryRun === 'true';
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the JUnit XML report as the request body'
+      });
+    }
+
+    let testcases;
+    try {
+      testcases = parseJUnitXml(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid JUnit XML',
+        message: parseError.message
+      });
+    }
+
+    let run = null;
+    if (runId) {
+      run = await db.getTestRunById(runId);
+      if (!run) {
+        return res.status(400).json({
+          success: false,
+          error: 'Test run not found'
+        });
+      }
+      if (run.status !== 'active') {
+        return res.status(409).json({
+          success: false,
+          error: 'Test run is closed'
+        });
+      }
+    } else if (runName && runName.trim()) {
+      if (!requestHasPermission(req, 'runs:manage')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Starting a new run requires the runs:manage permission - pass the runId of an existing run instead'
+        });
+      }
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'runId or runName is required'
+      });
+    }
+
+    // Group the testcases by the test they report on
+    const tests = await db.getTests();
+    const matched = new Map();
+    const unmatched = [];
+    testcases.forEach(testcase => {
+      const match = matchTestcase(testcase, tests);
+      const reported = { suite: testcase.suite, classname: testcase.classname, name: testcase.name, status: testcase.status };
+      if (!match) {
+        unmatched.push({ ...reported, reason: 'No tracker test matches this testcase' });
+      } else if (run && !run.test_ids.includes(match.test.id)) {
+        unmatched.push({ ...reported, testId: match.test.id, reason: `Test ${match.test.id} is not included in run "${run.name}"` });
+      } else {
+        if (!matched.has(match.test.id)) {
+          matched.set(match.test.id, []);
+        }
+        matched.get(match.test.id).push({ ...testcase, matchedBy: match.matchedBy });
+      }
+    });
+
+    const importUser = !dryRun && matched.size > 0 ? await getJUnitImportUser(req) : null;
+    const results = [];
+    const resultsData = [];
+    for (const [testId, testTestcases] of matched) {
+      const status = combineJUnitStatuses(testTestcases.map(testcase => testcase.status));
+      results.push({
+        testId: testId,
+        status: status,
+        testcases: testTestcases.map(testcase => ({ name: testcase.name, status: testcase.status, matchedBy: testcase.matchedBy })),
+        resultId: null
+      });
+
+      if (!dryRun) {
+        const { steps } = await getExecutedDefinition(testId, null);
+        const { stepResults } = normalizeStepResults([], steps);
+        resultsData.push({
+          testId: testId,
+          userId: importUser.id,
+          status: status,
+          testDate: new Date().toISOString().split('T')[0],
+          notes: formatJUnitNotes(testTestcases),
+          stepResults: stepResults,
+          statusOverride: false,
+          criteriaResults: []
+        });
+      }
+    }
+
+    // A new run is only kept together with its results - a failed import leaves no empty run behind
+    let newRun = null;
+    if (!run && !dryRun && matched.size > 0) {
+      newRun = await db.createTestRun({
+        name: runName.trim(),
+        build, environment,
+        startDate: new Date().toISOString().split('T')[0],
+        testIds: [...matched.keys()],
+        createdBy: req.user.id
+      });
+      run = newRun;
+    }
+
+    // The whole report is saved in one transaction
+    let ids;
+    try {
+      ids = await db.createTestResults(resultsData.map(resultData => ({
+        ...resultData,
+        environment: environment || run.environment || null,
+        runId: run.id
+      })));
+    } catch (error) {
+      if (newRun) {
+        await db.deleteTestRun(newRun.id);
+      }
+      throw error;
+    }
+    if (newRun) {
+      await recordAudit(req, 'create', 'test_run', newRun.id, null, newRun);
+    }
+    for (const [index, id] of ids.entries()) {
+      await recordAudit(req, 'create', 'test_result', id, null, await db.getTestResultById(id));
+      results[index].resultId = id;
+    }
+
+    res.status(dryRun || results.length === 0 ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${results.length} tests matched, ${unmatched.length} testcases unmatched`
+        : `Imported ${results.length} results, ${unmatched.length} testcases unmatched`,
+      dryRun: dryRun,
+      testRun: run ? { id: run.id, name: run.name } : null,
+      summary: {
+        testcases: testcases.length,
+        results: results.length,
+        unmatched: unmatched.length
+      },
+      results: results,
+      unmatched: unmatched
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import JUnit report',
+      message: error.message
+    });
+  }
+});
+
+// Update a test result. Fields the request leaves out keep their value; PUT needs a status unless
+// the step results decide it, while PATCH keeps the current status when none is given.
+const updateTestResult = (partial) => async (req, res) => {
+  try {
+    const { value, errors } = validate(RESULT_SCHEMA, req.body, { partial, strict: partial });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const existing = await db.getTestResultById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+
+    if (!canModifyResult(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only edit your own test results'
+      });
+    }
+
+    if (await isResultInClosedRun(existing)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Test run is closed'
+      });
+    }
+
+    if (!checkIfMatch(req, res, existing, 'testResult', 'test result')) {
+      return;
+    }
+
+    const resultData = { ...value };
+
+    // Step results and the criteria checklist are kept when the update does not include them
+    const { steps, criteria } = await getExecutedDefinition(existing.test_id, existing.revision_id);
+    if (resultData.stepResults === undefined) {
+      resultData.stepResults = existing.step_results;
+    } else {
+      const { stepResults, error } = normalizeStepResults(resultData.stepResults, steps);
+      if (error) {
+        return sendValidationErrors(res, [{ field: 'stepResults', message: error }]);
+      }
+      resultData.stepResults = stepResults;
+    }
+    if (resultData.criteriaResults === undefined) {
+      resultData.criteriaResults = existing.criteria_results;
+    } else {
+      const { criteriaResults, error } = normalizeCriteriaResults(resultData.criteriaResults, criteria);
+      if (error) {
+        return sendValidationErrors(res, [{ field: 'criteriaResults', message: error }]);
+      }
+      resultData.criteriaResults = criteriaResults;
+    }
+    resultData.statusOverride = resultData.statusOverride === undefined
+      ? existing.status_overridden
+      : !!resultData.statusOverride;
+
+    const requestedStatus = resultData.status === undefined && partial ? existing.status : resultData.status;
+    const { status, error: statusError } = resolveResultStatus(requestedStatus, resultData.stepResults, resultData.statusOverride);
+    if (statusError) {
+      return sendValidationErrors(res, [{ field: 'status', message: statusError }]);
+    }
+    resultData.status = status;
+
+    const result = await db.updateTestResult(req.params.id, resultData, expectedVersion(req, existing));
+    const after = await db.getTestResultById(req.params.id);
+    
+    if (result.changes > 0) {
+      await recordAudit(req, 'update', 'test_result', req.params.id, existing, after);
+      res.set('ETag', versionETag(after.version));
+      res.json({
+        success: true,
+        message: 'Test result updated successfully',
+        testResult: { ...result, version: after.version }
+      });
+    } else if (after) {
+      // Changed by another request since the If-Match check
+      sendVersionConflict(res, after, 'testResult', 'test result');
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+  } catch (error) {
+      res.status(500).json({
+        success: false,
+      error: 'Failed to update test result',
+      message: error.message
+    });
+  }
+};
+
+app.put('/api/test-results/:id', requirePermission('results:write'), updateTestResult(false));
+app.patch('/api/test-results/:id', requirePermission('results:write'), updateTestResult(true));
+
+// Delete test result
+app.delete('/api/test-results/:id', requirePermission('results:write'), async (req, res) => {
+  try {
+    const existing = await db.getTestResultById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+
+    if (!canModifyResult(req, existing)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only delete your own test results'
+      });
+    }
+
+    if (await isResultInClosedRun(existing)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Test run is closed'
+      });
+    }
+
+    if (!checkIfMatch(req, res, existing, 'testResult', 'test result')) {
+      return;
+    }
+
+    const [withAttachments] = await db.withAttachments([existing]);
+    const result = await db.deleteTestResult(req.params.id, expectedVersion(req, existing));
+    const current = result.changes === 0 ? await db.getTestResultById(req.params.id) : null;
+    if (current) {
+      sendVersionConflict(res, current, 'testResult', 'test result');
+    } else if (result.changes > 0) {
+      await Promise.all(withAttachments.attachments.map(attachment => attachmentFiles.deleteAttachmentFile(attachment.stored_name)));
+      await recordAudit(req, 'delete', 'test_result', req.params.id, withAttachments);
+      res.json({
+        success: true,
+        message: 'Test result deleted successfully'
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete test result',
+      message: error.message
+    });
+  }
+});
+
+// ATTACHMENT API ENDPOINTS
+
+// Uploads are sent as the raw file body (any content type) with the file name in ?filename=.
+// Oversized bodies get a JSON 413 instead of the default HTML error page.
+const parseAttachmentBody = (req, res, next) => {
+  bodyParser.raw({ type: () => true, limit: attachmentFiles.MAX_ATTACHMENT_BYTES })(req, res, (err) => {
+    if (err && err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: 'Attachment too large',
+        message: `Attachments can be at most ${Math.round(attachmentFiles.MAX_ATTACHMENT_BYTES / (1024 * 1024))} MB`
+      });
+    }
+    next(err);
+  });
+};
+
+// List the attachments of a test result
+app.get('/api/test-results/:id/attachments', requirePermission('results:read'), async (req, res) => {
+  try {
+    const result = await db.getTestResultById(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+
+    const [withAttachments] = await db.withAttachments([result]);
+    res.json({
+      success: true,
+      attachments: withAttachments.attachments
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachments',
+      message: error.message
+    });
+  }
+});
+
+// Attach a file (screenshot, log, recording...) to a test result
+app.post('/api/test-results/:id/attachments', requirePermission('results:write'), parseAttachmentBody, async (req, res) => {
+  try {
+    const result = await db.getTestResultById(req.params.id);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Test result not found'
+      });
+    }
+
+    if (!canModifyResult(req, result)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only add attachments to your own test results'
+      });
+    }
+
+    if (await isResultInClosedRun(result)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Test run is closed'
+      });
+    }
+
+    const filename = attachmentFiles.sanitizeFilename(req.query.filename || '');
+    if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'A file body and a filename are required'
+      });
+    }
+
+    const mimeType = attachmentFiles.getAttachmentType(filename, req.body);
+    if (!mimeType) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: `Allowed types: ${Object.keys(attachmentFiles.ATTACHMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const storedName = await attachmentFiles.saveAttachmentFile(req.body, filename);
+    let attachment;
+    try {
+      attachment = await db.createAttachment({
+        resultId: result.id,
+        filename: filename,
+        storedName: storedName,
+        mimeType: mimeType,
+        size: req.body.length,
+        uploadedBy: req.user.id
+      });
+    } catch (error) {
+      await attachmentFiles.deleteAttachmentFile(storedName);
+      throw error;
+    }
+
+    await recordAudit(req, 'create', 'attachment', attachment.id, null, attachment);
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      attachment: attachment
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload attachment',
+      message: error.message
+    });
+  }
+});
+
+// Download an attachment - images are shown inline, anything else is downloaded
+app.get('/api/attachments/:id', requirePermission('results:read'), async (req, res) => {
+  try {
+    const attachment = await db.getAttachmentById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const filePath = attachmentFiles.getAttachmentPath(attachment.stored_name);
+    if (!await fs.pathExists(filePath)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment file is missing'
+      });
+    }
+
+    const disposition = attachment.mime_type.startsWith('image/') ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Disposition': `${disposition}; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.sendFile(filePath);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to download attachment',
+      message: error.message
+    });
+  }
+});
+
+// Delete an attachment - same rules as changing the result it belongs to
+app.delete('/api/attachments/:id', requirePermission('results:write'), async (req, res) => {
+  try {
+    const attachment = await db.getAttachmentById(req.params.id);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found'
+      });
+    }
+
+    const result = await db.getTestResultById(attachment.result_id);
+    if (result && !canModifyResult(req, result)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only delete attachments of your own test results'
+      });
+    }
+
+    if (result && await isResultInClosedRun(result)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Test run is closed'
+      });
+    }
+
+    await db.deleteAttachment(attachment.id);
+    await attachmentFiles.deleteAttachmentFile(attachment.stored_name);
+    await recordAudit(req, 'delete', 'attachment', attachment.id, attachment);
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete attachment',
+      message: error.message
+    });
+  }
+});
+
+// DEFECT API ENDPOINTS
+
+const DEFECT_TEXT_FIELDS = {
+  description: 'description',
+  stepsToReproduce: 'steps_to_reproduce',
+  expectedResult: 'expected_result',
+  actualResult: 'actual_result'
+};
+
+const DEFECT_SCHEMA = {
+  title: { type: 'string', required: true, max: 200, label: 'Defect title' },
+  severity: { type: 'string', enum: DEFECT_SEVERITIES },
+  status: { type: 'string', enum: DEFECT_STATUSES },
+  ...Object.fromEntries(Object.keys(DEFECT_TEXT_FIELDS).map(field => [field, { type: 'string', nullable: true }]))
+};
+
+// Validate defect fields into defect data, starting from the existing defect on updates
+// (fields left out keep their value). Returns { defectData } or { errors }.
+const parseDefectInput = (input, existing = null) => {
+  const { value, errors } = validate(DEFECT_SCHEMA, input, { partial: !!existing });
+  if (errors) {
+    return { errors };
+  }
+
+  const defectData = {
+    title: existing ? existing.title : value.title,
+    severity: existing ? existing.severity : 'medium',
+    status: existing ? existing.status : 'open'
+  };
+  Object.entries(DEFECT_TEXT_FIELDS).forEach(([field, column]) => {
+    defectData[field] = existing ? existing[column] : null;
+  });
+
+  ['title', 'severity', ...Object.keys(DEFECT_TEXT_FIELDS)].forEach(field => {
+    if (value[field] !== undefined) {
+      defectData[field] = value[field] || null;
+    }
+  });
+
+  if (value.status !== undefined) {
+    if (existing && !canTransitionDefect(existing.status, value.status)) {
+      return { errors: [{ field: 'status', message: `A defect cannot move from ${existing.status} to ${value.status}` }] };
+    }
+    defectData.status = value.status;
+  }
+
+  return { defectData };
+};
+
+// Tests blocked by a defect - those with a linked result that failed or was blocked
+const withDefectDetails = (defect) => ({
+  ...defect,
+  next_statuses: getNextDefectStatuses(defect.status),
+  blocked_tests: [...new Map(defect.results
+    .filter(result => result.status === 'fail' || result.status === 'blocked')
+    .map(result => [result.test_id, { id: result.test_id, title: result.test_title }])).values()]
+});
+
+// Find a result that a defect link is changed on and check the caller may change it.
+// Sends the error response and returns null when not.
+const getLinkableResult = async (req, res, resultId) => {
+  const result = await db.getTestResultById(resultId);
+  if (!result) {
+    res.status(404).json({
+      success: false,
+      error: 'Test result not found'
+    });
+    return null;
+  }
+
+  if (!canModifyResult(req, result)) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only link defects to your own test results'
+    });
+    return null;
+  }
+
+  if (await isResultInClosedRun(result)) {
+    res.status(409).json({
+      success: false,
+      error: 'Test run is closed'
+    });
+    return null;
+  }
+  return result;
+};
+
+// List defects, newest first. ?status= takes a comma-separated list of statuses, or "active"
+// for every status except closed; by default all defects are listed.
+app.get('/api/defects', requirePermission('results:read'), async (req, res) => {
+  try {
+    let statuses = null;
+    if (req.query.status === 'active') {
+      statuses = ACTIVE_DEFECT_STATUSES;
+    } else if (req.query.status) {
+      statuses = req.query.status.split(',').map(status => status.trim()).filter(Boolean);
+      const unknown = statuses.filter(status => !DEFECT_STATUSES.includes(status));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status: ${unknown.join(', ')}. Must be one of: active, ${DEFECT_STATUSES.join(', ')}`
+        });
+      }
+    }
+
+    const defects = await db.getDefects(statuses);
+    res.json({
+      success: true,
+      defects: defects.map(withDefectDetails)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load defects',
+      message: error.message
+    });
+  }
+});
+
+// Get a defect with its linked results
+app.get('/api/defects/:id', requirePermission('results:read'), async (req, res) => {
+  try {
+    const defect = await db.getDefectById(req.params.id);
+    if (!defect) {
+      return res.status(404).json({
+        success: false,
+        error: 'Defect not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      defect: withDefectDetails(defect)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load defect',
+      message: error.message
+    });
+  }
+});
+
+// Report a defect, optionally linked to the results (resultIds) that hit it. New defects are always open.
+app.post('/api/defects', requirePermission('results:write'), async (req, res) => {
+  try {
+    const { defectData, errors } = parseDefectInput({ ...req.body, status: undefined });
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const { value, errors: linkErrors } = validate({ resultIds: { type: 'array', items: 'integer' } }, req.body);
+    if (linkErrors) {
+      return sendValidationErrors(res, linkErrors);
+    }
+    const resultIds = value.resultIds || [];
+    for (const resultId of resultIds) {
+      if (!await getLinkableResult(req, res, resultId)) {
+        return;
+      }
+    }
+
+    const created = await db.createDefect({ ...defectData, createdBy: req.user.id });
+    for (const resultId of resultIds) {
+      await db.linkDefectResult(created.id, resultId);
+    }
+
+    const defect = await db.getDefectById(created.id);
+    await recordAudit(req, 'create', 'defect', defect.id, null, defect);
+    res.status(201).json({
+      success: true,
+      message: 'Defect created successfully',
+      defect: withDefectDetails(defect)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create defect',
       message: error.message
     });
   }
 });
 
-// Create a new user
-app.post('/api/users', async (req, res) => {
+// Update a defect's details or move it through its lifecycle
+app.put('/api/defects/:id', requirePermission('results:write'), async (req, res) => {
   try {
-    const { name } = req.body;
-    
-    if (!name || name.trim() === '') {
-      return res.status(400).json({
+    const existing = await db.getDefectById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: 'User name is required'
+        error: 'Defect not found'
       });
     }
 
-    const user = await db.createUser(name.trim());
-    res.status(201).json({
+    const { defectData, errors } = parseDefectInput(req.body, existing);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    await db.updateDefect(existing.id, defectData);
+    const defect = await db.getDefectById(existing.id);
+    await recordAudit(req, 'update', 'defect', defect.id, existing, defect);
+    res.json({
       success: true,
-      message: 'User created successfully',
-      user: user
+      message: 'Defect updated successfully',
+      defect: withDefectDetails(defect)
     });
   } catch (error) {
-    if (error.message.includes('UNIQUE constraint failed')) {
-      res.status(409).json({
-        success: false,
-        error: 'User with this name already exists'
-      });
-    } else {
     res.status(500).json({
       success: false,
-        error: 'Failed to create user',
+      error: 'Failed to update defect',
       message: error.message
     });
-    }
   }
 });
 
-// Update user
-app.put('/api/users/:id', async (req, res) => {
+// Delete a defect - the linked results stay
+app.delete('/api/defects/:id', requirePermission('results:manage'), async (req, res) => {
   try {
-    const { name } = req.body;
-    
-    if (!name || name.trim() === '') {
-      return res.status(400).json({
+    const existing = await db.getDefectById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: 'User name is required'
+        error: 'Defect not found'
       });
     }
 
-    const result = await db.updateUser(req.params.id, name.trim());
-    if (result.changes > 0) {
+    await db.deleteDefect(existing.id);
+    await recordAudit(req, 'delete', 'defect', existing.id, existing);
     res.json({
       success: true,
-        message: 'User updated successfully',
-        user: result
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
+      message: 'Defect deleted successfully'
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to update user',
+      error: 'Failed to delete defect',
       message: error.message
     });
   }
 });
 
-// Delete user
-app.delete('/api/users/:id', async (req, res) => {
+// Link an existing defect to a test result
+app.post('/api/defects/:id/results', requirePermission('results:write'), async (req, res) => {
   try {
-    const result = await db.deleteUser(req.params.id);
-    if (result.changes > 0) {
-      res.json({
-        success: true,
-        message: 'User deleted successfully'
-      });
-    } else {
-      res.status(404).json({
+    const defect = await db.getDefectById(req.params.id);
+    if (!defect) {
+      return res.status(404).json({
         success: false,
-        error: 'User not found'
+        error: 'Defect not found'
       });
     }
+
+    const { value, errors } = validate({ resultId: { type: 'integer', required: true } }, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    const result = await getLinkableResult(req, res, value.resultId);
+    if (!result) {
+      return;
+    }
+
+    const link = await db.linkDefectResult(defect.id, result.id);
+    if (link.changes > 0) {
+      await recordAudit(req, 'link', 'defect', defect.id, null, { resultId: result.id, testId: result.test_id });
+    }
+    res.json({
+      success: true,
+      message: 'Defect linked successfully',
+      defect: withDefectDetails(await db.getDefectById(defect.id))
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to delete user',
+      error: 'Failed to link defect',
       message: error.message
     });
   }
 });
 
-// TEST API ENDPOINTS
-
-// Get all tests
-app.get('/api/tests', async (req, res) => {
+// Unlink a defect from a test result
+app.delete('/api/defects/:id/results/:resultId', requirePermission('results:write'), async (req, res) => {
   try {
-    const tests = await db.getTests();
+    const result = await getLinkableResult(req, res, req.params.resultId);
+    if (!result) {
+      return;
+    }
+
+    const link = await db.unlinkDefectResult(req.params.id, result.id);
+    if (link.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Defect is not linked to this test result'
+      });
+    }
+
+    await recordAudit(req, 'unlink', 'defect', req.params.id, { resultId: result.id, testId: result.test_id });
     res.json({
       success: true,
-      tests: tests
+      message: 'Defect unlinked successfully'
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to load tests',
+      error: 'Failed to unlink defect',
       message: error.message
     });
   }
 });
 
-// Get next test ID
-app.get('/api/tests/next-id', async (req, res) => {
+// WEBHOOK API ENDPOINTS (admin)
+
+// Webhooks as returned by the API - the secret is only shown when it is created or rotated
+const withoutSecret = (webhook) => {
+  const { secret, ...rest } = webhook;
+  return rest;
+};
+
+const WEBHOOK_SCHEMA = {
+  name: { type: 'string', required: true, max: 100, label: 'Webhook name' },
+  url: { type: 'url', required: true, label: 'Webhook URL' },
+  events: { type: 'array', items: 'string', enum: WEBHOOK_EVENTS, required: true, min: 1 },
+  active: { type: 'boolean' },
+  rotateSecret: { type: 'boolean' }
+};
+
+// Validate webhook fields into webhook data, starting from the existing webhook on updates
+// (fields left out keep their value). Returns { webhookData } or { errors }.
+const parseWebhookInput = (input, existing = null) => {
+  const { value, errors } = validate(WEBHOOK_SCHEMA, input, { partial: !!existing });
+  if (errors) {
+    return { errors };
+  }
+
+  const webhookData = {
+    name: existing ? existing.name : null,
+    url: existing ? existing.url : null,
+    events: existing ? existing.events : [],
+    active: existing ? existing.active : true
+  };
+  ['name', 'url', 'active'].forEach(field => {
+    if (value[field] !== undefined) {
+      webhookData[field] = value[field];
+    }
+  });
+  if (value.events !== undefined) {
+    webhookData.events = [...new Set(value.events)];
+  }
+
+  return { webhookData };
+};
+
+// List webhooks, with the events they can subscribe to
+app.get('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const nextId = await db.getNextTestId();
+    const webhooks = await db.getWebhooks();
     res.json({
       success: true,
-      nextId: nextId
+      webhooks: webhooks.map(withoutSecret),
+      availableEvents: WEBHOOK_EVENTS
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to get next test ID',
+      error: 'Failed to load webhooks',
       message: error.message
     });
   }
 });
 
-// Get test by ID
-app.get('/api/tests/:id', async (req, res) => {
+// Create a webhook - its signing secret is only returned in this response
+app.post('/api/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const test = await db.getTestById(req.params.id);
-    if (test) {
-      res.json({
-        success: true,
-        test: test
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        error: 'Test not found'
-      });
+    const { webhookData, errors } = parseWebhookInput(req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
     }
+
+    const webhook = await db.createWebhook({
+      ...webhookData,
+      secret: generateWebhookSecret(),
+      createdBy: req.user.id
+    });
+    await recordAudit(req, 'create', 'webhook', webhook.id, null, withoutSecret(webhook));
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Copy the secret now - it will not be shown again.',
+      webhook: withoutSecret(webhook),
+      secret: webhook.secret
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to load test',
+      error: 'Failed to create webhook',
       message: error.message
     });
   }
 });
 
-// Create a new test
-app.post('/api/tests', async (req, res) => {
+// Update a webhook. { rotateSecret: true } replaces its secret and returns the new one.
+app.put('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const testData = req.body;
-    
-    if (!testData.title) {
-      return res.status(400).json({
+    const existing = await db.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: 'Test title is required'
+        error: 'Webhook not found'
       });
     }
 
-    const test = await db.createTest(testData);
-    res.status(201).json({
+    const { webhookData, errors } = parseWebhookInput(req.body, existing);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const secret = req.body.rotateSecret === true ? generateWebhookSecret() : existing.secret;
+    await db.updateWebhook(existing.id, { ...webhookData, secret });
+    const webhook = await db.getWebhookById(existing.id);
+    await recordAudit(req, 'update', 'webhook', webhook.id, withoutSecret(existing), withoutSecret(webhook));
+
+    res.json({
       success: true,
-      message: 'Test created successfully',
-      test: test
+      message: 'Webhook updated successfully',
+      webhook: withoutSecret(webhook),
+      ...(secret !== existing.secret && { secret })
     });
   } catch (error) {
-    if (error.message.includes('UNIQUE constraint failed')) {
-      res.status(409).json({
-        success: false,
-        error: 'Test with this ID already exists'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to create test',
-        message: error.message
-      });
-    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      message: error.message
+    });
   }
 });
 
-// Update test
-app.put('/api/tests/:id', async (req, res) => {
+// Delete a webhook and its delivery log
+app.delete('/api/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const testData = req.body;
-    const result = await db.updateTest(req.params.id, testData);
-    
-    if (result.changes > 0) {
-      res.json({
-        success: true,
-        message: 'Test updated successfully',
-        test: result
-      });
-    } else {
-      res.status(404).json({
+    const existing = await db.getWebhookById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        error: 'Test not found'
+        error: 'Webhook not found'
       });
     }
+
+    await db.deleteWebhook(existing.id);
+    await recordAudit(req, 'delete', 'webhook', existing.id, withoutSecret(existing));
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
   } catch (error) {
-      res.status(500).json({
-        success: false,
-      error: 'Failed to update test',
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
       message: error.message
     });
   }
 });
 
-// Delete test
-app.delete('/api/tests/:id', async (req, res) => {
+// Delivery log of a webhook, newest first (?limit=, max 200)
+app.get('/api/webhooks/:id/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const result = await db.deleteTest(req.params.id);
-    if (result.changes > 0) {
-      res.json({
-        success: true,
-        message: 'Test deleted successfully'
-      });
-    } else {
-      res.status(404).json({
+    const webhook = await db.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
         success: false,
-        error: 'Test not found'
+        error: 'Webhook not found'
       });
     }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deliveries = await db.getWebhookDeliveries(webhook.id, limit);
+    res.json({
+      success: true,
+      deliveries: deliveries
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to delete test',
+      error: 'Failed to load webhook deliveries',
       message: error.message
     });
   }
 });
 
-// TEST RESULTS API ENDPOINTS
-
-// Get all test results
-app.get('/api/test-results', async (req, res) => {
+// Send a ping event to a webhook, to check its receiver is reachable and verifies signatures
+app.post('/api/webhooks/:id/test', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const testResults = await db.getTestResults();
-    res.json({
+    const webhook = await db.getWebhookById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found'
+      });
+    }
+
+    const delivery = await webhooks.enqueue(webhook, PING_EVENT, {
+      webhook_id: webhook.id,
+      message: 'Test delivery from Test Tracker'
+    }, { id: req.user.id, name: req.user.name });
+    res.status(202).json({
       success: true,
-      testResults: testResults
+      message: 'Test delivery queued',
+      delivery: delivery
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to load test results',
+      error: 'Failed to send test delivery',
       message: error.message
     });
   }
 });
 
-// Get test results by test ID
-app.get('/api/tests/:id/results', async (req, res) => {
+// Send a delivery again, with a fresh series of attempts
+app.post('/api/webhook-deliveries/:id/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
   try {
-    const testResults = await db.getTestResultsByTestId(req.params.id);
-    res.json({
+    const existing = await db.getWebhookDeliveryById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook delivery not found'
+      });
+    }
+
+    await db.requeueWebhookDelivery(existing.id);
+    webhooks.schedule(existing.id, 0);
+    res.status(202).json({
       success: true,
-      testResults: testResults
+      message: 'Delivery queued',
+      delivery: await db.getWebhookDeliveryById(existing.id)
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to load test results',
+      error: 'Failed to redeliver webhook',
       message: error.message
     });
   }
 });
 
-// Get test results by user ID
-app.get('/api/users/:id/results', async (req, res) => {
+// EVENT STREAM API ENDPOINTS
+
+// Live updates - a Server-Sent Events stream of result, test and user changes (result.created,
+// test.updated, user.deleted, ...). Each event's data is { data: the entity, actor: { id, name } },
+// and only the kinds of changes the user may read are sent.
+app.get('/api/events', async (req, res) => {
   try {
-    const testResults = await db.getTestResultsByUserId(req.params.id);
-    res.json({
-      success: true,
-      testResults: testResults
+    const session = req.apiToken ? null : await db.getSession(req.sessionID);
+    events.subscribe(req, res, {
+      userId: req.user.id,
+      sid: req.apiToken ? null : req.sessionID,
+      sessionId: session ? session.id : null,
+      apiTokenId: req.apiToken ? req.apiToken.id : null,
+      canRead: (permission) => requestHasPermission(req, permission)
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to load test results',
+      error: 'Failed to open event stream',
       message: error.message
     });
   }
 });
 
-// Create a new test result
-app.post('/api/test-results', async (req, res) => {
-  try {
-    const resultData = req.body;
-    
-    if (!resultData.testId || !resultData.userId || !resultData.status) {
-      return res.status(400).json({
-        success: false,
-        error: 'Test ID, User ID, and status are required'
-      });
-    }
-    
-    // Validate status
-    const validStatuses = ['pass', 'fail', 'blocked', 'partial', 'skip', 'pending'];
-    if (!validStatuses.includes(resultData.status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
+// SEARCH API ENDPOINTS
 
-    const testResult = await db.createTestResult(resultData);
-    res.status(201).json({
-      success: true,
-      message: 'Test result created successfully',
-      testResult: testResult
+// Full-text search over tests (title, story, steps, criteria), result notes and defects (bug reports).
+// ?q= the words to find, ?types= a comma list of tests, results, defects (default all), ?limit= per type.
+// Snippets are HTML with the matched words in <mark>.
+app.get('/api/search', requirePermission('tests:read'), async (req, res) => {
+  const matchQuery = buildMatchQuery(req.query.q);
+  if (!matchQuery) {
+    return res.status(400).json({
+      success: false,
+      error: 'Search query must contain at least one word'
     });
-  } catch (error) {
-    res.status(500).json({
+  }
+
+  const types = parseListFilter(req.query.types) || SEARCH_TYPES;
+  const invalidType = types.find(type => !SEARCH_TYPES.includes(type));
+  if (invalidType) {
+    return res.status(400).json({
       success: false,
-      error: 'Failed to create test result',
-      message: error.message
+      error: `Invalid search type: ${invalidType}. Must be one of: ${SEARCH_TYPES.join(', ')}`
     });
   }
-});
 
-// Update test result
-app.put('/api/test-results/:id', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+  // Results and defects are only searched for roles that may read them
+  const canReadResults = requestHasPermission(req, 'results:read');
+  const withSnippet = (rows) => rows.map(row => ({ ...row, snippet: formatSnippet(row.snippet) }));
+
   try {
-    const resultData = req.body;
-    const result = await db.updateTestResult(req.params.id, resultData);
-    
-    if (result.changes > 0) {
-      res.json({
-        success: true,
-        message: 'Test result updated successfully',
-        testResult: result
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        error: 'Test result not found'
-      });
-    }
+    res.json({
+      success: true,
+      query: req.query.q,
+      tests: types.includes('tests') ? withSnippet(await db.searchTests(matchQuery, limit)) : [],
+      results: types.includes('results') && canReadResults ? withSnippet(await db.searchTestResults(matchQuery, limit)) : [],
+      defects: types.includes('defects') && canReadResults ? withSnippet(await db.searchDefects(matchQuery, limit)) : []
+    });
   } catch (error) {
-      res.status(500).json({
-        success: false,
-      error: 'Failed to update test result',
+    res.status(500).json({
+      success: false,
+      error: 'Search failed',
       message: error.message
     });
   }
 });
 
-// Delete test result
-app.delete('/api/test-results/:id', async (req, res) => {
+// AUDIT API ENDPOINTS
+
+// List audit entries, newest first.
+// Filters: entityType, entityId, actorId, action, from, to (ISO dates); paging: limit (max 500), offset
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
   try {
-    const result = await db.deleteTestResult(req.params.id);
-    if (result.changes > 0) {
-      res.json({
-        success: true,
-        message: 'Test result deleted successfully'
-      });
-    } else {
-      res.status(404).json({
-        success: false,
-        error: 'Test result not found'
-      });
-    }
+    const { entityType, entityId, actorId, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { entries, total } = await db.getAuditEntries({
+      entityType, entityId, actorId, action, from, to, limit, offset
+    });
+    res.json({
+      success: true,
+      entries: entries,
+      total: total,
+      limit: limit,
+      offset: offset
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to delete test result',
+      error: 'Failed to load audit log',
       message: error.message
     });
   }
@@ -691,9 +3242,9 @@ app.delete('/api/test-results/:id', async (req, res) => {
 // STATISTICS API ENDPOINTS
 
 // Get overall test statistics
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requirePermission('stats:read'), async (req, res) => {
   try {
-    const stats = await db.getTestStats();
+    const stats = await db.getTestStats(req.query.runId || null);
     res.json({
       success: true,
       stats: stats
@@ -708,9 +3259,9 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Get user-specific statistics
-app.get('/api/users/:id/stats', async (req, res) => {
+app.get('/api/users/:id/stats', requirePermission('stats:read'), async (req, res) => {
   try {
-    const stats = await db.getUserStats(req.params.id);
+    const stats = await db.getUserStats(req.params.id, req.query.runId || null);
     res.json({
       success: true,
       stats: stats
@@ -758,6 +3309,12 @@ app.use((req, res) => {
 // Initialize database and start server
 const startServer = async () => {
   try {
+    // The repository's old default password is public, so production has to choose its own
+    if (process.env.NODE_ENV === 'production' && !APP_PASSWORD) {
+      console.error('❌ APP_PASSWORD must be set in production. Exiting...');
+      process.exit(1);
+    }
+    
     // Initialize database
     const dbInitialized = await db.init();
     if (!dbInitialized) {
@@ -765,6 +3322,12 @@ const startServer = async () => {
       process.exit(1);
     }
 
+    // Sessions live in the database, so pruning can only start once it is open
+    await sessionStore.startPruning();
+
+    // Retry webhook deliveries that were still pending when the server last stopped
+    await webhooks.resumePending();
+
     // Check if database is empty and seed if necessary
     try {
       const users = await db.getUsers();
@@ -774,7 +3337,7 @@ const startServer = async () => {
         console.log('🌱 Database is empty, seeding initial data...');
         
         // Seed default user
-        await db.createUser('Austin');
+        await db.createUser('Austin', {}, 'admin');
         console.log('✅ Seeded default user: Austin');
         
         // Seed comprehensive user management test cases
@@ -2195,6 +4758,13 @@ const startServer = async () => {
           console.log(`✅ Seeded test: ${test.id}`);
         }
         
+        // Results are recorded in a test run, so start with one covering every test
+        await db.createTestRun({
+          name: 'Initial Test Run',
+          testIds: testData.map(test => test.id)
+        });
+        console.log('✅ Seeded initial test run');
+        
         console.log('✅ Initial data seeded successfully');
       } else {
         console.log(`📊 Database contains ${users.length} users and ${tests.length} tests`);
@@ -2204,6 +4774,24 @@ const startServer = async () => {
       console.log('📝 Continuing with empty database...');
     }
 
+    // Databases from before roles existed have no admin - promote the oldest account
+    const promotedAdmin = await db.ensureAdminUser();
+    if (promotedAdmin) {
+      console.log(`👑 Promoted ${promotedAdmin.name} to admin (no admin account existed)`);
+    }
+
+    // Give accounts without credentials a one-time password so they can log in and set their own
+    const usersWithoutPassword = await db.getUsersWithoutCredentials();
+    for (const user of usersWithoutPassword) {
+      const password = APP_PASSWORD || crypto.randomBytes(12).toString('base64url');
+      await db.setUserPassword(user.id, await hashPassword(password), true);
+      if (APP_PASSWORD) {
+        console.log(`🔑 Assigned APP_PASSWORD as one-time password to user: ${user.name}`);
+      } else {
+        console.log(`🔑 One-time password for ${user.name}: ${password} (shown only this once; it must be changed at first login)`);
+      }
+    }
+
 // Start server - Render will set PORT automatically
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Test Tracker Backend running on port ${PORT}`);
@@ -2226,12 +4814,18 @@ app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down server...');
+  sessionStore.stopPruning();
+  webhooks.stop();
+  events.stop();
   db.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down server...');
+  sessionStore.stopPruning();
+  webhooks.stop();
+  events.stop();
   db.close();
   process.exit(0);
 });
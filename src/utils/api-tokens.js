@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Prefix makes tokens easy to recognise in scripts and secret scanners
+const TOKEN_PREFIX = 'ttk_';
+
+// Generate a new random API token - only the hash is ever stored
+function generateApiToken() {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    return {
+        token,
+        hash: hashApiToken(token),
+        // Shown in the token list so users can tell their tokens apart
+        displayPrefix: token.substring(0, TOKEN_PREFIX.length + 6)
+    };
+}
+
+// Tokens are long and random, so a plain SHA-256 (no salt) is enough and allows lookup by hash
+function hashApiToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Extract a bearer token from an Authorization header, or null
+function getBearerToken(req) {
+    const header = req.get('Authorization');
+    if (!header) {
+        return null;
+    }
+
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    generateApiToken,
+    hashApiToken,
+    getBearerToken
+};
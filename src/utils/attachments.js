@@ -0,0 +1,78 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Files live next to the database so they share its disk (and its backups)
+const ATTACHMENTS_DIR = path.join(__dirname, '../../data', 'attachments');
+
+const MAX_ATTACHMENT_BYTES = (parseInt(process.env.MAX_ATTACHMENT_MB) || 10) * 1024 * 1024;
+
+// Allowed file types by extension. SVG and HTML are left out on purpose - they can carry scripts.
+const ATTACHMENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.har': 'application/json',
+    '.zip': 'application/zip',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
+
+// Leading bytes of binary formats, checked so a renamed file cannot pass as an image
+const SIGNATURES = {
+    'image/png': buffer => buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+    'image/jpeg': buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+    'image/gif': buffer => buffer.subarray(0, 4).toString('ascii') === 'GIF8',
+    'image/webp': buffer => buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP',
+    'application/pdf': buffer => buffer.subarray(0, 4).toString('ascii') === '%PDF',
+    'application/zip': buffer => buffer.subarray(0, 2).toString('ascii') === 'PK'
+};
+
+// MIME type of an upload, or null when its extension is not allowed or its content does not match
+function getAttachmentType(filename, buffer) {
+    const mimeType = ATTACHMENT_TYPES[path.extname(filename).toLowerCase()];
+    if (!mimeType) {
+        return null;
+    }
+    const matchesSignature = SIGNATURES[mimeType];
+    return !matchesSignature || matchesSignature(buffer) ? mimeType : null;
+}
+
+// Strip any directory parts and control characters from a client-supplied file name
+function sanitizeFilename(filename) {
+    return path.basename(String(filename)).replace(/[\x00-\x1f"\\]/g, '').trim().substring(0, 200);
+}
+
+// Write an upload to disk under a random name; returns the stored name
+async function saveAttachmentFile(buffer, filename) {
+    await fs.ensureDir(ATTACHMENTS_DIR);
+    const storedName = `${crypto.randomUUID()}${path.extname(filename).toLowerCase()}`;
+    await fs.writeFile(path.join(ATTACHMENTS_DIR, storedName), buffer);
+    return storedName;
+}
+
+function getAttachmentPath(storedName) {
+    return path.join(ATTACHMENTS_DIR, storedName);
+}
+
+// Remove a stored file; a file that is already gone is not an error
+async function deleteAttachmentFile(storedName) {
+    await fs.remove(getAttachmentPath(storedName));
+}
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    ATTACHMENT_TYPES,
+    getAttachmentType,
+    sanitizeFilename,
+    saveAttachmentFile,
+    getAttachmentPath,
+    deleteAttachmentFile
+};
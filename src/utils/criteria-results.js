@@ -0,0 +1,30 @@
+// Validate the acceptance-criteria checklist of a result against the criteria of the
+// test revision being executed. Entries line up with the criteria by position; a criterion
+// is met only when its entry says so. Returns { criteriaResults } or { error }.
+function normalizeCriteriaResults(input, criteria) {
+    if (!Array.isArray(input)) {
+        return { error: 'criteriaResults must be a list with one entry per acceptance criterion' };
+    }
+    if (input.length > criteria.length) {
+        return { error: `criteriaResults has ${input.length} entries but the test has ${criteria.length} acceptance criteria` };
+    }
+
+    const criteriaResults = [];
+    for (let index = 0; index < criteria.length; index++) {
+        const entry = input[index] || {};
+        if (entry.met !== undefined && typeof entry.met !== 'boolean') {
+            return { error: `met for criterion ${index + 1} must be true or false` };
+        }
+
+        // The criterion text is copied so the checklist stays readable whatever happens to the test later
+        criteriaResults.push({
+            criterion: criteria[index],
+            met: entry.met === true
+        });
+    }
+    return { criteriaResults };
+}
+
+module.exports = {
+    normalizeCriteriaResults
+};
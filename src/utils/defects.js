@@ -0,0 +1,33 @@
+// Defect lifecycle: open -> in_progress -> fixed -> verified -> closed.
+// A defect can be closed early (duplicate, won't fix) and reopened from any later state.
+const DEFECT_STATUSES = ['open', 'in_progress', 'fixed', 'verified', 'closed'];
+
+const DEFECT_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const DEFECT_TRANSITIONS = {
+    open: ['in_progress', 'fixed', 'closed'],
+    in_progress: ['open', 'fixed', 'closed'],
+    fixed: ['open', 'verified', 'closed'],
+    verified: ['open', 'closed'],
+    closed: ['open']
+};
+
+// Statuses that still need work - the Defects page lists these by default
+const ACTIVE_DEFECT_STATUSES = ['open', 'in_progress', 'fixed', 'verified'];
+
+// Statuses a defect can move to from its current status
+function getNextDefectStatuses(status) {
+    return DEFECT_TRANSITIONS[status] || [];
+}
+
+function canTransitionDefect(from, to) {
+    return from === to || getNextDefectStatuses(from).includes(to);
+}
+
+module.exports = {
+    DEFECT_STATUSES,
+    DEFECT_SEVERITIES,
+    ACTIVE_DEFECT_STATUSES,
+    getNextDefectStatuses,
+    canTransitionDefect
+};
@@ -0,0 +1,23 @@
+// Optimistic concurrency for tests and results. Each row has a version that every update bumps;
+// GET sends it as the ETag, and a PUT, PATCH or DELETE with If-Match only applies to that version.
+
+// ETag of a row version, e.g. "3"
+function versionETag(version) {
+    return `"${version}"`;
+}
+
+// Whether a write with this If-Match header may change a row at version. Writes without the header
+// always may (older clients); "*" matches any version, and weak tags (W/"3") compare by value.
+function ifMatchAllows(header, version) {
+    if (!header) {
+        return true;
+    }
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === versionETag(version));
+}
+
+module.exports = {
+    versionETag,
+    ifMatchAllows
+};
@@ -0,0 +1,134 @@
+// Live updates for open browsers - a Server-Sent Events stream of result, test and user changes.
+// Every client only receives the changes its permissions let it read, and is disconnected when
+// its access ends (user deleted or given another role, session or API token revoked).
+
+// Events raised by audited changes, by entity type and audit action
+const STREAM_EVENTS = {
+    test_result: { create: 'result.created', update: 'result.updated', delete: 'result.deleted' },
+    test: { create: 'test.created', update: 'test.updated', delete: 'test.deleted' },
+    user: { create: 'user.created', update: 'user.updated', delete: 'user.deleted' }
+};
+
+// Permission a client needs to receive the events of an entity type
+const READ_PERMISSIONS = {
+    test_result: 'results:read',
+    test: 'tests:read',
+    user: 'users:read'
+};
+
+const DEFAULT_OPTIONS = {
+    heartbeatInterval: 25 * 1000, // comment lines keep proxies from closing idle streams
+    retryDelay: 3 * 1000 // how long browsers wait before reconnecting a dropped stream
+};
+
+class EventStream {
+    constructor(options = {}) {
+        this.heartbeatInterval = options.heartbeatInterval || DEFAULT_OPTIONS.heartbeatInterval;
+        this.retryDelay = options.retryDelay || DEFAULT_OPTIONS.retryDelay;
+        this.clients = new Set();
+        this.nextEventId = 1;
+        this.heartbeat = null;
+    }
+
+    // Keep a request open as an event stream. client holds the userId, the session (sid and row
+    // sessionId) or apiTokenId the stream was opened with, and canRead(permission) - whether it may
+    // receive a kind of change.
+    subscribe(req, res, client) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // nginx and the Render proxy would otherwise buffer events
+        });
+        res.write(`retry: ${this.retryDelay}\n\n`);
+
+        const entry = { ...client, res };
+        this.clients.add(entry);
+        this.startHeartbeat();
+        req.on('close', () => {
+            this.clients.delete(entry);
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+    }
+
+    // Send the event of an audited change to every client allowed to read it, with the entity
+    // as it is now (as it was, for deletes). Changes that end someone's access close their streams.
+    emitChange(action, entityType, entityId, before, after, actor = null) {
+        const event = (STREAM_EVENTS[entityType] || {})[action];
+        if (event) {
+            const data = action === 'delete' ? before : after;
+            this.broadcast(event, READ_PERMISSIONS[entityType], { data: this.toEventData(entityType, data), actor });
+        }
+
+        if (entityType === 'user' && (action === 'delete' || (action === 'update' && before && after && before.role !== after.role))) {
+            this.disconnect(client => String(client.userId) === String(entityId));
+        } else if (entityType === 'session' && action === 'revoke') {
+            this.disconnect(client => String(client.sessionId) === String(entityId));
+        } else if (entityType === 'api_token' && action === 'revoke') {
+            this.disconnect(client => String(client.apiTokenId) === String(entityId));
+        }
+    }
+
+    // Only the user fields the user list shows are sent
+    toEventData(entityType, data) {
+        if (entityType === 'user' && data) {
+            return { id: data.id, name: data.name, role: data.role };
+        }
+        return data;
+    }
+
+    broadcast(event, permission, payload) {
+        if (this.clients.size === 0) {
+            return;
+        }
+        const message = `id: ${this.nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+        for (const client of this.clients) {
+            if (client.canRead(permission)) {
+                client.res.write(message);
+            }
+        }
+    }
+
+    // End the streams of the clients that match. Browsers reconnect, and are refused if their access is gone.
+    disconnect(matches) {
+        for (const client of this.clients) {
+            if (matches(client)) {
+                this.clients.delete(client);
+                client.res.end();
+            }
+        }
+        if (this.clients.size === 0) {
+            this.stopHeartbeat();
+        }
+    }
+
+    // Heartbeats only run while someone is connected, and do not keep the process alive
+    startHeartbeat() {
+        if (this.heartbeat) {
+            return;
+        }
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': heartbeat\n\n');
+            }
+        }, this.heartbeatInterval);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+
+    // Close every stream, e.g. on shutdown
+    stop() {
+        this.disconnect(() => true);
+    }
+}
+
+module.exports = {
+    STREAM_EVENTS,
+    EventStream
+};
@@ -0,0 +1,166 @@
+// JUnit XML reports - parses the testcases of a report and matches them to tracker tests.
+// Reports come from many tools (Jest, pytest, Playwright, Maven Surefire...), so only the common
+// subset is read: <testsuites>/<testsuite>/<testcase> with <failure>, <error>, <skipped> and <properties>.
+
+// Testcase properties that name the tracker test explicitly, e.g. <property name="test_id" value="TC-01"/>
+const TEST_ID_PROPERTIES = ['test_id', 'testId', 'tracker_id'];
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+// CDATA, comments, declarations, closing tags, opening/self-closing tags, and text
+const TOKEN_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>[]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gy;
+const ATTRIBUTE_PATTERN = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+// Parse XML into an element tree of { name, attributes, children, text }. Throws on malformed XML.
+function parseXml(xml) {
+    const root = { name: null, attributes: {}, children: [], text: '' };
+    const stack = [root];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < xml.length) {
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(xml);
+        if (!match) {
+            throw new Error(`Malformed XML near character ${position}`);
+        }
+        const [, cdata, closingName, openingName, attributeText, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (closingName) {
+            if (closingName !== current.name) {
+                throw new Error(`Unexpected </${closingName}> near character ${position}`);
+            }
+            stack.pop();
+        } else if (openingName) {
+            const element = { name: openingName, attributes: {}, children: [], text: '' };
+            let attribute;
+            ATTRIBUTE_PATTERN.lastIndex = 0;
+            while ((attribute = ATTRIBUTE_PATTERN.exec(attributeText || '')) !== null) {
+                element.attributes[attribute[1]] = decodeEntities(attribute[2] !== undefined ? attribute[2] : attribute[3]);
+            }
+            current.children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+    }
+    const documentElement = root.children[0];
+    if (!documentElement || root.children.length > 1) {
+        throw new Error('XML must have exactly one root element');
+    }
+    return documentElement;
+}
+
+const truncate = (text) => {
+    const trimmed = (text || '').trim();
+    return trimmed.length > MAX_MESSAGE_LENGTH ? `${trimmed.substring(0, MAX_MESSAGE_LENGTH)}…` : trimmed;
+};
+
+// Collect the testcases below an element, with the name of the suite they belong to
+function collectTestcases(element, suiteName, testcases) {
+    element.children.forEach(child => {
+        if (child.name === 'testsuite' || child.name === 'testsuites') {
+            collectTestcases(child, child.attributes.name || suiteName, testcases);
+        } else if (child.name === 'testcase') {
+            testcases.push(toTestcase(child, suiteName));
+        }
+    });
+    return testcases;
+}
+
+function toTestcase(element, suiteName) {
+    const find = (name) => element.children.find(child => child.name === name);
+    const failure = find('failure') || find('error');
+    const skipped = find('skipped');
+
+    const properties = {};
+    const propertiesElement = find('properties');
+    if (propertiesElement) {
+        propertiesElement.children
+            .filter(child => child.name === 'property' && child.attributes.name)
+            .forEach(child => {
+                properties[child.attributes.name] = child.attributes.value !== undefined ? child.attributes.value : child.text.trim();
+            });
+    }
+
+    let status = 'pass';
+    let message = null;
+    if (failure) {
+        status = 'fail';
+        message = truncate([failure.attributes.message, failure.text].filter(Boolean).join('\n'));
+    } else if (skipped) {
+        status = 'skip';
+        message = truncate(skipped.attributes.message || skipped.text);
+    }
+
+    return {
+        suite: suiteName || null,
+        classname: element.attributes.classname || null,
+        name: element.attributes.name || '',
+        time: element.attributes.time !== undefined ? parseFloat(element.attributes.time) || 0 : null,
+        status: status,
+        message: message || null,
+        properties: properties
+    };
+}
+
+// Parse a JUnit XML report into its testcases. Throws when the XML is malformed or not a JUnit report.
+function parseJUnitXml(xml) {
+    const documentElement = parseXml(String(xml).replace(/^\uFEFF/, ''));
+    if (documentElement.name !== 'testsuites' && documentElement.name !== 'testsuite') {
+        throw new Error(`Not a JUnit report: the root element is <${documentElement.name}>, expected <testsuites> or <testsuite>`);
+    }
+    const suiteName = documentElement.name === 'testsuite' ? documentElement.attributes.name : null;
+    return collectTestcases({ children: [documentElement] }, suiteName, []);
+}
+
+// Find the tracker test a testcase reports on: an explicit test_id property, then a test ID
+// appearing in the testcase name or classname (e.g. "TC-01 invites a user"), then an exact title.
+// Returns { test, matchedBy } or null.
+function matchTestcase(testcase, tests) {
+    const byId = new Map(tests.map(test => [test.id.toLowerCase(), test]));
+
+    for (const property of TEST_ID_PROPERTIES) {
+        const value = testcase.properties[property];
+        if (value && byId.has(value.trim().toLowerCase())) {
+            return { test: byId.get(value.trim().toLowerCase()), matchedBy: 'property' };
+        }
+    }
+
+    for (const text of [testcase.name, testcase.classname]) {
+        const candidates = (text || '').match(/[A-Za-z][\w]*-\d+/g) || [];
+        const candidate = candidates.find(id => byId.has(id.toLowerCase()));
+        if (candidate) {
+            return { test: byId.get(candidate.toLowerCase()), matchedBy: 'name' };
+        }
+    }
+
+    const title = testcase.name.trim().toLowerCase();
+    const test = title && tests.find(t => (t.title || '').trim().toLowerCase() === title);
+    return test ? { test, matchedBy: 'title' } : null;
+}
+
+module.exports = {
+    TEST_ID_PROPERTIES,
+    parseXml,
+    parseJUnitXml,
+    matchTestcase
+};
@@ -0,0 +1,81 @@
+// Query parameters shared by the list endpoints: limit/cursor paging, sort/order, and list filters.
+// Without a limit every matching row is returned, so existing clients keep working.
+
+const MAX_LIMIT = 500;
+
+// Cursors are opaque to clients: the sort value and ID of the last row of a page
+function encodeCursor(cursor) {
+    return cursor ? Buffer.from(JSON.stringify([cursor.value, cursor.id])).toString('base64url') : null;
+}
+
+function decodeCursor(text) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+        if (id === undefined || id === null) {
+            return null;
+        }
+        return { value, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Comma-separated filter values, e.g. ?status=pass,fail. Returns null when the filter is not set.
+function parseListFilter(value) {
+    if (value === undefined || value === null || value === '' || value === 'all') {
+        return null;
+    }
+    const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+    return values.length > 0 ? values : null;
+}
+
+// Dates in filters are YYYY-MM-DD
+function isIsoDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+// Parse limit, cursor, sort and order against the sort fields an endpoint allows.
+// Returns { paging: { limit, cursor, sort, order } } or { error }.
+function parseListQuery(query, sortFields, defaultSort, defaultOrder = 'asc') {
+    const paging = { limit: null, cursor: null, sort: defaultSort, order: defaultOrder };
+
+    if (query.limit !== undefined) {
+        const limit = parseInt(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || String(limit) !== String(query.limit).trim()) {
+            return { error: 'limit must be a positive whole number' };
+        }
+        paging.limit = Math.min(limit, MAX_LIMIT);
+    }
+
+    if (query.cursor) {
+        paging.cursor = decodeCursor(query.cursor);
+        if (!paging.cursor) {
+            return { error: 'Invalid cursor - use the nextCursor of the previous page' };
+        }
+    }
+
+    if (query.sort !== undefined) {
+        if (!sortFields.includes(query.sort)) {
+            return { error: `Invalid sort field. Must be one of: ${sortFields.join(', ')}` };
+        }
+        paging.sort = query.sort;
+    }
+
+    if (query.order !== undefined) {
+        if (query.order !== 'asc' && query.order !== 'desc') {
+            return { error: 'order must be asc or desc' };
+        }
+        paging.order = query.order;
+    }
+
+    return { paging };
+}
+
+module.exports = {
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    parseListFilter,
+    parseListQuery,
+    isIsoDate
+};
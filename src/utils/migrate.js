@@ -1,4 +1,6 @@
 const Database = require('../models/database');
+const Migrator = require('../models/migrator');
+const attachmentFiles = require('./attachments');
 const fs = require('fs-extra');
 const path = require('path');
 
@@ -37,6 +39,46 @@ class DataMigration {
         }
     }
 
+    // Schema migrations: status, up [version] or down [version]. The server applies pending
+    // migrations at startup; down reverts the latest migration, or every migration newer than version.
+    async schema(action = 'up', versionArg = null) {
+        const version = versionArg === null ? null : parseInt(versionArg, 10);
+        if (versionArg !== null && (!Number.isInteger(version) || version < 0)) {
+            throw new Error(`Invalid migration version: ${versionArg}`);
+        }
+
+        const dbInitialized = await this.db.init({ migrate: false });
+        if (!dbInitialized) {
+            throw new Error('Failed to initialize database');
+        }
+        const migrator = new Migrator(this.db);
+
+        try {
+            if (action === 'status') {
+                const migrations = await migrator.status();
+                console.log('📋 Schema migrations:');
+                migrations.forEach(migration => {
+                    const state = migration.missing
+                        ? `applied ${migration.appliedAt} (no migration file - applied by a newer version)`
+                        : migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+                    console.log(`   ${migration.applied ? '✅' : '⏳'} ${migrator.label(migration)} - ${state}${migration.reversible ? '' : ' [irreversible]'}`);
+                });
+                const pending = migrations.filter(migration => !migration.applied).length;
+                console.log(pending > 0 ? `${pending} pending migration${pending !== 1 ? 's' : ''}` : 'Schema is up to date');
+            } else if (action === 'up') {
+                const applied = await migrator.up(version === null ? Infinity : version);
+                console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration${applied.length !== 1 ? 's' : ''}` : '✅ Schema is up to date');
+            } else if (action === 'down') {
+                const reverted = await migrator.down(version);
+                console.log(reverted.length > 0 ? `✅ Rolled back ${reverted.length} migration${reverted.length !== 1 ? 's' : ''}` : 'Nothing to roll back');
+            } else {
+                throw new Error(`Unknown schema action: ${action} (use status, up or down)`);
+            }
+        } finally {
+            this.db.close();
+        }
+    }
+
     async seedFromWorkDirectory() {
         try {
             console.log('🌱 Seeding database from work directory...');
@@ -77,6 +119,52 @@ class DataMigration {
         }
     }
 
+    // Update a test that already exists, or create it. Tests are not cleared before seeding:
+    // deleting a test deletes its results.
+    async saveTestCase(testCase) {
+        if (testCase.id && await this.db.getTestById(testCase.id)) {
+            await this.db.updateTest(testCase.id, testCase);
+        } else {
+            await this.db.createTest(testCase);
+        }
+    }
+
+    // Clean up rows left pointing at deleted rows, see Database.repairForeignKeys
+    async repair(dryRun = false) {
+        const dbInitialized = await this.db.init();
+        if (!dbInitialized) {
+            throw new Error('Failed to initialize database');
+        }
+
+        try {
+            const { fixed, skipped, removedAttachments } = await this.db.repairForeignKeys({ dryRun });
+            if (fixed.length === 0 && skipped.length === 0) {
+                console.log('✅ No orphaned rows found');
+                return;
+            }
+
+            fixed.forEach(violation => {
+                const action = violation.onDelete === 'CASCADE'
+                    ? (dryRun ? 'Would delete' : 'Deleted')
+                    : `${dryRun ? 'Would clear' : 'Cleared'} ${violation.column} of`;
+                console.log(`   ${action} ${violation.rowids.length} ${violation.table} rows whose ${violation.column} points at a missing ${violation.parent} row`);
+            });
+            skipped.forEach(violation => {
+                console.log(`   ⚠️ Left ${violation.rowids.length} ${violation.table} rows whose ${violation.column} points at a missing ${violation.parent} row (rule ${violation.onDelete} - fix by hand), rowids: ${violation.rowids.join(', ')}`);
+            });
+
+            if (!dryRun) {
+                await Promise.all(removedAttachments.map(storedName => attachmentFiles.deleteAttachmentFile(storedName)));
+            }
+            if (removedAttachments.length > 0) {
+                console.log(`   ${dryRun ? 'Would remove' : 'Removed'} ${removedAttachments.length} attachment files of deleted results`);
+            }
+            console.log(dryRun ? 'ℹ️ Dry run - nothing was changed' : '✅ Repair completed');
+        } finally {
+            this.db.close();
+        }
+    }
+
     async seedFromJavaScript(filePath) {
         try {
             // Initialize database
@@ -85,9 +173,6 @@ class DataMigration {
                 throw new Error('Failed to initialize database');
             }
             
-            // Clear existing tests
-            await this.db.clearAllTests();
-            
             // Load and execute the JavaScript file
             const absolutePath = path.resolve(filePath);
             const testCasesModule = require(absolutePath);
@@ -100,7 +185,7 @@ class DataMigration {
             let seededCount = 0;
             for (const testCase of testCases) {
                 try {
-                    await this.db.createTest(testCase);
+                    await this.saveTestCase(testCase);
                     seededCount++;
                 } catch (error) {
                     console.warn(`⚠️ Failed to seed test ${testCase.id}:`, error.message);
@@ -127,13 +212,10 @@ class DataMigration {
                 return 0;
             }
 
-            // Clear existing tests
-            await this.db.clearAllTests();
-            
             let seededCount = 0;
             for (const testCase of testCases) {
                 try {
-                    await this.db.createTest(testCase);
+                    await this.saveTestCase(testCase);
                     seededCount++;
                 } catch (error) {
                     console.warn(`⚠️ Failed to seed test ${testCase.id}:`, error.message);
@@ -308,6 +390,15 @@ async function main() {
             await migration.migrate();
             break;
             
+        case 'schema':
+            try {
+                await migration.schema(process.argv[3], process.argv[4] || null);
+            } catch (error) {
+                console.error('❌', error.message);
+                process.exit(1);
+            }
+            break;
+            
         case 'seed':
             const source = process.argv[3] || 'work';
             if (source === 'work') {
@@ -336,6 +427,15 @@ async function main() {
             await migration.seedFromMarkdown(mdFile);
             break;
             
+        case 'repair':
+            try {
+                await migration.repair(process.argv.includes('--dry-run'));
+            } catch (error) {
+                console.error('❌ Repair failed:', error.message);
+                process.exit(1);
+            }
+            break;
+            
         case 'clear':
             await migration.clearTests();
             break;
@@ -349,11 +449,15 @@ async function main() {
 🔄 Data Migration Tool
 
 Usage:
-  node migrate.js migrate                    # Migrate existing data
+  node migrate.js schema status              # List schema migrations and whether they are applied
+  node migrate.js schema up [version]        # Apply pending migrations (up to version)
+  node migrate.js schema down [version]      # Roll back the latest migration (or all newer than version)
+  node migrate.js migrate                    # Back up the legacy JSON data file
   node migrate.js seed                       # Seed from work directory
   node migrate.js seed-js <file>            # Seed from JavaScript file
   node migrate.js seed-md <file>             # Seed from markdown file
-  node migrate.js clear                      # Clear all tests
+  node migrate.js repair [--dry-run]         # Delete or unlink rows that point at deleted rows
+  node migrate.js clear                      # Clear all tests (and their results)
   node migrate.js report                     # Generate test report
 
 Examples:
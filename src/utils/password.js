@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// scrypt parameters - keep in sync with stored hashes (changing them invalidates existing passwords)
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Hash a plain-text password with a fresh random salt
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ hash: derivedKey.toString('hex'), salt });
+            }
+        });
+    });
+}
+
+// Check a plain-text password against a stored hash and salt
+function verifyPassword(password, hash, salt) {
+    return new Promise((resolve, reject) => {
+        if (!password || !hash || !salt) {
+            resolve(false);
+            return;
+        }
+
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            const expected = Buffer.from(hash, 'hex');
+            // Constant-time comparison so timing does not leak how much of the hash matched
+            resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+        });
+    });
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword
+};
@@ -0,0 +1,58 @@
+// Full-text search - turns a search box query into an FTS5 MATCH expression and
+// FTS5 snippets into HTML with the matched words in <mark>.
+
+const SEARCH_TYPES = ['tests', 'results', 'defects'];
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+
+// Control characters that FTS5 puts around matches in snippets; they never occur in stored text
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Build a MATCH expression from free text. Every word must appear (implicit AND), "quoted words"
+// match as a phrase, and the last word also matches as a prefix so results show while typing.
+// FTS5 syntax in the query is never interpreted - "chip-input" or "500 error" search literally.
+// Returns null when the query has no searchable words.
+function buildMatchQuery(query) {
+    const text = String(query || '');
+    const terms = (text.match(/"[^"]*"?|[^\s"]+/g) || [])
+        .map(term => ({ phrase: term.startsWith('"'), text: term.replace(/"/g, '').trim() }))
+        .filter(term => /[\p{L}\p{N}]/u.test(term.text));
+
+    if (terms.length === 0) {
+        return null;
+    }
+
+    return terms.map((term, index) => {
+        const quoted = `"${term.text}"`;
+        const isLast = index === terms.length - 1;
+        return isLast && !term.phrase && !/\s$/.test(text) ? `${quoted}*` : quoted;
+    }).join(' ');
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Snippets are built from user-entered text, so escape them before marking the matches
+function formatSnippet(snippet) {
+    if (!snippet) {
+        return '';
+    }
+    return escapeHtml(snippet)
+        .split(MATCH_START).join('<mark>')
+        .split(MATCH_END).join('</mark>');
+}
+
+module.exports = {
+    SEARCH_TYPES,
+    DEFAULT_SEARCH_LIMIT,
+    MAX_SEARCH_LIMIT,
+    MATCH_START,
+    MATCH_END,
+    buildMatchQuery,
+    formatSnippet
+};
@@ -0,0 +1,59 @@
+// Statuses a single test step can be marked with ('na' = not applicable)
+const STEP_STATUSES = ['pass', 'fail', 'blocked', 'na'];
+
+// Validate per-step results against the steps of the test revision being executed.
+// Entries line up with the steps by position; missing entries are steps not executed yet.
+// Returns { stepResults } with one entry per step, or { error }.
+function normalizeStepResults(input, steps) {
+    if (!Array.isArray(input)) {
+        return { error: 'stepResults must be a list with one entry per test step' };
+    }
+    if (input.length > steps.length) {
+        return { error: `stepResults has ${input.length} entries but the test has ${steps.length} steps` };
+    }
+
+    const stepResults = [];
+    for (let index = 0; index < steps.length; index++) {
+        const entry = input[index] || {};
+        const status = entry.status || null;
+        if (status !== null && !STEP_STATUSES.includes(status)) {
+            return { error: `Invalid status for step ${index + 1}. Must be one of: ${STEP_STATUSES.join(', ')}` };
+        }
+        if (entry.comment !== undefined && entry.comment !== null && typeof entry.comment !== 'string') {
+            return { error: `Comment for step ${index + 1} must be text` };
+        }
+
+        // The step text is copied so the result stays readable whatever happens to the test later
+        stepResults.push({
+            step: steps[index],
+            status,
+            comment: entry.comment ? entry.comment.trim() || null : null
+        });
+    }
+    return { stepResults };
+}
+
+// Overall result status implied by the step results, or null when no step has been marked.
+// Any failed step fails the test, then any blocked step blocks it; unmarked steps make it partial.
+function deriveStatusFromSteps(stepResults) {
+    const statuses = stepResults.map(stepResult => stepResult.status);
+    if (statuses.every(status => !status)) {
+        return null;
+    }
+    if (statuses.includes('fail')) {
+        return 'fail';
+    }
+    if (statuses.includes('blocked')) {
+        return 'blocked';
+    }
+    if (statuses.some(status => !status)) {
+        return 'partial';
+    }
+    return statuses.includes('pass') ? 'pass' : 'skip';
+}
+
+module.exports = {
+    STEP_STATUSES,
+    normalizeStepResults,
+    deriveStatusFromSteps
+};
@@ -0,0 +1,194 @@
+// Request body validation shared by the write routes. A schema maps each accepted field to a rule:
+//   type      'string', 'integer', 'boolean', 'date' (YYYY-MM-DD or an ISO timestamp),
+//             'url' (http:// or https://), 'array' or 'object'
+//   label     name used in error messages (default: the field name)
+//   required  the field must be given, and strings must not be blank (only checked for given fields
+//             on partial updates)
+//   nullable  null is accepted and kept; otherwise null on an optional field counts as not given
+//   enum      allowed values of the field, or of each entry of an array
+//   items     'string' or 'integer' - type of the entries of an array
+//   min, max  length of a string or array, or range of an integer
+//   trim      false keeps a string as given (passwords); strings are trimmed otherwise
+//   fields    schema of the fields of an object
+// Lists of strings are trimmed, with blank entries dropped.
+
+// Returns { value } holding only the fields given, or { errors } - a list of { field, message }.
+// Options: partial (PATCH - nothing is required, but at least one field must be given) and
+// strict (fields outside the schema are errors instead of being ignored).
+function validate(schema, input, { partial = false, strict = false } = {}) {
+    if (!isPlainObject(input)) {
+        return { errors: [{ field: null, message: 'The request body must be a JSON object' }] };
+    }
+
+    const errors = [];
+    const value = validateFields(schema, input, '', partial, errors);
+
+    if (strict) {
+        Object.keys(input).filter(field => !schema[field]).forEach(field => {
+            errors.push({ field, message: `Unknown field ${field}. Allowed fields: ${Object.keys(schema).join(', ')}` });
+        });
+    }
+    if (errors.length === 0 && partial && Object.keys(value).length === 0) {
+        errors.push({ field: null, message: `Give at least one field to update: ${Object.keys(schema).join(', ')}` });
+    }
+
+    return errors.length > 0 ? { errors } : { value };
+}
+
+function validateFields(schema, input, prefix, partial, errors) {
+    const value = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const path = prefix + field;
+        const label = rule.label || path;
+        const given = input[field];
+
+        if (given === undefined || (given === null && !rule.nullable && !rule.required)) {
+            if (rule.required && !partial) {
+                errors.push({ field: path, message: `${label} is required` });
+            }
+            continue;
+        }
+        if (given === null) {
+            if (rule.nullable) {
+                value[field] = null;
+            } else {
+                errors.push({ field: path, message: `${label} is required` });
+            }
+            continue;
+        }
+
+        const { value: checked, error } = checkValue(rule, given, label, path, partial, errors);
+        if (error) {
+            errors.push({ field: path, message: error });
+        } else if (checked !== undefined) {
+            value[field] = checked;
+        }
+    }
+    return value;
+}
+
+// Check one given (non-null) value against its rule. Returns { value } or { error }.
+function checkValue(rule, given, label, path, partial, errors) {
+    switch (rule.type) {
+        case 'string': {
+            if (typeof given !== 'string') {
+                return { error: `${label} must be text` };
+            }
+            const text = rule.trim === false ? given : given.trim();
+            if (rule.required && !text.trim()) {
+                return { error: `${label} is required` };
+            }
+            if (rule.min !== undefined && text.length < rule.min) {
+                return { error: `${label} must be at least ${rule.min} characters` };
+            }
+            if (rule.max !== undefined && text.length > rule.max) {
+                return { error: `${label} must be at most ${rule.max} characters` };
+            }
+            return checkEnum(rule, text, label);
+        }
+        case 'integer': {
+            const number = typeof given === 'string' && /^-?\d+$/.test(given.trim()) ? Number(given) : given;
+            if (!Number.isInteger(number)) {
+                return { error: `${label} must be a whole number` };
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return { error: `${label} must be at least ${rule.min}` };
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return { error: `${label} must be at most ${rule.max}` };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            return typeof given === 'boolean' ? { value: given } : { error: `${label} must be true or false` };
+        case 'date': {
+            const text = typeof given === 'string' ? given.trim() : '';
+            if (!text && rule.nullable) {
+                return { value: null };
+            }
+            if (!/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(text) || isNaN(Date.parse(text))) {
+                return { error: `${label} must be a date in YYYY-MM-DD format` };
+            }
+            return { value: text };
+        }
+        case 'url': {
+            let url = null;
+            try {
+                url = new URL(String(given).trim());
+            } catch (error) {
+                url = null;
+            }
+            if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+                return { error: `${label} must be an http:// or https:// address` };
+            }
+            return { value: url.toString() };
+        }
+        case 'array':
+            return checkArray(rule, given, label);
+        case 'object': {
+            if (!isPlainObject(given)) {
+                return { error: `${label} must be an object` };
+            }
+            if (!rule.fields) {
+                return { value: given };
+            }
+            const errorCount = errors.length;
+            const value = validateFields(rule.fields, given, `${path}.`, partial, errors);
+            // Errors of the nested fields are already recorded
+            return errors.length > errorCount ? { value: undefined } : { value };
+        }
+        default:
+            return { value: given };
+    }
+}
+
+const LIST_DESCRIPTIONS = { string: 'a list of strings', integer: 'a list of whole numbers' };
+
+function checkArray(rule, given, label) {
+    const listError = { error: `${label} must be ${LIST_DESCRIPTIONS[rule.items] || 'a list'}` };
+    if (!Array.isArray(given)) {
+        return listError;
+    }
+
+    let entries = given;
+    if (rule.items === 'string') {
+        if (entries.some(entry => typeof entry !== 'string')) {
+            return listError;
+        }
+        entries = entries.map(entry => entry.trim()).filter(Boolean);
+    } else if (rule.items === 'integer') {
+        entries = entries.map(entry => typeof entry === 'string' && /^\d+$/.test(entry.trim()) ? Number(entry) : entry);
+        if (entries.some(entry => !Number.isInteger(entry))) {
+            return listError;
+        }
+    }
+
+    if (rule.enum) {
+        const unknown = entries.filter(entry => !rule.enum.includes(entry));
+        if (unknown.length > 0) {
+            return { error: `Invalid ${label}: ${unknown.join(', ')}. Must be one of: ${rule.enum.join(', ')}` };
+        }
+    }
+    if (rule.min !== undefined && entries.length < rule.min) {
+        return { error: rule.min === 1 ? `${label} must not be empty` : `${label} must have at least ${rule.min} entries` };
+    }
+    if (rule.max !== undefined && entries.length > rule.max) {
+        return { error: `${label} must have at most ${rule.max} entries` };
+    }
+    return { value: entries };
+}
+
+function checkEnum(rule, value, label) {
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `Invalid ${label}. Must be one of: ${rule.enum.join(', ')}` };
+    }
+    return { value };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,208 @@
+// Outbound webhooks - queues events for subscribed webhooks, signs the JSON payloads and
+// retries failed deliveries with exponential backoff. Every attempt is kept in webhook_deliveries.
+const crypto = require('crypto');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+    'result.created', 'result.updated', 'result.deleted',
+    'test.created', 'test.updated', 'test.deleted',
+    'run.created', 'run.updated', 'run.closed', 'run.deleted',
+    'defect.opened', 'defect.updated', 'defect.deleted'
+];
+
+// Event sent by the "Send test" button, whatever a webhook subscribes to
+const PING_EVENT = 'ping';
+
+// Events raised by audited changes, by entity type and audit action
+const CHANGE_EVENTS = {
+    test_result: { create: 'result.created', update: 'result.updated', delete: 'result.deleted' },
+    test: { create: 'test.created', update: 'test.updated', delete: 'test.deleted' },
+    test_run: { create: 'run.created', update: 'run.updated', delete: 'run.deleted' },
+    defect: { create: 'defect.opened', update: 'defect.updated', delete: 'defect.deleted' }
+};
+
+const DEFAULT_OPTIONS = {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    baseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000, // doubled after every failed attempt
+    timeout: 10 * 1000
+};
+
+// Signature sent in X-Webhook-Signature: HMAC-SHA256 of the raw request body, keyed with the webhook's secret
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Shared secret for a new webhook. Kept in plain text - the server needs it to sign every delivery.
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Events for an audited change. Closing a run and reopening a defect raise an extra event.
+function getChangeEvents(action, entityType, before, after) {
+    const event = (CHANGE_EVENTS[entityType] || {})[action];
+    if (!event) {
+        return [];
+    }
+
+    const events = [event];
+    if (event === 'run.updated' && after && after.status === 'closed' && (!before || before.status !== 'closed')) {
+        events.push('run.closed');
+    }
+    if (event === 'defect.updated' && after && after.status === 'open' && (!before || before.status !== 'open')) {
+        events.push('defect.opened');
+    }
+    return events;
+}
+
+class WebhookDispatcher {
+    constructor(options = {}) {
+        this.database = options.db;
+        this.maxAttempts = options.maxAttempts || DEFAULT_OPTIONS.maxAttempts;
+        this.baseDelay = options.baseDelay || DEFAULT_OPTIONS.baseDelay;
+        this.timeout = options.timeout || DEFAULT_OPTIONS.timeout;
+        this.timers = new Map();
+    }
+
+    // Queue an event for every active webhook subscribed to it. Never throws - a failing
+    // webhook must not fail the change that raised the event.
+    async emit(event, data, actor = null) {
+        try {
+            const webhooks = await this.database.getWebhooksForEvent(event);
+            for (const webhook of webhooks) {
+                await this.enqueue(webhook, event, data, actor);
+            }
+        } catch (error) {
+            console.error(`❌ Failed to queue webhook event ${event}:`, error);
+        }
+    }
+
+    // Queue the events of an audited change, with the entity as it is now (as it was, for deletes)
+    async emitChange(action, entityType, before, after, actor = null) {
+        for (const event of getChangeEvents(action, entityType, before, after)) {
+            await this.emit(event, action === 'delete' ? before : after, actor);
+        }
+    }
+
+    // Store a delivery of an event to one webhook and send it right away
+    async enqueue(webhook, event, data, actor = null) {
+        const payload = JSON.stringify({
+            event: event,
+            created_at: new Date().toISOString(),
+            actor: actor,
+            data: data
+        });
+        const delivery = await this.database.createWebhookDelivery({ webhookId: webhook.id, event, payload });
+        this.schedule(delivery.id, 0);
+        return delivery;
+    }
+
+    // Attempt a delivery after a delay. Timers do not keep the process alive.
+    schedule(deliveryId, delay) {
+        clearTimeout(this.timers.get(deliveryId));
+        const timer = setTimeout(() => {
+            this.timers.delete(deliveryId);
+            this.attempt(deliveryId);
+        }, delay);
+        timer.unref();
+        this.timers.set(deliveryId, timer);
+    }
+
+    // Pick up deliveries that were still pending when the server stopped
+    async resumePending() {
+        const deliveries = await this.database.getPendingWebhookDeliveries();
+        deliveries.forEach(delivery => {
+            const dueAt = delivery.next_attempt_at ? Date.parse(`${delivery.next_attempt_at.replace(' ', 'T')}Z`) : Date.now();
+            this.schedule(delivery.id, Math.max(0, dueAt - Date.now()));
+        });
+        if (deliveries.length > 0) {
+            console.log(`📬 Resuming ${deliveries.length} pending webhook deliveries`);
+        }
+    }
+
+    // Send a pending delivery once and record the outcome; failures are retried until maxAttempts
+    async attempt(deliveryId) {
+        try {
+            const delivery = await this.database.getWebhookDeliveryById(deliveryId);
+            if (!delivery || delivery.status !== 'pending') {
+                return;
+            }
+            const webhook = await this.database.getWebhookById(delivery.webhook_id);
+            if (!webhook) {
+                return;
+            }
+
+            const attempts = delivery.attempts + 1;
+            const outcome = webhook.active
+                ? await this.send(webhook, delivery)
+                : { ok: false, error: 'Webhook is disabled' };
+
+            const retry = !outcome.ok && webhook.active && attempts < this.maxAttempts;
+            const delay = this.baseDelay * Math.pow(2, attempts - 1);
+            await this.database.updateWebhookDelivery(delivery.id, {
+                status: outcome.ok ? 'success' : (retry ? 'pending' : 'failed'),
+                attempts: attempts,
+                responseStatus: outcome.responseStatus,
+                responseBody: outcome.responseBody,
+                error: outcome.error,
+                nextAttemptAt: retry ? new Date(Date.now() + delay) : null
+            });
+            if (retry) {
+                this.schedule(delivery.id, delay);
+            }
+        } catch (error) {
+            console.error(`❌ Webhook delivery ${deliveryId} failed:`, error);
+        }
+    }
+
+    // POST a delivery's payload. Resolves to { ok, responseStatus, responseBody, error } and never throws.
+    async send(webhook, delivery) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Test-Tracker-Webhooks/1.0',
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Signature': signPayload(webhook.secret, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: controller.signal
+            });
+            const responseBody = (await response.text()).substring(0, 2000);
+            return {
+                ok: response.ok,
+                responseStatus: response.status,
+                responseBody: responseBody,
+                error: response.ok ? null : `Receiver responded with HTTP ${response.status}`
+            };
+        } catch (error) {
+            return {
+                ok: false,
+                // fetch reports connection problems (refused, DNS...) as its cause
+                error: error.name === 'AbortError'
+                    ? `No response within ${this.timeout / 1000} seconds`
+                    : (error.cause && error.cause.message) || error.message
+            };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Cancel scheduled attempts (on shutdown); they are resumed from the database on the next start
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    WebhookDispatcher,
+    generateWebhookSecret,
+    signPayload
+};
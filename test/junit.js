@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseXml, parseJUnitXml, matchTestcase } = require('../src/utils/junit');
+
+test('parseXml builds the element tree with attributes and text', () => {
+    const root = parseXml('<?xml version="1.0"?><suite name="a"><case id=\'1\'>text</case><empty/></suite>');
+    assert.equal(root.name, 'suite');
+    assert.deepEqual(root.attributes, { name: 'a' });
+    assert.deepEqual(root.children.map(child => child.name), ['case', 'empty']);
+    assert.deepEqual(root.children[0].attributes, { id: '1' });
+    assert.equal(root.children[0].text, 'text');
+});
+
+test('parseXml decodes entities in text and attributes', () => {
+    const root = parseXml('<a title="&quot;x&quot; &amp; y">&lt;b&gt; &#65;&#x42; &apos;c&apos; &unknown;</a>');
+    assert.equal(root.attributes.title, '"x" & y');
+    assert.equal(root.text, "<b> AB 'c' &unknown;");
+});
+
+test('parseXml keeps CDATA as it is and skips comments', () => {
+    const root = parseXml('<a><!-- note --><![CDATA[if (a < b && c) { <tag> &amp; }]]></a>');
+    assert.equal(root.text, 'if (a < b && c) { <tag> &amp; }');
+    assert.deepEqual(root.children, []);
+});
+
+test('parseXml rejects malformed XML', () => {
+    assert.throws(() => parseXml('<a><b></a>'), /Unexpected <\/a>/);
+    assert.throws(() => parseXml('<a><b>'), /<b> is never closed/);
+    assert.throws(() => parseXml('<a x=1></a>'), /Malformed XML/);
+    assert.throws(() => parseXml('<a></a><b></b>'), /exactly one root element/);
+    assert.throws(() => parseXml('just text'), /exactly one root element/);
+});
+
+test('parseJUnitXml reads the status, message, time and properties of each testcase', () => {
+    const testcases = parseJUnitXml(`﻿<testsuites>
+        <testsuite name="invites">
+            <testcase classname="InviteSpec" name="TC-01 invites a user" time="1.5">
+                <properties><property name="test_id" value="TC-01"/><property name="owner">qa</property></properties>
+            </testcase>
+            <testcase name="fails" time="oops"><failure message="expected 1">stack &amp; trace</failure></testcase>
+            <testcase name="errors"><error message="boom"/></testcase>
+            <testcase name="skipped"><skipped message="not ready"/></testcase>
+        </testsuite>
+    </testsuites>`);
+
+    assert.deepEqual(testcases[0], {
+        suite: 'invites',
+        classname: 'InviteSpec',
+        name: 'TC-01 invites a user',
+        time: 1.5,
+        status: 'pass',
+        message: null,
+        properties: { test_id: 'TC-01', owner: 'qa' }
+    });
+    assert.deepEqual(testcases.slice(1).map(testcase => [testcase.status, testcase.message, testcase.time]), [
+        ['fail', 'expected 1\nstack & trace', 0],
+        ['fail', 'boom', null],
+        ['skip', 'not ready', null]
+    ]);
+});
+
+test('parseJUnitXml accepts a single testsuite root and rejects other roots', () => {
+    const [testcase] = parseJUnitXml('<testsuite name="solo"><testcase name="a"/></testsuite>');
+    assert.equal(testcase.suite, 'solo');
+    assert.throws(() => parseJUnitXml('<report><testcase name="a"/></report>'), /Not a JUnit report/);
+});
+
+test('parseJUnitXml shortens long failure messages', () => {
+    const [testcase] = parseJUnitXml(`<testsuite><testcase name="a"><failure>${'x'.repeat(3000)}</failure></testcase></testsuite>`);
+    assert.equal(testcase.message.length, 2001);
+    assert.ok(testcase.message.endsWith('…'));
+});
+
+const tests = [
+    { id: 'TC-01', title: 'Single User Invite' },
+    { id: 'TC-02', title: 'Bulk Invite' }
+];
+const testcase = (fields) => ({ name: '', classname: null, properties: {}, ...fields });
+
+test('matchTestcase prefers a test ID property', () => {
+    const match = matchTestcase(testcase({ name: 'TC-01 invites', properties: { testId: ' tc-02 ' } }), tests);
+    assert.equal(match.test.id, 'TC-02');
+    assert.equal(match.matchedBy, 'property');
+});
+
+test('matchTestcase finds a test ID in the name, then in the classname', () => {
+    assert.deepEqual(matchTestcase(testcase({ name: 'covers tc-02 and more' }), tests), { test: tests[1], matchedBy: 'name' });
+    assert.deepEqual(matchTestcase(testcase({ name: 'invites', classname: 'suite.TC-01' }), tests), { test: tests[0], matchedBy: 'name' });
+});
+
+test('matchTestcase falls back to an exact title and ignores unknown IDs', () => {
+    assert.deepEqual(matchTestcase(testcase({ name: ' bulk invite ', properties: { test_id: 'TC-99' } }), tests), { test: tests[1], matchedBy: 'title' });
+    assert.equal(matchTestcase(testcase({ name: 'TC-99 something else' }), tests), null);
+    assert.equal(matchTestcase(testcase({ name: '' }), tests), null);
+});
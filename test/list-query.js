@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_LIMIT, encodeCursor, decodeCursor, parseListFilter, parseListQuery, isIsoDate } = require('../src/utils/list-query');
+
+const SORTS = ['name', 'created'];
+
+test('a cursor survives the round trip through a page query', () => {
+    for (const cursor of [{ value: 'Bulk Invite', id: 'TC-02' }, { value: 17, id: 4 }, { value: null, id: 9 }]) {
+        const { paging } = parseListQuery({ cursor: encodeCursor(cursor) }, SORTS, 'name');
+        assert.deepEqual(paging.cursor, cursor);
+    }
+    assert.equal(encodeCursor(null), null);
+});
+
+test('decodeCursor rejects cursors it did not make', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from('["a"]').toString('base64url')), null);
+    assert.equal(parseListQuery({ cursor: 'bad' }, SORTS, 'name').error, 'Invalid cursor - use the nextCursor of the previous page');
+});
+
+test('parseListQuery reads limit, sort and order', () => {
+    assert.deepEqual(parseListQuery({}, SORTS, 'name').paging, { limit: null, cursor: null, sort: 'name', order: 'asc' });
+    assert.deepEqual(parseListQuery({ limit: '20', sort: 'created', order: 'desc' }, SORTS, 'name', 'asc').paging,
+        { limit: 20, cursor: null, sort: 'created', order: 'desc' });
+    assert.equal(parseListQuery({ limit: String(MAX_LIMIT + 1) }, SORTS, 'name').paging.limit, MAX_LIMIT);
+});
+
+test('parseListQuery rejects bad values', () => {
+    for (const limit of ['0', '-1', '2.5', '10abc', '']) {
+        assert.equal(parseListQuery({ limit }, SORTS, 'name').error, 'limit must be a positive whole number');
+    }
+    assert.match(parseListQuery({ sort: 'title' }, SORTS, 'name').error, /Invalid sort field. Must be one of: name, created/);
+    assert.equal(parseListQuery({ order: 'up' }, SORTS, 'name').error, 'order must be asc or desc');
+});
+
+test('parseListFilter splits comma lists and treats all as no filter', () => {
+    assert.deepEqual(parseListFilter('pass, fail,,'), ['pass', 'fail']);
+    assert.equal(parseListFilter('all'), null);
+    assert.equal(parseListFilter(''), null);
+    assert.equal(parseListFilter(undefined), null);
+    assert.equal(parseListFilter(' , '), null);
+});
+
+test('isIsoDate', () => {
+    assert.equal(isIsoDate('2024-02-29'), true);
+    assert.equal(isIsoDate('2024-13-01'), false);
+    assert.equal(isIsoDate('29/02/2024'), false);
+});
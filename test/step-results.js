@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeStepResults, deriveStatusFromSteps } = require('../src/utils/step-results');
+
+const steps = ['Open the page', 'Click Save', 'Check the message'];
+
+test('normalizeStepResults gives one entry per step, copying the step text', () => {
+    const { stepResults } = normalizeStepResults([{ status: 'pass', comment: '  looks fine ' }, { status: 'fail', comment: '   ' }], steps);
+    assert.deepEqual(stepResults, [
+        { step: 'Open the page', status: 'pass', comment: 'looks fine' },
+        { step: 'Click Save', status: 'fail', comment: null },
+        { step: 'Check the message', status: null, comment: null }
+    ]);
+});
+
+test('normalizeStepResults rejects bad input', () => {
+    assert.match(normalizeStepResults({}, steps).error, /must be a list/);
+    assert.match(normalizeStepResults([{}, {}, {}, {}], steps).error, /has 4 entries but the test has 3 steps/);
+    assert.match(normalizeStepResults([{}, { status: 'done' }], steps).error, /Invalid status for step 2/);
+    assert.match(normalizeStepResults([{ comment: 42 }], steps).error, /Comment for step 1 must be text/);
+});
+
+test('deriveStatusFromSteps', () => {
+    const derive = (...statuses) => deriveStatusFromSteps(statuses.map(status => ({ status })));
+    assert.equal(derive(null, null), null);
+    assert.equal(derive('pass', 'blocked', 'fail'), 'fail');
+    assert.equal(derive('pass', 'blocked', null), 'blocked');
+    assert.equal(derive('pass', null), 'partial');
+    assert.equal(derive('pass', 'na'), 'pass');
+    assert.equal(derive('na', 'na'), 'skip');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../src/utils/validation');
+
+const SCHEMA = {
+    name: { type: 'string', required: true, label: 'Name', max: 10 },
+    count: { type: 'integer', min: 1, max: 5 },
+    active: { type: 'boolean' },
+    due: { type: 'date', nullable: true },
+    url: { type: 'url' },
+    tags: { type: 'array', items: 'string' },
+    priority: { type: 'string', enum: ['low', 'high'] },
+    password: { type: 'string', trim: false }
+};
+
+test('validate returns only the given fields, trimmed and converted', () => {
+    const { value } = validate(SCHEMA, {
+        name: '  Invite ',
+        count: '3',
+        active: false,
+        due: '2024-05-01',
+        url: 'https://example.com/hook',
+        tags: [' smoke ', '', 'ui'],
+        password: ' secret ',
+        ignored: 'x'
+    });
+    assert.deepEqual(value, {
+        name: 'Invite',
+        count: 3,
+        active: false,
+        due: '2024-05-01',
+        url: 'https://example.com/hook',
+        tags: ['smoke', 'ui'],
+        password: ' secret '
+    });
+});
+
+test('validate reports every invalid field', () => {
+    const { errors } = validate(SCHEMA, {
+        name: '   ',
+        count: 9,
+        active: 'yes',
+        due: '01/05/2024',
+        url: 'ftp://example.com',
+        tags: ['a', 1],
+        priority: 'urgent'
+    });
+    assert.deepEqual(errors, [
+        { field: 'name', message: 'Name is required' },
+        { field: 'count', message: 'count must be at most 5' },
+        { field: 'active', message: 'active must be true or false' },
+        { field: 'due', message: 'due must be a date in YYYY-MM-DD format' },
+        { field: 'url', message: 'url must be an http:// or https:// address' },
+        { field: 'tags', message: 'tags must be a list of strings' },
+        { field: 'priority', message: 'Invalid priority. Must be one of: low, high' }
+    ]);
+});
+
+test('validate handles missing and null fields', () => {
+    assert.deepEqual(validate(SCHEMA, {}).errors, [{ field: 'name', message: 'Name is required' }]);
+    assert.deepEqual(validate(SCHEMA, { name: null }).errors, [{ field: 'name', message: 'Name is required' }]);
+    assert.deepEqual(validate(SCHEMA, { name: 'a', due: null, count: null }).value, { name: 'a', due: null });
+});
+
+test('validate rejects bodies that are not objects', () => {
+    for (const body of [null, [], 'text']) {
+        assert.deepEqual(validate(SCHEMA, body).errors, [{ field: null, message: 'The request body must be a JSON object' }]);
+    }
+});
+
+test('partial updates need no required field but at least one field', () => {
+    assert.deepEqual(validate(SCHEMA, { count: 2 }, { partial: true }).value, { count: 2 });
+    assert.match(validate(SCHEMA, {}, { partial: true }).errors[0].message, /^Give at least one field to update/);
+});
+
+test('strict validation rejects unknown fields', () => {
+    const { errors } = validate({ name: { type: 'string' } }, { name: 'a', extra: 1 }, { strict: true });
+    assert.deepEqual(errors, [{ field: 'extra', message: 'Unknown field extra. Allowed fields: name' }]);
+});
+
+test('nested object fields are reported with their path', () => {
+    const schema = { rules: { type: 'object', fields: { priorities: { type: 'array', items: 'string', enum: ['low', 'high'], min: 1 } } } };
+    assert.deepEqual(validate(schema, { rules: { priorities: ['low'] } }).value, { rules: { priorities: ['low'] } });
+    assert.deepEqual(validate(schema, { rules: { priorities: [] } }).errors, [{ field: 'rules.priorities', message: 'rules.priorities must not be empty' }]);
+    assert.deepEqual(validate(schema, { rules: 'low' }).errors, [{ field: 'rules', message: 'rules must be an object' }]);
+});